@@ -6,7 +6,6 @@
  */
 
 const { firefox } = require("playwright");
-const crypto = require("crypto");
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
@@ -212,10 +211,13 @@ const getDefaultBrowserExecutablePath = () => {
 };
 
 const browserExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH || getDefaultBrowserExecutablePath();
-const VALIDATION_LINE_THRESHOLD = 200; // Validation line threshold
 const CONFIG_DIR = "configs/auth"; // Authentication files directory
 
 const { parseProxyFromEnv } = require("../../src/utils/ProxyUtils");
+const CredentialVault = require("../../src/auth/CredentialVault");
+const GoogleLoginFlow = require("../../src/auth/GoogleLoginFlow");
+
+const { VALIDATION_LINE_THRESHOLD } = GoogleLoginFlow;
 
 /**
  * Ensures that the specified directory exists, creating it if it doesn't.
@@ -267,276 +269,6 @@ const closeBrowserSafely = async browser => {
     }
 };
 
-const normalizeTotpSecret = secret => {
-    const raw = String(secret || "").trim();
-    if (!raw) return "";
-
-    if (raw.startsWith("otpauth://")) {
-        try {
-            const otpUrl = new URL(raw);
-            const parsedSecret = otpUrl.searchParams.get("secret");
-            if (parsedSecret) return parsedSecret;
-        } catch {
-            // Fall back to treating the raw input as a plain secret.
-        }
-    }
-
-    return raw;
-};
-
-const decodeBase32Secret = secret => {
-    const sanitized = normalizeTotpSecret(secret)
-        .toUpperCase()
-        .replace(/\s+/g, "")
-        .replace(/-/g, "")
-        .replace(/=+$/g, "");
-
-    if (!sanitized) {
-        throw new Error(getText("TOTP 密钥为空。", "TOTP secret is empty."));
-    }
-
-    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
-    let bits = 0;
-    let value = 0;
-    const bytes = [];
-
-    for (const char of sanitized) {
-        const index = alphabet.indexOf(char);
-        if (index === -1) {
-            throw new Error(
-                getText(`TOTP 密钥包含无效字符: ${char}`, `TOTP secret contains an invalid character: ${char}`)
-            );
-        }
-
-        value = (value << 5) | index;
-        bits += 5;
-
-        if (bits >= 8) {
-            bytes.push((value >>> (bits - 8)) & 255);
-            bits -= 8;
-        }
-    }
-
-    return Buffer.from(bytes);
-};
-
-const waitForFreshTotpWindow = async () => {
-    const secondsRemaining = 30 - (Math.floor(Date.now() / 1000) % 30);
-    if (secondsRemaining <= 3) {
-        await new Promise(resolve => setTimeout(resolve, (secondsRemaining + 1) * 1000));
-    }
-};
-
-const generateTotpCode = secret => {
-    const key = decodeBase32Secret(secret);
-    const counter = Math.floor(Date.now() / 1000 / 30);
-    const buffer = Buffer.alloc(8);
-
-    buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
-    buffer.writeUInt32BE(counter >>> 0, 4);
-
-    const hmac = crypto.createHmac("sha1", key).update(buffer).digest();
-    const offset = hmac[hmac.length - 1] & 15;
-    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
-    return String(code).padStart(6, "0");
-};
-
-const clickGoogleTransitionButtons = async (page, randomWait) => {
-    const nextButton = page.locator(
-        'button:has(span:text("Next")), button:has(span:text("下一步")), button:has-text("Next"), button:has-text("下一步")'
-    );
-    const notNowButton = page.locator(
-        'button:has(span:text("Not now")), button:has(span:text("暂时不")), button:has-text("Not now"), button:has-text("暂时不")'
-    );
-
-    for (let i = 0; i < 10; i++) {
-        if (await nextButton.isVisible({ timeout: 1000 })) {
-            console.log(
-                getText(
-                    "🕵️ 检测到「下一步」按钮，正在点击以跳过说明页...",
-                    "🕵️ Detected 'Next' button, clicking to skip info page..."
-                )
-            );
-            await nextButton.click();
-            await randomWait();
-        } else if (await notNowButton.isVisible({ timeout: 1000 })) {
-            console.log(
-                getText(
-                    "🕵️ 检测到「暂时不」按钮，正在点击以跳过...",
-                    "🕵️ Detected 'Not now' button, clicking to skip..."
-                )
-            );
-            await notNowButton.click();
-            await randomWait();
-        }
-
-        const title = await page.title();
-        if (title.includes("AI Studio")) break;
-        await page.waitForTimeout(1000);
-    }
-};
-
-const acceptAiStudioTermsIfPresent = async (page, randomWait, options = {}) => {
-    const maxRounds = options.rounds ?? 12;
-    const explicitAcceptPatterns = [/^i agree$/i, /^i accept$/i, /^agree$/i, /^accept$/i, /^(我同意|同意|接受)$/i];
-    const contextualButtonPatterns = [
-        /^continue$/i,
-        /^ok$/i,
-        /^okay$/i,
-        /^got it$/i,
-        /^(继续|确定|好的|知道了|完成)$/i,
-    ];
-    const checkboxSelector = 'input[type="checkbox"], [role="checkbox"]';
-    const agreementContainerSelector = [
-        '[role="dialog"]',
-        '[aria-modal="true"]',
-        "mat-dialog-container",
-        ".mat-mdc-dialog-container",
-        ".cdk-overlay-pane",
-        ".mdc-dialog",
-    ].join(", ");
-    const termsPattern =
-        /google api terms|terms of service|additional terms|privacy policy|\bterms\b|agree to|accept.*terms|条款|协议|政策|隐私|同意/i;
-
-    const normalizeControlText = value =>
-        String(value || "")
-            .replace(/\s+/g, " ")
-            .trim();
-
-    const getControlLabel = async control => {
-        const text = await control.textContent({ timeout: 300 }).catch(() => "");
-        const ariaLabel = await control.getAttribute("aria-label").catch(() => "");
-        const value = await control.getAttribute("value").catch(() => "");
-        return normalizeControlText(text || ariaLabel || value);
-    };
-
-    const clickAgreementControl = async control => {
-        try {
-            if (!(await control.isVisible({ timeout: 300 }))) return false;
-            if (await control.isDisabled().catch(() => false)) return false;
-            await control.scrollIntoViewIfNeeded().catch(() => {});
-            console.log(
-                getText(
-                    "🕵️ 检测到 AI Studio 首次协议弹窗，正在自动点击确认按钮...",
-                    "🕵️ Detected an AI Studio first-run agreement dialog. Clicking the confirmation button..."
-                )
-            );
-            await control.click({ timeout: 5000 });
-            await randomWait();
-            return true;
-        } catch {
-            return false;
-        }
-    };
-
-    const ensureCheckboxChecked = async checkbox => {
-        try {
-            const role = await checkbox.getAttribute("role").catch(() => null);
-            const checked =
-                role === "checkbox"
-                    ? (await checkbox.getAttribute("aria-checked").catch(() => "")) === "true"
-                    : await checkbox.isChecked().catch(() => false);
-            if (!checked) {
-                await checkbox.scrollIntoViewIfNeeded().catch(() => {});
-                await checkbox.click({ timeout: 5000 });
-                await randomWait();
-            }
-            return true;
-        } catch {
-            return false;
-        }
-    };
-
-    const clickMatchingButton = async (container, patterns) => {
-        for (const pattern of patterns) {
-            const button = container.getByRole("button", { name: pattern }).first();
-            if (await clickAgreementControl(button)) return true;
-        }
-
-        const controls = container.locator('button, [role="button"], input[type="button"], input[type="submit"]');
-        const controlCount = await controls.count().catch(() => 0);
-        for (let i = 0; i < Math.min(controlCount, 30); i++) {
-            const control = controls.nth(i);
-            const label = await getControlLabel(control);
-            if (!label || !patterns.some(pattern => pattern.test(label))) continue;
-            if (await clickAgreementControl(control)) return true;
-        }
-
-        return false;
-    };
-
-    const processContainer = async (container, fallbackText) => {
-        let containerText = fallbackText || "";
-        try {
-            containerText = (await container.textContent({ timeout: 500 })) || containerText;
-        } catch {
-            // Some containers may detach while the page is settling.
-        }
-
-        const looksLikeTerms = termsPattern.test(containerText);
-        const checkboxes = container.locator(checkboxSelector);
-        const checkboxCount = await checkboxes.count().catch(() => 0);
-
-        if (!looksLikeTerms && checkboxCount === 0) {
-            return clickMatchingButton(container, explicitAcceptPatterns);
-        }
-
-        for (let i = 0; i < Math.min(checkboxCount, 3); i++) {
-            const checkbox = checkboxes.nth(i);
-            try {
-                if (await checkbox.isVisible({ timeout: 200 })) {
-                    await ensureCheckboxChecked(checkbox);
-                }
-            } catch {
-                // Keep going if one checkbox becomes detached.
-            }
-        }
-
-        if (await clickMatchingButton(container, explicitAcceptPatterns)) return true;
-        return clickMatchingButton(container, contextualButtonPatterns);
-    };
-
-    for (let round = 0; round < maxRounds; round++) {
-        for (const frame of page.frames()) {
-            let bodyText = "";
-            try {
-                bodyText = (await frame.locator("body").textContent({ timeout: 500 })) || "";
-            } catch {
-                // Ignore detached/cross-origin frames and continue scanning others.
-            }
-
-            const containers = frame.locator(agreementContainerSelector);
-            const containerCount = await containers.count().catch(() => 0);
-            for (let i = 0; i < Math.min(containerCount, 6); i++) {
-                const container = containers.nth(i);
-                try {
-                    if (
-                        (await container.isVisible({ timeout: 200 })) &&
-                        (await processContainer(container, bodyText))
-                    ) {
-                        return true;
-                    }
-                } catch {
-                    // Continue scanning other containers.
-                }
-            }
-
-            try {
-                const body = frame.locator("body");
-                if (await processContainer(body, bodyText)) {
-                    return true;
-                }
-            } catch {
-                // Continue polling for the next round.
-            }
-        }
-
-        await page.waitForTimeout(1000);
-    }
-
-    return false;
-};
-
 const truncateDiagnosticText = (value, maxLength = 220) => {
     const normalized = String(value || "")
         .replace(/\s+/g, " ")
@@ -647,203 +379,6 @@ const logAuthUiDiagnostics = async (page, reason) => {
     }
 };
 
-const fillTotpInputs = async (page, code) => {
-    const candidates = page.locator(
-        [
-            'input[autocomplete="one-time-code"]',
-            'input[type="tel"]',
-            'input[inputmode="numeric"]',
-            'input[aria-label*="code" i]',
-            'input[aria-label*="verification" i]',
-            'input[aria-label*="验证码"]',
-            'input[placeholder*="code" i]',
-            'input[placeholder*="验证码"]',
-        ].join(", ")
-    );
-
-    const visibleInputs = [];
-    const count = await candidates.count();
-    for (let i = 0; i < Math.min(count, 8); i++) {
-        const input = candidates.nth(i);
-        try {
-            if ((await input.isVisible({ timeout: 250 })) && (await input.isEditable())) {
-                visibleInputs.push(input);
-            }
-        } catch {
-            // Ignore non-editable or detached candidates and continue scanning.
-        }
-    }
-
-    if (visibleInputs.length === 0) return false;
-
-    if (visibleInputs.length === 1) {
-        await visibleInputs[0].fill(code);
-        return true;
-    }
-
-    if (visibleInputs.length >= code.length) {
-        for (let i = 0; i < code.length; i++) {
-            await visibleInputs[i].fill(code[i]);
-        }
-        return true;
-    }
-
-    return false;
-};
-
-const autoFillTotpIfRequired = async (page, totpSecret, randomWait, options = {}) => {
-    if (!totpSecret) return false;
-
-    const maxAttempts = options.maxAttempts ?? 20;
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        try {
-            const title = await page.title();
-            if (title.includes("AI Studio")) return false;
-        } catch {
-            // Page may still be navigating.
-        }
-
-        await waitForFreshTotpWindow();
-        const code = generateTotpCode(totpSecret);
-        const filled = await fillTotpInputs(page, code);
-
-        if (filled) {
-            console.log(
-                getText(
-                    "🕵️ 检测到 2FA 验证码输入框，已自动填入 TOTP 验证码。",
-                    "🕵️ Detected a 2FA input and auto-filled a TOTP code."
-                )
-            );
-            await randomWait();
-            await page.keyboard.press("Enter");
-            await randomWait();
-            await clickGoogleTransitionButtons(page, randomWait);
-            return true;
-        }
-
-        await page.waitForTimeout(1000);
-    }
-
-    return false;
-};
-
-const clickRecoveryEmailOption = async (page, randomWait) => {
-    const optionPatterns = [
-        /confirm your recovery email/i,
-        /confirm.*recovery email/i,
-        /verify.*recovery email/i,
-        /确认.*辅助邮箱/,
-        /确认.*恢复邮箱/,
-        /验证.*辅助邮箱/,
-        /验证.*恢复邮箱/,
-    ];
-    const controlSelector = 'button, [role="button"], [role="link"], div[role="link"], div[role="button"]';
-
-    for (const frame of page.frames()) {
-        const controls = frame.locator(controlSelector);
-        const controlCount = await controls.count().catch(() => 0);
-        for (let i = 0; i < Math.min(controlCount, 40); i++) {
-            const control = controls.nth(i);
-            try {
-                if (!(await control.isVisible({ timeout: 150 }))) continue;
-                const text = ((await control.textContent({ timeout: 300 }).catch(() => "")) || "")
-                    .replace(/\s+/g, " ")
-                    .trim();
-                const ariaLabel = ((await control.getAttribute("aria-label").catch(() => "")) || "").trim();
-                const label = text || ariaLabel;
-                if (!optionPatterns.some(pattern => pattern.test(label))) continue;
-
-                console.log(
-                    getText(
-                        "🕵️ 检测到恢复邮箱确认选项，正在选择该验证方式...",
-                        "🕵️ Detected the recovery email verification option. Selecting it..."
-                    )
-                );
-                await control.scrollIntoViewIfNeeded().catch(() => {});
-                await control.click({ timeout: 5000 });
-                await randomWait();
-                return true;
-            } catch {
-                // Continue scanning other candidates.
-            }
-        }
-    }
-
-    return false;
-};
-
-const fillRecoveryEmailInput = async (page, recoveryEmail) => {
-    const challengePattern =
-        /confirm your recovery email|enter your recovery email|recovery email|辅助邮箱|恢复邮箱|备用邮箱|找回邮箱/i;
-    const inputSelector = [
-        'input[name="knowledgePreregisteredEmailResponse"]',
-        'input[type="email"]',
-        'input[aria-label*="recovery" i]',
-        'input[aria-label*="email" i]',
-        'input[aria-label*="邮箱"]',
-        'input[placeholder*="recovery" i]',
-        'input[placeholder*="email" i]',
-        'input[placeholder*="邮箱"]',
-        'input[type="text"]',
-    ].join(", ");
-
-    for (const frame of page.frames()) {
-        let bodyText = "";
-        try {
-            bodyText = (await frame.locator("body").textContent({ timeout: 500 })) || "";
-        } catch {
-            // Frame may still be navigating.
-        }
-        if (!challengePattern.test(bodyText)) continue;
-
-        const inputs = frame.locator(inputSelector);
-        const inputCount = await inputs.count().catch(() => 0);
-        for (let i = 0; i < Math.min(inputCount, 8); i++) {
-            const input = inputs.nth(i);
-            try {
-                if ((await input.isVisible({ timeout: 250 })) && (await input.isEditable())) {
-                    await input.fill(recoveryEmail);
-                    return true;
-                }
-            } catch {
-                // Ignore non-editable or detached candidates.
-            }
-        }
-    }
-
-    return false;
-};
-
-const autoFillRecoveryEmailIfRequired = async (page, recoveryEmail, randomWait) => {
-    if (!recoveryEmail) return false;
-
-    for (let attempt = 0; attempt < 20; attempt++) {
-        try {
-            const title = await page.title();
-            if (title.includes("AI Studio")) return false;
-        } catch {
-            // Page may still be navigating.
-        }
-
-        const filled = await fillRecoveryEmailInput(page, recoveryEmail);
-        if (filled) {
-            console.log(
-                getText("🕵️ 已自动填入恢复邮箱验证。", "🕵️ Auto-filled the recovery email verification challenge.")
-            );
-            await randomWait();
-            await page.keyboard.press("Enter");
-            await randomWait();
-            await clickGoogleTransitionButtons(page, randomWait);
-            return true;
-        }
-
-        await clickRecoveryEmailOption(page, randomWait);
-        await page.waitForTimeout(1000);
-    }
-
-    return false;
-};
-
 (async () => {
     // Use project root directory instead of scripts directory
     const projectRoot = path.join(__dirname, "..", "..");
@@ -969,43 +504,23 @@ const autoFillRecoveryEmailIfRequired = async (page, recoveryEmail, randomWait)
         );
     }
 
-    const randomWait = () => new Promise(r => setTimeout(r, 1000 + Math.random() * 4000));
+    const loginFlow = new GoogleLoginFlow({
+        getText,
+        log: message => console.log(message),
+        warn: message => console.warn(message),
+    });
 
     // <<< This is the only modification point: updated to Google AI Studio address >>>
-    await page.goto("https://aistudio.google.com/u/0/prompts/new_chat");
+    await page.goto(GoogleLoginFlow.AI_STUDIO_URL);
 
     if (autoFillEmail) {
         try {
-            console.log(
-                getText(
-                    `🕵️ 正在尝试自动填入账号: ${autoFillEmail}`,
-                    `🕵️ Attempting to auto-fill account: ${autoFillEmail}`
-                )
-            );
-            await page.waitForSelector('input[type="email"]', { timeout: 30000 });
-            await randomWait();
-            await page.fill('input[type="email"]', autoFillEmail);
-            await page.keyboard.press("Enter");
-
-            if (autoFillPwd) {
-                console.log(getText("🕵️ 正在等待密码输入框...", "🕵️ Waiting for password input field..."));
-                await page.waitForSelector('input[type="password"]', { state: "visible", timeout: 30000 });
-                await randomWait();
-                await page.fill('input[type="password"]', autoFillPwd);
-                await page.keyboard.press("Enter");
-
-                try {
-                    await acceptAiStudioTermsIfPresent(page, randomWait, { rounds: 4 });
-                    await autoFillTotpIfRequired(page, runtimeOptions.totpSecret, randomWait, {
-                        maxAttempts: runtimeOptions.recoveryEmail ? 8 : 20,
-                    });
-                    await autoFillRecoveryEmailIfRequired(page, runtimeOptions.recoveryEmail, randomWait);
-                    await acceptAiStudioTermsIfPresent(page, randomWait, { rounds: 4 });
-                    await clickGoogleTransitionButtons(page, randomWait);
-                } catch (e) {
-                    // Best effort
-                }
-            }
+            await loginFlow.autoFill(page, {
+                email: autoFillEmail,
+                password: autoFillPwd,
+                recoveryEmail: runtimeOptions.recoveryEmail,
+                totpSecret: runtimeOptions.totpSecret,
+            });
             console.log(
                 getText(
                     runtimeOptions.totpSecret
@@ -1035,27 +550,8 @@ const autoFillRecoveryEmailIfRequired = async (page, recoveryEmail, randomWait)
     );
 
     // Monitoring loop for AI Studio title
-    let loginDetected = false;
-    const checkInterval = 1000;
     const maxWaitTime = runtimeOptions.loginTimeoutMs;
-    const startTime = Date.now();
-
-    while (Date.now() - startTime < maxWaitTime) {
-        try {
-            const title = await page.title();
-            if (title.includes("AI Studio")) {
-                console.log(
-                    getText("✨ 检测到 AI Studio 标题，登录成功！", "✨ AI Studio title detected, login successful!")
-                );
-                await page.waitForTimeout(2000); // Wait 2s for state to stabilize
-                loginDetected = true;
-                break;
-            }
-        } catch (e) {
-            // Page might be navigating
-        }
-        await page.waitForTimeout(checkInterval);
-    }
+    const loginDetected = await loginFlow.waitForAiStudio(page, maxWaitTime);
 
     if (!loginDetected) {
         if (runtimeOptions.nonInteractive) {
@@ -1087,7 +583,7 @@ const autoFillRecoveryEmailIfRequired = async (page, recoveryEmail, randomWait)
     }
 
     try {
-        const acceptedTerms = await acceptAiStudioTermsIfPresent(page, randomWait, { rounds: 8 });
+        const acceptedTerms = await loginFlow.acceptAiStudioTermsIfPresent(page, { rounds: 8 });
         if (acceptedTerms) {
             await page.waitForTimeout(2000);
         } else {
@@ -1099,64 +595,7 @@ const autoFillRecoveryEmailIfRequired = async (page, recoveryEmail, randomWait)
 
     // ==================== Capture Account Name ====================
 
-    let accountName = "unknown"; // Default value
-    try {
-        console.log(
-            getText(
-                "🕵️  正在尝试获取账号名称 (V3 - 扫描 <script> JSON)...",
-                "🕵️  Attempting to retrieve account name (V3 - Scanning <script> JSON)..."
-            )
-        );
-
-        // 1. Locate all <script type="application/json"> tags
-        const scriptLocators = page.locator('script[type="application/json"]');
-        const count = await scriptLocators.count();
-        console.log(getText(`   -> 找到 ${count} 个 JSON <script> 标签。`, `   -> Found ${count} JSON <script> tags.`));
-
-        // 2. Define a basic Email regular expression
-        // It will match strings like "ouyang5453@gmail.com"
-        const emailRegex = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/;
-
-        // 3. Iterate through all tags to find the first matching Email
-        for (let i = 0; i < count; i++) {
-            const content = await scriptLocators.nth(i).textContent();
-
-            if (content) {
-                // 4. Search for Email in tag content
-                const match = content.match(emailRegex);
-
-                if (match && match[0]) {
-                    // 5. Found it!
-                    accountName = match[0];
-                    console.log(
-                        getText(
-                            `   -> 成功获取账号: ${accountName}`,
-                            `   -> Successfully retrieved account: ${accountName}`
-                        )
-                    );
-                    break; // Exit loop immediately after finding
-                }
-            }
-        }
-
-        if (accountName === "unknown") {
-            console.log(
-                getText(
-                    `   -> 已遍历所有 ${count} 个 <script> 标签，但未找到 Email。`,
-                    `   -> Iterated through all ${count} <script> tags, but no Email found.`
-                )
-            );
-        }
-    } catch (error) {
-        console.warn(
-            getText(
-                "⚠️  无法自动获取账号名称 (V3 扫描出错)。",
-                "⚠️  Unable to automatically retrieve account name (error during V3 scan)."
-            )
-        );
-        console.warn(getText(`   -> 错误: ${error.message}`, `   -> Error: ${error.message}`));
-        console.warn(getText('   -> 将使用 "unknown" 作为账号名称。', '   -> Will use "unknown" as account name.'));
-    }
+    const accountName = await loginFlow.captureAccountName(page);
 
     // ==================== Smart Validation and Dual-file Save Logic ====================
     console.log("");
@@ -1177,7 +616,8 @@ const autoFillRecoveryEmailIfRequired = async (page, recoveryEmail, randomWait)
         const compactStateString = JSON.stringify(currentState);
         const authFilePath = path.join(configDirPath, authFileName);
 
-        fs.writeFileSync(authFilePath, compactStateString);
+        // Encrypted at rest when CREDENTIAL_VAULT_KEY(_FILE) is set
+        CredentialVault.fromEnv().writeFileSync(authFilePath, compactStateString);
         console.log(
             getText(
                 `   📄 认证文件已保存到: ${path.join(CONFIG_DIR, authFileName)}`,
@@ -12,7 +12,9 @@ const os = require("os");
 const path = require("path");
 const readline = require("readline");
 const { HttpsProxyAgent, SocksProxyAgent } = require("playwright-core/lib/utilsBundle");
+const CredentialVault = require("../../src/auth/CredentialVault");
 const { getProxySummaryFromEnv, parseProxyFromEnv } = require("../../src/utils/ProxyUtils");
+const { getUsersCsvPath, parseUsersCsv } = require("../../src/utils/UsersCsvUtils");
 
 const DEFAULT_CAMOUFOX_VERSION = "135.0.1-beta.24";
 const GITHUB_RELEASE_TAG_PREFIX = "v";
@@ -169,7 +171,7 @@ const printHelp = () => {
     console.log("  --password <password>      Auto-fill the Google account password");
     console.log("  --recovery-email <email>   Auto-fill Google recovery email challenge");
     console.log("  --totp-secret <secret>     Auto-fill Google TOTP 2FA code using a Base32 secret");
-    console.log("  --account <index|email>    Select an account from users.csv without prompting");
+    console.log("  --account <index|email>    Select an account from users.csv (or USERS_CSV_FILE) without prompting");
     console.log("  --headless                 Launch Camoufox in headless mode");
     console.log("  --headed                   Force headed mode");
     console.log("  --login-timeout-ms <ms>    Override login detection timeout");
@@ -241,87 +243,10 @@ const selectLanguage = () =>
         });
     });
 
-const parseCSVLine = line => {
-    const parts = [];
-    let current = "";
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === "," && !inQuotes) {
-            parts.push(current.trim());
-            current = "";
-        } else {
-            current += char;
-        }
-    }
-    parts.push(current.trim());
-    return parts;
-};
-
-const getHeaderIndex = (header, patterns) =>
-    header.findIndex(column => patterns.some(pattern => pattern.test(String(column || "").trim())));
-
 const getAccountsFromCSV = () => {
-    const csvPath = path.join(PROJECT_ROOT, "users.csv");
+    const csvPath = getUsersCsvPath(PROJECT_ROOT);
     if (!fs.existsSync(csvPath)) return [];
-
-    const content = fs.readFileSync(csvPath, "utf-8");
-    const rows = content
-        .split(/\r?\n/)
-        .filter(line => line.trim() !== "")
-        .map(line => parseCSVLine(line));
-
-    if (rows.length === 0) return [];
-
-    const firstRow = rows[0].map(part => part.trim());
-    const hasHeader =
-        !firstRow.some(part => part.includes("@")) &&
-        getHeaderIndex(firstRow, [/^email$/i, /^account$/i, /^账号$/, /^邮箱$/]) !== -1;
-    const accountRows = hasHeader ? rows.slice(1) : rows;
-    const emailHeaderIndex = hasHeader ? getHeaderIndex(firstRow, [/^email$/i, /^account$/i, /^账号$/, /^邮箱$/]) : -1;
-    const passwordHeaderIndex = hasHeader
-        ? getHeaderIndex(firstRow, [/^password$/i, /^pwd$/i, /^pass$/i, /^密码$/])
-        : -1;
-    const recoveryHeaderIndex = hasHeader
-        ? getHeaderIndex(firstRow, [/^recovery/i, /recovery.*email/i, /^辅助邮箱$/, /^恢复邮箱$/, /^备用邮箱$/])
-        : -1;
-    const totpHeaderIndex = hasHeader ? getHeaderIndex(firstRow, [/^totp/i, /^otp/i, /^2fa/i, /secret/i, /密钥/]) : -1;
-
-    return accountRows
-        .map((parts, index) => {
-            const emailIdx = hasHeader ? emailHeaderIndex : parts.findIndex(p => p.includes("@"));
-            if (emailIdx === -1) return null;
-
-            const email = parts[emailIdx];
-            const password = hasHeader
-                ? parts[passwordHeaderIndex] || ""
-                : parts[emailIdx + 1] || parts.find((p, idx) => idx !== emailIdx && p.length > 0) || "";
-            const thirdValue = parts[emailIdx + 2] || "";
-            const recoveryEmail = hasHeader
-                ? parts[recoveryHeaderIndex] || ""
-                : thirdValue.includes("@")
-                  ? thirdValue
-                  : "";
-            const totpSecret = hasHeader
-                ? parts[totpHeaderIndex] || ""
-                : parts[emailIdx + 3] || (thirdValue && !thirdValue.includes("@") ? thirdValue : "");
-
-            return {
-                email,
-                index: index + 1,
-                password,
-                recoveryEmail,
-                totpSecret,
-            };
-        })
-        .filter(acc => acc?.email);
+    return parseUsersCsv(CredentialVault.fromEnv().readFileSync(csvPath));
 };
 
 const findAccountFromCSV = selector => {
@@ -6,6 +6,8 @@
 const fs = require("fs");
 const path = require("path");
 const { spawnSync } = require("child_process");
+const CredentialVault = require("../../src/auth/CredentialVault");
+const { getUsersCsvPath, parseUsersCsv } = require("../../src/utils/UsersCsvUtils");
 
 require("dotenv").config({ path: path.resolve(__dirname, "..", "..", ".env") });
 
@@ -148,7 +150,7 @@ const printHelp = () => {
     console.log("");
     console.log("Options:");
     console.log("  -h, --help                 Show this help message");
-    console.log("  --csv <path>               CSV file path, defaults to users.csv");
+    console.log("  --csv <path>               CSV file path, defaults to USERS_CSV_FILE or users.csv");
     console.log("  --accounts <list>          Account selectors: all, 1, 1,3-5, or email");
     console.log("  --headless                 Run browser in headless mode (default)");
     console.log("  --headed                   Force headed mode");
@@ -175,7 +177,7 @@ const printHelp = () => {
 
 const buildRuntimeOptions = cliOptions => {
     const langValue = cliOptions.lang ?? process.env.SETUP_AUTH_BATCH_LANG ?? process.env.SETUP_AUTH_LANG;
-    const csvValue = cliOptions.csv ?? process.env.SETUP_AUTH_BATCH_CSV ?? "users.csv";
+    const csvValue = cliOptions.csv ?? process.env.SETUP_AUTH_BATCH_CSV ?? getUsersCsvPath(PROJECT_ROOT);
 
     return {
         accounts: cliOptions.accounts ?? process.env.SETUP_AUTH_BATCH_ACCOUNTS ?? "all",
@@ -194,106 +196,16 @@ const buildRuntimeOptions = cliOptions => {
     };
 };
 
-const parseCSVLine = line => {
-    const parts = [];
-    let current = "";
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === "," && !inQuotes) {
-            parts.push(current.trim());
-            current = "";
-        } else {
-            current += char;
-        }
-    }
-    parts.push(current.trim());
-    return parts;
-};
-
-const getHeaderIndex = (header, patterns) =>
-    header.findIndex(column => patterns.some(pattern => pattern.test(String(column || "").trim())));
-
-const parseAccountRowWithHeader = (parts, header, index) => {
-    const emailIndex = getHeaderIndex(header, [/^email$/i, /^account$/i, /^账号$/, /^邮箱$/]);
-    const passwordIndex = getHeaderIndex(header, [/^password$/i, /^pwd$/i, /^pass$/i, /^密码$/]);
-    const recoveryIndex = getHeaderIndex(header, [
-        /^recovery/i,
-        /recovery.*email/i,
-        /^辅助邮箱$/,
-        /^恢复邮箱$/,
-        /^备用邮箱$/,
-    ]);
-    const totpIndex = getHeaderIndex(header, [/^totp/i, /^otp/i, /^2fa/i, /secret/i, /密钥/]);
-
-    const email = emailIndex >= 0 ? parts[emailIndex] : "";
-    const password = passwordIndex >= 0 ? parts[passwordIndex] || "" : "";
-    const recoveryEmail = recoveryIndex >= 0 ? parts[recoveryIndex] || "" : "";
-    const totpSecret = totpIndex >= 0 ? parts[totpIndex] || "" : "";
-
-    return email
-        ? {
-              email,
-              index,
-              password,
-              recoveryEmail,
-              totpSecret,
-          }
-        : null;
-};
-
-const parseAccountRowWithoutHeader = (parts, index) => {
-    const emailIndex = parts.findIndex(part => part.includes("@"));
-    if (emailIndex === -1) return null;
-
-    const thirdValue = parts[emailIndex + 2] || "";
-
-    return {
-        email: parts[emailIndex],
-        index,
-        password:
-            parts[emailIndex + 1] || parts.find((part, partIndex) => partIndex !== emailIndex && part.length > 0) || "",
-        recoveryEmail: thirdValue.includes("@") ? thirdValue : "",
-        totpSecret: parts[emailIndex + 3] || (thirdValue && !thirdValue.includes("@") ? thirdValue : ""),
-    };
-};
-
 const getAccountsFromCSV = csvPath => {
     if (!fs.existsSync(csvPath)) {
         throw new Error(getText(`未找到 CSV 文件: ${csvPath}`, `CSV file not found: ${csvPath}`));
     }
 
-    const content = fs.readFileSync(csvPath, "utf-8");
-    const rows = content
-        .split(/\r?\n/)
-        .filter(line => line.trim() !== "")
-        .map(line => parseCSVLine(line));
-
-    if (rows.length === 0) {
+    const content = CredentialVault.fromEnv().readFileSync(csvPath);
+    if (content.trim() === "") {
         throw new Error(getText(`CSV 文件为空: ${csvPath}`, `CSV file is empty: ${csvPath}`));
     }
-
-    const firstRow = rows[0].map(part => part.trim());
-    const hasHeader =
-        !firstRow.some(part => part.includes("@")) &&
-        getHeaderIndex(firstRow, [/^email$/i, /^account$/i, /^账号$/, /^邮箱$/]) !== -1;
-    const accountRows = hasHeader ? rows.slice(1) : rows;
-    const header = hasHeader ? firstRow : [];
-
-    return accountRows
-        .map((parts, offset) =>
-            hasHeader
-                ? parseAccountRowWithHeader(parts, header, offset + 1)
-                : parseAccountRowWithoutHeader(parts, offset + 1)
-        )
-        .filter(Boolean);
+    return parseUsersCsv(content);
 };
 
 const addAccountByIndex = (accounts, selected, seen, index) => {
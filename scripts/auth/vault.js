@@ -0,0 +1,228 @@
+/**
+ * File: scripts/auth/vault.js
+ * Description: Credential vault maintenance: generate a master key, encrypt existing auth files and users.csv, rotate
+ *              to a new key or decrypt everything back to plaintext.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.resolve(__dirname, "..", "..", ".env") });
+
+const CredentialVault = require("../../src/auth/CredentialVault");
+const { getUsersCsvPath } = require("../../src/utils/UsersCsvUtils");
+
+const PROJECT_ROOT = path.join(__dirname, "..", "..");
+const AUTH_DIR = path.join(PROJECT_ROOT, "configs", "auth");
+const COMMANDS = ["generate-key", "status", "migrate", "rotate", "decrypt"];
+
+const normalizeLanguage = value => {
+    const normalized = String(value || "")
+        .trim()
+        .toLowerCase();
+    if (normalized === "2" || normalized === "en" || normalized === "english") {
+        return "en";
+    }
+    return "zh";
+};
+
+let lang = normalizeLanguage(process.env.SETUP_AUTH_LANG || "zh");
+const getText = (zh, en) => (lang === "zh" ? zh : en);
+
+const readRequiredOptionValue = (args, index, optionName) => {
+    const value = args[index + 1];
+    if (!value || value.startsWith("--")) {
+        throw new Error(getText(`缺少 ${optionName} 的值。`, `Missing value for ${optionName}.`));
+    }
+    return value;
+};
+
+const parseCliArgs = args => {
+    const options = { dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "-h" || arg === "--help") {
+            options.help = true;
+            continue;
+        }
+        if (arg === "--dry-run") {
+            options.dryRun = true;
+            continue;
+        }
+        if (arg.startsWith("--csv=")) {
+            options.csv = arg.slice("--csv=".length);
+            continue;
+        }
+        if (arg === "--csv") {
+            options.csv = readRequiredOptionValue(args, i, "--csv");
+            i++;
+            continue;
+        }
+        if (arg.startsWith("--lang=")) {
+            options.lang = arg.slice("--lang=".length);
+            continue;
+        }
+        if (arg === "--lang") {
+            options.lang = readRequiredOptionValue(args, i, "--lang");
+            i++;
+            continue;
+        }
+        if (!arg.startsWith("-") && !options.command) {
+            options.command = arg;
+            continue;
+        }
+        throw new Error(getText(`未知参数: ${arg}`, `Unknown argument: ${arg}`));
+    }
+
+    return options;
+};
+
+const printHelp = () => {
+    console.log("Usage: npm run vault -- <command> [options]");
+    console.log("");
+    console.log("Commands:");
+    console.log("  generate-key               Print a new random master key");
+    console.log("  status                     Show which credential files are encrypted, and with which key");
+    console.log("  migrate                    Encrypt plaintext auth files and users.csv with the current key");
+    console.log("  rotate                     Re-encrypt every credential file with the current key");
+    console.log("  decrypt                    Write every credential file back as plaintext");
+    console.log("");
+    console.log("Options:");
+    console.log("  -h, --help                 Show this help message");
+    console.log("  --csv <path>               Accounts CSV, defaults to USERS_CSV_FILE or users.csv");
+    console.log("  --dry-run                  Only report what would change");
+    console.log("  --lang <zh|en>             Override output language");
+    console.log("");
+    console.log("Environment variables:");
+    console.log("  CREDENTIAL_VAULT_KEY=<key>                 Current master key");
+    console.log("  CREDENTIAL_VAULT_PREVIOUS_KEYS=<k1,k2>     Older keys, readable during rotation");
+    console.log("  CREDENTIAL_VAULT_KEY_FILE=<path>           Key file: current key first, older keys below");
+};
+
+const listCredentialFiles = csvPath => {
+    const files = [];
+    if (fs.existsSync(AUTH_DIR)) {
+        const authFiles = fs
+            .readdirSync(AUTH_DIR)
+            .filter(file => /^auth-\d+\.json$/.test(file))
+            .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+        for (const file of authFiles) files.push(path.join(AUTH_DIR, file));
+    }
+    if (fs.existsSync(csvPath)) files.push(csvPath);
+    return files;
+};
+
+const getKeyId = content => (CredentialVault.isEncrypted(content) ? JSON.parse(content).kid : null);
+
+/**
+ * @returns {boolean} Whether the file needs a rewrite for the command
+ */
+const needsRewrite = (command, keyId, vault) => {
+    if (command === "migrate") return keyId === null;
+    if (command === "rotate") return keyId !== vault.keyId;
+    return keyId !== null; // decrypt
+};
+
+const main = () => {
+    const options = parseCliArgs(process.argv.slice(2));
+    if (options.lang) lang = normalizeLanguage(options.lang);
+
+    if (options.help || !options.command) {
+        printHelp();
+        return;
+    }
+    if (!COMMANDS.includes(options.command)) {
+        throw new Error(getText(`未知命令: ${options.command}`, `Unknown command: ${options.command}`));
+    }
+
+    if (options.command === "generate-key") {
+        console.log(CredentialVault.generateKey());
+        return;
+    }
+
+    const vault = CredentialVault.fromEnv();
+    if (!vault.enabled && options.command !== "status" && options.command !== "decrypt") {
+        throw new Error(
+            getText(
+                "未配置主密钥。请设置 CREDENTIAL_VAULT_KEY 或 CREDENTIAL_VAULT_KEY_FILE (可用 npm run vault -- generate-key 生成)。",
+                "No master key configured. Set CREDENTIAL_VAULT_KEY or CREDENTIAL_VAULT_KEY_FILE (npm run vault -- generate-key creates one)."
+            )
+        );
+    }
+
+    const csvPath = path.resolve(options.csv || getUsersCsvPath(PROJECT_ROOT));
+    const files = listCredentialFiles(csvPath);
+    if (files.length === 0) {
+        console.log(getText("未找到任何凭据文件。", "No credential files found."));
+        return;
+    }
+
+    if (vault.enabled) {
+        console.log(getText(`当前密钥 ID: ${vault.keyId}`, `Current key id: ${vault.keyId}`));
+    }
+
+    let changed = 0;
+    const failures = [];
+    for (const filePath of files) {
+        const displayPath = path.relative(PROJECT_ROOT, filePath) || filePath;
+        try {
+            const content = fs.readFileSync(filePath, "utf-8");
+            const keyId = getKeyId(content);
+
+            if (options.command === "status") {
+                const state = keyId
+                    ? getText(`已加密 (密钥 ${keyId})`, `encrypted (key ${keyId})`)
+                    : getText("明文", "plaintext");
+                console.log(`  ${displayPath}: ${state}`);
+                continue;
+            }
+
+            if (!needsRewrite(options.command, keyId, vault)) continue;
+
+            const plaintext = vault.decrypt(content);
+            if (!options.dryRun) {
+                if (options.command === "decrypt") {
+                    new CredentialVault().writeFileSync(filePath, plaintext);
+                } else {
+                    vault.writeFileSync(filePath, plaintext);
+                }
+            }
+            changed++;
+            console.log(
+                `  ${options.dryRun ? getText("[演练] ", "[dry run] ") : ""}${options.command}: ${displayPath}`
+            );
+        } catch (error) {
+            failures.push(displayPath);
+            console.error(`  ❌ ${displayPath}: ${error.message}`);
+        }
+    }
+
+    if (options.command !== "status") {
+        console.log("");
+        console.log(
+            getText(
+                `完成: ${changed} 个文件已处理, ${files.length - changed - failures.length} 个无需改动, ${failures.length} 个失败。`,
+                `Done: ${changed} files processed, ${files.length - changed - failures.length} unchanged, ${failures.length} failed.`
+            )
+        );
+    }
+    if (options.command === "decrypt" && changed > 0 && vault.enabled) {
+        console.log(
+            getText(
+                "⚠️ 仍配置了主密钥，服务器下次更新这些文件时会重新加密。",
+                "⚠️ A master key is still configured, so the server encrypts these files again the next time it updates them."
+            )
+        );
+    }
+
+    if (failures.length > 0) process.exit(1);
+};
+
+try {
+    main();
+} catch (error) {
+    console.error("");
+    console.error(getText("错误:", "ERROR:"), error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,225 @@
+/**
+ * File: src/auth/AccountHealthProber.js
+ * Description: Periodically validates every rotation account in the background (session cookie expiry, then a live
+ *              page check or a plain AI Studio page load) and keeps a per-account health history
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const path = require("path");
+const JsonStateFile = require("../utils/JsonStateFile");
+
+const SCAN_INTERVAL_MS = 60 * 1000;
+const PAGE_LOAD_TIMEOUT_MS = 60 * 1000;
+// Sent with every status poll, so keep it short: a day at hourly probes
+const MAX_HISTORY_PER_ACCOUNT = 24;
+// Google's sign-in cookies; the session is gone once all of them have expired
+const SESSION_COOKIE_NAMES = new Set(["SID", "__Secure-1PSID", "__Secure-3PSID"]);
+
+/**
+ * Account Health Prober
+ * Once a minute, the rotation account probed longest ago is probed if healthProbeIntervalMinutes have passed since its
+ * last probe (so at most one probe per minute). A probe first checks the expiry of the stored session cookies, then
+ * asks BrowserManager.probeAuth, which checks a logged-in context in place and loads AI Studio in a throwaway context
+ * for any other account, so the active account is never disturbed. The history is kept in data/account-health.json.
+ */
+class AccountHealthProber {
+    /**
+     * @param {Object} logger - Logger
+     * @param {Object} config - Shared config (healthProbeIntervalMinutes), read on every use
+     * @param {Object} authSource - AuthSource
+     * @param {Object} browserManager - BrowserManager
+     * @param {string} [dataDir] - Directory of the health history
+     */
+    constructor(logger, config, authSource, browserManager, dataDir) {
+        this.logger = logger;
+        this.config = config;
+        this.authSource = authSource;
+        this.browserManager = browserManager;
+        this.stateFile = new JsonStateFile(
+            logger,
+            path.join(dataDir || path.join(process.cwd(), "data"), "account-health.json"),
+            { description: "account health history", logPrefix: "[Health]" }
+        );
+
+        // authIndex -> { accountName, cookieExpiresAt, history: [{ at, latencyMs, mode, reason? }], lastFailure, lastOkAt }
+        this.accounts = new Map();
+        this.counts = { failure: 0, success: 0 };
+        this.runningIndex = null;
+        this.scanTimer = null;
+
+        this._loadFromFile();
+    }
+
+    start() {
+        if (this.scanTimer) return;
+        this.scanTimer = setInterval(() => this.scan(), SCAN_INTERVAL_MS);
+        if (typeof this.scanTimer.unref === "function") this.scanTimer.unref();
+    }
+
+    stop() {
+        if (!this.scanTimer) return;
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+    }
+
+    /**
+     * Probe the rotation account that is most overdue, if probing is enabled and the browser is not busy.
+     */
+    scan() {
+        const intervalMs = (Number(this.config.healthProbeIntervalMinutes) || 0) * 60 * 1000;
+        if (intervalMs <= 0 || this.runningIndex !== null) return;
+        // Context initializations are heavy already; probe in the next quiet minute
+        if (this.browserManager.initializingContexts.size > 0) return;
+
+        const now = Date.now();
+        const lastProbeAt = index => {
+            const history = this._getAccount(index)?.history || [];
+            return history.length > 0 ? Date.parse(history[history.length - 1].at) : 0;
+        };
+        const due = this.authSource
+            .getRotationIndices()
+            .filter(index => lastProbeAt(index) + intervalMs <= now)
+            .sort((a, b) => lastProbeAt(a) - lastProbeAt(b));
+        if (due.length === 0) return;
+
+        this.probe(due[0]).catch(error => {
+            this.logger.error(`[Health] Unexpected error while probing account #${due[0]}: ${error.message}`);
+        });
+    }
+
+    /**
+     * @param {number} authIndex - Account to probe
+     * @returns {Promise<Object|null>} The history entry, or null if another probe is running
+     */
+    async probe(authIndex) {
+        if (this.runningIndex !== null) return null;
+        this.runningIndex = authIndex;
+        const startedAt = Date.now();
+        try {
+            const cookieCheck = this._checkCookies(authIndex);
+            // Like a login redirect during a page load, this is conclusive: hand the account over to re-login
+            if (cookieCheck.reason === "cookies_expired") await this.authSource.markAsExpired(authIndex);
+            const result = cookieCheck.reason
+                ? { error: cookieCheck.error, mode: "cookies", reason: cookieCheck.reason }
+                : await this.browserManager.probeAuth(authIndex, PAGE_LOAD_TIMEOUT_MS);
+            const entry = this._record(authIndex, startedAt, result, cookieCheck.expiresAt);
+            if (result.reason) {
+                this.logger.warn(
+                    `[Health] ❌ Account #${authIndex} failed its health probe (${result.reason}): ${result.error}`
+                );
+            } else {
+                this.logger.debug(`[Health] Account #${authIndex} is healthy (${result.mode}, ${entry.latencyMs}ms).`);
+            }
+            return entry;
+        } finally {
+            this.runningIndex = null;
+        }
+    }
+
+    /**
+     * @returns {{accounts: Object, intervalMinutes: number, running: number|null}} Health of every valid account:
+     *          { cookieExpiresAt, history, lastFailure, lastOkAt } by auth index
+     */
+    getStatus() {
+        const accounts = {};
+        for (const authIndex of this.authSource.availableIndices) {
+            const account = this._getAccount(authIndex);
+            if (account) accounts[authIndex] = account;
+        }
+        return {
+            accounts,
+            intervalMinutes: Number(this.config.healthProbeIntervalMinutes) || 0,
+            running: this.runningIndex,
+        };
+    }
+
+    /**
+     * History of an account, unless the index now belongs to a different account.
+     */
+    _getAccount(authIndex) {
+        const account = this.accounts.get(authIndex);
+        if (!account) return null;
+        const accountName = this.authSource.accountNameMap.get(authIndex) || null;
+        return account.accountName === accountName ? account : null;
+    }
+
+    /**
+     * @returns {{error?: string, expiresAt: string|null, reason?: string}} Earliest expiry of the stored session
+     *          cookies, and a failure reason if none of them is left
+     */
+    _checkCookies(authIndex) {
+        const authData = this.authSource.getAuth(authIndex);
+        if (!authData) return { error: "Auth file cannot be read", expiresAt: null, reason: "load_failed" };
+
+        const sessionCookies = (Array.isArray(authData.cookies) ? authData.cookies : []).filter(cookie =>
+            SESSION_COOKIE_NAMES.has(cookie?.name)
+        );
+        if (sessionCookies.length === 0) {
+            return {
+                error: "No Google session cookies in the auth file",
+                expiresAt: null,
+                reason: "no_session_cookies",
+            };
+        }
+
+        // expires is in seconds; -1 marks a browser-session cookie without an expiry
+        const expiries = sessionCookies.map(cookie => Number(cookie.expires)).filter(expires => expires > 0);
+        const expiresAt = expiries.length > 0 ? new Date(Math.min(...expiries) * 1000).toISOString() : null;
+        const nowSeconds = Date.now() / 1000;
+        if (expiries.length === sessionCookies.length && expiries.every(expires => expires <= nowSeconds)) {
+            return {
+                error: `Session cookies expired at ${new Date(Math.max(...expiries) * 1000).toISOString()}`,
+                expiresAt,
+                reason: "cookies_expired",
+            };
+        }
+        return { expiresAt };
+    }
+
+    _record(authIndex, startedAt, result, cookieExpiresAt) {
+        const accountName = this.authSource.accountNameMap.get(authIndex) || null;
+        const account = this._getAccount(authIndex) || { accountName, history: [], lastFailure: null, lastOkAt: null };
+        const at = new Date(startedAt).toISOString();
+        const entry = {
+            at,
+            latencyMs: Date.now() - startedAt,
+            mode: result.mode,
+            ...(result.reason ? { reason: result.reason } : {}),
+        };
+
+        account.cookieExpiresAt = cookieExpiresAt;
+        account.history.push(entry);
+        account.history = account.history.slice(-MAX_HISTORY_PER_ACCOUNT);
+        if (result.reason) {
+            account.lastFailure = { at, error: result.error || null, reason: result.reason };
+        } else {
+            account.lastOkAt = at;
+        }
+        this.accounts.set(authIndex, account);
+        this.counts[result.reason ? "failure" : "success"]++;
+        this._saveToFile();
+        return entry;
+    }
+
+    _saveToFile() {
+        return this.stateFile.save({ accounts: Object.fromEntries(this.accounts), version: 1 });
+    }
+
+    _loadFromFile() {
+        const state = this.stateFile.load();
+        for (const [rawIndex, account] of Object.entries(state?.accounts || {})) {
+            const authIndex = Number(rawIndex);
+            if (!Number.isInteger(authIndex) || authIndex < 0 || !Array.isArray(account?.history)) continue;
+            this.accounts.set(authIndex, {
+                accountName: account.accountName || null,
+                cookieExpiresAt: account.cookieExpiresAt || null,
+                history: account.history.slice(-MAX_HISTORY_PER_ACCOUNT),
+                lastFailure: account.lastFailure || null,
+                lastOkAt: account.lastOkAt || null,
+            });
+        }
+    }
+}
+
+module.exports = AccountHealthProber;
@@ -8,6 +8,10 @@
 const fs = require("fs");
 const fsPromises = require("fs").promises;
 const path = require("path");
+const CredentialVault = require("./CredentialVault");
+
+// Account tags double as account group names (lowercase)
+const TAG_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
 
 /**
  * Authentication Source Management Module
@@ -26,13 +30,24 @@ class AuthSource {
         this.expiredIndices = [];
         this.initialIndices = [];
         this.accountNameMap = new Map();
+        // Index -> tags from the auth file ("tags": ["paid", "eu"]); each tag names an account group
+        this.tagsMap = new Map();
         // Map any valid index -> canonical (latest) index for the same account email
         this.canonicalIndexMap = new Map();
         // Duplicate groups (email -> kept + duplicates)
         this.duplicateGroups = [];
         this.lastScannedIndices = "[]"; // Cache to track changes
+        // Encryption at rest for auth files (and users.csv); reads plaintext files unchanged
+        this.vault = CredentialVault.fromEnv();
+        // Index -> last pending read-modify-write of its auth file, see updateAuthFile()
+        this.authFileUpdates = new Map();
 
         this.logger.info('[Auth] Using files in "configs/auth/" directory for authentication.');
+        if (this.vault.enabled) {
+            this.logger.info(
+                `[Auth] Credential vault enabled, auth files are encrypted at rest (key ${this.vault.keyId}).`
+            );
+        }
 
         this.reloadAuthSources(true); // Initial load
 
@@ -66,7 +81,7 @@ class AuthSource {
             throw new Error("Invalid account index.");
         }
 
-        const authFilePath = path.join(process.cwd(), "configs", "auth", `auth-${index}.json`);
+        const authFilePath = this._getAuthFilePath(index);
         if (!fs.existsSync(authFilePath)) {
             throw new Error(`Auth file for account #${index} does not exist.`);
         }
@@ -112,6 +127,7 @@ class AuthSource {
             this.duplicateIndices = [];
             this.expiredIndices = [];
             this.accountNameMap.clear();
+            this.tagsMap.clear();
             this.canonicalIndexMap.clear();
             this.duplicateGroups = [];
             return;
@@ -120,6 +136,7 @@ class AuthSource {
         const validIndices = [];
         const invalidSourceDescriptions = [];
         this.accountNameMap.clear(); // Clear old names before re-validating
+        this.tagsMap.clear();
         this.canonicalIndexMap.clear();
         this.duplicateGroups = [];
         this.expiredIndices = [];
@@ -132,6 +149,7 @@ class AuthSource {
                     const authData = JSON.parse(authContent);
                     validIndices.push(index);
                     this.accountNameMap.set(index, authData.accountName || null);
+                    this.tagsMap.set(index, AuthSource.normalizeTags(authData.tags));
                     // Track expired status from auth file
                     if (authData.expired === true) {
                         this.expiredIndices.push(index);
@@ -235,16 +253,45 @@ class AuthSource {
         }
     }
 
+    _getAuthFilePath(index) {
+        return path.join(process.cwd(), "configs", "auth", `auth-${index}.json`);
+    }
+
     _getAuthContent(index) {
-        const authFilePath = path.join(process.cwd(), "configs", "auth", `auth-${index}.json`);
+        const authFilePath = this._getAuthFilePath(index);
         if (!fs.existsSync(authFilePath)) return null;
         try {
-            return fs.readFileSync(authFilePath, "utf-8");
+            return this.vault.readFileSync(authFilePath);
         } catch (e) {
+            if (e.code !== "ENOENT") {
+                this.logger.warn(`[Auth] Failed to read auth file for account #${index}: ${e.message}`);
+            }
             return null;
         }
     }
 
+    /**
+     * Decrypted content of an auth file, regardless of whether it passed validation (used for downloads).
+     * @param {number} index - Auth index
+     * @returns {string|null} The JSON content, or null if the file is missing or cannot be decrypted
+     */
+    getAuthFileContent(index) {
+        return this._getAuthContent(index);
+    }
+
+    /**
+     * Write an auth file through the credential vault (encrypted if a vault key is configured).
+     * Does not reload the auth sources; callers do that once they are done.
+     * @param {number} index - Auth index
+     * @param {Object|string} authData - Auth data, or its JSON text
+     */
+    async saveAuthFile(index, authData) {
+        const authDir = path.dirname(this._getAuthFilePath(index));
+        await fsPromises.mkdir(authDir, { recursive: true });
+        const content = typeof authData === "string" ? authData : JSON.stringify(authData, null, 2);
+        await this.vault.writeFile(this._getAuthFilePath(index), content);
+    }
+
     getAuth(index) {
         if (!this.availableIndices.includes(index)) {
             this.logger.error(`[Auth] Requested invalid or non-existent authentication index: ${index}`);
@@ -265,8 +312,93 @@ class AuthSource {
         }
     }
 
-    getRotationIndices() {
-        return this.rotationIndices;
+    /**
+     * @param {string|null} [group] - Only return accounts tagged with this group
+     * @returns {number[]} Rotation indices, all of them when no group is given
+     */
+    getRotationIndices(group = null) {
+        if (!group) return this.rotationIndices;
+        return this.rotationIndices.filter(index => this.hasTag(index, group));
+    }
+
+    /**
+     * @returns {string[]} Tags of an account, sorted
+     */
+    getTags(index) {
+        return this.tagsMap.get(index) || [];
+    }
+
+    hasTag(index, tag) {
+        return this.getTags(index).includes(tag);
+    }
+
+    /**
+     * Account groups for the status API: every tag used by a valid account, with the rotation accounts carrying it.
+     * @returns {Object<string, number[]>} Group -> rotation indices (empty if all its accounts are expired or duplicates)
+     */
+    getAccountGroups() {
+        const groups = {};
+        for (const index of this.availableIndices) {
+            for (const tag of this.getTags(index)) {
+                groups[tag] = groups[tag] || [];
+                if (this.rotationIndices.includes(index)) groups[tag].push(index);
+            }
+        }
+        return Object.fromEntries(Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * Read, change and write an auth file. Updates of the same file run one at a time, so concurrent writers (auth
+     * update, tags, expiry marks, re-login) never drop each other's changes.
+     * Does not reload the auth sources; callers do that once they are done.
+     * @param {number} index - Auth index
+     * @param {function(Object): void} update - Changes the parsed auth data in place
+     * @returns {Promise<Object>} The written auth data
+     */
+    updateAuthFile(index, update) {
+        const previous = this.authFileUpdates.get(index) || Promise.resolve();
+        const result = previous.then(async () => {
+            const authData = JSON.parse(await this.vault.readFile(this._getAuthFilePath(index)));
+            update(authData);
+            await this.saveAuthFile(index, authData);
+            return authData;
+        });
+        const tail = result.catch(() => {});
+        this.authFileUpdates.set(index, tail);
+        tail.then(() => {
+            if (this.authFileUpdates.get(index) === tail) this.authFileUpdates.delete(index);
+        });
+        return result;
+    }
+
+    /**
+     * Replace the tags of an account in its auth file.
+     * @param {number} index - Auth index
+     * @param {string[]} tags - New tags; an empty list removes them
+     * @returns {Promise<string[]>} The normalized tags
+     */
+    async setAccountTags(index, tags) {
+        if (!this.availableIndices.includes(index)) {
+            throw new Error(`Account #${index} does not exist or its auth file is invalid.`);
+        }
+        if (!Array.isArray(tags) || tags.some(tag => AuthSource.normalizeTag(tag) === null)) {
+            throw new Error(
+                "Tags must be an array of 1-32 letters, digits, '.', '_' or '-', starting with a letter or digit."
+            );
+        }
+
+        const normalized = AuthSource.normalizeTags(tags);
+        await this.updateAuthFile(index, authData => {
+            if (normalized.length > 0) {
+                authData.tags = normalized;
+            } else {
+                delete authData.tags;
+            }
+        });
+        this.tagsMap.set(index, normalized);
+
+        this.logger.info(`[Auth] Tags of account #${index} set to [${normalized.join(", ")}]`);
+        return normalized;
     }
 
     getCanonicalIndex(index) {
@@ -302,12 +434,10 @@ class AuthSource {
             return false;
         }
 
-        const authFilePath = path.join(process.cwd(), "configs", "auth", `auth-${index}.json`);
         try {
-            const fileContent = await fsPromises.readFile(authFilePath, "utf-8");
-            const authData = JSON.parse(fileContent);
-            authData.expired = true;
-            await fsPromises.writeFile(authFilePath, JSON.stringify(authData, null, 2));
+            await this.updateAuthFile(index, authData => {
+                authData.expired = true;
+            });
 
             this.expiredIndices.push(index);
 
@@ -346,12 +476,10 @@ class AuthSource {
             return false;
         }
 
-        const authFilePath = path.join(process.cwd(), "configs", "auth", `auth-${index}.json`);
         try {
-            const fileContent = await fsPromises.readFile(authFilePath, "utf-8");
-            const authData = JSON.parse(fileContent);
-            delete authData.expired;
-            await fsPromises.writeFile(authFilePath, JSON.stringify(authData, null, 2));
+            await this.updateAuthFile(index, authData => {
+                delete authData.expired;
+            });
 
             this.expiredIndices = this.expiredIndices.filter(idx => idx !== index);
 
@@ -374,6 +502,23 @@ class AuthSource {
     isExpired(index) {
         return this.expiredIndices.includes(index);
     }
+
+    /**
+     * @returns {string|null} The tag in its canonical (lowercase) form, or null if it is not a valid tag
+     */
+    static normalizeTag(value) {
+        if (typeof value !== "string") return null;
+        const tag = value.trim().toLowerCase();
+        return TAG_PATTERN.test(tag) ? tag : null;
+    }
+
+    /**
+     * Valid, unique tags of an auth file, sorted; invalid entries are dropped.
+     */
+    static normalizeTags(tags) {
+        if (!Array.isArray(tags)) return [];
+        return [...new Set(tags.map(tag => AuthSource.normalizeTag(tag)).filter(Boolean))].sort();
+    }
 }
 
 module.exports = AuthSource;
@@ -5,6 +5,8 @@
  * Author: Ellinav, iBenzene, bbbugg
  */
 
+const AuthSource = require("./AuthSource");
+
 /**
  * Authentication Switcher Module
  * Handles account switching logic including single/multi-account modes and fallback mechanisms
@@ -15,9 +17,14 @@ class AuthSwitcher {
         this.config = config;
         this.authSource = authSource;
         this.browserManager = browserManager;
-        this.failureCount = 0;
-        this.usageCount = 0;
+        // authIndex -> failed requests since the account's last success
+        this.failureCounts = new Map();
+        // authIndex -> generation requests served since the account became the current one
+        this.usageCounts = new Map();
         this.isSystemBusy = false;
+        // Totals since startup (not reset by switching), for /metrics
+        this.totalFailures = 0;
+        this.switchCounts = { failure: 0, skipped: 0, success: 0 };
     }
 
     get currentAuthIndex() {
@@ -28,6 +35,38 @@ class AuthSwitcher {
         this.browserManager.currentAuthIndex = value;
     }
 
+    // Counters of the current account, shown on the status page
+    get failureCount() {
+        return this.getFailureCount(this.currentAuthIndex);
+    }
+
+    get usageCount() {
+        return this.getUsageCount(this.currentAuthIndex);
+    }
+
+    getFailureCount(authIndex) {
+        return this.failureCounts.get(authIndex) || 0;
+    }
+
+    getUsageCount(authIndex) {
+        return this.usageCounts.get(authIndex) || 0;
+    }
+
+    /**
+     * Account group of requests that do not ask for one (DEFAULT_ACCOUNT_GROUP), or null to use every account.
+     */
+    get defaultAccountGroup() {
+        return AuthSource.normalizeTag(this.config.defaultAccountGroup);
+    }
+
+    /**
+     * Accounts the current (service) account rotates through: the default account group when one is set, so accounts
+     * reserved for other groups never take over the ungrouped traffic.
+     */
+    getRotationPool() {
+        return this.authSource.getRotationIndices(this.defaultAccountGroup);
+    }
+
     // getNextAuthIndex() {
     //     const available = this.authSource.getRotationIndices();
     //     if (available.length === 0) return null;
@@ -50,10 +89,18 @@ class AuthSwitcher {
     // }
 
     async switchToNextAuth() {
-        const available = this.authSource.getRotationIndices();
+        return this._countSwitch(this._switchToNextAuth());
+    }
+
+    async _switchToNextAuth() {
+        const available = this.getRotationPool();
 
         if (available.length === 0) {
-            throw new Error("No available authentication sources, cannot switch.");
+            throw new Error(
+                this.defaultAccountGroup
+                    ? `No available accounts in default account group "${this.defaultAccountGroup}", cannot switch.`
+                    : "No available authentication sources, cannot switch."
+            );
         }
 
         if (this.isSystemBusy) {
@@ -209,6 +256,10 @@ class AuthSwitcher {
     }
 
     async switchToSpecificAuth(targetIndex) {
+        return this._countSwitch(this._switchToSpecificAuth(targetIndex));
+    }
+
+    async _switchToSpecificAuth(targetIndex) {
         if (this.isSystemBusy) {
             this.logger.info("🔄 [Auth] Account switching in progress, skipping duplicate operation");
             return { reason: "Switch already in progress.", success: false };
@@ -243,21 +294,44 @@ class AuthSwitcher {
         }
     }
 
-    async handleRequestFailureAndSwitch(errorDetails, sendErrorCallback) {
-        this.failureCount++;
+    /**
+     * Count a failed request against the account that served it, and rotate the current account away on an
+     * immediate-switch status or once the failure threshold is reached. Failures of other accounts are only counted.
+     * @param {Object} errorDetails - Error of the failed request ({ status, message })
+     * @param {Function|null} sendErrorCallback - Receives a message for the client about the switch
+     * @param {number} [authIndex] - Account that served the request (defaults to the current account)
+     */
+    async handleRequestFailureAndSwitch(errorDetails, sendErrorCallback, authIndex = this.currentAuthIndex) {
+        // 429 scoped to one model that another ready account can serve, or that no account can serve: keep this
+        // account for the other models
+        if (errorDetails?.modelCooldown) {
+            const { authIndex, model } = errorDetails.modelCooldown;
+            this.logger.info(
+                `[Auth] ${errorDetails.status} only affects ${model} on account #${authIndex}, skipping service-wide account switch.`
+            );
+            return;
+        }
+
+        const failureCount = this.getFailureCount(authIndex) + 1;
+        this.failureCounts.set(authIndex, failureCount);
+        this.totalFailures++;
         if (this.config.failureThreshold > 0) {
             this.logger.warn(
-                `⚠️ [Auth] Request failed - failure count: ${this.failureCount}/${this.config.failureThreshold} (Current account index: ${this.currentAuthIndex})`
+                `⚠️ [Auth] Request failed - failure count: ${failureCount}/${this.config.failureThreshold} (Account index: ${authIndex})`
             );
         } else {
-            this.logger.warn(
-                `⚠️ [Auth] Request failed - failure count: ${this.failureCount} (Current account index: ${this.currentAuthIndex})`
+            this.logger.warn(`⚠️ [Auth] Request failed - failure count: ${failureCount} (Account index: ${authIndex})`);
+        }
+
+        if (authIndex !== this.currentAuthIndex) {
+            this.logger.info(
+                `[Auth] Account #${authIndex} is not the current account (#${this.currentAuthIndex}), skipping account switch.`
             );
+            return;
         }
 
         const isImmediateSwitch = this.config.immediateSwitchStatusCodes.includes(errorDetails.status);
-        const isThresholdReached =
-            this.config.failureThreshold > 0 && this.failureCount >= this.config.failureThreshold;
+        const isThresholdReached = this.config.failureThreshold > 0 && failureCount >= this.config.failureThreshold;
 
         if (isImmediateSwitch || isThresholdReached) {
             if (isImmediateSwitch) {
@@ -266,7 +340,7 @@ class AuthSwitcher {
                 );
             } else {
                 this.logger.warn(
-                    `🔴 [Auth] Failure threshold reached (${this.failureCount}/${this.config.failureThreshold})! Preparing to switch account...`
+                    `🔴 [Auth] Failure threshold reached (${failureCount}/${this.config.failureThreshold})! Preparing to switch account...`
                 );
             }
 
@@ -288,7 +362,7 @@ class AuthSwitcher {
                 if (error.message.includes("Only one account is available")) {
                     userMessage = "❌ Switch failed: Only one account available.";
                     this.logger.info("[Auth] Only one account available, failure count reset.");
-                    this.failureCount = 0;
+                    this.resetFailureCount(authIndex);
                 } else if (error.message.includes("Fallback failed reason")) {
                     userMessage = `❌ Fatal error: Both automatic switching and emergency fallback failed, service may be interrupted, please check logs!`;
                 } else if (error.message.includes("Switching to account")) {
@@ -301,18 +375,37 @@ class AuthSwitcher {
         }
     }
 
-    incrementUsageCount() {
-        this.usageCount++;
-        return this.usageCount;
+    async _countSwitch(switching) {
+        try {
+            const result = await switching;
+            this.switchCounts[result.success ? "success" : "skipped"]++;
+            return result;
+        } catch (error) {
+            this.switchCounts.failure++;
+            throw error;
+        }
+    }
+
+    incrementUsageCount(authIndex = this.currentAuthIndex) {
+        const usageCount = this.getUsageCount(authIndex) + 1;
+        this.usageCounts.set(authIndex, usageCount);
+        return usageCount;
+    }
+
+    shouldSwitchByUsage(authIndex = this.currentAuthIndex) {
+        return this.config.switchOnUses > 0 && this.getUsageCount(authIndex) >= this.config.switchOnUses;
     }
 
-    shouldSwitchByUsage() {
-        return this.config.switchOnUses > 0 && this.usageCount >= this.config.switchOnUses;
+    resetFailureCount(authIndex) {
+        this.failureCounts.delete(authIndex);
     }
 
-    resetCounters() {
-        this.failureCount = 0;
-        this.usageCount = 0;
+    /**
+     * Start the counters of an account over, by default of the account that just became the current one.
+     */
+    resetCounters(authIndex = this.currentAuthIndex) {
+        this.failureCounts.delete(authIndex);
+        this.usageCounts.delete(authIndex);
     }
 }
 
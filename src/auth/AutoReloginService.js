@@ -0,0 +1,317 @@
+/**
+ * File: src/auth/AutoReloginService.js
+ * Description: Re-authenticates expired accounts in the background with stored login credentials, with exponential
+ *              backoff and a per-account attempt log
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const JsonStateFile = require("../utils/JsonStateFile");
+const { getUsersCsvPath, parseUsersCsv } = require("../utils/UsersCsvUtils");
+const GoogleLoginFlow = require("./GoogleLoginFlow");
+
+const SCAN_INTERVAL_MS = 60 * 1000;
+// Google sign-in with 2FA takes well under a minute; anything past this is a challenge we cannot answer
+const LOGIN_TIMEOUT_MS = 3 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS_PER_ACCOUNT = 20;
+
+/**
+ * Auto Re-login Service
+ * Once a minute, the oldest due expired account whose email has a password in users.csv (or USERS_CSV_FILE, the same
+ * file `npm run setup-auth` fills from) is logged in again in a fresh headless context, using the same auto-fill flow.
+ * On success the new cookies are merged into auth-N.json and the account is unmarked as expired; on failure the next
+ * attempt waits reloginBackoffMinutes, doubling up to a day. Accounts are logged in one at a time. Attempts are kept in
+ * data/relogin-state.json.
+ */
+class AutoReloginService {
+    /**
+     * @param {Object} logger - Logger
+     * @param {Object} config - Shared config (enableAutoRelogin, reloginBackoffMinutes), read on every use
+     * @param {Object} authSource - AuthSource
+     * @param {Object} browserManager - BrowserManager, provides the headless login contexts
+     * @param {string} [dataDir] - Directory of the attempt log
+     * @param {string} [credentialsPath] - Accounts CSV, defaults to USERS_CSV_FILE or users.csv
+     */
+    constructor(logger, config, authSource, browserManager, dataDir, credentialsPath) {
+        this.logger = logger;
+        this.config = config;
+        this.authSource = authSource;
+        this.browserManager = browserManager;
+        this.stateFile = new JsonStateFile(
+            logger,
+            path.join(dataDir || path.join(process.cwd(), "data"), "relogin-state.json"),
+            { description: "re-login state", logPrefix: "[ReLogin]" }
+        );
+        this.credentialsPath = path.resolve(credentialsPath || getUsersCsvPath());
+
+        // authIndex -> { accountName, attempts: [{ at, durationMs, error?, outcome }], failures, nextAttemptAt }
+        this.accounts = new Map();
+        this.counts = { failure: 0, success: 0 };
+        this.runningIndex = null;
+        this.scanTimer = null;
+        this.restoredListener = null;
+        this.lastReadError = null;
+
+        this._loadFromFile();
+    }
+
+    /**
+     * Called with the auth index after an account was logged in again and is back in rotation.
+     */
+    setRestoredListener(listener) {
+        this.restoredListener = typeof listener === "function" ? listener : null;
+    }
+
+    start() {
+        if (this.scanTimer) return;
+        this.scanTimer = setInterval(() => this.scan(), SCAN_INTERVAL_MS);
+        if (typeof this.scanTimer.unref === "function") this.scanTimer.unref();
+    }
+
+    stop() {
+        if (!this.scanTimer) return;
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+    }
+
+    /**
+     * Start a re-login for the next due expired account, if auto re-login is enabled and none is running.
+     */
+    scan() {
+        if (!this.config.enableAutoRelogin || this.runningIndex !== null) return;
+
+        const credentials = this._readCredentials();
+        if (!credentials) return;
+
+        // Accounts that were logged in again by hand start over without backoff the next time they expire
+        for (const [authIndex, account] of this.accounts) {
+            if (account.failures > 0 && !this.authSource.isExpired(authIndex)) {
+                account.failures = 0;
+                account.nextAttemptAt = null;
+            }
+        }
+
+        const now = Date.now();
+        const due = this.authSource.expiredIndices
+            .filter(index => this._getCredentials(index, credentials) && !this._hasLiveDuplicate(index))
+            .filter(index => (this.accounts.get(index)?.nextAttemptAt || 0) <= now)
+            .sort((a, b) => (this.accounts.get(a)?.nextAttemptAt || 0) - (this.accounts.get(b)?.nextAttemptAt || 0));
+        if (due.length === 0) return;
+
+        this.relogin(due[0]).catch(error => {
+            this.logger.error(`[ReLogin] Unexpected error for account #${due[0]}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Log an expired account in again now, ignoring its backoff.
+     * @param {number} authIndex - Expired account
+     * @returns {Promise<{error?: string, success: boolean}>}
+     */
+    async relogin(authIndex) {
+        if (this.runningIndex !== null) {
+            return { error: `A re-login of account #${this.runningIndex} is already running.`, success: false };
+        }
+        if (!this.authSource.isExpired(authIndex)) {
+            return { error: `Account #${authIndex} is not expired.`, success: false };
+        }
+        const credentials = this._getCredentials(authIndex, this._readCredentials() || new Map());
+        if (!credentials) {
+            return {
+                error: `No credentials for account #${authIndex} in ${path.basename(this.credentialsPath)}.`,
+                success: false,
+            };
+        }
+
+        this.runningIndex = authIndex;
+        const startedAt = Date.now();
+        this.logger.info(`[ReLogin] 🔑 Logging in account #${authIndex} (${credentials.email}) again...`);
+        try {
+            await this._login(authIndex, credentials);
+            this._recordAttempt(authIndex, startedAt, "success");
+            this.logger.info(
+                `[ReLogin] ✅ Account #${authIndex} logged in again after ${Math.round((Date.now() - startedAt) / 1000)}s and is back in rotation.`
+            );
+            if (this.restoredListener) this.restoredListener(authIndex);
+            return { success: true };
+        } catch (error) {
+            const account = this._recordAttempt(authIndex, startedAt, "failure", error.message);
+            this.logger.warn(
+                `[ReLogin] ❌ Re-login of account #${authIndex} failed (${account.failures} in a row): ${error.message}. ` +
+                    `Next attempt at ${new Date(account.nextAttemptAt).toISOString()}.`
+            );
+            return { error: error.message, success: false };
+        } finally {
+            this.runningIndex = null;
+        }
+    }
+
+    /**
+     * @returns {{accounts: Object, enabled: boolean, running: number|null}} Re-login state of every expired account:
+     *          { attempts, failures, hasCredentials, nextAttemptAt } by auth index
+     */
+    getStatus() {
+        const credentials = this._readCredentials() || new Map();
+        const accounts = {};
+        for (const authIndex of this.authSource.expiredIndices) {
+            const account = this.accounts.get(authIndex);
+            accounts[authIndex] = {
+                attempts: account?.attempts || [],
+                failures: account?.failures || 0,
+                hasCredentials: !!this._getCredentials(authIndex, credentials),
+                nextAttemptAt: account?.nextAttemptAt || null,
+            };
+        }
+        return { accounts, enabled: this.config.enableAutoRelogin === true, running: this.runningIndex };
+    }
+
+    /**
+     * Accounts CSV, read on every use so edits apply without a restart. Parsed like setup-auth does (see
+     * UsersCsvUtils.parseUsersCsv). May be encrypted by the credential vault.
+     * @returns {Map|null} Normalized email -> { email, password, recoveryEmail, totpSecret } (empty if the file does
+     *          not exist), or null if it cannot be read
+     */
+    _readCredentials() {
+        try {
+            if (!fs.existsSync(this.credentialsPath)) return new Map();
+            const credentials = new Map();
+            for (const account of parseUsersCsv(this.authSource.vault.readFileSync(this.credentialsPath))) {
+                const email = AutoReloginService._normalizeEmail(account.email);
+                if (email) credentials.set(email, account);
+            }
+            this.lastReadError = null;
+            return credentials;
+        } catch (error) {
+            // The file is read on every scan and status poll, so report each problem once
+            if (error.message !== this.lastReadError) {
+                this.lastReadError = error.message;
+                this.logger.error(`[ReLogin] Failed to read ${path.basename(this.credentialsPath)}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    _getCredentials(authIndex, credentials) {
+        const email = AutoReloginService._normalizeEmail(this.authSource.accountNameMap.get(authIndex));
+        const entry = email ? credentials.get(email) : null;
+        return entry?.password ? entry : null;
+    }
+
+    /**
+     * An expired auth file is not worth a login when a newer file of the same account is still valid.
+     */
+    _hasLiveDuplicate(authIndex) {
+        const email = AutoReloginService._normalizeEmail(this.authSource.accountNameMap.get(authIndex));
+        return this.authSource.availableIndices.some(
+            index =>
+                index !== authIndex &&
+                !this.authSource.isExpired(index) &&
+                AutoReloginService._normalizeEmail(this.authSource.accountNameMap.get(index)) === email
+        );
+    }
+
+    async _login(authIndex, credentials) {
+        const loginFlow = new GoogleLoginFlow({
+            log: message => this.logger.debug(`[ReLogin] #${authIndex} ${message.trim()}`),
+        });
+        const context = await this.browserManager.createLoginContext();
+        try {
+            const page = await context.newPage();
+            await page.goto(GoogleLoginFlow.AI_STUDIO_URL);
+            await loginFlow.autoFill(page, credentials);
+            if (!(await loginFlow.waitForAiStudio(page, LOGIN_TIMEOUT_MS))) {
+                throw new Error(
+                    `AI Studio did not open within ${LOGIN_TIMEOUT_MS / 1000}s (wrong credentials or an unsupported challenge)`
+                );
+            }
+            await loginFlow.acceptAiStudioTermsIfPresent(page, { rounds: 8 }).catch(() => {});
+
+            const accountName = await loginFlow.captureAccountName(page);
+            if (
+                accountName !== "unknown" &&
+                AutoReloginService._normalizeEmail(accountName) !==
+                    AutoReloginService._normalizeEmail(credentials.email)
+            ) {
+                throw new Error(`Logged in as ${accountName} instead of ${credentials.email}`);
+            }
+
+            const storageState = await context.storageState();
+            const lineCount = JSON.stringify(storageState, null, 2).split("\n").length;
+            if (lineCount <= GoogleLoginFlow.VALIDATION_LINE_THRESHOLD) {
+                throw new Error(`Login state looks empty (${lineCount} lines)`);
+            }
+            await this._writeAuthFile(authIndex, storageState);
+        } finally {
+            await context.close().catch(() => {});
+        }
+
+        if (!(await this.authSource.unmarkAsExpired(authIndex))) {
+            throw new Error("Saved the new login but could not unmark the account as expired");
+        }
+    }
+
+    /**
+     * Merge the new cookies into the auth file, keeping accountName and custom fields (like the auth update does).
+     */
+    async _writeAuthFile(authIndex, storageState) {
+        if (!this.authSource.getAuth(authIndex)) throw new Error(`Auth file #${authIndex} cannot be read`);
+        await this.authSource.updateAuthFile(authIndex, authData => {
+            authData.cookies = storageState.cookies;
+            authData.origins = storageState.origins;
+        });
+    }
+
+    _recordAttempt(authIndex, startedAt, outcome, error) {
+        const account = this.accounts.get(authIndex) || { attempts: [], failures: 0, nextAttemptAt: null };
+        account.accountName = this.authSource.accountNameMap.get(authIndex) || account.accountName || null;
+        account.attempts.push({
+            at: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            ...(error ? { error } : {}),
+            outcome,
+        });
+        account.attempts = account.attempts.slice(-MAX_ATTEMPTS_PER_ACCOUNT);
+        if (outcome === "success") {
+            account.failures = 0;
+            account.nextAttemptAt = null;
+        } else {
+            account.failures++;
+            const baseMs = Math.max(1, Number(this.config.reloginBackoffMinutes) || 30) * 60 * 1000;
+            account.nextAttemptAt = Date.now() + Math.min(MAX_BACKOFF_MS, baseMs * 2 ** (account.failures - 1));
+        }
+        this.accounts.set(authIndex, account);
+        this.counts[outcome]++;
+        this._saveToFile();
+        return account;
+    }
+
+    _saveToFile() {
+        return this.stateFile.save({ accounts: Object.fromEntries(this.accounts), version: 1 });
+    }
+
+    _loadFromFile() {
+        const state = this.stateFile.load();
+        for (const [rawIndex, account] of Object.entries(state?.accounts || {})) {
+            const authIndex = Number(rawIndex);
+            if (!Number.isInteger(authIndex) || authIndex < 0 || !Array.isArray(account?.attempts)) continue;
+            this.accounts.set(authIndex, {
+                accountName: account.accountName || null,
+                attempts: account.attempts.slice(-MAX_ATTEMPTS_PER_ACCOUNT),
+                failures: Number(account.failures) || 0,
+                nextAttemptAt: Number(account.nextAttemptAt) || null,
+            });
+        }
+    }
+
+    static _normalizeEmail(value) {
+        const email = String(value || "")
+            .trim()
+            .toLowerCase();
+        return email.includes("@") ? email : null;
+    }
+}
+
+module.exports = AutoReloginService;
@@ -5,7 +5,6 @@
  * Author: Ellinav, iBenzene, bbbugg
  */
 
-const fs = require("fs");
 const path = require("path");
 const net = require("net");
 const { spawn } = require("child_process");
@@ -494,18 +493,13 @@ class CreateAuth {
             const storageState = await context.storageState();
             const authData = { ...storageState, accountName };
 
-            const configDir = path.join(process.cwd(), "configs", "auth");
-            if (!fs.existsSync(configDir)) {
-                fs.mkdirSync(configDir, { recursive: true });
-            }
-
             // Always use max index + 1 to ensure new auth is always the latest
             // This simplifies dedup logic assumption: higher index = newer auth
             const existingIndices = this.serverSystem.authSource.availableIndices || [];
             const nextAuthIndex = existingIndices.length > 0 ? Math.max(...existingIndices) + 1 : 0;
 
-            const newAuthFilePath = path.join(configDir, `auth-${nextAuthIndex}.json`);
-            fs.writeFileSync(newAuthFilePath, JSON.stringify(authData, null, 2));
+            const newAuthFilePath = path.join(process.cwd(), "configs", "auth", `auth-${nextAuthIndex}.json`);
+            await this.serverSystem.authSource.saveAuthFile(nextAuthIndex, authData);
 
             this.logger.info(`[VNC] Saved new auth file: ${newAuthFilePath}`);
 
@@ -0,0 +1,205 @@
+/**
+ * File: src/auth/CredentialVault.js
+ * Description: Encryption at rest (AES-256-GCM) for auth files and users.csv, keyed by a master secret from the
+ *              environment or a key file, with previous keys kept readable for key rotation
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+// Fixed salt: the master secret is meant to be random already, scrypt only stretches passphrases. Keys are derived once
+// per process, so reading every auth file on each status poll stays cheap.
+const KDF_SALT = "aistudio-credential-vault-v1";
+const RAW_KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Credential Vault
+ * An encrypted file is a JSON envelope ({ vault: 1, kid, iv, tag, ciphertext }) under the original file name, so
+ * discovery, indices and backups keep working. Reading is transparent: plaintext files are returned unchanged, so a
+ * store can be migrated file by file, and envelopes are decrypted with whichever configured key matches their key id.
+ * Writing encrypts with the current key when one is configured and writes plaintext otherwise.
+ */
+class CredentialVault {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.key] - Current master secret; 64 hex characters are used as the raw key
+     * @param {string[]} [options.previousKeys] - Older master secrets, only used for reading
+     */
+    constructor({ key = null, previousKeys = [] } = {}) {
+        this.currentKey = key ? CredentialVault._deriveKey(key) : null;
+        // key id -> derived key
+        this.keys = new Map();
+        for (const secret of [key, ...previousKeys].filter(Boolean)) {
+            const derived = CredentialVault._deriveKey(secret);
+            this.keys.set(derived.id, derived.key);
+        }
+        // filePath -> last pending write, so writes of the same file land in order
+        this.writeChains = new Map();
+    }
+
+    /**
+     * Build the vault from CREDENTIAL_VAULT_KEY_FILE (first line: current key, further lines: previous keys) or
+     * CREDENTIAL_VAULT_KEY plus the comma-separated CREDENTIAL_VAULT_PREVIOUS_KEYS.
+     * Throws if the key file cannot be read, so a misconfigured vault never falls back to writing plaintext.
+     */
+    static fromEnv(env = process.env) {
+        if (env.CREDENTIAL_VAULT_KEY_FILE) {
+            const keyFilePath = path.resolve(env.CREDENTIAL_VAULT_KEY_FILE);
+            let lines;
+            try {
+                lines = fs
+                    .readFileSync(keyFilePath, "utf-8")
+                    .split(/\r?\n/)
+                    .map(line => line.trim())
+                    .filter(line => line && !line.startsWith("#"));
+            } catch (error) {
+                throw new Error(`Cannot read CREDENTIAL_VAULT_KEY_FILE ${keyFilePath}: ${error.message}`);
+            }
+            if (lines.length === 0) throw new Error(`CREDENTIAL_VAULT_KEY_FILE ${keyFilePath} contains no key`);
+            return new CredentialVault({ key: lines[0], previousKeys: lines.slice(1) });
+        }
+
+        const previousKeys = String(env.CREDENTIAL_VAULT_PREVIOUS_KEYS || "")
+            .split(",")
+            .map(key => key.trim())
+            .filter(Boolean);
+        return new CredentialVault({ key: String(env.CREDENTIAL_VAULT_KEY || "").trim() || null, previousKeys });
+    }
+
+    /**
+     * @returns {string} A new random master secret
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString("hex");
+    }
+
+    static isEncrypted(content) {
+        const text = String(content || "").trimStart();
+        if (!text.startsWith("{")) return false;
+        try {
+            const envelope = JSON.parse(text);
+            return envelope?.vault === 1 && typeof envelope.ciphertext === "string";
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Whether new files are encrypted.
+     */
+    get enabled() {
+        return this.currentKey !== null;
+    }
+
+    /**
+     * @returns {string|null} Key id of the current key
+     */
+    get keyId() {
+        return this.currentKey?.id || null;
+    }
+
+    /**
+     * @param {string} plaintext
+     * @returns {string} An envelope with the current key, or the plaintext if no key is configured
+     */
+    encrypt(plaintext) {
+        if (!this.enabled) return plaintext;
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.currentKey.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf-8"), cipher.final()]);
+        return JSON.stringify({
+            ciphertext: ciphertext.toString("base64"),
+            iv: iv.toString("base64"),
+            kid: this.currentKey.id,
+            tag: cipher.getAuthTag().toString("base64"),
+            vault: 1,
+        });
+    }
+
+    /**
+     * @param {string} content - File content, an envelope or plaintext
+     * @returns {string} The plaintext
+     */
+    decrypt(content) {
+        if (!CredentialVault.isEncrypted(content)) return content;
+        const envelope = JSON.parse(content);
+        const key = this.keys.get(envelope.kid);
+        if (!key) {
+            throw new Error(
+                this.keys.size === 0
+                    ? "File is encrypted but no CREDENTIAL_VAULT_KEY is configured"
+                    : `File is encrypted with an unknown key (id ${envelope.kid})`
+            );
+        }
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, "base64"));
+        decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+        return Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "base64")), decipher.final()]).toString(
+            "utf-8"
+        );
+    }
+
+    readFileSync(filePath) {
+        return this.decrypt(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    async readFile(filePath) {
+        return this.decrypt(await fs.promises.readFile(filePath, "utf-8"));
+    }
+
+    /**
+     * Encrypt (if enabled) and write through a temporary file, so a crash never leaves half a credential behind.
+     * Writes of the same file run one at a time.
+     */
+    writeFile(filePath, plaintext) {
+        const previous = this.writeChains.get(filePath) || Promise.resolve();
+        const result = previous.then(async () => {
+            const tmpPath = CredentialVault._getTmpPath(filePath);
+            try {
+                await fs.promises.writeFile(tmpPath, this.encrypt(plaintext));
+                await fs.promises.rename(tmpPath, filePath);
+            } catch (error) {
+                await fs.promises.unlink(tmpPath).catch(() => {});
+                throw error;
+            }
+        });
+        const tail = result.catch(() => {});
+        this.writeChains.set(filePath, tail);
+        tail.then(() => {
+            if (this.writeChains.get(filePath) === tail) this.writeChains.delete(filePath);
+        });
+        return result;
+    }
+
+    writeFileSync(filePath, plaintext) {
+        const tmpPath = CredentialVault._getTmpPath(filePath);
+        try {
+            fs.writeFileSync(tmpPath, this.encrypt(plaintext));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            fs.rmSync(tmpPath, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Temporary file next to the target, unique per process and write, so concurrent writers never share one.
+     */
+    static _getTmpPath(filePath) {
+        return `${filePath}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    }
+
+    static _deriveKey(secret) {
+        const key = RAW_KEY_PATTERN.test(secret)
+            ? Buffer.from(secret, "hex")
+            : crypto.scryptSync(String(secret), KDF_SALT, 32);
+        const id = crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+        return { id, key };
+    }
+}
+
+module.exports = CredentialVault;
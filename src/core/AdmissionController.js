@@ -0,0 +1,248 @@
+/**
+ * File: src/core/AdmissionController.js
+ * Description: Bounds the number of API requests in flight and queues the rest by priority class, fairly across API keys
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const PRIORITIES = ["interactive", "batch"];
+// How often a queue paused by an account switch checks whether the system is ready again
+const BUSY_POLL_MS = 200;
+// Assumed request duration until real requests have been measured
+const DEFAULT_HOLD_MS = 10000;
+const HOLD_SMOOTHING = 0.2;
+
+/**
+ * Admission Controller Module
+ * Requests take a slot before they are handled and give it back when their response is closed. When all slots are
+ * taken, requests wait in one queue per priority class; interactive requests are always admitted before batch requests.
+ * Inside a class every fairness key (the named API key, or "shared") has its own FIFO and keys take turns, so a key with
+ * many queued requests cannot starve a key that sends one. While an account switch is in progress nothing is admitted,
+ * so waiting requests keep their place instead of all polling the switcher. With maxConcurrentRequests = 0 every request
+ * is admitted at once and slots are only counted.
+ */
+class AdmissionController {
+    static PRIORITIES = PRIORITIES;
+
+    /**
+     * @param {Object} logger - Logger
+     * @param {Object} config - Shared config (maxConcurrentRequests, maxQueuedRequests), read on every use
+     * @param {function(): boolean} [isPaused] - Returns true while nothing may be admitted, e.g. during an account switch
+     */
+    constructor(logger, config, isPaused = () => false) {
+        this.logger = logger;
+        this.config = config;
+        this.isPaused = isPaused;
+
+        this.active = 0;
+        // priority -> Map(fairness key -> queued entries). Map order is the turn order of the keys.
+        this.queues = new Map(PRIORITIES.map(priority => [priority, new Map()]));
+        this.averageHoldMs = DEFAULT_HOLD_MS;
+        this.pollTimer = null;
+        this.counters = { admitted: 0, rejected: 0, timedOut: 0 };
+    }
+
+    get maxConcurrent() {
+        const value = Number(this.config.maxConcurrentRequests);
+        return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+    }
+
+    get maxQueued() {
+        const value = Number(this.config.maxQueuedRequests);
+        return Number.isFinite(value) && value >= 0 ? Math.floor(value) : 0;
+    }
+
+    /**
+     * Ask for a slot.
+     * @param {Object} options
+     * @param {string} [options.key] - Fairness key, usually the named API key
+     * @param {string} [options.priority] - "interactive" or "batch"
+     * @param {boolean} [options.bounded] - Whether maxQueuedRequests applies; internal batch work queues unbounded
+     * @param {number} [options.timeoutMs] - Give up waiting after this long, 0 waits forever
+     * @returns {{cancel: function(), etaSeconds: number, position: number, rejected: boolean, retryAfterSeconds?: number,
+     *            slot: Promise<function()|null>}} `slot` resolves to the release function, or to null if the wait timed
+     *          out or was cancelled. `position` is 0 when the request was admitted at once.
+     */
+    enqueue({ key = "shared", priority = "interactive", bounded = true, timeoutMs = 0 } = {}) {
+        if (!this.queues.has(priority)) priority = "interactive";
+
+        // Requests already waiting go first
+        if (this._getQueuedCount() === 0 && this._canAdmit()) {
+            return {
+                cancel: () => {},
+                etaSeconds: 0,
+                position: 0,
+                rejected: false,
+                slot: Promise.resolve(this._take()),
+            };
+        }
+
+        const position = this._estimatePosition(priority, key);
+        const etaSeconds = this._estimateWaitSeconds(position);
+        if (bounded && this._getQueuedCount(true) >= this.maxQueued) {
+            this.counters.rejected++;
+            return {
+                cancel: () => {},
+                etaSeconds,
+                position,
+                rejected: true,
+                retryAfterSeconds: Math.max(1, etaSeconds),
+                slot: Promise.resolve(null),
+            };
+        }
+
+        const entry = { bounded, key, priority, resolve: null, timer: null };
+        const slot = new Promise(resolve => {
+            entry.resolve = resolve;
+        });
+        const queue = this.queues.get(priority);
+        if (!queue.has(key)) queue.set(key, []);
+        queue.get(key).push(entry);
+
+        if (timeoutMs > 0) {
+            entry.timer = setTimeout(() => {
+                if (!this._remove(entry)) return;
+                this.counters.timedOut++;
+                entry.resolve(null);
+            }, timeoutMs);
+        }
+
+        this._schedulePoll();
+        return {
+            cancel: () => {
+                if (this._remove(entry)) entry.resolve(null);
+            },
+            etaSeconds,
+            position,
+            rejected: false,
+            slot,
+        };
+    }
+
+    /**
+     * Admit queued requests into free slots. Called when a slot is released or the limits change.
+     */
+    pump() {
+        while (this._getQueuedCount() > 0 && this._canAdmit()) {
+            const entry = this._shiftNext();
+            clearTimeout(entry.timer);
+            entry.resolve(this._take());
+        }
+        this._schedulePoll();
+    }
+
+    getStats() {
+        const queued = {};
+        for (const [priority, queue] of this.queues) {
+            queued[priority] = [...queue.values()].reduce((sum, entries) => sum + entries.length, 0);
+        }
+        return {
+            active: this.active,
+            averageHoldMs: Math.round(this.averageHoldMs),
+            maxConcurrent: this.maxConcurrent,
+            maxQueued: this.maxQueued,
+            queued,
+            ...this.counters,
+        };
+    }
+
+    _canAdmit() {
+        const max = this.maxConcurrent;
+        if (max === 0) return true;
+        return this.active < max && !this.isPaused();
+    }
+
+    /**
+     * Occupy a slot and return its release function, which may be called more than once.
+     */
+    _take() {
+        this.active++;
+        this.counters.admitted++;
+        const startedAt = Date.now();
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.active--;
+            this.averageHoldMs += (Date.now() - startedAt - this.averageHoldMs) * HOLD_SMOOTHING;
+            this.pump();
+        };
+    }
+
+    /**
+     * Next entry in turn: the highest non-empty class, then the key whose turn it is in that class.
+     */
+    _shiftNext() {
+        for (const queue of this.queues.values()) {
+            const next = queue.entries().next();
+            if (next.done) continue;
+            const [key, entries] = next.value;
+            const entry = entries.shift();
+            // Move the key to the back so the other keys get their turn first
+            queue.delete(key);
+            if (entries.length > 0) queue.set(key, entries);
+            return entry;
+        }
+        return null;
+    }
+
+    _remove(entry) {
+        const queue = this.queues.get(entry.priority);
+        const entries = queue.get(entry.key);
+        const index = entries ? entries.indexOf(entry) : -1;
+        if (index === -1) return false;
+        entries.splice(index, 1);
+        if (entries.length === 0) queue.delete(entry.key);
+        clearTimeout(entry.timer);
+        return true;
+    }
+
+    /**
+     * @param {boolean} [boundedOnly] - Only count requests that are subject to maxQueuedRequests
+     */
+    _getQueuedCount(boundedOnly = false) {
+        let count = 0;
+        for (const queue of this.queues.values()) {
+            for (const entries of queue.values()) {
+                count += boundedOnly ? entries.filter(entry => entry.bounded).length : entries.length;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 1-based queue position of a new request. Higher classes go first; inside its class the keys take turns, so every
+     * other key is ahead by at most one request per request this key already has queued.
+     */
+    _estimatePosition(priority, key) {
+        let ahead = 0;
+        for (const [queuePriority, queue] of this.queues) {
+            if (queuePriority === priority) {
+                const own = queue.get(key)?.length || 0;
+                for (const entries of queue.values()) ahead += Math.min(entries.length, own + 1);
+                break;
+            }
+            for (const entries of queue.values()) ahead += entries.length;
+        }
+        return ahead + 1;
+    }
+
+    _estimateWaitSeconds(position) {
+        const rounds = Math.ceil(position / Math.max(1, this.maxConcurrent));
+        return Math.ceil((rounds * this.averageHoldMs) / 1000);
+    }
+
+    /**
+     * Retry while paused; releases alone would never arrive if every slot is free.
+     */
+    _schedulePoll() {
+        if (this.pollTimer || this._getQueuedCount() === 0 || !this.isPaused()) return;
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.pump();
+        }, BUSY_POLL_MS);
+        if (typeof this.pollTimer.unref === "function") this.pollTimer.unref();
+    }
+}
+
+module.exports = AdmissionController;
@@ -0,0 +1,586 @@
+/**
+ * File: src/core/ApiKeyStore.js
+ * Description: Named API keys (configs/api-keys.json) with per-key model and endpoint permissions, rate limits, expiry
+ *              and live reload
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const AuthSource = require("../auth/AuthSource");
+const AdmissionController = require("./AdmissionController");
+const FormatConverter = require("./FormatConverter");
+
+const WATCH_INTERVAL_MS = 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MIN_SECRET_LENGTH = 8;
+
+// Limit keys, indexed by `${window}:${unit}` (same naming as the quota tracker)
+const LIMIT_KEYS = {
+    "day:requests": "requestsPerDay",
+    "day:tokens": "tokensPerDay",
+    "minute:requests": "requestsPerMinute",
+    "minute:tokens": "tokensPerMinute",
+};
+const WINDOW_MS = { day: DAY_MS, minute: MINUTE_MS };
+// Index of each unit in a usage event [timestamp, requests, tokens]
+const UNIT_INDEX = { requests: 1, tokens: 2 };
+
+/**
+ * API Key Store Module
+ * The keys file maps a key name to its definition. Empty allowedModels / allowedEndpoints lists allow everything, and
+ * entries may use `*` wildcards. Keys from API_KEYS (or the apiKeys setting) keep working as unrestricted, unnamed keys;
+ * the built-in default key is disabled while named keys exist.
+ * Usage is counted in rolling minute/day windows: requests when they are admitted, tokens when the usage-stats record
+ * finishes (so token limits need usage stats). Windows are rebuilt from the usage-stats records on startup.
+ */
+class ApiKeyStore {
+    /**
+     * @param {Object} logger - Logger
+     * @param {Object} config - Shared config, used to reject secrets that clash with API_KEYS
+     * @param {string} [keysPath] - Keys file, defaults to API_KEYS_FILE or configs/api-keys.json
+     */
+    constructor(logger, config, keysPath) {
+        this.logger = logger;
+        this.config = config;
+        this.keysPath = path.resolve(
+            keysPath || process.env.API_KEYS_FILE || path.join(process.cwd(), "configs", "api-keys.json")
+        );
+
+        // name -> normalized definition
+        this.keys = new Map();
+        // secret -> name
+        this.secrets = new Map();
+        // name -> usage events [timestamp, requests, tokens], oldest first
+        this.usage = new Map();
+        this.watching = false;
+        // Writes are serialized so concurrent console edits do not lose each other's changes
+        this.writeChain = Promise.resolve();
+
+        this._applyKeys(this._readFile(), { log: true });
+        if (this.config.apiKeySource === "Default" && this.keys.size > 0) {
+            this.logger.warn(
+                "[Auth] Named API keys are configured but API_KEYS is not set, the default key is disabled. Set API_KEYS to keep an unrestricted key."
+            );
+        }
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    /**
+     * Unnamed keys that skip every per-key restriction. The built-in default key only counts while there are no
+     * named keys, so a well-known key cannot bypass their limits.
+     * @returns {string[]}
+     */
+    getSharedKeys() {
+        if (this.config.apiKeySource === "Default" && this.keys.size > 0) return [];
+        return this.config.apiKeys || [];
+    }
+
+    /**
+     * Reload the keys file whenever it changes (polling, for the same reasons as the settings file).
+     */
+    startWatching() {
+        if (this.watching) return;
+        this.watching = true;
+        fs.watchFile(this.keysPath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+            this.reload();
+        }).unref();
+    }
+
+    stopWatching() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.keysPath);
+        this.watching = false;
+    }
+
+    reload() {
+        const keys = this._readFile();
+        if (keys === null) return;
+        this._applyKeys(keys, { log: true });
+        this.logger.info(`[Auth] Reloaded api-keys.json, ${this.keys.size} named key(s).`);
+    }
+
+    /**
+     * @returns {string|null} Name of the key with this secret
+     */
+    authenticate(secret) {
+        return (typeof secret === "string" && this.secrets.get(secret)) || null;
+    }
+
+    /**
+     * Check a request against a key's permissions and limits, and count it if it is allowed.
+     * Only requests that name a model are counted towards the request limits.
+     * @param {string} name - Key name from authenticate()
+     * @param {{model: string|null, path: string}} request - Requested model and request path
+     * @returns {{message: string, retryAfterSeconds?: number, status: number}|null} Why the request is denied
+     */
+    admit(name, { model, path: requestPath }) {
+        const definition = this.keys.get(name);
+        if (!definition) return { message: "API key not found.", status: 401 };
+        if (!definition.enabled) return { message: `API key "${name}" is disabled.`, status: 401 };
+        if (definition.expiresAt && Date.parse(definition.expiresAt) <= Date.now()) {
+            return { message: `API key "${name}" expired at ${definition.expiresAt}.`, status: 401 };
+        }
+        if (
+            definition.allowedEndpoints.length > 0 &&
+            !ApiKeyStore._matchesAny(requestPath, definition.allowedEndpoints)
+        ) {
+            return { message: `API key "${name}" is not allowed to use ${requestPath}.`, status: 403 };
+        }
+        if (!model) return null;
+        if (!this.isModelAllowed(name, model)) {
+            return { message: `API key "${name}" is not allowed to use model "${model}".`, status: 403 };
+        }
+
+        const exceeded = this._findExceededLimit(name, definition);
+        if (exceeded) {
+            return {
+                message: `API key "${name}" reached its ${exceeded.limitKey} limit (${exceeded.used}/${exceeded.limit}).`,
+                retryAfterSeconds: Math.max(1, Math.ceil(exceeded.retryAfterMs / 1000)),
+                status: 429,
+            };
+        }
+
+        this._pushEvent(name, [Date.now(), 1, 0]);
+        return null;
+    }
+
+    /**
+     * Give back a request that admit() counted but that was never handled, e.g. because it was rejected or timed out
+     * in the admission queue.
+     */
+    refundRequest(name) {
+        const events = this.usage.get(name);
+        if (!events) return;
+        for (let i = events.length - 1; i >= 0; i--) {
+            if (events[i][UNIT_INDEX.requests] > 0) {
+                events.splice(i, 1);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Whether a key may use a model. Model suffixes (e.g. `-search`) are ignored when matching. A model alias of
+     * configs/models.json is only allowed if its target model is allowed as well.
+     */
+    isModelAllowed(name, model) {
+        const allowedModels = this.keys.get(name)?.allowedModels;
+        if (!allowedModels || allowedModels.length === 0) return true;
+        const modelName = String(model).replace(/^models\//, "");
+        const alias = this.config.modelAliases?.[modelName];
+        return (
+            ApiKeyStore._matchesModel(modelName, allowedModels) &&
+            (!alias || ApiKeyStore._matchesModel(alias.model, allowedModels))
+        );
+    }
+
+    /**
+     * Account group that serves a key's requests, if the key is bound to one.
+     */
+    getAccountGroup(name) {
+        return this.keys.get(name)?.accountGroup || null;
+    }
+
+    /**
+     * Admission queue class of a key's requests.
+     */
+    getPriority(name) {
+        return this.keys.get(name)?.priority || null;
+    }
+
+    /**
+     * Count the tokens of a finished usage-stats record towards its key.
+     */
+    handleFinishedRecord(record) {
+        if (!record?.apiKeyName || !this.keys.has(record.apiKeyName)) return;
+        const tokens = Number(record.totalTokens) || 0;
+        if (tokens > 0) this._pushEvent(record.apiKeyName, [Date.now(), 0, tokens]);
+    }
+
+    /**
+     * Rebuild the usage windows from persisted usage-stats records, so limits survive a restart.
+     * @param {Array<Object>} records - Usage-stats records
+     */
+    seedUsage(records) {
+        const cutoff = Date.now() - DAY_MS;
+        const seeded = new Map();
+        for (const record of records || []) {
+            if (!record?.apiKeyName) continue;
+            const startedAt = Date.parse(record.startedAt);
+            const finishedAt = Date.parse(record.finishedAt);
+            const events = seeded.get(record.apiKeyName) || [];
+            if (record.model && startedAt > cutoff) events.push([startedAt, 1, 0]);
+            if (Number(record.totalTokens) > 0 && finishedAt > cutoff) {
+                events.push([finishedAt, 0, Number(record.totalTokens)]);
+            }
+            seeded.set(record.apiKeyName, events);
+        }
+        for (const [name, events] of seeded) {
+            if (events.length === 0) continue;
+            events.sort((a, b) => a[0] - b[0]);
+            this.usage.set(name, events);
+        }
+    }
+
+    /**
+     * Keys for the web console, with masked secrets and current usage, sorted by name.
+     */
+    list() {
+        return [...this.keys.keys()].sort().map(name => this._serialize(name));
+    }
+
+    /**
+     * @param {string} name - Key name
+     * @param {boolean} [revealSecret] - Include the full secret instead of a masked one
+     * @returns {Object|null}
+     */
+    get(name, revealSecret = false) {
+        return this.keys.has(name) ? this._serialize(name, revealSecret) : null;
+    }
+
+    /**
+     * Create a key. A random secret is generated unless one is given.
+     * @returns {Promise<Object>} The key, including its secret
+     */
+    async create(name, fields = {}) {
+        const key = await this._write(keys => {
+            if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+                throw new Error(
+                    "Key name must be 1-64 letters, digits, '.', '_' or '-', starting with a letter or digit."
+                );
+            }
+            if (keys[name]) throw new Error(`API key "${name}" already exists.`);
+            keys[name] = {
+                ...fields,
+                createdAt: new Date().toISOString(),
+                key: fields.key || ApiKeyStore.generateSecret(),
+            };
+            return name;
+        });
+        this.logger.info(`[Auth] Created API key "${name}".`);
+        return key;
+    }
+
+    /**
+     * Update a key. Fields set to null are reset to their defaults; `regenerate: true` replaces the secret.
+     * @returns {Promise<Object>} The key, including its secret
+     */
+    async update(name, { regenerate, ...fields } = {}) {
+        const key = await this._write(keys => {
+            if (!keys[name]) throw new Error(`API key "${name}" not found.`);
+            const next = { ...keys[name], ...fields, createdAt: keys[name].createdAt };
+            for (const [field, value] of Object.entries(fields)) {
+                if (value === null) delete next[field];
+            }
+            if (regenerate) next.key = ApiKeyStore.generateSecret();
+            keys[name] = next;
+            return name;
+        });
+        this.logger.info(`[Auth] Updated API key "${name}"${regenerate ? " (new secret)" : ""}.`);
+        return key;
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a key was deleted
+     */
+    async delete(name) {
+        if (!this.keys.has(name)) return false;
+        await this._write(keys => {
+            delete keys[name];
+            return null;
+        });
+        this.logger.info(`[Auth] Deleted API key "${name}".`);
+        this.usage.delete(name);
+        return true;
+    }
+
+    static generateSecret() {
+        return `sk-${crypto.randomBytes(24).toString("hex")}`;
+    }
+
+    /**
+     * Validate a key definition.
+     * @returns {{error: string}|{value: Object}} The normalized definition, or why it was rejected
+     */
+    static validate(definition) {
+        if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+            return { error: "Expected an object." };
+        }
+        const {
+            accountGroup,
+            allowedEndpoints,
+            allowedModels,
+            createdAt,
+            description,
+            enabled,
+            expiresAt,
+            key,
+            limits,
+            priority,
+        } = definition;
+
+        if (typeof key !== "string" || key.length < MIN_SECRET_LENGTH || /\s/.test(key)) {
+            return { error: `"key" must be a string of at least ${MIN_SECRET_LENGTH} characters without whitespace.` };
+        }
+        if (enabled !== undefined && typeof enabled !== "boolean") return { error: '"enabled" must be a boolean.' };
+        if (description !== undefined && description !== null && typeof description !== "string") {
+            return { error: '"description" must be a string.' };
+        }
+        if (priority !== undefined && priority !== null && !AdmissionController.PRIORITIES.includes(priority)) {
+            return { error: `"priority" must be one of: ${AdmissionController.PRIORITIES.join(", ")}.` };
+        }
+        const hasAccountGroup = accountGroup !== undefined && accountGroup !== null && accountGroup !== "";
+        if (hasAccountGroup && AuthSource.normalizeTag(accountGroup) === null) {
+            return {
+                error: `"accountGroup" must be 1-32 letters, digits, '.', '_' or '-', starting with a letter or digit.`,
+            };
+        }
+
+        const lists = {};
+        for (const [field, value] of Object.entries({ allowedEndpoints, allowedModels })) {
+            if (value === undefined) {
+                lists[field] = [];
+                continue;
+            }
+            if (!Array.isArray(value) || value.some(item => typeof item !== "string")) {
+                return { error: `"${field}" must be an array of strings.` };
+            }
+            lists[field] = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+        }
+        if (lists.allowedEndpoints.some(item => !item.startsWith("/"))) {
+            return { error: '"allowedEndpoints" entries must be paths starting with "/".' };
+        }
+
+        let normalizedExpiresAt = null;
+        if (expiresAt !== undefined && expiresAt !== null && expiresAt !== "") {
+            const timestamp = typeof expiresAt === "string" ? Date.parse(expiresAt) : NaN;
+            if (!Number.isFinite(timestamp)) return { error: '"expiresAt" must be an ISO 8601 date.' };
+            normalizedExpiresAt = new Date(timestamp).toISOString();
+        }
+
+        const normalizedLimits = {};
+        if (limits !== undefined && limits !== null) {
+            if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+                return { error: '"limits" must be an object.' };
+            }
+            const limitNames = Object.values(LIMIT_KEYS).join(", ");
+            for (const [limitKey, value] of Object.entries(limits)) {
+                if (!Object.values(LIMIT_KEYS).includes(limitKey)) {
+                    return { error: `Unknown limit "${limitKey}", expected one of: ${limitNames}.` };
+                }
+                if (value === null || value === 0) continue;
+                if (!Number.isInteger(value) || value < 0) {
+                    return { error: `"${limitKey}" must be a positive integer.` };
+                }
+                normalizedLimits[limitKey] = value;
+            }
+        }
+
+        return {
+            value: {
+                accountGroup: hasAccountGroup ? AuthSource.normalizeTag(accountGroup) : null,
+                allowedEndpoints: lists.allowedEndpoints,
+                allowedModels: lists.allowedModels,
+                createdAt: typeof createdAt === "string" ? createdAt : null,
+                description: description?.trim() || null,
+                enabled: enabled !== false,
+                expiresAt: normalizedExpiresAt,
+                key,
+                limits: normalizedLimits,
+                priority: priority || "interactive",
+            },
+        };
+    }
+
+    /**
+     * Match a value against `*` wildcard patterns.
+     */
+    static _matchesAny(value, patterns) {
+        return patterns.some(pattern => {
+            if (!pattern.includes("*")) return pattern === value;
+            const source = pattern
+                .split("*")
+                .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+                .join(".*");
+            return new RegExp(`^${source}$`).test(value);
+        });
+    }
+
+    static _matchesModel(modelName, allowedModels) {
+        return (
+            ApiKeyStore._matchesAny(modelName, allowedModels) ||
+            ApiKeyStore._matchesAny(FormatConverter.stripModelSuffixes(modelName), allowedModels)
+        );
+    }
+
+    _findExceededLimit(name, definition) {
+        const events = this._getEvents(name);
+        const now = Date.now();
+        for (const [windowUnit, limitKey] of Object.entries(LIMIT_KEYS)) {
+            const limit = definition.limits[limitKey];
+            if (!limit) continue;
+
+            const [window, unit] = windowUnit.split(":");
+            const since = now - WINDOW_MS[window];
+            const unitIndex = UNIT_INDEX[unit];
+            const inWindow = events.filter(event => event[0] > since && event[unitIndex] > 0);
+            const used = inWindow.reduce((sum, event) => sum + event[unitIndex], 0);
+            if (used < limit) continue;
+
+            // The limit frees up once enough of the oldest events leave the window
+            let remaining = used;
+            let retryAfterMs = WINDOW_MS[window];
+            for (const event of inWindow) {
+                remaining -= event[unitIndex];
+                if (remaining < limit) {
+                    retryAfterMs = event[0] + WINDOW_MS[window] - now;
+                    break;
+                }
+            }
+            return { limit, limitKey, retryAfterMs, used };
+        }
+        return null;
+    }
+
+    _getEvents(name) {
+        const events = this.usage.get(name) || [];
+        const cutoff = Date.now() - DAY_MS;
+        let firstValid = 0;
+        while (firstValid < events.length && events[firstValid][0] <= cutoff) {
+            firstValid++;
+        }
+        if (firstValid > 0) events.splice(0, firstValid);
+        return events;
+    }
+
+    _pushEvent(name, event) {
+        const events = this._getEvents(name);
+        events.push(event);
+        this.usage.set(name, events);
+    }
+
+    _summarizeUsage(name) {
+        const now = Date.now();
+        const summary = { day: { requests: 0, tokens: 0 }, minute: { requests: 0, tokens: 0 } };
+        for (const [timestamp, requests, tokens] of this._getEvents(name)) {
+            summary.day.requests += requests;
+            summary.day.tokens += tokens;
+            if (timestamp > now - MINUTE_MS) {
+                summary.minute.requests += requests;
+                summary.minute.tokens += tokens;
+            }
+        }
+        return summary;
+    }
+
+    _serialize(name, revealSecret = false) {
+        const { key, ...definition } = this.keys.get(name);
+        return {
+            ...definition,
+            expired: definition.expiresAt ? Date.parse(definition.expiresAt) <= Date.now() : false,
+            key: revealSecret ? key : `${key.slice(0, 3)}…${key.slice(-4)}`,
+            name,
+            usage: this._summarizeUsage(name),
+        };
+    }
+
+    /**
+     * Apply a change to the keys file and reload it. Writes are serialized.
+     * Only the affected key is validated; other entries are written back as they are, and invalid ones stay ignored
+     * like on load.
+     * @param {function(Object): string|null} mutate - Changes the raw keys in place, returns the affected key name
+     * @returns {Promise<Object|null>} The affected key, including its secret
+     */
+    _write(mutate) {
+        const result = this.writeChain.then(async () => {
+            const current = this._readFile();
+            if (current === null) throw new Error("api-keys.json cannot be read, fix or remove it first.");
+
+            const keys = { ...current };
+            const name = mutate(keys);
+            if (name) {
+                const validation = ApiKeyStore.validate(keys[name]);
+                if (validation.error) throw new Error(`API key "${name}": ${validation.error}`);
+                const secret = validation.value.key;
+                const reused =
+                    (this.config.apiKeys || []).includes(secret) ||
+                    Object.entries(keys).some(
+                        ([keyName, definition]) => keyName !== name && definition?.key === secret
+                    );
+                if (reused) throw new Error(`API key "${name}" reuses the secret of another key.`);
+                keys[name] = validation.value;
+            }
+            const sorted = {};
+            for (const keyName of Object.keys(keys).sort()) {
+                sorted[keyName] = keys[keyName];
+            }
+
+            await fs.promises.mkdir(path.dirname(this.keysPath), { recursive: true });
+            const tempPath = `${this.keysPath}.tmp`;
+            await fs.promises.writeFile(tempPath, `${JSON.stringify(sorted, null, 4)}\n`, "utf-8");
+            await fs.promises.rename(tempPath, this.keysPath);
+
+            this._applyKeys(sorted, { log: false });
+            return name ? this.get(name, true) : null;
+        });
+        this.writeChain = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * @returns {Object|null} Raw keys from the file ({} if it does not exist), or null if it cannot be read
+     */
+    _readFile() {
+        try {
+            if (!fs.existsSync(this.keysPath)) return {};
+            const keys = JSON.parse(fs.readFileSync(this.keysPath, "utf-8"));
+            if (!keys || typeof keys !== "object" || Array.isArray(keys)) {
+                throw new Error("expected a JSON object of key name -> definition");
+            }
+            return keys;
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to read api-keys.json, keeping current keys: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Validate the raw keys and replace the current ones. Invalid entries are skipped.
+     */
+    _applyKeys(rawKeys, { log }) {
+        if (rawKeys === null) return;
+
+        const keys = new Map();
+        const secrets = new Map();
+        for (const [name, definition] of Object.entries(rawKeys)) {
+            const validation = NAME_PATTERN.test(name) ? ApiKeyStore.validate(definition) : { error: "Invalid name." };
+            if (validation.error) {
+                if (log) this.logger.warn(`[Auth] Ignoring API key "${name}" in api-keys.json: ${validation.error}`);
+                continue;
+            }
+            if (secrets.has(validation.value.key)) {
+                if (log) this.logger.warn(`[Auth] Ignoring API key "${name}": its secret is used by another key.`);
+                continue;
+            }
+            keys.set(name, validation.value);
+            secrets.set(validation.value.key, name);
+        }
+
+        this.keys = keys;
+        this.secrets = secrets;
+        if (log && keys.size > 0) {
+            this.logger.info(`[Auth] Loaded ${keys.size} named API key(s) from ${this.keysPath}`);
+        }
+    }
+}
+
+module.exports = ApiKeyStore;
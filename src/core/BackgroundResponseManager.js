@@ -0,0 +1,223 @@
+/**
+ * File: src/core/BackgroundResponseManager.js
+ * Description: Runs OpenAI Responses API requests with `background: true` detached from the client connection,
+ *              keeping their event log so they can be polled, resumed as a stream and cancelled
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const { isAccessibleBy } = require("../utils/OwnershipUtils");
+const ResponseSink = require("../utils/ResponseSink");
+
+// Finished jobs stay in memory this long so their event stream can still be resumed
+const FINISHED_JOB_RETENTION_MS = 10 * 60 * 1000;
+const TERMINAL_STATUSES = ["cancelled", "completed", "failed", "incomplete"];
+
+/**
+ * Background Response Manager
+ * Tracks background jobs by response ID. Each job keeps the SSE events produced so far (keyed by sequence_number)
+ * and fans new events out to any subscribed client streams.
+ */
+class BackgroundResponseManager {
+    constructor(logger, responseStore) {
+        this.logger = logger;
+        this.responseStore = responseStore;
+
+        // responseId -> job
+        this.jobs = new Map();
+    }
+
+    static isTerminalStatus(status) {
+        return TERMINAL_STATUSES.includes(status);
+    }
+
+    /**
+     * Register a background job and create the sink its request pipeline writes into.
+     * @param {Object} queuedResponse - Initial response object (status "queued") returned to the client
+     * @param {string} requestId - Proxy request ID used for browser-side cancellation
+     * @param {Array<Object>} inputItems - Normalized input items, stored alongside intermediate states
+     * @param {string|null} [apiKeyName] - API key that created the response
+     * @returns {{job: Object, sink: ResponseSink}}
+     */
+    create(queuedResponse, requestId, inputItems = [], apiKeyName = null) {
+        const job = {
+            apiKeyName: apiKeyName || null,
+            buffer: "",
+            events: [],
+            inputItems,
+            // Admission ticket of the job and the release function of its slot once granted
+            releaseSlot: null,
+            requestId,
+            response: queuedResponse,
+            responseId: queuedResponse.id,
+            sink: null,
+            subscribers: new Set(),
+            ticket: null,
+        };
+        job.sink = new ResponseSink(
+            (chunk, sink) => this._handleOutput(job, chunk, sink),
+            () => this._handleEnd(job)
+        );
+        this.jobs.set(job.responseId, job);
+        this.logger.info(`[Background] Response ${job.responseId} queued (request ID: ${requestId})`);
+        return { job, sink: job.sink };
+    }
+
+    /**
+     * @param {string} responseId - Background response ID
+     * @param {string|null} [apiKeyName] - API key of the request; jobs created by another key are treated as missing
+     */
+    get(responseId, apiKeyName = null) {
+        const job = this.jobs.get(responseId);
+        return job && isAccessibleBy(job.apiKeyName, apiKeyName) ? job : null;
+    }
+
+    /**
+     * Stream a job's events to a client, replaying everything after `startingAfter` first.
+     * The client stream ends when the job reaches a terminal status.
+     * @param {string} responseId - Background response ID
+     * @param {import("express").Response} res - Client response with SSE headers already set
+     * @param {number} [startingAfter=-1] - Replay only events with a greater sequence_number
+     * @returns {boolean} False if the job is not known
+     */
+    subscribe(responseId, res, startingAfter = -1) {
+        const job = this.jobs.get(responseId);
+        if (!job) return false;
+
+        for (const event of job.events) {
+            if (event.sequenceNumber > startingAfter) res.write(event.raw);
+        }
+        if (BackgroundResponseManager.isTerminalStatus(job.response.status)) {
+            res.end();
+            return true;
+        }
+
+        job.subscribers.add(res);
+        res.on("close", () => job.subscribers.delete(res));
+        return true;
+    }
+
+    /**
+     * Mark a running job as cancelled, stop its sink and give up its admission slot or its place in the queue.
+     * The caller cancels the browser request.
+     * @returns {Object|null} The cancelled response object, or null if the job is not known
+     */
+    cancel(responseId) {
+        const job = this.jobs.get(responseId);
+        if (!job) return null;
+        if (BackgroundResponseManager.isTerminalStatus(job.response.status)) return job.response;
+
+        job.ticket?.cancel();
+        job.releaseSlot?.();
+        job.sink.destroy();
+        this._finish(job, { ...job.response, status: "cancelled" });
+        this.logger.info(`[Background] Response ${responseId} cancelled`);
+        return job.response;
+    }
+
+    _handleOutput(job, chunk, sink) {
+        const contentType = String(sink.getHeader("content-type") || "");
+        if (!contentType.includes("text/event-stream")) {
+            // Plain JSON bodies are only sent for errors raised before the stream started
+            this._handleJsonBody(job, chunk, sink.statusCode);
+            return;
+        }
+
+        job.buffer += chunk;
+        const blocks = job.buffer.split("\n\n");
+        job.buffer = blocks.pop();
+        for (const block of blocks) {
+            this._handleEventBlock(job, block);
+        }
+    }
+
+    _handleEventBlock(job, block) {
+        let eventName = null;
+        let data = "";
+        for (const line of block.split("\n")) {
+            if (line.startsWith("event:")) eventName = line.slice(6).trim();
+            else if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+        // Keep-alive comments carry no event
+        if (!data) return;
+
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch {
+            return;
+        }
+
+        const sequenceNumber = Number.isFinite(payload.sequence_number) ? payload.sequence_number : job.events.length;
+        const raw = `${block}\n\n`;
+        job.events.push({ raw, sequenceNumber });
+        for (const subscriber of job.subscribers) {
+            try {
+                subscriber.write(raw);
+            } catch (error) {
+                job.subscribers.delete(subscriber);
+            }
+        }
+
+        const type = payload.type || eventName;
+        if (payload.response && typeof payload.response === "object") {
+            job.response = { ...payload.response, background: true };
+        }
+        if (type === "response.created" || type === "response.in_progress") {
+            this._saveSnapshot(job);
+        } else if (type === "response.completed" || type === "response.incomplete" || type === "response.failed") {
+            // Completed responses are stored by the request pipeline together with their input items
+            this._finish(job, job.response, type !== "response.completed");
+        } else if (type === "error") {
+            this._fail(job, payload.code || "api_error", payload.message || "Background response failed");
+        }
+    }
+
+    _handleJsonBody(job, body, statusCode) {
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            /* empty */
+        }
+        if (statusCode >= 400 || payload?.error) {
+            const error = payload?.error || {};
+            this._fail(job, error.code || error.type || "api_error", error.message || `Request failed (${statusCode})`);
+        }
+    }
+
+    _handleEnd(job) {
+        if (BackgroundResponseManager.isTerminalStatus(job.response.status)) return;
+        this._fail(job, "api_error", "The background response ended before it completed.");
+    }
+
+    _fail(job, code, message) {
+        if (BackgroundResponseManager.isTerminalStatus(job.response.status)) return;
+        this.logger.warn(`[Background] Response ${job.responseId} failed: ${message}`);
+        this._finish(job, { ...job.response, error: { code, message }, status: "failed" });
+    }
+
+    _finish(job, response, save = true) {
+        job.response = response;
+        if (save) this._saveSnapshot(job);
+        for (const subscriber of job.subscribers) {
+            try {
+                subscriber.end();
+            } catch (error) {
+                /* empty */
+            }
+        }
+        job.subscribers.clear();
+        setTimeout(() => {
+            if (this.jobs.get(job.responseId) === job) this.jobs.delete(job.responseId);
+        }, FINISHED_JOB_RETENTION_MS).unref();
+    }
+
+    _saveSnapshot(job) {
+        this.responseStore?.save(job.response, job.inputItems, job.apiKeyName).catch(error => {
+            this.logger.warn(`[Background] Failed to store response ${job.responseId}: ${error.message}`);
+        });
+    }
+}
+
+module.exports = BackgroundResponseManager;
@@ -0,0 +1,105 @@
+/**
+ * File: src/core/BatchWorkerPool.js
+ * Description: Shared worker pool that drains batch jobs (Claude Message Batches, OpenAI Batch API) at a configurable
+ *              concurrency
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Batch Worker Pool
+ * Batch services register as task sources. Each source exposes `takeTask()`, which returns the next unit of work as an
+ * async function, or null when it has nothing runnable. Sources are polled round-robin so that one large batch cannot
+ * starve the other API.
+ */
+class BatchWorkerPool {
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+
+        this.sources = [];
+        this.nextSourceIndex = 0;
+        this.running = 0;
+        this.pausedUntil = 0;
+        this.pumpTimer = null;
+        this.started = false;
+    }
+
+    get concurrency() {
+        const value = Number(this.config.batchConcurrency);
+        return Number.isFinite(value) && value > 0 ? Math.floor(value) : 1;
+    }
+
+    /**
+     * @param {{takeTask: function(): (function(): Promise)|null}} source - Batch service
+     */
+    register(source) {
+        this.sources.push(source);
+    }
+
+    /**
+     * Start running tasks. Batches created before this only queue up.
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.pump();
+    }
+
+    /**
+     * Stop taking new tasks for a while, e.g. when the browser is unavailable. Running tasks continue.
+     * @param {number} delayMs - Pause duration in milliseconds
+     */
+    pause(delayMs) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    }
+
+    /**
+     * Fill free worker slots. Sources call this whenever new work becomes available.
+     */
+    pump() {
+        if (!this.started) return;
+
+        const now = Date.now();
+        if (now < this.pausedUntil) {
+            if (!this.pumpTimer) {
+                this.pumpTimer = setTimeout(() => {
+                    this.pumpTimer = null;
+                    this.pump();
+                }, this.pausedUntil - now);
+                this.pumpTimer.unref();
+            }
+            return;
+        }
+
+        while (this.running < this.concurrency) {
+            const task = this._takeNextTask();
+            if (!task) return;
+
+            this.running++;
+            Promise.resolve()
+                .then(task)
+                .catch(error => {
+                    this.logger.error(`[Batch] Unexpected error in batch worker: ${error.message}`);
+                })
+                .finally(() => {
+                    this.running--;
+                    this.pump();
+                });
+        }
+    }
+
+    _takeNextTask() {
+        for (let offset = 0; offset < this.sources.length; offset++) {
+            const index = (this.nextSourceIndex + offset) % this.sources.length;
+            const task = this.sources[index].takeTask();
+            if (task) {
+                this.nextSourceIndex = (index + 1) % this.sources.length;
+                return task;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = BatchWorkerPool;
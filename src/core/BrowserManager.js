@@ -11,6 +11,7 @@ const { firefox } = require("playwright");
 const os = require("os");
 
 const { parseProxyFromEnv } = require("../utils/ProxyUtils");
+const GoogleLoginFlow = require("../auth/GoogleLoginFlow");
 const {
     AuthExpiredError,
     isAuthExpiredError,
@@ -61,6 +62,7 @@ class BrowserManager {
         this.connectionRegistry = null;
         this._onAuthQueuesDrained = null;
         this._isSystemBusyProvider = null;
+        this._contextInitListener = null;
         this.pendingContextClosures = new Map();
 
         // Background wakeup service status (instance-level, tracks this.page)
@@ -173,6 +175,23 @@ class BrowserManager {
         this._isSystemBusyProvider = typeof provider === "function" ? provider : null;
     }
 
+    /**
+     * @param {function(number, number, string)|null} listener - Called with (authIndex, durationMs, outcome) after every
+     *                                                            context initialization; outcome is success, failure,
+     *                                                            auth_expired or aborted
+     */
+    setContextInitListener(listener) {
+        this._contextInitListener = typeof listener === "function" ? listener : null;
+    }
+
+    _notifyContextInit(authIndex, startedAt, outcome) {
+        try {
+            this._contextInitListener?.(authIndex, Date.now() - startedAt, outcome);
+        } catch (error) {
+            this.logger.warn(`[Browser] Context init listener failed: ${error.message}`);
+        }
+    }
+
     _isSystemBusy() {
         try {
             return this._isSystemBusyProvider?.() === true;
@@ -451,13 +470,8 @@ class BrowserManager {
         }
 
         try {
-            const configDir = path.join(process.cwd(), "configs", "auth");
-            const authFilePath = path.join(configDir, `auth-${authIndex}.json`);
-
-            // Read original file content to preserve all fields (e.g. accountName, custom fields)
             // Relies on AuthSource validation (checks valid index AND file existence)
-            const authData = this.authSource.getAuth(authIndex);
-            if (!authData) {
+            if (!this.authSource.getAuth(authIndex)) {
                 this.logger.warn(
                     `[Auth Update] Auth source #${authIndex} returned no data (invalid index or file missing), skipping update.`
                 );
@@ -466,15 +480,14 @@ class BrowserManager {
 
             const storageState = await contextData.context.storageState();
 
-            // Merge new credentials into existing data
-            authData.cookies = storageState.cookies;
-            authData.origins = storageState.origins;
-
+            // Merge new credentials into the current file content to preserve all fields (e.g. accountName, custom
+            // fields), serialized with other writers of the file and encrypted if the credential vault is enabled.
             // Note: We do NOT force-set accountName. If it was there, it stays; if not, it remains missing.
             // This preserves the "missing state" as requested.
-
-            // Overwrite the file with merged data
-            await fs.promises.writeFile(authFilePath, JSON.stringify(authData, null, 2));
+            await this.authSource.updateAuthFile(authIndex, authData => {
+                authData.cookies = storageState.cookies;
+                authData.origins = storageState.origins;
+            });
 
             this.logger.info(`[Auth Update] 💾 Successfully updated auth credentials for account #${authIndex}`);
         } catch (error) {
@@ -1469,6 +1482,90 @@ class BrowserManager {
         return { firstReady };
     }
 
+    /**
+     * Open a fresh, logged-out context on the main browser (launching it if needed), e.g. for an automatic re-login.
+     * The context is not tracked by the pool; the caller must close it.
+     * @returns {Promise<Object>} Playwright browser context
+     */
+    async createLoginContext() {
+        await this._ensureBrowser();
+        const proxyConfig = parseProxyFromEnv();
+        return this.browser.newContext({
+            deviceScaleFactor: 1,
+            viewport: {
+                height: 1080 + Math.floor(Math.random() * 50),
+                width: 1920 + Math.floor(Math.random() * 50),
+            },
+            ...(proxyConfig ? { proxy: proxyConfig } : {}),
+        });
+    }
+
+    /**
+     * Check whether an account can still use AI Studio, without touching its live page or connection.
+     * An account with a logged-in context is checked in place (page URL and title, WebSocket); any other account gets a
+     * plain AI Studio page load in a throwaway context built from its auth file. A login redirect marks the account as
+     * expired, as during context initialization.
+     * @param {number} authIndex - Account to check
+     * @param {number} [timeoutMs] - Page load timeout
+     * @returns {Promise<{error?: string, mode: string, reason: string|null}>} mode is "live" or "page"; reason is null
+     *          when healthy, otherwise signed_out, region_blocked, forbidden, disconnected, timeout or load_failed
+     */
+    async probeAuth(authIndex, timeoutMs = 60000) {
+        const logPrefix = `[Probe#${authIndex}]`;
+        const contextData = this.contexts.get(authIndex);
+        if (contextData?.page && !contextData.page.isClosed()) {
+            try {
+                await this._checkPageStatusAndErrors(contextData.page, logPrefix, authIndex);
+            } catch (error) {
+                return { error: error.message, mode: "live", reason: BrowserManager._classifyProbeError(error) };
+            }
+            const connected =
+                !this.connectionRegistry ||
+                this.connectionRegistry.connectionsByAuth.has(authIndex) ||
+                this.connectionRegistry.reconnectingAccounts.has(authIndex);
+            return connected
+                ? { mode: "live", reason: null }
+                : { error: "Browser WebSocket is not connected", mode: "live", reason: "disconnected" };
+        }
+
+        const storageState = this.authSource.getAuth(authIndex);
+        if (!storageState) {
+            return { error: "Auth file cannot be read", mode: "page", reason: "load_failed" };
+        }
+
+        await this._ensureBrowser();
+        const proxyConfig = parseProxyFromEnv();
+        const context = await this.browser.newContext({
+            deviceScaleFactor: 1,
+            storageState,
+            viewport: {
+                height: 1080 + Math.floor(Math.random() * 50),
+                width: 1920 + Math.floor(Math.random() * 50),
+            },
+            ...(proxyConfig ? { proxy: proxyConfig } : {}),
+        });
+        try {
+            const page = await context.newPage();
+            // The plain AI Studio UI, not this.targetUrl: the proxy app would open a second WebSocket for the account
+            await page.goto(GoogleLoginFlow.AI_STUDIO_URL, { timeout: timeoutMs, waitUntil: "domcontentloaded" });
+            await this._checkPageStatusAndErrors(page, logPrefix, authIndex);
+            return { mode: "page", reason: null };
+        } catch (error) {
+            return { error: error.message, mode: "page", reason: BrowserManager._classifyProbeError(error) };
+        } finally {
+            await context.close().catch(() => {});
+        }
+    }
+
+    static _classifyProbeError(error) {
+        if (isAuthExpiredError(error)) return "signed_out";
+        const message = String(error?.message || "");
+        if (message.includes("does not support access")) return "region_blocked";
+        if (message.includes("403")) return "forbidden";
+        if (error?.name === "TimeoutError" || /timeout/i.test(message)) return "timeout";
+        return "load_failed";
+    }
+
     /**
      * Launch browser instance if not already running
      */
@@ -2022,6 +2119,7 @@ class BrowserManager {
      * @returns {Promise<{context, page}>}
      */
     async _initializeContext(authIndex, isBackgroundTask = false) {
+        const startedAt = Date.now();
         let context = null;
         let page = null;
 
@@ -2180,12 +2278,18 @@ class BrowserManager {
             // Update auth file
             await this._updateAuthFile(authIndex);
 
+            this._notifyContextInit(authIndex, startedAt, "success");
             return { context, page };
         } catch (error) {
             // Check if this is an abort error
             const isAbortError = isContextAbortedError(error);
             // Check if this is an auth expiration error
             const isAuthExpired = isAuthExpiredError(error);
+            this._notifyContextInit(
+                authIndex,
+                startedAt,
+                isAbortError ? "aborted" : isAuthExpired ? "auth_expired" : "failure"
+            );
 
             if (isAbortError) {
                 this.logger.info(`[Browser] Context #${authIndex} initialization aborted as requested.`);
@@ -38,6 +38,9 @@ class ConnectionRegistry extends EventEmitter {
         this.reconnectingAccounts = new Map();
         // Map: authIndex -> timeoutId, stores lightweight reconnect timeout timers
         this.lightweightReconnectTimeouts = new Map();
+        // Totals since startup, for /metrics
+        this.connectionCounts = { connected: 0, disconnected: 0, reconnected: 0 };
+        this.lightweightReconnectCounts = { cancelled: 0, failure: 0, success: 0 };
     }
 
     addConnection(websocket, clientInfo) {
@@ -67,6 +70,11 @@ class ConnectionRegistry extends EventEmitter {
             this._safeCloseWebSocket(existingConnection, 1000, "Replaced by new connection");
         }
 
+        this.connectionCounts.connected++;
+        if (this.reconnectGraceTimers.has(authIndex) || this.reconnectingAccounts.has(authIndex)) {
+            this.connectionCounts.reconnected++;
+        }
+
         // Clear grace timer for this authIndex
         if (this.reconnectGraceTimers.has(authIndex)) {
             clearTimeout(this.reconnectGraceTimers.get(authIndex));
@@ -117,6 +125,8 @@ class ConnectionRegistry extends EventEmitter {
     _removeConnection(websocket) {
         const disconnectedAuthIndex = websocket._authIndex;
 
+        this.connectionCounts.disconnected++;
+
         // Remove from connectionsByAuth if it has an authIndex
         if (disconnectedAuthIndex !== undefined && disconnectedAuthIndex >= 0) {
             this.connectionsByAuth.delete(disconnectedAuthIndex);
@@ -209,16 +219,19 @@ class ConnectionRegistry extends EventEmitter {
                     });
 
                     await Promise.race([callbackPromise, timeoutPromise]);
+                    this.lightweightReconnectCounts.success++;
                     this.logger.info(
                         `[Server] Lightweight reconnect callback completed for account #${disconnectedAuthIndex}.`
                     );
                 } catch (error) {
                     // Check if this is a cancellation (reconnect succeeded) or a real failure
                     if (isReconnectCancelledError(error)) {
+                        this.lightweightReconnectCounts.cancelled++;
                         this.logger.info(
                             `[Server] Lightweight reconnect cancelled for account #${disconnectedAuthIndex} (connection re-established)`
                         );
                     } else {
+                        this.lightweightReconnectCounts.failure++;
                         this.logger.error(
                             `[Server] Lightweight reconnect failed for account #${disconnectedAuthIndex}: ${error.message}`
                         );
@@ -493,6 +506,21 @@ class ConnectionRegistry extends EventEmitter {
         return entry ? entry.requestAttemptId || null : null;
     }
 
+    /**
+     * Count the active message queues (in-flight requests) belonging to an account.
+     * @param {number} authIndex - The account index to inspect
+     * @returns {number} Number of active message queues for the account
+     */
+    getMessageQueueCountForAuth(authIndex) {
+        let count = 0;
+        for (const entry of this.messageQueues.values()) {
+            if (entry.authIndex === authIndex) {
+                count++;
+            }
+        }
+        return count;
+    }
+
     /**
      * Check whether a specific account has any active message queue.
      * @param {number} authIndex - The account index to inspect
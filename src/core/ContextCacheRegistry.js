@@ -0,0 +1,107 @@
+/**
+ * File: src/core/ContextCacheRegistry.js
+ * Description: Tracks Gemini cachedContents created for Anthropic `cache_control` breakpoints, per account and prompt
+ *              prefix
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+
+const MAX_ENTRIES = 500;
+// Stop using a cache this close to its expiry, the request may reach Gemini after it is gone
+const EXPIRY_MARGIN_MS = 15 * 1000;
+
+/**
+ * Context Cache Registry Module
+ * Gemini caches are only visible to the account that created them, so entries are keyed by account and by a hash of the
+ * cached prefix (model, system instruction, tools and leading contents). Prefixes that Gemini refused to cache (e.g. too
+ * few tokens) are remembered for the cache TTL, so they are not retried on every request.
+ */
+class ContextCacheRegistry {
+    constructor(logger) {
+        this.logger = logger;
+
+        // key -> { expiresAt, name, tokenCount, ttlSeconds } or { expiresAt, unavailable: true }
+        this.entries = new Map();
+        // key -> in-flight creation
+        this.pending = new Map();
+    }
+
+    static buildKey(authIndex, prefixBody) {
+        return `${authIndex}:${crypto.createHash("sha256").update(prefixBody).digest("hex")}`;
+    }
+
+    /**
+     * @returns {{expiresAt: number, name: string, tokenCount: number, ttlSeconds: number}|null} A usable cache
+     */
+    get(key) {
+        const entry = this._getLiveEntry(key);
+        return entry && !entry.unavailable ? entry : null;
+    }
+
+    /**
+     * Whether creating a cache for this key failed recently.
+     */
+    isUnavailable(key) {
+        return this._getLiveEntry(key)?.unavailable === true;
+    }
+
+    /**
+     * Create a cache for a key unless another request is already doing so.
+     * @param {string} key - Registry key from buildKey()
+     * @param {number} ttlSeconds - Cache TTL
+     * @param {function(): Promise<{expiresAt: number, name: string, tokenCount: number}>} create - Creates the cache
+     * @returns {Promise<{created: boolean, entry: Object}|null>} The cache, or null if it could not be created
+     */
+    async create(key, ttlSeconds, create) {
+        if (this.pending.has(key)) {
+            const entry = await this.pending.get(key);
+            return entry ? { created: false, entry } : null;
+        }
+
+        const creation = create()
+            .then(entry => {
+                this._set(key, { ...entry, ttlSeconds });
+                return this.entries.get(key);
+            })
+            .catch(error => {
+                this.logger.warn(`[Cache] Could not create context cache, continuing without it: ${error.message}`);
+                this._set(key, { expiresAt: Date.now() + ttlSeconds * 1000, unavailable: true });
+                return null;
+            })
+            .finally(() => this.pending.delete(key));
+        this.pending.set(key, creation);
+
+        const entry = await creation;
+        return entry ? { created: true, entry } : null;
+    }
+
+    /**
+     * Record a TTL extension of an existing cache.
+     */
+    touch(key, expiresAt) {
+        const entry = this.entries.get(key);
+        if (entry && !entry.unavailable) entry.expiresAt = expiresAt;
+    }
+
+    _getLiveEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    _set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+module.exports = ContextCacheRegistry;
@@ -0,0 +1,268 @@
+/**
+ * File: src/core/FileStore.js
+ * Description: Local storage for Files API uploads (batch input/output files and media referenced by file ID), plus the
+ *              per-account mapping to files uploaded to Gemini
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mime = require("mime-types");
+const { isAccessibleBy } = require("../utils/OwnershipUtils");
+
+const FILE_ID_PATTERN = /^file-[A-Za-z0-9]{1,64}$/;
+// Purposes clients may upload with; "batch_output" files are only created by the batch service
+const UPLOAD_PURPOSES = ["assistants", "batch", "evals", "fine-tune", "user_data", "vision"];
+// Placeholder fileUri written into translated requests; replaced with the account's Gemini fileUri before forwarding
+const LOCAL_FILE_URI_PREFIX = "local-file://";
+const LOCAL_FILE_URI_PATTERN = /local-file:\/\/(file-[A-Za-z0-9]{1,64})/g;
+// Gemini keeps uploaded files for 48 hours; stop using a mapping this long before it expires
+const GEMINI_FILE_EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+
+/**
+ * File Store Module
+ * Each file is stored as `<id>.json` (OpenAI file object plus the owning API key) and `<id>.data` (content) under
+ * data/files/. File objects are kept in memory; contents are read from disk on demand.
+ * Methods that take an `apiKeyName` treat files created by another API key as missing.
+ * Gemini uploads of a file are tracked per account in `<id>.gemini.json`, since an uploaded file is only visible to the
+ * account that uploaded it.
+ */
+class FileStore {
+    constructor(logger, dataDir) {
+        this.logger = logger;
+        this.storeDir = path.join(dataDir || path.join(process.cwd(), "data"), "files");
+
+        // fileId -> file object, in creation order
+        this.files = new Map();
+        // fileId -> API key that created the file (null when created without one)
+        this.owners = new Map();
+        // fileId -> { [authIndex]: { expiresAt, fileUri, name } }
+        this.geminiFiles = new Map();
+
+        this._loadFiles();
+    }
+
+    static get uploadPurposes() {
+        return UPLOAD_PURPOSES;
+    }
+
+    static isValidId(fileId) {
+        return typeof fileId === "string" && FILE_ID_PATTERN.test(fileId);
+    }
+
+    static getLocalFileUri(fileId) {
+        return `${LOCAL_FILE_URI_PREFIX}${fileId}`;
+    }
+
+    /**
+     * IDs of all local files referenced by placeholder fileUris in a serialized request body.
+     * @param {string} body - Serialized request body
+     * @returns {Array<string>} Unique file IDs
+     */
+    static findLocalFileReferences(body) {
+        if (typeof body !== "string" || !body.includes(LOCAL_FILE_URI_PREFIX)) return [];
+        return [...new Set([...body.matchAll(LOCAL_FILE_URI_PATTERN)].map(match => match[1]))];
+    }
+
+    /**
+     * Replace placeholder fileUris in a serialized request body.
+     * @param {string} body - Serialized request body
+     * @param {Object<string, string>} fileUris - File ID -> Gemini fileUri; unknown IDs are left untouched
+     * @returns {string}
+     */
+    static replaceLocalFileReferences(body, fileUris) {
+        return body.replace(LOCAL_FILE_URI_PATTERN, (placeholder, fileId) => fileUris[fileId] || placeholder);
+    }
+
+    /**
+     * Store a file.
+     * @param {Buffer|string} data - File content
+     * @param {string} filename - Original file name
+     * @param {string} purpose - OpenAI file purpose
+     * @param {string|null} [apiKeyName] - API key that created the file
+     * @returns {Promise<Object>} OpenAI file object
+     */
+    async create(data, filename, purpose, apiKeyName = null) {
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf-8");
+        const file = {
+            bytes: content.length,
+            created_at: Math.floor(Date.now() / 1000),
+            expires_at: null,
+            filename: filename || "file",
+            id: `file-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 12)}`,
+            object: "file",
+            purpose,
+            status: "processed",
+            status_details: null,
+        };
+
+        await fs.promises.mkdir(this.storeDir, { recursive: true });
+        await fs.promises.writeFile(this._getFilePath(file.id, "data"), content);
+        await fs.promises.writeFile(
+            this._getFilePath(file.id, "json"),
+            JSON.stringify({ ...file, apiKeyName: apiKeyName || null }),
+            "utf-8"
+        );
+        this.files.set(file.id, file);
+        this.owners.set(file.id, apiKeyName || null);
+        this.logger.info(`[Files] Stored file ${file.id} (${file.filename}, ${file.bytes} bytes, purpose: ${purpose})`);
+        return file;
+    }
+
+    get(fileId, apiKeyName = null) {
+        const file = this.files.get(fileId);
+        return file && isAccessibleBy(this.owners.get(fileId), apiKeyName) ? file : null;
+    }
+
+    getMimeType(fileId) {
+        const file = this.files.get(fileId);
+        return (file && mime.lookup(file.filename)) || "application/octet-stream";
+    }
+
+    /**
+     * Anthropic Files API (beta) representation of a stored file.
+     */
+    toAnthropicFile(file) {
+        return {
+            created_at: new Date(file.created_at * 1000).toISOString(),
+            downloadable: true,
+            filename: file.filename,
+            id: file.id,
+            mime_type: this.getMimeType(file.id),
+            size_bytes: file.bytes,
+            type: "file",
+        };
+    }
+
+    /**
+     * Gemini upload of a file for an account, or null if it was never uploaded or expires soon.
+     * @returns {{expiresAt: number, fileUri: string, name: string}|null}
+     */
+    getGeminiFile(fileId, authIndex) {
+        const entry = this.geminiFiles.get(fileId)?.[authIndex];
+        if (!entry || entry.expiresAt - GEMINI_FILE_EXPIRY_MARGIN_MS <= Date.now()) return null;
+        return entry;
+    }
+
+    /**
+     * Remember the Gemini upload of a file for an account.
+     * @param {string} fileId - Local file ID
+     * @param {number} authIndex - Account the file was uploaded with
+     * @param {{expiresAt: number, fileUri: string, name: string}} entry - Gemini file
+     */
+    async setGeminiFile(fileId, authIndex, entry) {
+        if (!this.files.has(fileId)) return;
+
+        const now = Date.now();
+        const accounts = { ...(this.geminiFiles.get(fileId) || {}), [authIndex]: entry };
+        for (const [key, value] of Object.entries(accounts)) {
+            if (value.expiresAt <= now) delete accounts[key];
+        }
+        this.geminiFiles.set(fileId, accounts);
+        await fs.promises.writeFile(this._getFilePath(fileId, "gemini.json"), JSON.stringify(accounts), "utf-8");
+    }
+
+    /**
+     * List files, newest first unless `order` is "asc".
+     */
+    list({ after, limit, order, purpose } = {}, apiKeyName = null) {
+        const parsedLimit = parseInt(limit, 10);
+        const pageSize = Number.isFinite(parsedLimit) ? Math.min(10000, Math.max(1, parsedLimit)) : 10000;
+        let files = [...this.files.values()].filter(
+            file => (!purpose || file.purpose === purpose) && isAccessibleBy(this.owners.get(file.id), apiKeyName)
+        );
+        if (order !== "asc") files.reverse();
+        if (after) {
+            const index = files.findIndex(file => file.id === after);
+            files = index === -1 ? [] : files.slice(index + 1);
+        }
+
+        const data = files.slice(0, pageSize);
+        return {
+            data,
+            first_id: data[0]?.id || null,
+            has_more: files.length > pageSize,
+            last_id: data[data.length - 1]?.id || null,
+            object: "list",
+        };
+    }
+
+    /**
+     * Path of a stored file's content, or null if the file does not exist.
+     */
+    getContentPath(fileId, apiKeyName = null) {
+        return this.get(fileId, apiKeyName) ? this._getFilePath(fileId, "data") : null;
+    }
+
+    /**
+     * @returns {Promise<Buffer|null>} File content, or null if the file does not exist
+     */
+    async readContent(fileId, apiKeyName = null) {
+        const contentPath = this.getContentPath(fileId, apiKeyName);
+        if (!contentPath) return null;
+        return fs.promises.readFile(contentPath);
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a file was deleted
+     */
+    async delete(fileId, apiKeyName = null) {
+        if (!this.get(fileId, apiKeyName)) return false;
+
+        this.files.delete(fileId);
+        this.owners.delete(fileId);
+        this.geminiFiles.delete(fileId);
+        for (const suffix of ["json", "data", "gemini.json"]) {
+            await fs.promises.unlink(this._getFilePath(fileId, suffix)).catch(() => {});
+        }
+        this.logger.info(`[Files] Deleted file ${fileId}`);
+        return true;
+    }
+
+    _getFilePath(fileId, suffix) {
+        return path.join(this.storeDir, `${fileId}.${suffix}`);
+    }
+
+    _loadFiles() {
+        try {
+            if (!fs.existsSync(this.storeDir)) return;
+
+            const loaded = [];
+            for (const fileName of fs.readdirSync(this.storeDir)) {
+                if (!fileName.endsWith(".json")) continue;
+                const fileId = fileName.slice(0, -5);
+                if (!FileStore.isValidId(fileId) || !fs.existsSync(this._getFilePath(fileId, "data"))) continue;
+                try {
+                    loaded.push(JSON.parse(fs.readFileSync(path.join(this.storeDir, fileName), "utf-8")));
+                } catch (error) {
+                    this.logger.warn(`[Files] Skipping unreadable file metadata ${fileName}: ${error.message}`);
+                }
+            }
+
+            loaded.sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id));
+            for (const { apiKeyName, ...file } of loaded) {
+                this.files.set(file.id, file);
+                this.owners.set(file.id, apiKeyName || null);
+                this._loadGeminiFiles(file.id);
+            }
+            if (loaded.length > 0) {
+                this.logger.info(`[Files] Loaded ${loaded.length} stored file(s).`);
+            }
+        } catch (error) {
+            this.logger.warn(`[Files] Failed to load stored files: ${error.message}`);
+        }
+    }
+
+    _loadGeminiFiles(fileId) {
+        const mappingPath = this._getFilePath(fileId, "gemini.json");
+        if (!fs.existsSync(mappingPath)) return;
+        try {
+            this.geminiFiles.set(fileId, JSON.parse(fs.readFileSync(mappingPath, "utf-8")));
+        } catch (error) {
+            this.logger.warn(`[Files] Skipping unreadable Gemini file mapping of ${fileId}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = FileStore;
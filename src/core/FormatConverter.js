@@ -5,8 +5,9 @@
  * Author: Ellinav, iBenzene, bbbugg
  */
 
-const axios = require("axios");
 const mime = require("mime-types");
+const FileStore = require("./FileStore");
+const { createWavHeader, parsePcmFormat, pcmToWav } = require("../utils/AudioConverter");
 
 /**
  * Format Converter Module
@@ -28,6 +29,54 @@ class FormatConverter {
         "url_context",
     ];
 
+    // Default model for the OpenAI Images API endpoints, also used for OpenAI image model names
+    static DEFAULT_IMAGE_MODEL = "gemini-2.5-flash-image";
+    static OPENAI_IMAGE_MODELS = ["dall-e-2", "dall-e-3", "gpt-image-1", "gpt-image-1-mini"];
+
+    // Aspect ratios accepted by Gemini imageConfig
+    static IMAGE_ASPECT_RATIOS = ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+
+    // Default model and supported output formats for the OpenAI speech endpoint
+    static DEFAULT_TTS_MODEL = "gemini-2.5-flash-preview-tts";
+    static SPEECH_RESPONSE_FORMATS = ["mp3", "opus", "aac", "flac", "wav", "pcm"];
+
+    // Audio formats supported for chat completions audio output (converted without ffmpeg)
+    static CHAT_AUDIO_FORMATS = ["pcm16", "wav"];
+
+    // Inline data budget per request when a model in models.json does not set `inlineDataLimitMb`
+    static DEFAULT_INLINE_DATA_LIMIT_MB = 20;
+
+    // OpenAI input_audio formats -> Gemini audio mime types
+    static INPUT_AUDIO_MIME_TYPES = {
+        aac: "audio/aac",
+        aiff: "audio/aiff",
+        flac: "audio/flac",
+        mp3: "audio/mp3",
+        ogg: "audio/ogg",
+        wav: "audio/wav",
+    };
+
+    // Files uploaded to the Gemini Files API can be referenced directly instead of being downloaded
+    static GEMINI_FILE_URI_PREFIX = "https://generativelanguage.googleapis.com/";
+
+    // Anthropic cache_control TTLs, used for the Gemini cachedContents created for them
+    static CONTEXT_CACHE_TTL_SECONDS = { "1h": 3600, "5m": 300 };
+
+    // OpenAI voice names -> closest Gemini prebuilt voices
+    static OPENAI_VOICE_MAP = {
+        alloy: "Kore",
+        ash: "Orus",
+        ballad: "Enceladus",
+        coral: "Aoede",
+        echo: "Puck",
+        fable: "Leda",
+        nova: "Zephyr",
+        onyx: "Charon",
+        sage: "Sulafat",
+        shimmer: "Callirrhoe",
+        verse: "Fenrir",
+    };
+
     // ThinkingLevel suffix mapping (lowercase -> uppercase API value)
     static THINKING_LEVEL_MAP = {
         high: "HIGH",
@@ -36,6 +85,43 @@ class FormatConverter {
         minimal: "MINIMAL",
     };
 
+    /**
+     * Map an OpenAI voice name to a Gemini prebuilt voice. Gemini voice names are passed through.
+     *
+     * @param {string} voice - OpenAI (`alloy`) or Gemini (`Kore`) voice name
+     * @returns {string} Gemini prebuilt voice name
+     */
+    static mapSpeechVoice(voice) {
+        const name = typeof voice === "string" ? voice.trim() : "";
+        if (!name) return FormatConverter.OPENAI_VOICE_MAP.alloy;
+        const mapped = FormatConverter.OPENAI_VOICE_MAP[name.toLowerCase()];
+        return mapped || name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Map an OpenAI image size ("1792x1024") to the closest Gemini aspect ratio.
+     *
+     * @param {string} size - OpenAI size value (`auto` or missing keeps the model default)
+     * @returns {string|null} Gemini aspect ratio such as `16:9`, or null for the model default
+     */
+    static mapImageSizeToAspectRatio(size) {
+        const match = typeof size === "string" ? size.trim().match(/^(\d+)x(\d+)$/i) : null;
+        if (!match || Number(match[2]) === 0) return null;
+
+        const target = Number(match[1]) / Number(match[2]);
+        let closest = null;
+        let closestDistance = Infinity;
+        for (const ratio of FormatConverter.IMAGE_ASPECT_RATIOS) {
+            const [width, height] = ratio.split(":").map(Number);
+            const distance = Math.abs(Math.log(width / height / target));
+            if (distance < closestDistance) {
+                closest = ratio;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
     /**
      * Parse web search suffix from model name.
      * Only supports the LAST hyphen token: `-search` (case-insensitive).
@@ -168,13 +254,145 @@ class FormatConverter {
         return { cleanModelName: modelName, thinkingLevel: null };
     }
 
+    /**
+     * Strip all recognized suffixes (thinking, streaming, built-in tools) from a model name.
+     * @param {string} modelName - Model name
+     * @returns {string} Base model name
+     */
+    static stripModelSuffixes(modelName) {
+        const { cleanModelName: toolStrippedModel } = FormatConverter.parseModelBuiltInToolSuffixes(modelName);
+        const { cleanModelName: streamStrippedModel } =
+            FormatConverter.parseModelStreamingModeSuffix(toolStrippedModel);
+        return FormatConverter.parseModelThinkingLevel(streamStrippedModel).cleanModelName;
+    }
+
     constructor(logger, serverSystem) {
         this.logger = logger;
         this.serverSystem = serverSystem;
     }
 
-    getDefaultSafetySettings() {
-        const threshold = this.serverSystem.config.safetySettingsThreshold || "OFF";
+    /**
+     * Resolve a requested model name: look it up in the alias table of configs/models.json, then parse the suffixes of
+     * the resulting name in reverse stripping order:
+     * 1) built-in tool overrides: trailing `-search` / `-code`
+     * 2) streaming override: trailing `-real` / `-fake` after any thinking suffix
+     * 3) thinkingLevel override: trailing `-minimal` / `(minimal)` etc.
+     * Combined user-facing suffix order: thinking -> streaming -> built-in tools. Suffixes take precedence over the
+     * alias settings.
+     *
+     * @param {string} rawModel - Requested model name
+     * @param {string} [logPrefix="[Adapter]"] - Log tag of the caller
+     * @returns {{ alias: object|null, cleanModelName: string, forceCodeExecution: boolean, forceWebSearch: boolean,
+     *          streamingMode: ("real"|"fake"|null), thinkingLevel: string|null }}
+     */
+    resolveModel(rawModel, logPrefix = "[Adapter]") {
+        const aliases = this.serverSystem?.config?.modelAliases || {};
+        const alias = typeof rawModel === "string" ? aliases[rawModel.replace(/^models\//, "")] || null : null;
+        const modelName = alias ? alias.model : rawModel;
+        if (alias) {
+            this.logger.info(`${logPrefix} Resolved model alias "${rawModel}" -> "${modelName}"`);
+        }
+
+        const {
+            cleanModelName: toolStrippedModel,
+            forceCodeExecution,
+            forceWebSearch,
+        } = FormatConverter.parseModelBuiltInToolSuffixes(modelName);
+        const { cleanModelName: streamStrippedModel, streamingMode } =
+            FormatConverter.parseModelStreamingModeSuffix(toolStrippedModel);
+        const { cleanModelName, thinkingLevel } = FormatConverter.parseModelThinkingLevel(streamStrippedModel);
+
+        const modelForceToolFlags = [];
+        if (forceWebSearch) modelForceToolFlags.push("forceWebSearch=true");
+        if (forceCodeExecution) modelForceToolFlags.push("forceCodeExecution=true");
+        if (modelForceToolFlags.length > 0) {
+            this.logger.info(
+                `${logPrefix} Detected built-in tool suffixes in model name: "${modelName}" -> model="${toolStrippedModel}", ${modelForceToolFlags.join(", ")}`
+            );
+        }
+        if (streamingMode) {
+            this.logger.info(
+                `${logPrefix} Detected streamingMode suffix in model name: "${toolStrippedModel}" -> model="${streamStrippedModel}", streamingMode="${streamingMode}"`
+            );
+        }
+        if (thinkingLevel) {
+            this.logger.info(
+                `${logPrefix} Detected thinkingLevel suffix in model name: "${streamStrippedModel}" -> model="${cleanModelName}", thinkingLevel="${thinkingLevel}"`
+            );
+        }
+
+        return {
+            alias,
+            cleanModelName,
+            forceCodeExecution: forceCodeExecution || alias?.forceCodeExecution === true,
+            forceWebSearch: forceWebSearch || alias?.forceWebSearch === true,
+            streamingMode: streamingMode || alias?.streamingMode || null,
+            thinkingLevel:
+                thinkingLevel ||
+                (alias?.thinkingLevel ? FormatConverter.THINKING_LEVEL_MAP[alias.thinkingLevel] : null),
+        };
+    }
+
+    /**
+     * Apply the generation settings of a model alias to a Gemini request: system prompt prefix, default temperature and
+     * thinking budget, and temperature clamps. Built-in tools, streaming mode, thinking level and the safety threshold
+     * are applied by the callers.
+     * @param {object} googleRequest - Gemini request body
+     * @param {object|null} alias - Alias from resolveModel()
+     * @param {string} [logPrefix="[Adapter]"] - Log tag of the caller
+     */
+    applyModelAliasOverrides(googleRequest, alias, logPrefix = "[Adapter]") {
+        if (!alias) return;
+
+        if (alias.systemPrompt) {
+            const key =
+                !googleRequest.systemInstruction && googleRequest.system_instruction
+                    ? "system_instruction"
+                    : "systemInstruction";
+            const systemInstruction = googleRequest[key] || {};
+            googleRequest[key] = {
+                ...systemInstruction,
+                parts: [{ text: alias.systemPrompt }, ...(systemInstruction.parts || [])],
+            };
+        }
+
+        const generationConfig = googleRequest.generationConfig || {};
+        if (generationConfig.temperature === undefined && alias.temperature !== undefined) {
+            generationConfig.temperature = alias.temperature;
+        }
+        if (generationConfig.temperature !== undefined) {
+            const clamped = Math.min(
+                alias.maxTemperature ?? Infinity,
+                Math.max(alias.minTemperature ?? -Infinity, generationConfig.temperature)
+            );
+            if (clamped !== generationConfig.temperature) {
+                this.logger.info(
+                    `${logPrefix} Clamped temperature ${generationConfig.temperature} -> ${clamped} for model alias.`
+                );
+                generationConfig.temperature = clamped;
+            }
+        }
+
+        // Gemini rejects requests that set both a thinking budget and a thinking level
+        const thinkingConfig = generationConfig.thinkingConfig || {};
+        if (
+            alias.thinkingBudget !== undefined &&
+            thinkingConfig.thinkingBudget === undefined &&
+            thinkingConfig.thinkingLevel === undefined
+        ) {
+            generationConfig.thinkingConfig = { ...thinkingConfig, thinkingBudget: alias.thinkingBudget };
+        }
+
+        if (Object.keys(generationConfig).length > 0) {
+            googleRequest.generationConfig = generationConfig;
+        }
+    }
+
+    /**
+     * @param {string} [threshold] - Threshold override (e.g. from a model alias), defaults to the configured one
+     */
+    getDefaultSafetySettings(threshold) {
+        threshold = threshold || this.serverSystem.config.safetySettingsThreshold || "OFF";
         return [
             { category: "HARM_CATEGORY_HARASSMENT", threshold },
             { category: "HARM_CATEGORY_HATE_SPEECH", threshold },
@@ -195,6 +413,123 @@ class FormatConverter {
         return null;
     }
 
+    /**
+     * Maximum inline data size for a model, from `inlineDataLimitMb` in configs/models.json.
+     * @param {string} modelName - Model name without the "models/" prefix
+     * @returns {number} Limit in bytes
+     */
+    getInlineDataLimitBytes(modelName) {
+        const modelList = this.serverSystem?.config?.modelList || [];
+        const model = modelList.find(item => item.name === `models/${modelName}`);
+        const limitMb = Number(model?.inlineDataLimitMb);
+        return (
+            (Number.isFinite(limitMb) && limitMb > 0 ? limitMb : FormatConverter.DEFAULT_INLINE_DATA_LIMIT_MB) *
+            1024 *
+            1024
+        );
+    }
+
+    _getBase64ByteLength(base64) {
+        const length = base64.length;
+        if (length === 0) return 0;
+        const padding = base64.endsWith("==") ? 2 : base64.endsWith("=") ? 1 : 0;
+        return Math.floor((length * 3) / 4) - padding;
+    }
+
+    /**
+     * Convert an OpenAI chat `input_audio` part to a Gemini inlineData part.
+     * @throws {Error} If the audio data or format is invalid
+     */
+    _convertOpenAIInputAudioPart(part) {
+        const inputAudio = part.input_audio || {};
+        if (typeof inputAudio.data !== "string" || !inputAudio.data) {
+            throw new Error("input_audio.data must be a base64 encoded string.");
+        }
+        const format = String(inputAudio.format || "wav").toLowerCase();
+        const mimeType = FormatConverter.INPUT_AUDIO_MIME_TYPES[format];
+        if (!mimeType) {
+            throw new Error(
+                `Unsupported input_audio.format '${format}', expected one of: ${Object.keys(FormatConverter.INPUT_AUDIO_MIME_TYPES).join(", ")}.`
+            );
+        }
+        return { inlineData: { data: inputAudio.data, mimeType } };
+    }
+
+    /**
+     * Download media referenced by URL (through the shared MediaFetcher) as a Gemini inlineData part.
+     * @param {string} url - http(s) URL
+     * @param {string} fallbackMimeType - MIME type used when it cannot be determined from the content or response
+     * @returns {Promise<object>} Gemini part
+     * @throws {Error} If the download is refused or fails
+     */
+    async _fetchRemoteMediaPart(url, fallbackMimeType) {
+        this.logger.info(`[Adapter] Downloading media from URL: ${url}`);
+        const { data, mimeType } = await this.serverSystem.mediaFetcher.fetch(url, { fallbackMimeType });
+        return { inlineData: { data: data.toString("base64"), mimeType } };
+    }
+
+    /**
+     * Reference a file from the local Files API as a Gemini fileData part. The fileUri is a placeholder that the request
+     * handler replaces with the file's Gemini upload for the account the request is sent with, uploading it on first use.
+     * @param {string} fileId - Local file ID
+     * @returns {object|null} Gemini part, or null if the file does not exist
+     */
+    _convertLocalFileReference(fileId) {
+        const fileStore = this.serverSystem?.fileStore;
+        if (!fileStore?.get(fileId)) return null;
+        return { fileData: { fileUri: FileStore.getLocalFileUri(fileId), mimeType: fileStore.getMimeType(fileId) } };
+    }
+
+    /**
+     * Convert an OpenAI chat `file` part to a Gemini part: `file_data` is inlined, a `file_id` from the local Files API
+     * is sent as a Gemini file reference.
+     * @throws {Error} If the file cannot be resolved
+     */
+    async _convertOpenAIFilePart(part) {
+        const file = part.file || {};
+        const filename = typeof file.filename === "string" ? file.filename : "";
+
+        if (typeof file.file_data === "string" && file.file_data) {
+            const match = file.file_data.match(/^data:([^;,]+);base64,(.*)$/s);
+            if (match) {
+                return { inlineData: { data: match[2], mimeType: match[1] } };
+            }
+            return { inlineData: { data: file.file_data, mimeType: mime.lookup(filename) || "application/pdf" } };
+        }
+
+        if (typeof file.file_id === "string" && file.file_id) {
+            const filePart = this._convertLocalFileReference(file.file_id);
+            if (!filePart) {
+                throw new Error(`File '${file.file_id}' not found.`);
+            }
+            return filePart;
+        }
+
+        throw new Error("file parts require either file.file_data or file.file_id.");
+    }
+
+    /**
+     * Convert a Responses API `input_file` part to a Gemini part.
+     * @returns {object|null} Gemini part, or null if the file cannot be resolved
+     */
+    _convertResponseInputFilePart(part) {
+        if (typeof part.file_id === "string" && part.file_id) {
+            return this._convertLocalFileReference(part.file_id);
+        }
+        if (typeof part.file_data === "string" && part.file_data) {
+            const match = part.file_data.match(/^data:([^;,]+);base64,(.*)$/s);
+            if (match) {
+                return { inlineData: { data: match[2], mimeType: match[1] } };
+            }
+            const filename = typeof part.filename === "string" ? part.filename : "";
+            return { inlineData: { data: part.file_data, mimeType: mime.lookup(filename) || "application/pdf" } };
+        }
+        if (typeof part.file_url === "string" && part.file_url.startsWith(FormatConverter.GEMINI_FILE_URI_PREFIX)) {
+            return { fileData: { fileUri: part.file_url, mimeType: mime.lookup(part.file_url) || "application/pdf" } };
+        }
+        return null;
+    }
+
     /**
      * Ensure thoughtSignature is present in Gemini native format requests
      * This handles direct Gemini API calls where functionCall may lack thoughtSignature
@@ -532,8 +867,9 @@ class FormatConverter {
     /**
      * Convert OpenAI request format to Google Gemini format
      * @param {object} openaiBody - OpenAI format request body
-     * @returns {Promise<{ googleRequest: object, cleanModelName: string, modelStreamingMode: ("real"|"fake"|null) }>}
+     * @returns {Promise<{ googleRequest: object, cleanModelName: string, modelStreamingMode: ("real"|"fake"|null), outputOptions: object }>}
      *          - modelStreamingMode: Streaming mode override parsed from model name suffix, or null
+     *          - outputOptions: Requested output modalities, passed back to the response converters
      */
     async translateOpenAIToGoogle(openaiBody) {
         this.logger.info("[Adapter] Starting translation of OpenAI request format to Google format...");
@@ -541,43 +877,20 @@ class FormatConverter {
         // [DEBUG] Log incoming messages for troubleshooting
         this.logger.debug(`[Adapter] Debug: incoming OpenAI Body = ${JSON.stringify(openaiBody, null, 2)}`);
 
-        // Parse model suffixes in reverse stripping order:
-        // 1) built-in tool overrides: trailing `-search` / `-code`
-        // 2) streaming override: trailing `-real` / `-fake` after any thinking suffix
-        // 3) thinkingLevel override: trailing `-minimal` / `(minimal)` etc.
-        // Combined user-facing suffix order: thinking -> streaming -> built-in tools
-        const rawModel = openaiBody.model || "gemini-2.5-flash-lite";
+        // Resolve model aliases and suffixes (thinking -> streaming -> built-in tools)
         const {
-            cleanModelName: toolStrippedModel,
+            alias: modelAlias,
+            cleanModelName,
             forceCodeExecution: modelForceCodeExecution,
             forceWebSearch: modelForceWebSearch,
-        } = FormatConverter.parseModelBuiltInToolSuffixes(rawModel);
-        const { cleanModelName: streamStrippedModel, streamingMode: modelStreamingMode } =
-            FormatConverter.parseModelStreamingModeSuffix(toolStrippedModel);
-        const { cleanModelName, thinkingLevel: modelThinkingLevel } =
-            FormatConverter.parseModelThinkingLevel(streamStrippedModel);
-
-        const modelForceToolFlags = [];
-        if (modelForceWebSearch) modelForceToolFlags.push("forceWebSearch=true");
-        if (modelForceCodeExecution) modelForceToolFlags.push("forceCodeExecution=true");
-        if (modelForceToolFlags.length > 0) {
-            this.logger.info(
-                `[Adapter] Detected built-in tool suffixes in model name: "${rawModel}" -> model="${toolStrippedModel}", ${modelForceToolFlags.join(", ")}`
-            );
-        }
-        if (modelStreamingMode) {
-            this.logger.info(
-                `[Adapter] Detected streamingMode suffix in model name: "${toolStrippedModel}" -> model="${streamStrippedModel}", streamingMode="${modelStreamingMode}"`
-            );
-        }
-        if (modelThinkingLevel) {
-            this.logger.info(
-                `[Adapter] Detected thinkingLevel suffix in model name: "${streamStrippedModel}" -> model="${cleanModelName}", thinkingLevel="${modelThinkingLevel}"`
-            );
-        }
+            streamingMode: modelStreamingMode,
+            thinkingLevel: modelThinkingLevel,
+        } = this.resolveModel(openaiBody.model || "gemini-2.5-flash-lite");
 
         let systemInstruction = null;
         const googleContents = [];
+        const inlineDataLimitBytes = this.getInlineDataLimitBytes(cleanModelName);
+        let inlineDataBytes = 0;
 
         // Extract system messages
         const systemMessages = openaiBody.messages.filter(msg => msg.role === "system");
@@ -768,27 +1081,10 @@ class FormatConverter {
                             });
                         } else if (dataUrl.match(/^https?:\/\//)) {
                             try {
-                                this.logger.info(`[Adapter] Downloading image from URL: ${dataUrl}`);
-                                const response = await axios.get(dataUrl, {
-                                    responseType: "arraybuffer",
-                                });
-                                const imageBuffer = Buffer.from(response.data, "binary");
-                                const base64Data = imageBuffer.toString("base64");
-                                let mimeType = response.headers["content-type"];
-                                if (!mimeType || mimeType === "application/octet-stream") {
-                                    mimeType = mime.lookup(dataUrl) || "image/jpeg"; // Fallback
-                                }
-                                googleParts.push({
-                                    inlineData: {
-                                        data: base64Data,
-                                        mimeType,
-                                    },
-                                });
-                                this.logger.info(`[Adapter] Successfully downloaded and converted image to base64.`);
+                                googleParts.push(await this._fetchRemoteMediaPart(dataUrl, "image/jpeg"));
                             } catch (error) {
                                 this.logger.error(
-                                    `[Adapter] Failed to download or process image from URL: ${dataUrl}`,
-                                    error
+                                    `[Adapter] Failed to download or process image from URL: ${dataUrl}: ${error.message}`
                                 );
                                 // Optionally, push an error message as text
                                 googleParts.push({ text: `[System Note: Failed to load image from ${dataUrl}]` });
@@ -801,6 +1097,20 @@ class FormatConverter {
                                 text: "[System Note: Skipped an image input because image_url format was unsupported]",
                             });
                         }
+                    } else if (part.type === "input_audio" || part.type === "file") {
+                        const inlinePart =
+                            part.type === "input_audio"
+                                ? this._convertOpenAIInputAudioPart(part)
+                                : await this._convertOpenAIFilePart(part);
+                        inlineDataBytes += inlinePart.inlineData
+                            ? this._getBase64ByteLength(inlinePart.inlineData.data)
+                            : 0;
+                        if (inlineDataBytes > inlineDataLimitBytes) {
+                            throw new Error(
+                                `Audio and file inputs exceed the ${Math.round(inlineDataLimitBytes / 1024 / 1024)} MB inline data limit of model '${cleanModelName}'.`
+                            );
+                        }
+                        googleParts.push(inlinePart);
                     }
                 }
             }
@@ -892,6 +1202,21 @@ class FormatConverter {
             generationConfig.thinkingConfig = thinkingConfig;
         }
 
+        // Handle OpenAI modalities (audio output / image content parts)
+        const outputOptions = this._resolveOpenAIOutputOptions(openaiBody);
+        if (outputOptions.audio) {
+            // Gemini TTS models only accept AUDIO as the response modality
+            generationConfig.responseModalities = ["AUDIO"];
+            generationConfig.speechConfig = {
+                voiceConfig: { prebuiltVoiceConfig: { voiceName: outputOptions.audio.voice } },
+            };
+            this.logger.info(
+                `[Adapter] Audio output requested (voice: ${outputOptions.audio.voice}, format: ${outputOptions.audio.format})`
+            );
+        } else if (outputOptions.images) {
+            generationConfig.responseModalities = ["TEXT", "IMAGE"];
+        }
+
         googleRequest.generationConfig = generationConfig;
 
         // Convert OpenAI tools to Gemini functionDeclarations
@@ -1005,11 +1330,58 @@ class FormatConverter {
         }
 
         this._finalizeGoogleRequest(googleRequest, {
+            alias: modelAlias,
             forceCodeExecution: modelForceCodeExecution,
             forceWebSearch: modelForceWebSearch,
         });
         this.logger.info("[Adapter] OpenAI to Google translation complete.");
-        return { cleanModelName, googleRequest, modelStreamingMode };
+        return { cleanModelName, googleRequest, modelStreamingMode, outputOptions };
+    }
+
+    /**
+     * Read the requested output modalities from an OpenAI chat request.
+     * `modalities: ["text", "audio"]` enables audio output using the `audio.voice`/`audio.format` fields;
+     * `modalities: ["text", "image"]` returns images as content parts instead of markdown.
+     * @param {object} openaiBody - OpenAI chat completions request body
+     * @returns {{ audio: { format: string, voice: string }|null, images: boolean }}
+     * @throws {Error} If the requested combination or audio format is unsupported
+     */
+    _resolveOpenAIOutputOptions(openaiBody) {
+        const modalities = Array.isArray(openaiBody.modalities)
+            ? openaiBody.modalities.map(item => String(item).toLowerCase())
+            : [];
+        const wantsAudio = modalities.includes("audio");
+        const images = modalities.includes("image");
+
+        if (wantsAudio && images) {
+            throw new Error("Audio output cannot be combined with image output.");
+        }
+        if (!wantsAudio) {
+            return { audio: null, images };
+        }
+
+        const audioParams = openaiBody.audio && typeof openaiBody.audio === "object" ? openaiBody.audio : {};
+        const format = audioParams.format || "wav";
+        if (!FormatConverter.CHAT_AUDIO_FORMATS.includes(format)) {
+            throw new Error(
+                `Unsupported audio.format '${format}'. Supported: ${FormatConverter.CHAT_AUDIO_FORMATS.join(", ")}.`
+            );
+        }
+        return { audio: { format, voice: FormatConverter.mapSpeechVoice(audioParams.voice) }, images };
+    }
+
+    /**
+     * Encode a streamed Gemini PCM audio part for the OpenAI `delta.audio.data` field.
+     * Wav output carries the header (with unknown length) in the first chunk only.
+     * @param {object} inlineData - Gemini inlineData audio part
+     * @param {string} format - Requested OpenAI audio format (`pcm16` or `wav`)
+     * @param {boolean} [includeHeader=true] - Whether to prepend the wav header
+     * @returns {string} Base64 audio
+     */
+    _encodeOpenAIAudio(inlineData, format, includeHeader = true) {
+        const pcm = Buffer.from(inlineData.data || "", "base64");
+        if (format !== "wav" || !includeHeader) return pcm.toString("base64");
+        return Buffer.concat([createWavHeader(null, parsePcmFormat(inlineData.mimeType)), pcm]).toString("base64");
     }
 
     /**
@@ -1036,6 +1408,213 @@ class FormatConverter {
         return { cleanModelName, googleRequest, path };
     }
 
+    /**
+     * Convert an OpenAI Images API request (generations / edits) to a Gemini generateContent request
+     * that only asks for image output.
+     * @param {object} openaiBody - Images request fields (prompt, model, n, size, response_format)
+     * @param {object} [options={}]
+     * @param {Array<{data: string, mimeType: string}>} [options.images] - Base64 source images (edits only)
+     * @param {{data: string, mimeType: string}|null} [options.mask] - Base64 mask image (edits only)
+     * @returns {{ cleanModelName: string, googleRequest: object, responseFormat: ("b64_json"|"url") }} With "url" the
+     *          images are returned as data URLs, see convertGoogleToOpenAIImages()
+     * @throws {Error} If the request is missing a prompt, names a model that is neither a Gemini nor an OpenAI image
+     *         model, or asks for options Gemini image models cannot serve
+     */
+    translateOpenAIImagesToGoogle(openaiBody, options = {}) {
+        this.logger.info("[Adapter] Starting translation of OpenAI Images request to Google format...");
+
+        const body = openaiBody && typeof openaiBody === "object" ? openaiBody : {};
+        const images = Array.isArray(options.images) ? options.images : [];
+        const mask = options.mask || null;
+
+        const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+        if (!prompt) {
+            throw new Error("The 'prompt' field is required.");
+        }
+
+        const rawModel = typeof body.model === "string" && body.model.trim() ? body.model.trim() : null;
+        const { alias, cleanModelName: resolvedModel } = rawModel
+            ? this.resolveModel(rawModel)
+            : { alias: null, cleanModelName: FormatConverter.DEFAULT_IMAGE_MODEL };
+        const modelName = resolvedModel.replace(/^models\//, "");
+        if (modelName.startsWith("imagen-")) {
+            throw new Error(
+                `Model '${modelName}' only supports the predict method. Use a Gemini image model such as '${FormatConverter.DEFAULT_IMAGE_MODEL}'.`
+            );
+        }
+        // OpenAI image model names fall back to the default Gemini image model
+        let cleanModelName = modelName;
+        if (FormatConverter.OPENAI_IMAGE_MODELS.includes(modelName)) {
+            cleanModelName = FormatConverter.DEFAULT_IMAGE_MODEL;
+        } else if (!modelName.startsWith("gemini-")) {
+            throw new Error(
+                `Model '${modelName}' is not an image model. Use a Gemini image model such as '${FormatConverter.DEFAULT_IMAGE_MODEL}'.`
+            );
+        }
+
+        const n = body.n === undefined || body.n === null ? 1 : parseInt(body.n, 10);
+        if (n !== 1) {
+            throw new Error("Gemini image models return one image per request, so 'n' must be 1.");
+        }
+
+        const responseFormat = body.response_format === "url" ? "url" : "b64_json";
+        const parts = [{ text: prompt }];
+        for (const image of images) {
+            parts.push({ inlineData: { data: image.data, mimeType: image.mimeType } });
+        }
+        if (mask) {
+            parts.push({
+                text: "The next image is an edit mask. Only change the regions that are transparent in the mask and keep everything else unchanged.",
+            });
+            parts.push({ inlineData: { data: mask.data, mimeType: mask.mimeType } });
+        }
+
+        const generationConfig = { responseModalities: ["IMAGE"] };
+        const aspectRatio = FormatConverter.mapImageSizeToAspectRatio(body.size);
+        if (aspectRatio) {
+            generationConfig.imageConfig = { aspectRatio };
+        }
+
+        const googleRequest = {
+            contents: [{ parts, role: "user" }],
+            generationConfig,
+        };
+        this.applyModelAliasOverrides(googleRequest, alias);
+        googleRequest.safetySettings = this.getDefaultSafetySettings(alias?.safetySettingsThreshold);
+
+        this.logger.debug(
+            `[Adapter] Debug: Images request -> model=${cleanModelName}, sourceImages=${images.length}, mask=${Boolean(mask)}, aspectRatio=${aspectRatio || "default"}`
+        );
+        this.logger.info("[Adapter] OpenAI Images to Google translation complete.");
+
+        return { cleanModelName, googleRequest, responseFormat };
+    }
+
+    /**
+     * Convert a Gemini generateContent response into the OpenAI Images API response shape.
+     * `url` results are returned as data URLs since generated images are not hosted anywhere.
+     * @param {object} googleResponse - Gemini non-stream response
+     * @param {("b64_json"|"url")} [responseFormat="b64_json"] - Requested OpenAI response_format
+     * @returns {{ created: number, data: Array<object>, usage?: object }}
+     */
+    convertGoogleToOpenAIImages(googleResponse, responseFormat = "b64_json") {
+        const parts = googleResponse?.candidates?.[0]?.content?.parts || [];
+        const revisedPrompt = parts
+            .filter(part => typeof part?.text === "string" && !part.thought)
+            .map(part => part.text)
+            .join("")
+            .trim();
+
+        const data = parts
+            .filter(part => part?.inlineData?.data && !part.thought)
+            .map(part => {
+                const { data: base64Data, mimeType } = part.inlineData;
+                const item =
+                    responseFormat === "url"
+                        ? { url: `data:${mimeType || "image/png"};base64,${base64Data}` }
+                        : { b64_json: base64Data };
+                if (revisedPrompt) item.revised_prompt = revisedPrompt;
+                return item;
+            });
+
+        const result = { created: Math.floor(Date.now() / 1000), data };
+        if (googleResponse?.usageMetadata) {
+            const usage = this._parseUsage(googleResponse);
+            result.usage = {
+                input_tokens: usage.prompt_tokens,
+                output_tokens: usage.completion_tokens,
+                total_tokens: usage.total_tokens,
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Convert an OpenAI audio speech request to a Gemini TTS generateContent request.
+     * Non-standard extension fields:
+     * - `speakers`: `[{ speaker, voice }]` shorthand for Gemini multi-speaker voice config
+     * - `speech_config`: raw Gemini `speechConfig`, used as-is when provided
+     * @param {object} openaiBody - OpenAI /v1/audio/speech request body
+     * @returns {{ cleanModelName: string, googleRequest: object, responseFormat: string, speed: number }}
+     * @throws {Error} If the request is missing input or uses unsupported values
+     */
+    translateOpenAISpeechToGoogle(openaiBody) {
+        this.logger.info("[Adapter] Starting translation of OpenAI speech request to Google format...");
+
+        const body = openaiBody && typeof openaiBody === "object" ? openaiBody : {};
+        const input = typeof body.input === "string" ? body.input.trim() : "";
+        if (!input) {
+            throw new Error("The 'input' field is required.");
+        }
+
+        const responseFormat = body.response_format || "mp3";
+        if (!FormatConverter.SPEECH_RESPONSE_FORMATS.includes(responseFormat)) {
+            throw new Error(
+                `Unsupported response_format '${responseFormat}'. Supported: ${FormatConverter.SPEECH_RESPONSE_FORMATS.join(", ")}.`
+            );
+        }
+
+        const speed = body.speed === undefined || body.speed === null ? 1 : Number(body.speed);
+        if (!Number.isFinite(speed) || speed < 0.25 || speed > 4) {
+            throw new Error("The 'speed' field must be between 0.25 and 4.0.");
+        }
+
+        // OpenAI TTS model names fall back to the default Gemini TTS model
+        const rawModel = typeof body.model === "string" ? body.model.trim().replace(/^models\//, "") : "";
+        const cleanModelName = rawModel.startsWith("gemini-") ? rawModel : FormatConverter.DEFAULT_TTS_MODEL;
+
+        let speechConfig;
+        if (body.speech_config && typeof body.speech_config === "object") {
+            speechConfig = body.speech_config;
+        } else if (Array.isArray(body.speakers) && body.speakers.length > 0) {
+            speechConfig = {
+                multiSpeakerVoiceConfig: {
+                    speakerVoiceConfigs: body.speakers.map(item => ({
+                        speaker: item?.speaker,
+                        voiceConfig: {
+                            prebuiltVoiceConfig: { voiceName: FormatConverter.mapSpeechVoice(item?.voice) },
+                        },
+                    })),
+                },
+            };
+        } else {
+            speechConfig = {
+                voiceConfig: { prebuiltVoiceConfig: { voiceName: FormatConverter.mapSpeechVoice(body.voice) } },
+            };
+        }
+
+        // Gemini TTS is steered with natural-language style instructions placed before the text
+        const instructions = typeof body.instructions === "string" ? body.instructions.trim() : "";
+        const text = instructions ? `${instructions}: ${input}` : input;
+
+        const googleRequest = {
+            contents: [{ parts: [{ text }], role: "user" }],
+            generationConfig: {
+                responseModalities: ["AUDIO"],
+                speechConfig,
+            },
+        };
+
+        this.logger.debug(
+            `[Adapter] Debug: Speech request -> model=${cleanModelName}, format=${responseFormat}, speed=${speed}, speechConfig=${JSON.stringify(speechConfig)}`
+        );
+        this.logger.info("[Adapter] OpenAI speech to Google translation complete.");
+
+        return { cleanModelName, googleRequest, responseFormat, speed };
+    }
+
+    /**
+     * Collect the audio parts of a Gemini response (or stream chunk).
+     * @param {object} googleResponse - Parsed Gemini response
+     * @returns {Array<{data: Buffer, mimeType: string}>} Raw audio buffers in order
+     */
+    extractGoogleAudioParts(googleResponse) {
+        const parts = googleResponse?.candidates?.[0]?.content?.parts || [];
+        return parts
+            .filter(part => part?.inlineData?.data && String(part.inlineData.mimeType || "").startsWith("audio/"))
+            .map(part => ({ data: Buffer.from(part.inlineData.data, "base64"), mimeType: part.inlineData.mimeType }));
+    }
+
     /**
      * Common final processing for Gemini requests:
      * 1. Inject force features (Search, URL Context)
@@ -1050,12 +1629,15 @@ class FormatConverter {
      * use this for model-name-driven overrides such as the `-search` suffix.
      * @param {boolean} [options.forceUrlContext] - When truthy, force-enable `urlContext` for this request even if
      * `config.forceUrlContext` is disabled. Falsy values fall back to the global setting.
+     * @param {object|null} [options.alias] - Model alias of the request, see applyModelAliasOverrides()
      * @private
      */
     _finalizeGoogleRequest(googleRequest, options = {}) {
+        const alias = options.alias || null;
         const forceCodeExecution = options.forceCodeExecution || this.serverSystem.config.forceCodeExecution;
         const forceWebSearch = options.forceWebSearch || this.serverSystem.config.forceWebSearch;
-        const forceUrlContext = options.forceUrlContext || this.serverSystem.config.forceUrlContext;
+        const forceUrlContext =
+            options.forceUrlContext || alias?.forceUrlContext || this.serverSystem.config.forceUrlContext;
 
         // Force built-in tools
         if (forceWebSearch || forceUrlContext || forceCodeExecution) {
@@ -1098,9 +1680,10 @@ class FormatConverter {
         }
 
         this.ensureServerSideToolInvocations(googleRequest);
+        this.applyModelAliasOverrides(googleRequest, alias);
 
         // Safety settings
-        googleRequest.safetySettings = this.getDefaultSafetySettings();
+        googleRequest.safetySettings = this.getDefaultSafetySettings(alias?.safetySettingsThreshold);
 
         this.logger.debug(`[Adapter] Debug: Final Gemini Request = ${JSON.stringify(googleRequest, null, 2)}`);
     }
@@ -1180,6 +1763,7 @@ class FormatConverter {
 
         // Iterate over each part in the Gemini chunk and send it as a separate OpenAI chunk
         if (candidate.content && Array.isArray(candidate.content.parts)) {
+            const outputOptions = streamState.outputOptions || {};
             for (const part of candidate.content.parts) {
                 const delta = {};
                 let hasContent = false;
@@ -1190,7 +1774,36 @@ class FormatConverter {
                         hasContent = true;
                     }
                 } else if (part.text) {
-                    delta.content = part.text;
+                    if (outputOptions.audio) {
+                        // With audio output, text is the transcript of the spoken audio
+                        delta.audio = { id: this._getStreamAudioId(streamState), transcript: part.text };
+                    } else {
+                        delta.content = part.text;
+                    }
+                    hasContent = true;
+                } else if (part.inlineData && outputOptions.audio && part.inlineData.mimeType?.startsWith("audio/")) {
+                    delta.audio = {
+                        data: this._encodeOpenAIAudio(
+                            part.inlineData,
+                            outputOptions.audio.format,
+                            !streamState.audioDataSent
+                        ),
+                        id: this._getStreamAudioId(streamState),
+                    };
+                    streamState.audioDataSent = true;
+                    hasContent = true;
+                } else if (part.inlineData && outputOptions.images) {
+                    const image = part.inlineData;
+                    const imageIndex = streamState.imageIndex ?? 0;
+                    streamState.imageIndex = imageIndex + 1;
+                    delta.images = [
+                        {
+                            image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+                            index: imageIndex,
+                            type: "image_url",
+                        },
+                    ];
+                    this.logger.info("[Adapter] Successfully parsed image content part from streaming response chunk.");
                     hasContent = true;
                 } else if (part.inlineData) {
                     const image = part.inlineData;
@@ -1286,6 +1899,60 @@ class FormatConverter {
         return chunksToSend.length > 0 ? chunksToSend.join("") : null;
     }
 
+    _getStreamAudioId(streamState) {
+        if (!streamState.audioId) {
+            streamState.audioId = `audio_${this._generateRequestId()}`;
+        }
+        return streamState.audioId;
+    }
+
+    /**
+     * Build a Response API response object with default field values.
+     * @param {string} responseId - Response ID (`resp_...`)
+     * @param {string} modelName - Model name
+     * @param {object} [responseDefaults] - Request-derived fields (instructions, tools, store, ...)
+     * @param {object} [overrides] - Fields that take precedence over the defaults (status, output, usage, ...)
+     * @returns {object}
+     */
+    buildResponseAPIObject(responseId, modelName, responseDefaults = {}, overrides = {}) {
+        return {
+            completed_at: null,
+            created_at: Math.floor(Date.now() / 1000),
+            error: null,
+            id: responseId,
+            incomplete_details: null,
+            instructions: null,
+            max_output_tokens: null,
+            metadata: {},
+            model: modelName,
+            object: "response",
+            output: [],
+            parallel_tool_calls: true,
+            previous_response_id: null,
+            reasoning: {
+                effort: null,
+                summary: null,
+            },
+            service_tier: "default",
+            status: "in_progress",
+            store: false,
+            temperature: 1.0,
+            text: {
+                format: {
+                    type: "text",
+                },
+            },
+            tool_choice: "auto",
+            tools: [],
+            top_p: 1.0,
+            truncation: "disabled",
+            usage: null,
+            user: null,
+            ...(responseDefaults || {}),
+            ...overrides,
+        };
+    }
+
     /**
      * Convert Google streaming chunk to OpenAI Response API format
      * @param {string} googleChunk - Google API streaming chunk
@@ -1338,43 +2005,11 @@ class FormatConverter {
             streamState.completed = false;
         };
 
-        const buildResponseObject = (overrides = {}) => ({
-            completed_at: null,
-            created_at: streamState.created_at,
-            error: null,
-            id: streamState.id,
-            incomplete_details: null,
-            instructions: null,
-            max_output_tokens: null,
-            metadata: {},
-            model: modelName,
-            object: "response",
-            output: [],
-            parallel_tool_calls: true,
-            previous_response_id: null,
-            reasoning: {
-                effort: null,
-                summary: null,
-            },
-            service_tier: "default",
-            status: "in_progress",
-            temperature: 1.0,
-            text: {
-                format: {
-                    type: "text",
-                },
-            },
-            tool_choice: "auto",
-            tools: [],
-            top_p: 1.0,
-            truncation: "disabled",
-            usage: null,
-            user: null,
-            ...(streamState.responseDefaults || {}),
-            ...overrides,
-            // This proxy does not support OpenAI-side persistence.
-            ...{ store: false },
-        });
+        const buildResponseObject = (overrides = {}) =>
+            this.buildResponseAPIObject(streamState.id, modelName, streamState.responseDefaults, {
+                created_at: streamState.created_at,
+                ...overrides,
+            });
 
         const ensureMessageItem = () => {
             if (streamState.messageItem) return streamState.messageItem;
@@ -1721,7 +2356,7 @@ class FormatConverter {
                 const responseUsage = {
                     input_tokens: usage.prompt_tokens,
                     input_tokens_details: {
-                        cached_tokens: 0,
+                        cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0,
                     },
                     output_tokens: usage.completion_tokens,
                     output_tokens_details: {
@@ -1733,14 +2368,14 @@ class FormatConverter {
                 const completedAt = Math.floor(Date.now() / 1000);
                 const finalOutput = (streamState.outputItemsByIndex || []).filter(Boolean);
 
-                pushEvent("response.completed", {
-                    response: buildResponseObject({
-                        completed_at: completedAt,
-                        output: finalOutput,
-                        status: "completed",
-                        usage: responseUsage,
-                    }),
+                // Kept on the state so the caller can persist the final response
+                streamState.finalResponse = buildResponseObject({
+                    completed_at: completedAt,
+                    output: finalOutput,
+                    status: "completed",
+                    usage: responseUsage,
                 });
+                pushEvent("response.completed", { response: streamState.finalResponse });
 
                 streamState.completed = true;
             }
@@ -1775,8 +2410,11 @@ class FormatConverter {
 
     /**
      * Convert Google non-stream response to OpenAI format
+     * @param {object} googleResponse - Gemini non-stream response
+     * @param {string} [modelName] - Model name echoed in the response
+     * @param {object} [outputOptions] - Output modalities returned by translateOpenAIToGoogle
      */
-    convertGoogleToOpenAINonStream(googleResponse, modelName = "gemini-2.5-flash-lite") {
+    convertGoogleToOpenAINonStream(googleResponse, modelName = "gemini-2.5-flash-lite", outputOptions = {}) {
         try {
             this.logger.debug(
                 `[Adapter] Debug: Received Google response for OpenAI non-stream: ${JSON.stringify(googleResponse)}`
@@ -1816,6 +2454,8 @@ class FormatConverter {
         let content = "";
         let reasoning_content = "";
         const tool_calls = [];
+        const images = [];
+        const audioParts = [];
 
         if (candidate.content && Array.isArray(candidate.content.parts)) {
             for (const part of candidate.content.parts) {
@@ -1823,6 +2463,15 @@ class FormatConverter {
                     reasoning_content += part.text || "";
                 } else if (part.text) {
                     content += part.text;
+                } else if (part.inlineData && outputOptions.audio && part.inlineData.mimeType?.startsWith("audio/")) {
+                    audioParts.push(part.inlineData);
+                } else if (part.inlineData && outputOptions.images) {
+                    const image = part.inlineData;
+                    images.push({
+                        image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+                        index: images.length,
+                        type: "image_url",
+                    });
                 } else if (part.inlineData) {
                     const image = part.inlineData;
                     content += `![Generated Image](data:${image.mimeType};base64,${image.data})`;
@@ -1853,6 +2502,22 @@ class FormatConverter {
         if (tool_calls.length > 0) {
             message.tool_calls = tool_calls;
         }
+        if (images.length > 0) {
+            message.images = images;
+        }
+        if (outputOptions.audio) {
+            // With audio output, text is returned as the transcript of the spoken audio
+            const pcm = Buffer.concat(audioParts.map(item => Buffer.from(item.data || "", "base64")));
+            const audio =
+                outputOptions.audio.format === "wav" ? pcmToWav(pcm, parsePcmFormat(audioParts[0]?.mimeType)) : pcm;
+            message.audio = {
+                data: audio.toString("base64"),
+                expires_at: Math.floor(Date.now() / 1000) + 3600,
+                id: `audio_${this._generateRequestId()}`,
+                transcript: content,
+            };
+            message.content = null;
+        }
 
         // Determine finish_reason
         let finishReason;
@@ -1914,12 +2579,14 @@ class FormatConverter {
                 object: "response",
                 output: [],
                 parallel_tool_calls: true,
+                previous_response_id: null,
                 reasoning: {
                     effort: null,
                     summary: null,
                 },
                 service_tier: "default",
                 status: "completed",
+                store: false,
                 temperature: 1.0,
                 text: {
                     format: {
@@ -1942,8 +2609,6 @@ class FormatConverter {
                     total_tokens: 0,
                 },
                 ...(responseDefaults || {}),
-                // This proxy does not support OpenAI-side persistence.
-                ...{ store: false },
             };
         }
 
@@ -2032,12 +2697,14 @@ class FormatConverter {
             object: "response",
             output,
             parallel_tool_calls: true,
+            previous_response_id: null,
             reasoning: {
                 effort: null,
                 summary: null,
             },
             service_tier: "default",
             status: "completed",
+            store: false,
             temperature: 1.0,
             text: {
                 format: {
@@ -2051,7 +2718,7 @@ class FormatConverter {
             usage: {
                 input_tokens: usage.prompt_tokens,
                 input_tokens_details: {
-                    cached_tokens: 0,
+                    cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0,
                 },
                 output_tokens: usage.completion_tokens,
                 output_tokens_details: {
@@ -2060,8 +2727,6 @@ class FormatConverter {
                 total_tokens: usage.total_tokens,
             },
             ...(responseDefaults || {}),
-            // This proxy does not support OpenAI-side persistence.
-            ...{ store: false },
         };
     }
 
@@ -2116,6 +2781,8 @@ class FormatConverter {
             },
             prompt_tokens: promptTokens,
             prompt_tokens_details: {
+                // Tokens served from a Gemini context cache (explicit cachedContents or implicit caching)
+                cached_tokens: usage.cachedContentTokenCount || 0,
                 text_tokens: inputTokens,
                 tool_tokens: toolPromptTokens,
             },
@@ -2128,8 +2795,9 @@ class FormatConverter {
     /**
      * Convert Claude API request format to Google Gemini format
      * @param {object} claudeBody - Claude API format request body
-     * @returns {Promise<{ googleRequest: object, cleanModelName: string, modelStreamingMode: ("real"|"fake"|null) }>}
+     * @returns {Promise<{ googleRequest: object, cleanModelName: string, modelStreamingMode: ("real"|"fake"|null), citationDocuments: (Array<object>|null) }>}
      *          - modelStreamingMode: Streaming mode override parsed from model name suffix, or null
+     *          - citationDocuments: Document blocks of the request when any of them enables citations, otherwise null
      */
     async translateClaudeToGoogle(claudeBody) {
         this.logger.info("[Adapter] Starting translation of Claude request format to Google format...");
@@ -2137,43 +2805,20 @@ class FormatConverter {
         // [DEBUG] Log incoming messages
         this.logger.debug(`[Adapter] Debug: incoming Claude Body = ${JSON.stringify(claudeBody, null, 2)}`);
 
-        // Parse model suffixes in reverse stripping order:
-        // 1) built-in tool overrides: trailing `-search` / `-code`
-        // 2) streaming override: trailing `-real` / `-fake` after any thinking suffix
-        // 3) thinkingLevel override: trailing `-minimal` / `(minimal)` etc.
-        // Combined user-facing suffix order: thinking -> streaming -> built-in tools
-        const rawModel = claudeBody.model || "gemini-2.5-flash-lite";
+        // Resolve model aliases and suffixes (thinking -> streaming -> built-in tools)
         const {
-            cleanModelName: toolStrippedModel,
+            alias: modelAlias,
+            cleanModelName,
             forceCodeExecution: modelForceCodeExecution,
             forceWebSearch: modelForceWebSearch,
-        } = FormatConverter.parseModelBuiltInToolSuffixes(rawModel);
-        const { cleanModelName: streamStrippedModel, streamingMode: modelStreamingMode } =
-            FormatConverter.parseModelStreamingModeSuffix(toolStrippedModel);
-        const { cleanModelName, thinkingLevel: modelThinkingLevel } =
-            FormatConverter.parseModelThinkingLevel(streamStrippedModel);
-
-        const modelForceToolFlags = [];
-        if (modelForceWebSearch) modelForceToolFlags.push("forceWebSearch=true");
-        if (modelForceCodeExecution) modelForceToolFlags.push("forceCodeExecution=true");
-        if (modelForceToolFlags.length > 0) {
-            this.logger.info(
-                `[Adapter] Detected built-in tool suffixes in model name: "${rawModel}" -> model="${toolStrippedModel}", ${modelForceToolFlags.join(", ")}`
-            );
-        }
-        if (modelStreamingMode) {
-            this.logger.info(
-                `[Adapter] Detected streamingMode suffix in model name: "${toolStrippedModel}" -> model="${streamStrippedModel}", streamingMode="${modelStreamingMode}"`
-            );
-        }
-        if (modelThinkingLevel) {
-            this.logger.info(
-                `[Adapter] Detected thinkingLevel suffix in model name: "${streamStrippedModel}" -> model="${cleanModelName}", thinkingLevel="${modelThinkingLevel}"`
-            );
-        }
+            streamingMode: modelStreamingMode,
+            thinkingLevel: modelThinkingLevel,
+        } = this.resolveModel(claudeBody.model || "gemini-2.5-flash-lite");
 
         let systemInstruction = null;
         const googleContents = [];
+        // Document blocks in request order; document_index in citations refers to this list
+        const documents = [];
 
         // Pre-scan messages to build a map of tool_use_id -> function_name
         // This is required because Gemini's functionResponse needs the original function name,
@@ -2282,8 +2927,33 @@ class FormatConverter {
             return ensureGeminiFunctionResponseObject(content ?? { result: "" });
         };
 
+        // Anthropic cache_control breakpoints, as numbers of leading Gemini contents to cache. Tools and system blocks
+        // are always part of the cached prefix, so a breakpoint on them caches no contents.
+        const cacheBreakpoints = new Set();
+        let cacheTtlSeconds = FormatConverter.CONTEXT_CACHE_TTL_SECONDS["5m"];
+        const registerCacheControl = blocks => {
+            let found = false;
+            for (const block of Array.isArray(blocks) ? blocks : []) {
+                if (!block?.cache_control || typeof block.cache_control !== "object") continue;
+                found = true;
+                cacheTtlSeconds = Math.max(
+                    cacheTtlSeconds,
+                    FormatConverter.CONTEXT_CACHE_TTL_SECONDS[block.cache_control.ttl] || 0
+                );
+            }
+            return found;
+        };
+        if (registerCacheControl(claudeBody.tools) || registerCacheControl(claudeBody.system)) {
+            cacheBreakpoints.add(0);
+        }
+        // Message index after the last message carrying a breakpoint -> resolved once that message has been converted
+        let pendingCacheBreakpoint = null;
+
         // Convert Claude messages to Google format
-        for (const message of claudeBody.messages) {
+        for (const [messageIndex, message] of claudeBody.messages.entries()) {
+            // Contents buffered for tool results may still be merged with this message, so only flushed ones count
+            if (pendingCacheBreakpoint === messageIndex) cacheBreakpoints.add(googleContents.length);
+            if (registerCacheControl(message.content)) pendingCacheBreakpoint = messageIndex + 1;
             if (message.role === "system") continue;
 
             const googleParts = [];
@@ -2327,6 +2997,8 @@ class FormatConverter {
                                         mimeType: block.source.media_type,
                                     },
                                 });
+                            } else if (block.type === "document") {
+                                pendingToolParts.push(...(await this._convertClaudeDocumentBlock(block, documents)));
                             }
                         }
                     }
@@ -2388,30 +3060,26 @@ class FormatConverter {
                                 });
                             } else if (source.type === "url") {
                                 try {
-                                    this.logger.info(`[Adapter] Downloading image from URL: ${source.url}`);
-                                    const response = await axios.get(source.url, { responseType: "arraybuffer" });
-                                    const imageBuffer = Buffer.from(response.data, "binary");
-                                    const base64Data = imageBuffer.toString("base64");
-                                    let mimeType = response.headers["content-type"];
-                                    if (!mimeType || mimeType === "application/octet-stream") {
-                                        mimeType = mime.lookup(source.url) || "image/jpeg";
-                                    }
-                                    googleParts.push({
-                                        inlineData: {
-                                            data: base64Data,
-                                            mimeType,
-                                        },
-                                    });
-                                    this.logger.info(
-                                        `[Adapter] Successfully downloaded and converted image to base64.`
-                                    );
+                                    googleParts.push(await this._fetchRemoteMediaPart(source.url, "image/jpeg"));
                                 } catch (error) {
                                     this.logger.error(`[Adapter] Failed to download image: ${error.message}`);
                                     googleParts.push({
                                         text: `[System Note: Failed to load image from ${source.url}]`,
                                     });
                                 }
+                            } else if (source.type === "file") {
+                                const filePart = this._convertLocalFileReference(source.file_id);
+                                if (filePart) {
+                                    googleParts.push(filePart);
+                                } else {
+                                    this.logger.warn(`[Adapter] Image file '${source.file_id}' not found.`);
+                                    googleParts.push({
+                                        text: `[System Note: Image file ${source.file_id} was not found]`,
+                                    });
+                                }
                             }
+                        } else if (block.type === "document") {
+                            googleParts.push(...(await this._convertClaudeDocumentBlock(block, documents)));
                         }
                     }
                 }
@@ -2427,6 +3095,7 @@ class FormatConverter {
 
         // Flush remaining tool parts
         flushToolParts();
+        if (pendingCacheBreakpoint === claudeBody.messages.length) cacheBreakpoints.add(googleContents.length);
 
         // Build Google request
         const googleRequest = {
@@ -2659,11 +3328,17 @@ class FormatConverter {
         }
 
         this._finalizeGoogleRequest(googleRequest, {
+            alias: modelAlias,
             forceCodeExecution: modelForceCodeExecution,
             forceWebSearch: modelForceWebSearch,
         });
         this.logger.info("[Adapter] Claude to Google translation complete.");
-        return { cleanModelName, googleRequest, modelStreamingMode };
+        const citationDocuments = documents.some(document => document.citationsEnabled) ? documents : null;
+        const contextCache =
+            cacheBreakpoints.size > 0
+                ? { breakpoints: [...cacheBreakpoints].sort((a, b) => a - b), ttlSeconds: cacheTtlSeconds }
+                : null;
+        return { citationDocuments, cleanModelName, contextCache, googleRequest, modelStreamingMode };
     }
 
     /**
@@ -2706,11 +3381,16 @@ class FormatConverter {
 
         // Update stream state with usage if available
         if (usage) {
-            const inputTokens = (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0);
-            const outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+            const claudeUsage = this._buildClaudeUsage(usage, streamState.cacheCreationTokens || 0);
+            const promptTokens = (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0);
 
-            if (inputTokens > 0) streamState.inputTokens = inputTokens;
-            streamState.outputTokens = outputTokens;
+            if (promptTokens > 0) {
+                streamState.inputTokens = claudeUsage.input_tokens;
+                streamState.cacheCreationInputTokens = claudeUsage.cache_creation_input_tokens;
+                streamState.cacheReadInputTokens = claudeUsage.cache_read_input_tokens;
+            }
+            streamState.outputTokens = claudeUsage.output_tokens;
+            streamState.usage = this._parseUsage(googleResponse);
         }
 
         // Initialize stream state
@@ -2746,6 +3426,8 @@ class FormatConverter {
                     stop_sequence: null,
                     type: "message",
                     usage: {
+                        cache_creation_input_tokens: streamState.cacheCreationInputTokens || 0,
+                        cache_read_input_tokens: streamState.cacheReadInputTokens || 0,
                         input_tokens: streamState.inputTokens || 0,
                         output_tokens: 0,
                     },
@@ -2859,6 +3541,32 @@ class FormatConverter {
             }
         }
 
+        // Grounding metadata is cumulative; only citations not sent yet are emitted
+        if (
+            streamState.citationDocuments &&
+            candidate.groundingMetadata &&
+            streamState.textBlockStarted &&
+            !streamState.textBlockStopped
+        ) {
+            if (!streamState.sentCitationKeys) streamState.sentCitationKeys = new Set();
+            const segments = this._buildClaudeCitationSegments(
+                candidate.groundingMetadata,
+                streamState.citationDocuments
+            );
+            for (const segment of segments) {
+                for (const citation of segment.citations) {
+                    const key = `${segment.startIndex}:${segment.endIndex}:${JSON.stringify(citation)}`;
+                    if (streamState.sentCitationKeys.has(key)) continue;
+                    streamState.sentCitationKeys.add(key);
+                    events.push({
+                        delta: { citation, type: "citations_delta" },
+                        index: streamState.textBlockIndex,
+                        type: "content_block_delta",
+                    });
+                }
+            }
+        }
+
         // Handle finish
         if (candidate.finishReason) {
             // Close any open blocks
@@ -2908,8 +3616,17 @@ class FormatConverter {
 
     /**
      * Convert Google non-stream response to Claude format
+     * @param {object} googleResponse - Google response body
+     * @param {string} modelName - The model name
+     * @param {Array<object>|null} citationDocuments - Documents from translateClaudeToGoogle when citations are enabled
+     * @param {number} cacheCreationTokens - Prompt tokens written to a context cache for this request
      */
-    convertGoogleToClaudeNonStream(googleResponse, modelName = "gemini-2.5-flash-lite") {
+    convertGoogleToClaudeNonStream(
+        googleResponse,
+        modelName = "gemini-2.5-flash-lite",
+        citationDocuments = null,
+        cacheCreationTokens = 0
+    ) {
         try {
             this.logger.debug(
                 `[Adapter] Debug: Received Google response for Claude non-stream: ${JSON.stringify(googleResponse)}`
@@ -2937,15 +3654,13 @@ class FormatConverter {
                 stop_reason: "end_turn",
                 stop_sequence: null,
                 type: "message",
-                usage: {
-                    input_tokens: (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0),
-                    // Match OpenAI logic: sum candidates tokens + thoughts tokens
-                    output_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
-                },
+                usage: this._buildClaudeUsage(usage, cacheCreationTokens),
             };
         }
 
         let hasToolUse = false;
+        // Text blocks that grounding citations may split (generated image markdown is excluded)
+        const responseTextBlocks = [];
 
         if (candidate.content && Array.isArray(candidate.content.parts)) {
             for (const part of candidate.content.parts) {
@@ -2957,10 +3672,12 @@ class FormatConverter {
                     };
                     content.push(thinkingBlock);
                 } else if (part.text) {
-                    content.push({
+                    const textBlock = {
                         text: part.text,
                         type: "text",
-                    });
+                    };
+                    content.push(textBlock);
+                    responseTextBlocks.push(textBlock);
                 } else if (part.inlineData) {
                     // Image output - convert to base64 format
                     content.push({
@@ -2989,6 +3706,18 @@ class FormatConverter {
             stopReason = "end_turn"; // Claude doesn't have a direct equivalent
         }
 
+        if (citationDocuments && candidate.groundingMetadata && responseTextBlocks.length > 0) {
+            const segments = this._buildClaudeCitationSegments(candidate.groundingMetadata, citationDocuments);
+            if (segments.length > 0) {
+                const fullText = responseTextBlocks.map(block => block.text).join("");
+                const insertAt = content.indexOf(responseTextBlocks[0]);
+                const remaining = content.filter(block => !responseTextBlocks.includes(block));
+                remaining.splice(insertAt, 0, ...this._splitClaudeTextByCitations(fullText, segments));
+                content.splice(0, content.length, ...remaining);
+                this.logger.info(`[Adapter] Attached ${segments.length} grounding citation(s) to Claude response.`);
+            }
+        }
+
         return {
             content: content.length > 0 ? content : [{ text: "", type: "text" }],
             id: messageId,
@@ -2997,14 +3726,198 @@ class FormatConverter {
             stop_reason: stopReason,
             stop_sequence: null,
             type: "message",
-            usage: {
-                input_tokens: (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0),
-                // Match OpenAI logic: sum candidates tokens + thoughts tokens
-                output_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
-            },
+            usage: this._buildClaudeUsage(usage, cacheCreationTokens),
         };
     }
 
+    /**
+     * Convert a Claude `document` block to Gemini parts and register it in the request's document list.
+     * Supports base64 (PDF), text, content and url sources, plus `file` sources stored via the local Files API.
+     * @param {object} block - Claude document block
+     * @param {Array<object>} documents - Document list of the request, used to resolve citation indexes
+     * @returns {Promise<Array<object>>} Gemini parts
+     */
+    async _convertClaudeDocumentBlock(block, documents) {
+        const source = block.source || {};
+        const title = typeof block.title === "string" && block.title ? block.title : null;
+        const document = {
+            citationsEnabled: block.citations?.enabled === true,
+            index: documents.length,
+            text: null,
+            title,
+        };
+        documents.push(document);
+
+        const parts = [];
+        const header = [title, typeof block.context === "string" ? block.context : null].filter(Boolean).join("\n");
+        if (header) parts.push({ text: header });
+
+        if (source.type === "base64") {
+            parts.push({ inlineData: { data: source.data, mimeType: source.media_type || "application/pdf" } });
+        } else if (source.type === "text") {
+            document.text = typeof source.data === "string" ? source.data : "";
+            parts.push({ text: document.text });
+        } else if (source.type === "content") {
+            const contentBlocks =
+                typeof source.content === "string"
+                    ? [{ text: source.content, type: "text" }]
+                    : Array.isArray(source.content)
+                      ? source.content
+                      : [];
+            const texts = [];
+            for (const item of contentBlocks) {
+                if (item?.type === "text" && typeof item.text === "string") {
+                    texts.push(item.text);
+                    parts.push({ text: item.text });
+                } else if (item?.type === "image" && item.source?.type === "base64") {
+                    parts.push({ inlineData: { data: item.source.data, mimeType: item.source.media_type } });
+                }
+            }
+            document.text = texts.join("");
+        } else if (source.type === "url" && typeof source.url === "string") {
+            if (source.url.startsWith(FormatConverter.GEMINI_FILE_URI_PREFIX)) {
+                parts.push({
+                    fileData: { fileUri: source.url, mimeType: mime.lookup(source.url) || "application/pdf" },
+                });
+            } else {
+                try {
+                    parts.push(await this._fetchRemoteMediaPart(source.url, "application/pdf"));
+                } catch (error) {
+                    this.logger.error(`[Adapter] Failed to download document: ${error.message}`);
+                    parts.push({ text: `[System Note: Failed to load document from ${source.url}]` });
+                }
+            }
+        } else if (source.type === "file") {
+            const filePart = this._convertLocalFileReference(source.file_id);
+            if (filePart) {
+                parts.push(filePart);
+            } else {
+                this.logger.warn(`[Adapter] Document file '${source.file_id}' not found.`);
+                parts.push({ text: `[System Note: Document file ${source.file_id} was not found]` });
+            }
+        } else {
+            this.logger.warn(`[Adapter] Unsupported Claude document source type: ${source.type}`);
+        }
+
+        return parts;
+    }
+
+    /**
+     * Build Claude usage from Gemini usageMetadata. Anthropic reports cached prompt tokens separately from
+     * input_tokens, so cachedContentTokenCount is split into tokens written to and read from the cache.
+     * @param {object} usage - Gemini usageMetadata
+     * @param {number} cacheCreationTokens - Prompt tokens written to a context cache for this request
+     */
+    _buildClaudeUsage(usage, cacheCreationTokens = 0) {
+        const promptTokens = (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0);
+        const cachedTokens = Math.min(usage.cachedContentTokenCount || 0, promptTokens);
+        const creationTokens = Math.min(cacheCreationTokens, cachedTokens);
+        return {
+            cache_creation_input_tokens: creationTokens,
+            cache_read_input_tokens: cachedTokens - creationTokens,
+            input_tokens: promptTokens - cachedTokens,
+            // Match OpenAI logic: sum candidates tokens + thoughts tokens
+            output_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        };
+    }
+
+    /**
+     * Map Gemini grounding supports to Anthropic citations.
+     * @param {object} groundingMetadata - Gemini candidate groundingMetadata
+     * @param {Array<object>} documents - Document list from translateClaudeToGoogle
+     * @returns {Array<{citations: Array<object>, endIndex: number, startIndex: number}>} Cited response segments,
+     *          with UTF-8 byte offsets into the response text as reported by Gemini
+     */
+    _buildClaudeCitationSegments(groundingMetadata, documents) {
+        const chunks = Array.isArray(groundingMetadata.groundingChunks) ? groundingMetadata.groundingChunks : [];
+        const supports = Array.isArray(groundingMetadata.groundingSupports) ? groundingMetadata.groundingSupports : [];
+        const segments = [];
+
+        for (const support of supports) {
+            const segment = support.segment || {};
+            if (!Number.isFinite(segment.endIndex)) continue;
+            const citedText = segment.text || "";
+            const citations = [];
+
+            for (const chunkIndex of support.groundingChunkIndices || []) {
+                const chunk = chunks[chunkIndex];
+                if (chunk?.web?.uri) {
+                    citations.push({
+                        cited_text: citedText,
+                        encrypted_index: "",
+                        title: chunk.web.title || null,
+                        type: "web_search_result_location",
+                        url: chunk.web.uri,
+                    });
+                } else if (chunk?.retrievedContext) {
+                    const located = this._locateClaudeDocumentCitation(
+                        chunk.retrievedContext.text || citedText,
+                        documents
+                    );
+                    if (located) citations.push(located);
+                }
+            }
+            // Gemini does not ground against inline documents, so fall back to quoting the document verbatim
+            if (citations.length === 0) {
+                const located = this._locateClaudeDocumentCitation(citedText, documents);
+                if (located) citations.push(located);
+            }
+
+            if (citations.length > 0) {
+                segments.push({ citations, endIndex: segment.endIndex, startIndex: segment.startIndex || 0 });
+            }
+        }
+        return segments;
+    }
+
+    _locateClaudeDocumentCitation(text, documents) {
+        if (!text) return null;
+        for (const document of documents) {
+            if (!document.citationsEnabled || typeof document.text !== "string") continue;
+            const start = document.text.indexOf(text);
+            if (start === -1) continue;
+            return {
+                cited_text: text,
+                document_index: document.index,
+                document_title: document.title,
+                end_char_index: start + text.length,
+                start_char_index: start,
+                type: "char_location",
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Split response text into Claude text blocks so that each cited segment carries its citations.
+     * @param {string} text - Full response text
+     * @param {Array<object>} segments - Segments from _buildClaudeCitationSegments
+     * @returns {Array<object>} Claude text blocks
+     */
+    _splitClaudeTextByCitations(text, segments) {
+        const bytes = Buffer.from(text, "utf-8");
+        const blocks = [];
+        let cursor = 0;
+
+        for (const segment of [...segments].sort((a, b) => a.startIndex - b.startIndex)) {
+            // Overlapping or out-of-range segments cannot be represented as separate blocks
+            if (segment.startIndex < cursor || segment.endIndex > bytes.length) continue;
+            if (segment.startIndex > cursor) {
+                blocks.push({ text: bytes.subarray(cursor, segment.startIndex).toString("utf-8"), type: "text" });
+            }
+            blocks.push({
+                citations: segment.citations,
+                text: bytes.subarray(segment.startIndex, segment.endIndex).toString("utf-8"),
+                type: "text",
+            });
+            cursor = segment.endIndex;
+        }
+        if (cursor < bytes.length) {
+            blocks.push({ text: bytes.subarray(cursor).toString("utf-8"), type: "text" });
+        }
+        return blocks;
+    }
+
     // ==================== OpenAI Response API Format Conversion ====================
 
     /**
@@ -3021,40 +3934,15 @@ class FormatConverter {
             `[Adapter] Debug: incoming OpenAI Response API Body = ${JSON.stringify(responseBody, null, 2)}`
         );
 
-        // Parse model suffixes in reverse stripping order:
-        // 1) built-in tool overrides: trailing `-search` / `-code`
-        // 2) streaming override: trailing `-real` / `-fake` after any thinking suffix
-        // 3) thinkingLevel override: trailing `-minimal` / `(minimal)` etc.
-        // Combined user-facing suffix order: thinking -> streaming -> built-in tools
-        const rawModel = responseBody.model || "gemini-2.5-flash-lite";
+        // Resolve model aliases and suffixes (thinking -> streaming -> built-in tools)
         const {
-            cleanModelName: toolStrippedModel,
+            alias: modelAlias,
+            cleanModelName,
             forceCodeExecution: modelForceCodeExecution,
             forceWebSearch: modelForceWebSearch,
-        } = FormatConverter.parseModelBuiltInToolSuffixes(rawModel);
-        const { cleanModelName: streamStrippedModel, streamingMode: modelStreamingMode } =
-            FormatConverter.parseModelStreamingModeSuffix(toolStrippedModel);
-        const { cleanModelName, thinkingLevel: modelThinkingLevel } =
-            FormatConverter.parseModelThinkingLevel(streamStrippedModel);
-
-        const modelForceToolFlags = [];
-        if (modelForceWebSearch) modelForceToolFlags.push("forceWebSearch=true");
-        if (modelForceCodeExecution) modelForceToolFlags.push("forceCodeExecution=true");
-        if (modelForceToolFlags.length > 0) {
-            this.logger.info(
-                `[Adapter] Detected built-in tool suffixes in model name: "${rawModel}" -> model="${toolStrippedModel}", ${modelForceToolFlags.join(", ")}`
-            );
-        }
-        if (modelStreamingMode) {
-            this.logger.info(
-                `[Adapter] Detected streamingMode suffix in model name: "${toolStrippedModel}" -> model="${streamStrippedModel}", streamingMode="${modelStreamingMode}"`
-            );
-        }
-        if (modelThinkingLevel) {
-            this.logger.info(
-                `[Adapter] Detected thinkingLevel suffix in model name: "${streamStrippedModel}" -> model="${cleanModelName}", thinkingLevel="${modelThinkingLevel}"`
-            );
-        }
+            streamingMode: modelStreamingMode,
+            thinkingLevel: modelThinkingLevel,
+        } = this.resolveModel(responseBody.model || "gemini-2.5-flash-lite");
 
         const googleContents = [];
         let systemInstructionText = "";
@@ -3213,7 +4101,11 @@ class FormatConverter {
                         } else if (Array.isArray(item.content)) {
                             // Multi-modal content
                             for (const contentPart of item.content) {
-                                if (contentPart.type === "text" || contentPart.type === "input_text") {
+                                if (
+                                    contentPart.type === "text" ||
+                                    contentPart.type === "input_text" ||
+                                    contentPart.type === "output_text"
+                                ) {
                                     googleParts.push({ text: contentPart.text });
                                 } else if (contentPart.type === "image_url" || contentPart.type === "input_image") {
                                     const imageUrl = this.normalizeImageUrl(contentPart.image_url);
@@ -3238,26 +4130,10 @@ class FormatConverter {
                                         }
                                     } else if (imageUrl.match(/^https?:\/\//)) {
                                         try {
-                                            this.logger.info(`[Adapter] Downloading image from URL: ${imageUrl}`);
-                                            const response = await axios.get(imageUrl, {
-                                                responseType: "arraybuffer",
-                                            });
-                                            const imageBuffer = Buffer.from(response.data, "binary");
-                                            const base64Data = imageBuffer.toString("base64");
-                                            let mimeType = response.headers["content-type"];
-                                            if (!mimeType || mimeType === "application/octet-stream") {
-                                                mimeType = mime.lookup(imageUrl) || "image/jpeg";
-                                            }
-                                            googleParts.push({
-                                                inlineData: {
-                                                    data: base64Data,
-                                                    mimeType,
-                                                },
-                                            });
+                                            googleParts.push(await this._fetchRemoteMediaPart(imageUrl, "image/jpeg"));
                                         } catch (error) {
                                             this.logger.error(
-                                                `[Adapter] Failed to download image from URL: ${imageUrl}`,
-                                                error
+                                                `[Adapter] Failed to download image from URL: ${imageUrl}: ${error.message}`
                                             );
                                             googleParts.push({
                                                 text: `[System Note: Failed to load image from ${imageUrl}]`,
@@ -3272,9 +4148,17 @@ class FormatConverter {
                                         });
                                     }
                                 } else if (contentPart.type === "input_file") {
-                                    this.logger.debug(
-                                        "[Adapter] input_file content detected but not supported by Gemini, skipping..."
-                                    );
+                                    const filePart = this._convertResponseInputFilePart(contentPart);
+                                    if (filePart) {
+                                        googleParts.push(filePart);
+                                    } else {
+                                        this.logger.warn(
+                                            "[Adapter] Skipping Response API input_file part without a usable file_id or file_data."
+                                        );
+                                        googleParts.push({
+                                            text: "[System Note: Skipped a file input because it could not be resolved]",
+                                        });
+                                    }
                                 }
                             }
                         }
@@ -3559,6 +4443,7 @@ class FormatConverter {
         }
 
         this._finalizeGoogleRequest(googleRequest, {
+            alias: modelAlias,
             forceCodeExecution: modelForceCodeExecution,
             forceWebSearch: modelForceWebSearch,
         });
@@ -0,0 +1,469 @@
+/**
+ * File: src/core/MediaFetcher.js
+ * Description: Downloads remote media referenced by URL in API requests, with SSRF protection, size and time limits,
+ *              MIME type sniffing and a memory + disk cache
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const axios = require("axios");
+const mime = require("mime-types");
+const { getProxySummaryFromEnv } = require("../utils/ProxyUtils");
+
+const MAX_REDIRECTS = 5;
+// Cached media younger than this is reused without asking the origin server again
+const CACHE_FRESH_MS = 10 * 60 * 1000;
+const MEMORY_CACHE_MAX_ENTRIES = 64;
+const MEMORY_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+const CACHE_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Loopback, private (RFC 1918), link-local, CGNAT, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+]) {
+    PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+    ["::", 128],
+    ["::1", 128],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6");
+}
+
+// IPv6 ranges that carry an IPv4 address, which is checked against the IPv4 ranges above: leading hextets of the
+// prefix and the position of the two IPv4 hextets
+const IPV4_EMBEDDING_RANGES = [
+    // IPv4-mapped ::ffff:0:0/96
+    { offset: 6, prefix: [0, 0, 0, 0, 0, 0xffff] },
+    // IPv4-compatible ::/96 (deprecated)
+    { offset: 6, prefix: [0, 0, 0, 0, 0, 0] },
+    // NAT64 64:ff9b::/96
+    { offset: 6, prefix: [0x64, 0xff9b, 0, 0, 0, 0] },
+    // 6to4 2002::/16
+    { offset: 1, prefix: [0x2002] },
+];
+
+// Leading bytes of common media formats, checked in order
+const MAGIC_NUMBERS = [
+    { bytes: [0x89, 0x50, 0x4e, 0x47], mimeType: "image/png" },
+    { bytes: [0xff, 0xd8, 0xff], mimeType: "image/jpeg" },
+    { bytes: [0x47, 0x49, 0x46, 0x38], mimeType: "image/gif" },
+    { bytes: [0x25, 0x50, 0x44, 0x46], mimeType: "application/pdf" },
+    { bytes: [0x66, 0x4c, 0x61, 0x43], mimeType: "audio/flac" },
+    { bytes: [0x4f, 0x67, 0x67, 0x53], mimeType: "audio/ogg" },
+    { bytes: [0x49, 0x44, 0x33], mimeType: "audio/mpeg" },
+    { bytes: [0x1a, 0x45, 0xdf, 0xa3], mimeType: "video/webm" },
+];
+
+/**
+ * Media Fetcher Module
+ * Used by the format converters for every media URL in OpenAI, Responses and Claude requests. Targets on the block list,
+ * outside the allow list (when set) or resolving to private addresses are refused. Downloads are kept in a small
+ * in-memory LRU and in data/media-cache/ (`<sha256(url)>.json` metadata + `.data` content), and revalidated with
+ * ETag / Last-Modified once they are no longer fresh, so images repeated on every conversation turn are not downloaded
+ * again.
+ */
+class MediaFetcher {
+    constructor(logger, config, dataDir) {
+        this.logger = logger;
+        this.config = config;
+        this.cacheDir = path.join(dataDir || path.join(process.cwd(), "data"), "media-cache");
+
+        // url -> cache entry with data, most recently used last
+        this.memoryCache = new Map();
+        this.memoryCacheBytes = 0;
+        // cache key -> disk metadata, least recently used first
+        this.diskIndex = new Map();
+        this.diskCacheBytes = 0;
+        // url -> in-flight fetch, so concurrent requests for the same media share one download
+        this.pending = new Map();
+
+        const lookup = (hostname, options, callback) => this._guardedLookup(hostname, options, callback);
+        this.httpAgent = new http.Agent({ keepAlive: true, lookup });
+        this.httpsAgent = new https.Agent({ keepAlive: true, lookup });
+
+        if (this.diskCacheMaxBytes > 0) {
+            this._loadDiskIndex();
+        }
+    }
+
+    get maxBytes() {
+        const value = Number(this.config.mediaFetchMaxSizeMb);
+        return (Number.isFinite(value) && value > 0 ? value : 20) * 1024 * 1024;
+    }
+
+    get timeoutMs() {
+        const value = Number(this.config.mediaFetchTimeoutMs);
+        return Number.isFinite(value) && value > 0 ? value : 30000;
+    }
+
+    get diskCacheMaxBytes() {
+        const value = Number(this.config.mediaCacheMaxSizeMb);
+        return Number.isFinite(value) && value > 0 ? value * 1024 * 1024 : 0;
+    }
+
+    /**
+     * Download media from a URL, or return it from the cache.
+     * @param {string} url - http(s) URL
+     * @param {Object} [options]
+     * @param {string} [options.fallbackMimeType] - MIME type to use if it cannot be sniffed or derived from the response
+     * @returns {Promise<{data: Buffer, mimeType: string}>}
+     * @throws {Error} If the URL is refused, the download fails or exceeds the size or time limit
+     */
+    async fetch(url, { fallbackMimeType = "application/octet-stream" } = {}) {
+        if (!this.pending.has(url)) {
+            const download = this._fetchEntry(url).finally(() => this.pending.delete(url));
+            this.pending.set(url, download);
+        }
+        const entry = await this.pending.get(url);
+        const mimeType =
+            entry.mimeType && entry.mimeType !== "application/octet-stream"
+                ? entry.mimeType
+                : mime.lookup(new URL(url).pathname) || fallbackMimeType;
+        return { data: entry.data, mimeType };
+    }
+
+    async _fetchEntry(url) {
+        const cached = this._getCachedEntry(url);
+        if (cached && Date.now() - cached.fetchedAt < CACHE_FRESH_MS) {
+            this.logger.debug(`[Media] Cache hit for ${url}`);
+            return cached;
+        }
+
+        const response = await this._request(url, cached);
+        if (response.status === 304 && cached) {
+            this.logger.debug(`[Media] Cached copy of ${url} is still valid`);
+            const revalidated = { ...cached, fetchedAt: Date.now() };
+            this._storeEntry(revalidated, false);
+            return revalidated;
+        }
+
+        const data = Buffer.from(response.data);
+        const headerMimeType = String(response.headers["content-type"] || "")
+            .split(";")[0]
+            .trim()
+            .toLowerCase();
+        const entry = {
+            data,
+            etag: response.headers.etag || null,
+            fetchedAt: Date.now(),
+            lastModified: response.headers["last-modified"] || null,
+            mimeType: this._sniffMimeType(data) || headerMimeType || null,
+            url,
+        };
+        this.logger.info(`[Media] Downloaded ${url} (${data.length} bytes, ${entry.mimeType || "unknown type"})`);
+        this._storeEntry(entry);
+        return entry;
+    }
+
+    /**
+     * GET a URL, following redirects manually so that every hop passes the host and address checks.
+     */
+    async _request(url, cached) {
+        const signal = AbortSignal.timeout(this.timeoutMs);
+        const headers = {};
+        if (cached?.etag) headers["If-None-Match"] = cached.etag;
+        if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+        // With an outbound proxy the proxy resolves the host, so only the pre-connect check applies
+        const agents = getProxySummaryFromEnv().enabled
+            ? {}
+            : { httpAgent: this.httpAgent, httpsAgent: this.httpsAgent };
+
+        let currentUrl = url;
+        for (let redirects = 0; ; redirects++) {
+            const target = await this._validateUrl(currentUrl);
+            let response;
+            try {
+                response = await axios.get(target.href, {
+                    ...agents,
+                    headers,
+                    maxContentLength: this.maxBytes,
+                    maxRedirects: 0,
+                    responseType: "arraybuffer",
+                    signal,
+                    validateStatus: () => true,
+                });
+            } catch (error) {
+                if (signal.aborted) {
+                    throw new Error(`Timed out after ${this.timeoutMs}ms while downloading ${url}`);
+                }
+                if (String(error.message).includes("maxContentLength")) {
+                    throw new Error(`Media at ${url} exceeds the ${this.maxBytes / 1024 / 1024} MB size limit`);
+                }
+                throw error;
+            }
+
+            if ([301, 302, 303, 307, 308].includes(response.status) && response.headers.location) {
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error(`Too many redirects while downloading ${url}`);
+                }
+                currentUrl = new URL(response.headers.location, target).href;
+                continue;
+            }
+            if (response.status !== 304 && (response.status < 200 || response.status >= 300)) {
+                throw new Error(`Downloading ${url} failed with status ${response.status}`);
+            }
+            return response;
+        }
+    }
+
+    /**
+     * @returns {Promise<URL>} The parsed URL if it may be fetched
+     * @throws {Error} If the scheme, host or resolved address is not allowed
+     */
+    async _validateUrl(rawUrl) {
+        let url;
+        try {
+            url = new URL(rawUrl);
+        } catch {
+            throw new Error(`Invalid media URL: ${rawUrl}`);
+        }
+        if (url.protocol !== "http:" && url.protocol !== "https:") {
+            throw new Error(`Unsupported media URL scheme '${url.protocol}'`);
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+        if (this._matchesHostList(hostname, this.config.mediaFetchBlockedHosts)) {
+            throw new Error(`Media host '${hostname}' is blocked`);
+        }
+        const allowedHosts = this.config.mediaFetchAllowedHosts || [];
+        if (allowedHosts.length > 0 && !this._matchesHostList(hostname, allowedHosts)) {
+            throw new Error(`Media host '${hostname}' is not in the allowed host list`);
+        }
+
+        if (!this.config.mediaFetchAllowPrivateNetworks) {
+            const addresses = net.isIP(hostname)
+                ? [{ address: hostname }]
+                : await dns.promises.lookup(hostname, { all: true });
+            const privateAddress = addresses.find(({ address }) => this._isPrivateAddress(address));
+            if (privateAddress) {
+                throw new Error(`Refusing to fetch media from private address ${privateAddress.address} (${hostname})`);
+            }
+        }
+        return url;
+    }
+
+    /**
+     * Host list entries match the host itself and its subdomains; a leading "*." is optional.
+     */
+    _matchesHostList(hostname, hostList) {
+        return (hostList || []).some(entry => {
+            const host = String(entry).trim().toLowerCase().replace(/^\*\./, "");
+            return host && (hostname === host || hostname.endsWith(`.${host}`));
+        });
+    }
+
+    _isPrivateAddress(address) {
+        if (!net.isIPv6(address)) return PRIVATE_NETWORKS.check(address, "ipv4");
+        const embedded = this._getEmbeddedIPv4(address);
+        if (embedded && PRIVATE_NETWORKS.check(embedded, "ipv4")) return true;
+        return PRIVATE_NETWORKS.check(address, "ipv6");
+    }
+
+    /**
+     * @param {string} address - IPv6 address
+     * @returns {string|null} The IPv4 address carried by an IPv4-mapped, IPv4-compatible, NAT64 or 6to4 address
+     */
+    _getEmbeddedIPv4(address) {
+        let text = address.toLowerCase().split("%")[0];
+        const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+        if (dotted) {
+            const [a, b, c, d] = dotted.slice(2).map(Number);
+            text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+        }
+        const [head, tail] = text.split("::");
+        const headParts = head ? head.split(":") : [];
+        const tailParts = tail ? tail.split(":") : [];
+        const fill = text.includes("::") ? 8 - headParts.length - tailParts.length : 0;
+        const hextets = [...headParts, ...Array(fill).fill("0"), ...tailParts].map(part => parseInt(part, 16));
+
+        const range = IPV4_EMBEDDING_RANGES.find(({ prefix }) => prefix.every((value, i) => hextets[i] === value));
+        if (!range) return null;
+        const high = hextets[range.offset];
+        const low = hextets[range.offset + 1];
+        return [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+    }
+
+    /**
+     * DNS lookup for the download agents. Checking the address at connect time also covers hosts that resolve to a
+     * public address during validation and to a private one afterwards (DNS rebinding).
+     */
+    _guardedLookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const privateAddress = this.config.mediaFetchAllowPrivateNetworks
+                ? null
+                : addresses.find(({ address }) => this._isPrivateAddress(address));
+            if (privateAddress) {
+                return callback(
+                    new Error(`Refusing to fetch media from private address ${privateAddress.address} (${hostname})`)
+                );
+            }
+            if (options.all) return callback(null, addresses);
+            return callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    _sniffMimeType(data) {
+        for (const { bytes, mimeType } of MAGIC_NUMBERS) {
+            if (data.length >= bytes.length && bytes.every((byte, index) => data[index] === byte)) return mimeType;
+        }
+        if (data.length >= 12) {
+            const riff = data.toString("latin1", 0, 4);
+            const format = data.toString("latin1", 8, 12);
+            if (riff === "RIFF" && format === "WEBP") return "image/webp";
+            if (riff === "RIFF" && format === "WAVE") return "audio/wav";
+            if (data.toString("latin1", 4, 8) === "ftyp") {
+                const brand = data.toString("latin1", 8, 12);
+                if (["heic", "heix", "mif1"].includes(brand)) return "image/heic";
+                if (brand === "M4A ") return "audio/mp4";
+                if (brand.startsWith("qt")) return "video/quicktime";
+                return "video/mp4";
+            }
+        }
+        if (data.length >= 2 && data[0] === 0xff && (data[1] & 0xe0) === 0xe0) return "audio/mpeg";
+        return null;
+    }
+
+    // === Cache ===
+
+    _getCacheKey(url) {
+        return crypto.createHash("sha256").update(url).digest("hex");
+    }
+
+    _getCachedEntry(url) {
+        const memoryEntry = this.memoryCache.get(url);
+        if (memoryEntry) {
+            this.memoryCache.delete(url);
+            this.memoryCache.set(url, memoryEntry);
+            return memoryEntry;
+        }
+
+        const key = this._getCacheKey(url);
+        const meta = this.diskIndex.get(key);
+        if (!meta || meta.url !== url) return null;
+        try {
+            const entry = { ...meta, data: fs.readFileSync(this._getCachePath(key, "data")) };
+            this._rememberInMemory(entry);
+            return entry;
+        } catch (error) {
+            this._removeFromDisk(key);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} entry - Cache entry
+     * @param {boolean} [dataChanged=true] - False after a revalidation, when only the metadata needs to be rewritten
+     */
+    _storeEntry(entry, dataChanged = true) {
+        this._rememberInMemory(entry);
+        if (this.diskCacheMaxBytes <= 0 || entry.data.length > this.diskCacheMaxBytes) return;
+
+        const key = this._getCacheKey(entry.url);
+        const { data, ...meta } = entry;
+        meta.size = data.length;
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            if (dataChanged || !this.diskIndex.has(key)) {
+                fs.writeFileSync(this._getCachePath(key, "data"), data);
+            }
+            fs.writeFileSync(this._getCachePath(key, "json"), JSON.stringify(meta), "utf-8");
+        } catch (error) {
+            this.logger.warn(`[Media] Failed to cache ${entry.url}: ${error.message}`);
+            return;
+        }
+
+        this.diskCacheBytes -= this.diskIndex.get(key)?.size || 0;
+        this.diskIndex.delete(key);
+        this.diskIndex.set(key, meta);
+        this.diskCacheBytes += meta.size;
+        while (this.diskCacheBytes > this.diskCacheMaxBytes && this.diskIndex.size > 1) {
+            this._removeFromDisk(this.diskIndex.keys().next().value);
+        }
+    }
+
+    _rememberInMemory(entry) {
+        const previous = this.memoryCache.get(entry.url);
+        if (previous) {
+            this.memoryCacheBytes -= previous.data.length;
+            this.memoryCache.delete(entry.url);
+        }
+        if (entry.data.length > MEMORY_CACHE_MAX_BYTES) return;
+
+        this.memoryCache.set(entry.url, entry);
+        this.memoryCacheBytes += entry.data.length;
+        while (this.memoryCache.size > MEMORY_CACHE_MAX_ENTRIES || this.memoryCacheBytes > MEMORY_CACHE_MAX_BYTES) {
+            const [oldestUrl, oldest] = this.memoryCache.entries().next().value;
+            this.memoryCache.delete(oldestUrl);
+            this.memoryCacheBytes -= oldest.data.length;
+        }
+    }
+
+    _removeFromDisk(key) {
+        const meta = this.diskIndex.get(key);
+        if (meta) {
+            this.diskCacheBytes -= meta.size || 0;
+            this.diskIndex.delete(key);
+        }
+        for (const suffix of ["json", "data"]) {
+            fs.promises.unlink(this._getCachePath(key, suffix)).catch(() => {});
+        }
+    }
+
+    _getCachePath(key, suffix) {
+        return path.join(this.cacheDir, `${key}.${suffix}`);
+    }
+
+    _loadDiskIndex() {
+        try {
+            if (!fs.existsSync(this.cacheDir)) return;
+
+            const loaded = [];
+            for (const fileName of fs.readdirSync(this.cacheDir)) {
+                if (!fileName.endsWith(".json")) continue;
+                const key = fileName.slice(0, -5);
+                if (!CACHE_KEY_PATTERN.test(key) || !fs.existsSync(this._getCachePath(key, "data"))) continue;
+                try {
+                    loaded.push([key, JSON.parse(fs.readFileSync(path.join(this.cacheDir, fileName), "utf-8"))]);
+                } catch (error) {
+                    this._removeFromDisk(key);
+                }
+            }
+
+            loaded.sort(([, a], [, b]) => a.fetchedAt - b.fetchedAt);
+            for (const [key, meta] of loaded) {
+                this.diskIndex.set(key, meta);
+                this.diskCacheBytes += meta.size || 0;
+            }
+            if (loaded.length > 0) {
+                this.logger.info(`[Media] Loaded ${loaded.length} cached media file(s).`);
+            }
+        } catch (error) {
+            this.logger.warn(`[Media] Failed to load media cache: ${error.message}`);
+        }
+    }
+}
+
+module.exports = MediaFetcher;
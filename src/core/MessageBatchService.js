@@ -0,0 +1,421 @@
+/**
+ * File: src/core/MessageBatchService.js
+ * Description: Anthropic Message Batches API. Batches are persisted under data/batches/ and drained by the batch
+ *              worker pool, which runs each item through the regular Claude request pipeline
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isAccessibleBy } = require("../utils/OwnershipUtils");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BATCH_REQUESTS = 100000;
+const CUSTOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BATCH_ID_PATTERN = /^msgbatch_[A-Za-z0-9]+$/;
+// Items that fail because the service is unavailable (browser not ready, no account) are retried after a pause
+const UNAVAILABLE_RETRY_DELAY_MS = 30000;
+const MAX_UNAVAILABLE_RETRIES = 5;
+
+/**
+ * Message Batch Service
+ * Each batch is stored as three files: `<id>.json` (batch object plus the owning API key), `<id>.requests.jsonl`
+ * (submitted items) and `<id>.results.jsonl` (results appended as items finish). Unfinished batches resume on startup.
+ * Items run as the API key that created the batch; methods that take an `apiKeyName` treat other keys' batches as
+ * missing.
+ */
+class MessageBatchService {
+    constructor(logger, requestHandler, workerPool, dataDir) {
+        this.logger = logger;
+        this.requestHandler = requestHandler;
+        this.workerPool = workerPool;
+        this.batchDir = path.join(dataDir || path.join(process.cwd(), "data"), "batches");
+
+        // batchId -> batch object (API shape)
+        this.batches = new Map();
+        // batchId -> API key that created the batch (null when created without one)
+        this.owners = new Map();
+        // batchId -> { pending: Array<{custom_id, params, retries}>, inFlight: number, writeChain: Promise }
+        this.workState = new Map();
+
+        this._loadBatches();
+        this.workerPool.register(this);
+    }
+
+    static isValidId(batchId) {
+        return typeof batchId === "string" && BATCH_ID_PATTERN.test(batchId);
+    }
+
+    /**
+     * Validate and persist a new batch.
+     * @param {Object} body - `{ requests: [{ custom_id, params }] }`
+     * @param {string|null} [apiKeyName] - API key that creates the batch and runs its items
+     * @returns {Promise<Object>} The batch object
+     * @throws {Error} If the request body is invalid or uses a model the key may not use
+     */
+    async createBatch(body, apiKeyName = null) {
+        const requests = body?.requests;
+        if (!Array.isArray(requests) || requests.length === 0) {
+            throw new Error("requests: must be a non-empty array.");
+        }
+        if (requests.length > MAX_BATCH_REQUESTS) {
+            throw new Error(`requests: a batch can contain at most ${MAX_BATCH_REQUESTS} requests.`);
+        }
+
+        const seenIds = new Set();
+        const items = requests.map((item, index) => {
+            const customId = item?.custom_id;
+            if (typeof customId !== "string" || !CUSTOM_ID_PATTERN.test(customId)) {
+                throw new Error(`requests.${index}.custom_id: must be 1-64 characters of letters, digits, '_' or '-'.`);
+            }
+            if (seenIds.has(customId)) {
+                throw new Error(`requests.${index}.custom_id: '${customId}' is used more than once.`);
+            }
+            seenIds.add(customId);
+            if (!item.params || typeof item.params !== "object" || !Array.isArray(item.params.messages)) {
+                throw new Error(`requests.${index}.params: must be a Messages API request body.`);
+            }
+            if (item.params.stream === true) {
+                throw new Error(`requests.${index}.params.stream: streaming is not supported in batches.`);
+            }
+            if (
+                apiKeyName &&
+                !this.requestHandler.serverSystem.apiKeyStore.isModelAllowed(apiKeyName, item.params.model)
+            ) {
+                throw new Error(
+                    `requests.${index}.params.model: API key "${apiKeyName}" is not allowed to use model "${item.params.model}".`
+                );
+            }
+            return { custom_id: customId, params: item.params };
+        });
+
+        const now = Date.now();
+        const batch = {
+            archived_at: null,
+            cancel_initiated_at: null,
+            created_at: new Date(now).toISOString(),
+            ended_at: null,
+            expires_at: new Date(now + DAY_MS).toISOString(),
+            id: `msgbatch_${now.toString(36)}${Math.random().toString(36).substring(2, 12)}`,
+            processing_status: "in_progress",
+            request_counts: { canceled: 0, errored: 0, expired: 0, processing: items.length, succeeded: 0 },
+            results_url: null,
+            type: "message_batch",
+        };
+
+        await fs.promises.mkdir(this.batchDir, { recursive: true });
+        await fs.promises.writeFile(
+            this._getFilePath(batch.id, "requests.jsonl"),
+            `${items.map(item => JSON.stringify(item)).join("\n")}\n`,
+            "utf-8"
+        );
+        await fs.promises.writeFile(this._getFilePath(batch.id, "results.jsonl"), "", "utf-8");
+        this.owners.set(batch.id, apiKeyName || null);
+        await this._writeBatch(batch);
+
+        this.batches.set(batch.id, batch);
+        this.workState.set(batch.id, this._createWorkState(items.map(item => ({ ...item, retries: 0 }))));
+        this.logger.info(`[Batch] Created message batch ${batch.id} with ${items.length} request(s).`);
+        this.workerPool.pump();
+        return batch;
+    }
+
+    getBatch(batchId, apiKeyName = null) {
+        const batch = this.batches.get(batchId);
+        return batch && isAccessibleBy(this.owners.get(batchId), apiKeyName) ? batch : null;
+    }
+
+    /**
+     * List batches, newest first, with Anthropic-style cursor pagination.
+     */
+    listBatches({ afterId, beforeId, limit } = {}, apiKeyName = null) {
+        const parsedLimit = parseInt(limit, 10);
+        const pageSize = Number.isFinite(parsedLimit) ? Math.min(1000, Math.max(1, parsedLimit)) : 20;
+        let batches = [...this.batches.values()]
+            .filter(batch => isAccessibleBy(this.owners.get(batch.id), apiKeyName))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+        if (afterId) {
+            const index = batches.findIndex(batch => batch.id === afterId);
+            batches = index === -1 ? [] : batches.slice(index + 1);
+        } else if (beforeId) {
+            const index = batches.findIndex(batch => batch.id === beforeId);
+            batches = index === -1 ? [] : batches.slice(Math.max(0, index - pageSize), index);
+        }
+
+        const data = batches.slice(0, pageSize);
+        return {
+            data,
+            first_id: data[0]?.id || null,
+            has_more: batches.length > pageSize,
+            last_id: data[data.length - 1]?.id || null,
+        };
+    }
+
+    /**
+     * Cancel a batch. Items that have not started are recorded as canceled; running items finish normally.
+     * @returns {Promise<Object|null>} The batch object, or null if not found
+     */
+    async cancelBatch(batchId, apiKeyName = null) {
+        const batch = this.getBatch(batchId, apiKeyName);
+        if (!batch) return null;
+        if (batch.processing_status !== "in_progress") return batch;
+
+        batch.processing_status = "canceling";
+        batch.cancel_initiated_at = new Date().toISOString();
+        this.logger.info(`[Batch] Canceling message batch ${batchId}`);
+
+        const state = this.workState.get(batchId);
+        const pending = state ? state.pending.splice(0) : [];
+        for (const item of pending) {
+            await this._recordResult(batch, item.custom_id, { type: "canceled" }, "canceled");
+        }
+        await this._finishIfDone(batch);
+        return batch;
+    }
+
+    /**
+     * Delete an ended batch and its files.
+     * @returns {Promise<boolean|null>} null if not found, false if the batch has not ended yet
+     */
+    async deleteBatch(batchId, apiKeyName = null) {
+        const batch = this.getBatch(batchId, apiKeyName);
+        if (!batch) return null;
+        if (batch.processing_status !== "ended") return false;
+
+        this.batches.delete(batchId);
+        this.owners.delete(batchId);
+        this.workState.delete(batchId);
+        for (const suffix of ["json", "requests.jsonl", "results.jsonl"]) {
+            await fs.promises.unlink(this._getFilePath(batchId, suffix)).catch(() => {});
+        }
+        this.logger.info(`[Batch] Deleted message batch ${batchId}`);
+        return true;
+    }
+
+    /**
+     * Path of the JSONL results file of an ended batch.
+     * @returns {string|null}
+     */
+    getResultsPath(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch || batch.processing_status !== "ended") return null;
+        return this._getFilePath(batchId, "results.jsonl");
+    }
+
+    _createWorkState(pending) {
+        return { inFlight: 0, pending, writeChain: Promise.resolve() };
+    }
+
+    /**
+     * Next item for the worker pool. Batches are drained in creation order.
+     * @returns {function(): Promise|null}
+     */
+    takeTask() {
+        const now = Date.now();
+        for (const [batchId, state] of this.workState.entries()) {
+            const batch = this.batches.get(batchId);
+            if (!batch || batch.processing_status !== "in_progress") continue;
+
+            if (now > Date.parse(batch.expires_at)) {
+                this._expireBatch(batch, state).catch(error => {
+                    this.logger.error(`[Batch] Failed to expire batch ${batchId}: ${error.message}`);
+                });
+                continue;
+            }
+            if (state.pending.length === 0) continue;
+
+            const item = state.pending.shift();
+            state.inFlight++;
+            return async () => {
+                try {
+                    await this._runItem(batch, state, item);
+                } finally {
+                    state.inFlight--;
+                    await this._finishIfDone(batch).catch(() => {});
+                }
+            };
+        }
+        return null;
+    }
+
+    async _runItem(batch, state, item) {
+        const { body, statusCode } = await this.requestHandler.executeInternalRequest("/v1/messages", item.params, {
+            apiKeyName: this.owners.get(batch.id),
+            requestCategory: "batch",
+        });
+
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            /* empty */
+        }
+
+        if (statusCode >= 200 && statusCode < 300 && payload) {
+            await this._recordResult(batch, item.custom_id, { message: payload, type: "succeeded" }, "succeeded");
+            return;
+        }
+
+        // The service itself is unavailable: put the item back and pause the worker instead of failing it
+        if (statusCode === 503 && item.retries < MAX_UNAVAILABLE_RETRIES && batch.processing_status === "in_progress") {
+            item.retries++;
+            state.pending.unshift(item);
+            this.workerPool.pause(UNAVAILABLE_RETRY_DELAY_MS);
+            this.logger.warn(
+                `[Batch] Service unavailable while processing ${batch.id}/${item.custom_id}, retrying in ${UNAVAILABLE_RETRY_DELAY_MS / 1000}s (${item.retries}/${MAX_UNAVAILABLE_RETRIES})`
+            );
+            return;
+        }
+
+        const error =
+            payload?.type === "error" && payload.error
+                ? payload
+                : {
+                      error: { message: body || `Request failed with status ${statusCode}`, type: "api_error" },
+                      type: "error",
+                  };
+        await this._recordResult(batch, item.custom_id, { error, type: "errored" }, "errored");
+    }
+
+    async _recordResult(batch, customId, result, countKey) {
+        const state = this.workState.get(batch.id);
+        batch.request_counts.processing = Math.max(0, batch.request_counts.processing - 1);
+        batch.request_counts[countKey]++;
+
+        const line = `${JSON.stringify({ custom_id: customId, result })}\n`;
+        const write = () =>
+            fs.promises
+                .appendFile(this._getFilePath(batch.id, "results.jsonl"), line, "utf-8")
+                .then(() => this._writeBatch(batch));
+        if (!state) {
+            await write();
+            return;
+        }
+        state.writeChain = state.writeChain.then(write).catch(error => {
+            this.logger.error(`[Batch] Failed to persist result for ${batch.id}/${customId}: ${error.message}`);
+        });
+        await state.writeChain;
+    }
+
+    async _expireBatch(batch, state) {
+        const pending = state.pending.splice(0);
+        this.logger.warn(`[Batch] Message batch ${batch.id} expired with ${pending.length} unprocessed request(s).`);
+        for (const item of pending) {
+            await this._recordResult(batch, item.custom_id, { type: "expired" }, "expired");
+        }
+        await this._finishIfDone(batch);
+    }
+
+    async _finishIfDone(batch) {
+        const state = this.workState.get(batch.id);
+        if (batch.processing_status === "ended" || (state && (state.pending.length > 0 || state.inFlight > 0))) {
+            return;
+        }
+
+        batch.processing_status = "ended";
+        batch.ended_at = new Date().toISOString();
+        batch.results_url = `/v1/messages/batches/${batch.id}/results`;
+        if (state) {
+            state.writeChain = state.writeChain.then(() => this._writeBatch(batch));
+            await state.writeChain;
+        } else {
+            await this._writeBatch(batch);
+        }
+
+        const counts = batch.request_counts;
+        this.logger.info(
+            `[Batch] Message batch ${batch.id} ended: ${counts.succeeded} succeeded, ${counts.errored} errored, ${counts.canceled} canceled, ${counts.expired} expired.`
+        );
+    }
+
+    _getFilePath(batchId, suffix) {
+        return path.join(this.batchDir, `${batchId}.${suffix}`);
+    }
+
+    async _writeBatch(batch) {
+        const filePath = this._getFilePath(batch.id, "json");
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(
+            tmpPath,
+            JSON.stringify({ ...batch, apiKeyName: this.owners.get(batch.id) || null }),
+            "utf-8"
+        );
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    _readJsonLines(filePath) {
+        if (!fs.existsSync(filePath)) return [];
+        return fs
+            .readFileSync(filePath, "utf-8")
+            .split("\n")
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    _loadBatches() {
+        try {
+            if (!fs.existsSync(this.batchDir)) return;
+
+            const loaded = [];
+            for (const fileName of fs.readdirSync(this.batchDir)) {
+                if (!fileName.endsWith(".json")) continue;
+                const batchId = fileName.slice(0, -5);
+                if (!MessageBatchService.isValidId(batchId)) continue;
+                try {
+                    loaded.push(JSON.parse(fs.readFileSync(path.join(this.batchDir, fileName), "utf-8")));
+                } catch (error) {
+                    this.logger.warn(`[Batch] Skipping unreadable batch file ${fileName}: ${error.message}`);
+                }
+            }
+
+            loaded.sort((a, b) => a.created_at.localeCompare(b.created_at));
+            for (const { apiKeyName, ...batch } of loaded) {
+                this.batches.set(batch.id, batch);
+                this.owners.set(batch.id, apiKeyName || null);
+                if (batch.processing_status === "ended") continue;
+
+                // Rebuild the pending list from items that have no result yet
+                const done = new Set(
+                    this._readJsonLines(this._getFilePath(batch.id, "results.jsonl")).map(line => line.custom_id)
+                );
+                const pending = this._readJsonLines(this._getFilePath(batch.id, "requests.jsonl"))
+                    .filter(item => !done.has(item.custom_id))
+                    .map(item => ({ ...item, retries: 0 }));
+                const counts = batch.request_counts;
+                counts.processing = pending.length;
+                this.workState.set(batch.id, this._createWorkState(pending));
+
+                if (batch.processing_status === "canceling") {
+                    // Cancellation was in progress when the server stopped; finish it on start
+                    this.workState.get(batch.id).pending = [];
+                    for (const item of pending) {
+                        counts.processing--;
+                        counts.canceled++;
+                        fs.appendFileSync(
+                            this._getFilePath(batch.id, "results.jsonl"),
+                            `${JSON.stringify({ custom_id: item.custom_id, result: { type: "canceled" } })}\n`
+                        );
+                    }
+                    this._finishIfDone(batch).catch(() => {});
+                }
+            }
+            if (loaded.length > 0) {
+                const unfinished = loaded.filter(batch => batch.processing_status === "in_progress").length;
+                this.logger.info(`[Batch] Loaded ${loaded.length} message batch(es), ${unfinished} to resume.`);
+            }
+        } catch (error) {
+            this.logger.warn(`[Batch] Failed to load message batches: ${error.message}`);
+        }
+    }
+}
+
+module.exports = MessageBatchService;
@@ -0,0 +1,327 @@
+/**
+ * File: src/core/MetricsService.js
+ * Description: Prometheus / OpenMetrics exposition of request, token, account, browser and connection metrics for
+ *              the /metrics endpoint
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const FormatConverter = require("./FormatConverter");
+
+const PREFIX = "aistudio";
+// Seconds; requests range from quick token counts to long generations
+const REQUEST_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+// Seconds; a context init includes page load and the WebSocket handshake
+const CONTEXT_INIT_BUCKETS = [5, 10, 15, 20, 30, 45, 60, 90, 120, 180];
+
+/**
+ * Metrics Service Module
+ * Request, token and retry series are fed from finished usage-stats records (so they need ENABLE_USAGE_STATS), context
+ * init durations from BrowserManager. Everything else is read from the owning module at scrape time. Counters start
+ * from zero on every restart, as Prometheus expects.
+ */
+class MetricsService {
+    constructor(logger, serverSystem) {
+        this.logger = logger;
+        this.serverSystem = serverSystem;
+        this.startedAt = Date.now();
+
+        // metric name -> Map(label key -> { labels, value })
+        this.counters = new Map();
+        // metric name -> Map(label key -> { buckets, counts, labels, count, sum })
+        this.histograms = new Map();
+    }
+
+    /**
+     * Count a finished usage-stats record.
+     */
+    handleFinishedRecord(record) {
+        if (!record) return;
+        const labels = {
+            account: Number.isInteger(record.finalAuthIndex) ? String(record.finalAuthIndex) : "none",
+            api_format: record.apiFormat || "unknown",
+            model: this._getModelLabel(record.model),
+            outcome: record.outcome || "unknown",
+        };
+        this._increment("requests_total", labels);
+        this._observe("request_duration_seconds", REQUEST_DURATION_BUCKETS, labels, (record.durationMs || 0) / 1000);
+
+        const retries = Math.max(0, (Number(record.attemptCount) || 0) - 1);
+        if (retries > 0) {
+            this._increment("request_retries_total", { api_format: labels.api_format, model: labels.model }, retries);
+        }
+
+        for (const [type, field] of [
+            ["input", "inputTokens"],
+            ["output", "outputTokens"],
+        ]) {
+            const tokens = Number(record[field]) || 0;
+            if (tokens > 0) {
+                this._increment(
+                    "tokens_total",
+                    { account: labels.account, api_format: labels.api_format, model: labels.model, type },
+                    tokens
+                );
+            }
+        }
+    }
+
+    /**
+     * Model label of a record: a model from configs/models.json (without name suffixes) or a model alias. Any other
+     * name a client sent is counted as "other", so arbitrary model names cannot grow the number of series.
+     */
+    _getModelLabel(model) {
+        if (!model) return "unknown";
+        const name = String(model).replace(/^models\//, "");
+        const config = this.serverSystem.config;
+        if (Object.prototype.hasOwnProperty.call(config.modelAliases || {}, name)) return name;
+
+        const modelName = FormatConverter.stripModelSuffixes(name);
+        const isListed = (config.modelList || []).some(item => item.name === `models/${modelName}`);
+        return isListed ? modelName : "other";
+    }
+
+    /**
+     * Record a browser context initialization.
+     * @param {number} authIndex - Account
+     * @param {number} durationMs - Time from start to success or failure
+     * @param {string} outcome - success, failure, auth_expired or aborted
+     */
+    observeContextInit(authIndex, durationMs, outcome) {
+        this._observe(
+            "browser_context_init_duration_seconds",
+            CONTEXT_INIT_BUCKETS,
+            { account: String(authIndex), outcome },
+            durationMs / 1000
+        );
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.openMetrics] - OpenMetrics 1.0 instead of the Prometheus 0.0.4 text format
+     * @returns {string} The exposition
+     */
+    render({ openMetrics = false } = {}) {
+        const lines = [];
+        for (const family of this._collect()) {
+            // OpenMetrics names counter families without the _total suffix of their samples
+            const familyName =
+                openMetrics && family.type === "counter" ? family.name.replace(/_total$/, "") : family.name;
+            lines.push(`# HELP ${PREFIX}_${familyName} ${family.help}`);
+            lines.push(`# TYPE ${PREFIX}_${familyName} ${family.type}`);
+            for (const sample of family.samples) {
+                lines.push(
+                    `${PREFIX}_${family.name}${sample.suffix || ""}${MetricsService._formatLabels(sample.labels)} ${MetricsService._formatValue(sample.value)}`
+                );
+            }
+        }
+        if (openMetrics) lines.push("# EOF");
+        return `${lines.join("\n")}\n`;
+    }
+
+    _collect() {
+        const { authSwitcher } = this.serverSystem.requestHandler;
+        const { admissionController, browserManager, config, connectionRegistry } = this.serverSystem;
+        const families = [];
+        const gauge = (name, help, samples) => families.push({ help, name, samples, type: "gauge" });
+        const counter = (name, help, samples) => families.push({ help, name, samples, type: "counter" });
+        const fromCounts = (counts, labelName) =>
+            Object.entries(counts).map(([value, count]) => ({ labels: { [labelName]: value }, value: count }));
+
+        gauge("start_time_seconds", "Start time of the proxy since the Unix epoch in seconds.", [
+            { value: this.startedAt / 1000 },
+        ]);
+
+        counter("requests_total", "Finished API requests.", this._counterSamples("requests_total"));
+        families.push({
+            help: "Duration of finished API requests in seconds.",
+            name: "request_duration_seconds",
+            samples: this._histogramSamples("request_duration_seconds"),
+            type: "histogram",
+        });
+        counter(
+            "request_retries_total",
+            "Extra attempts made for API requests.",
+            this._counterSamples("request_retries_total")
+        );
+        counter("tokens_total", "Tokens reported by finished API requests.", this._counterSamples("tokens_total"));
+
+        gauge("current_account", "Auth index of the current account, -1 if none.", [
+            { value: this.serverSystem.requestHandler.currentAuthIndex },
+        ]);
+        gauge("system_busy", "Whether an account switch or recovery is in progress.", [
+            { value: authSwitcher.isSystemBusy ? 1 : 0 },
+        ]);
+        counter("account_failures_total", "Request failures counted towards account switching.", [
+            { value: authSwitcher.totalFailures },
+        ]);
+        counter(
+            "account_switches_total",
+            "Account switches by outcome (skipped: another switch was in progress).",
+            fromCounts(authSwitcher.switchCounts, "outcome")
+        );
+        counter(
+            "account_relogins_total",
+            "Automatic re-logins of expired accounts by outcome.",
+            fromCounts(this.serverSystem.autoRelogin.counts, "outcome")
+        );
+        gauge("accounts_expired", "Accounts marked as expired.", [
+            { value: this.serverSystem.authSource.expiredIndices.length },
+        ]);
+        counter(
+            "account_health_probes_total",
+            "Background account health probes by outcome.",
+            fromCounts(this.serverSystem.healthProber.counts, "outcome")
+        );
+        gauge(
+            "account_healthy",
+            "Whether the last health probe of an account succeeded.",
+            Object.entries(this.serverSystem.healthProber.getStatus().accounts).map(([authIndex, account]) => ({
+                labels: { account: authIndex },
+                value: account.history[account.history.length - 1]?.reason ? 0 : 1,
+            }))
+        );
+
+        gauge("browser_contexts", "Browser contexts by state.", [
+            { labels: { state: "active" }, value: browserManager.contexts.size },
+            { labels: { state: "initializing" }, value: browserManager.initializingContexts.size },
+        ]);
+        gauge("browser_contexts_max", "Maximum number of logged-in contexts (MAX_CONTEXTS), 0 if unlimited.", [
+            { value: config.maxContexts },
+        ]);
+        families.push({
+            help: "Duration of browser context initializations in seconds.",
+            name: "browser_context_init_duration_seconds",
+            samples: this._histogramSamples("browser_context_init_duration_seconds"),
+            type: "histogram",
+        });
+
+        const accounts = new Set([...browserManager.contexts.keys(), ...connectionRegistry.connectionsByAuth.keys()]);
+        const queueCounts = new Map();
+        for (const entry of connectionRegistry.messageQueues.values()) {
+            queueCounts.set(entry.authIndex, (queueCounts.get(entry.authIndex) || 0) + 1);
+            accounts.add(entry.authIndex);
+        }
+        const sortedAccounts = [...accounts].sort((a, b) => a - b);
+        gauge(
+            "websocket_connected",
+            "Whether the browser WebSocket of an account is connected.",
+            sortedAccounts.map(authIndex => ({
+                labels: { account: String(authIndex) },
+                value: connectionRegistry.connectionsByAuth.has(authIndex) ? 1 : 0,
+            }))
+        );
+        gauge("websocket_reconnecting", "Accounts with a lightweight reconnect in progress.", [
+            { value: connectionRegistry.reconnectingAccounts.size },
+        ]);
+        counter(
+            "websocket_events_total",
+            "Browser WebSocket connection events (reconnected: connected again after a disconnect).",
+            fromCounts(connectionRegistry.connectionCounts, "event")
+        );
+        counter(
+            "websocket_lightweight_reconnects_total",
+            "Lightweight reconnect attempts by outcome.",
+            fromCounts(connectionRegistry.lightweightReconnectCounts, "outcome")
+        );
+        gauge(
+            "message_queues_open",
+            "Open message queues (requests waiting for the browser) per account.",
+            sortedAccounts.map(authIndex => ({
+                labels: { account: String(authIndex) },
+                value: queueCounts.get(authIndex) || 0,
+            }))
+        );
+
+        const { sessionAffinity } = this.serverSystem.requestHandler;
+        gauge("sticky_sessions", "Conversations pinned to an account.", [
+            { value: sessionAffinity.getStatus().sessions },
+        ]);
+        counter(
+            "sticky_session_routes_total",
+            "Requests of sticky sessions by outcome (moved: the pinned account could not take the request).",
+            fromCounts(sessionAffinity.counts, "outcome")
+        );
+
+        const admission = admissionController.getStats();
+        gauge("admission_active_requests", "Requests holding an admission slot.", [{ value: admission.active }]);
+        gauge("admission_max_concurrent_requests", "Admission slots (MAX_CONCURRENT_REQUESTS), 0 if unlimited.", [
+            { value: admission.maxConcurrent },
+        ]);
+        gauge(
+            "admission_queued_requests",
+            "Requests waiting in the admission queue by priority.",
+            fromCounts(admission.queued, "priority")
+        );
+        counter("admission_rejected_total", "Requests rejected because the admission queue was full.", [
+            { value: admission.rejected },
+        ]);
+        counter("admission_timeouts_total", "Requests that timed out in the admission queue.", [
+            { value: admission.timedOut },
+        ]);
+
+        return families;
+    }
+
+    _counterSamples(name) {
+        return [...(this.counters.get(name)?.values() || [])].map(({ labels, value }) => ({
+            labels,
+            suffix: "",
+            value,
+        }));
+    }
+
+    _histogramSamples(name) {
+        const samples = [];
+        for (const series of this.histograms.get(name)?.values() || []) {
+            let cumulative = 0;
+            series.buckets.forEach((bound, index) => {
+                cumulative += series.counts[index];
+                samples.push({ labels: { ...series.labels, le: String(bound) }, suffix: "_bucket", value: cumulative });
+            });
+            samples.push({ labels: { ...series.labels, le: "+Inf" }, suffix: "_bucket", value: series.count });
+            samples.push({ labels: series.labels, suffix: "_sum", value: series.sum });
+            samples.push({ labels: series.labels, suffix: "_count", value: series.count });
+        }
+        return samples;
+    }
+
+    _increment(name, labels, value = 1) {
+        if (!this.counters.has(name)) this.counters.set(name, new Map());
+        const series = this.counters.get(name);
+        const key = JSON.stringify(labels);
+        if (!series.has(key)) series.set(key, { labels, value: 0 });
+        series.get(key).value += value;
+    }
+
+    _observe(name, buckets, labels, value) {
+        if (!Number.isFinite(value)) return;
+        if (!this.histograms.has(name)) this.histograms.set(name, new Map());
+        const series = this.histograms.get(name);
+        const key = JSON.stringify(labels);
+        if (!series.has(key)) {
+            series.set(key, { buckets, count: 0, counts: buckets.map(() => 0), labels, sum: 0 });
+        }
+        const entry = series.get(key);
+        const index = buckets.findIndex(bound => value <= bound);
+        if (index !== -1) entry.counts[index]++;
+        entry.count++;
+        entry.sum += value;
+    }
+
+    static _formatLabels(labels) {
+        const entries = Object.entries(labels || {});
+        if (entries.length === 0) return "";
+        const escape = value => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+        return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+    }
+
+    static _formatValue(value) {
+        const number = Number(value);
+        if (Number.isNaN(number)) return "NaN";
+        if (!Number.isFinite(number)) return number > 0 ? "+Inf" : "-Inf";
+        return String(number);
+    }
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,106 @@
+/**
+ * File: src/core/ModelCooldownRegistry.js
+ * Description: Tracks per-(account, model) cooldowns after 429 responses so only the exhausted model is routed away
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const { extractGoogleErrorBody, parseRetryDelayMs } = require("../utils/GoogleErrorUtils");
+
+/**
+ * Model Cooldown Registry Module
+ * A 429 on one model only blocks that model on that account. The expiry comes from Google's RetryInfo
+ * (retryDelay) when present, otherwise from the configured default cooldown.
+ */
+class ModelCooldownRegistry {
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+
+        // authIndex -> Map(model -> { reason, until })
+        this.cooldowns = new Map();
+    }
+
+    get defaultCooldownMs() {
+        const seconds = Number(this.config.modelCooldownSeconds);
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+    }
+
+    isEnabled() {
+        return this.defaultCooldownMs > 0;
+    }
+
+    /**
+     * Put a model on cooldown for one account after a 429.
+     * @param {number} authIndex - Account that received the 429
+     * @param {string} model - Model the request targeted
+     * @param {Object} errorPayload - Error message forwarded by the browser ({ status, message })
+     * @returns {{authIndex: number, model: string, until: number}|null} The cooldown, or null if not applied
+     */
+    recordRateLimit(authIndex, model, errorPayload) {
+        if (!this.isEnabled() || !Number.isInteger(authIndex) || authIndex < 0 || !model) return null;
+
+        const retryDelayMs = parseRetryDelayMs(extractGoogleErrorBody(errorPayload?.message));
+        const durationMs = retryDelayMs || this.defaultCooldownMs;
+        const until = Date.now() + durationMs;
+        const reason = retryDelayMs ? "retry_info" : "default";
+
+        let models = this.cooldowns.get(authIndex);
+        if (!models) {
+            models = new Map();
+            this.cooldowns.set(authIndex, models);
+        }
+        const existing = models.get(model);
+        if (!existing || existing.until < until) {
+            models.set(model, { reason, until });
+        }
+
+        this.logger.warn(
+            `[Cooldown] Account #${authIndex} is cooling down for ${model} for ${Math.ceil(durationMs / 1000)}s (${retryDelayMs ? "from RetryInfo" : "default cooldown"}), other models stay available.`
+        );
+        return { authIndex, model, until: Math.max(until, existing?.until || 0) };
+    }
+
+    /**
+     * @returns {number} Remaining cooldown in milliseconds (0 if the model is usable on this account)
+     */
+    getRemainingMs(authIndex, model) {
+        const models = this.cooldowns.get(authIndex);
+        const entry = models?.get(model);
+        if (!entry) return 0;
+
+        const remaining = entry.until - Date.now();
+        if (remaining <= 0) {
+            models.delete(model);
+            if (models.size === 0) this.cooldowns.delete(authIndex);
+            return 0;
+        }
+        return remaining;
+    }
+
+    isCoolingDown(authIndex, model) {
+        if (!model) return false;
+        return this.getRemainingMs(authIndex, model) > 0;
+    }
+
+    /**
+     * Active cooldowns of one account for the status API
+     * @returns {Array<Object>} One entry per model still cooling down
+     */
+    getAccountCooldowns(authIndex) {
+        const models = this.cooldowns.get(authIndex);
+        if (!models) return [];
+
+        return Array.from(models.entries())
+            .map(([model, entry]) => ({
+                model,
+                reason: entry.reason,
+                remainingMs: this.getRemainingMs(authIndex, model),
+                until: new Date(entry.until).toISOString(),
+            }))
+            .filter(item => item.remainingMs > 0)
+            .sort((a, b) => a.remainingMs - b.remainingMs);
+    }
+}
+
+module.exports = ModelCooldownRegistry;
@@ -0,0 +1,485 @@
+/**
+ * File: src/core/OpenAIBatchService.js
+ * Description: OpenAI Batch API. Batches read their requests from an uploaded JSONL file, are persisted under
+ *              data/openai-batches/ and drained by the batch worker pool through the regular request handlers
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isAccessibleBy } = require("../utils/OwnershipUtils");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BATCH_REQUESTS = 50000;
+const SUPPORTED_ENDPOINTS = ["/v1/chat/completions", "/v1/embeddings", "/v1/responses"];
+const BATCH_ID_PATTERN = /^batch_[A-Za-z0-9]+$/;
+// Items that fail because the service is unavailable (browser not ready, no account) are retried after a pause
+const UNAVAILABLE_RETRY_DELAY_MS = 30000;
+const MAX_UNAVAILABLE_RETRIES = 5;
+
+/**
+ * OpenAI Batch Service
+ * Each batch is stored as `<id>.json` (batch object plus the owning API key), `<id>.requests.jsonl` (validated input
+ * lines), `<id>.output.jsonl` and `<id>.errors.jsonl` (results appended as items finish). When a batch ends, its output
+ * and error lines are published as files with purpose "batch_output". Unfinished batches resume on startup.
+ * Requests run as the API key that created the batch, which also owns the published files; methods that take an
+ * `apiKeyName` treat other keys' batches as missing.
+ */
+class OpenAIBatchService {
+    constructor(logger, requestHandler, workerPool, fileStore, dataDir) {
+        this.logger = logger;
+        this.requestHandler = requestHandler;
+        this.workerPool = workerPool;
+        this.fileStore = fileStore;
+        this.batchDir = path.join(dataDir || path.join(process.cwd(), "data"), "openai-batches");
+
+        // batchId -> batch object (API shape)
+        this.batches = new Map();
+        // batchId -> API key that created the batch (null when created without one)
+        this.owners = new Map();
+        // batchId -> { pending: Array<{body, custom_id, retries}>, inFlight: number, writeChain: Promise }
+        this.workState = new Map();
+
+        this._loadBatches();
+        this.workerPool.register(this);
+    }
+
+    static get supportedEndpoints() {
+        return SUPPORTED_ENDPOINTS;
+    }
+
+    static isValidId(batchId) {
+        return typeof batchId === "string" && BATCH_ID_PATTERN.test(batchId);
+    }
+
+    /**
+     * Create a batch from an uploaded input file. Input lines that fail validation fail the whole batch,
+     * as they do upstream.
+     * @param {Object} body - `{ input_file_id, endpoint, completion_window, metadata }`
+     * @param {string|null} [apiKeyName] - API key that creates the batch and runs its requests
+     * @returns {Promise<Object>} The batch object
+     * @throws {Error} If the request body itself is invalid
+     */
+    async createBatch(body, apiKeyName = null) {
+        const { completion_window: completionWindow, endpoint, input_file_id: inputFileId, metadata } = body || {};
+        if (!SUPPORTED_ENDPOINTS.includes(endpoint)) {
+            throw new Error(`endpoint: must be one of ${SUPPORTED_ENDPOINTS.join(", ")}.`);
+        }
+        if (completionWindow !== "24h") {
+            throw new Error("completion_window: only '24h' is supported.");
+        }
+        if (metadata !== undefined && metadata !== null && (typeof metadata !== "object" || Array.isArray(metadata))) {
+            throw new Error("metadata: must be an object.");
+        }
+        const inputFile = this.fileStore.get(inputFileId, apiKeyName);
+        if (!inputFile) {
+            throw new Error(`input_file_id: file '${inputFileId}' not found.`);
+        }
+        if (inputFile.purpose !== "batch") {
+            throw new Error(`input_file_id: file '${inputFileId}' must be uploaded with purpose 'batch'.`);
+        }
+
+        const now = Date.now();
+        const batch = {
+            cancelled_at: null,
+            cancelling_at: null,
+            completed_at: null,
+            completion_window: completionWindow,
+            created_at: Math.floor(now / 1000),
+            endpoint,
+            error_file_id: null,
+            errors: null,
+            expired_at: null,
+            expires_at: Math.floor((now + DAY_MS) / 1000),
+            failed_at: null,
+            finalizing_at: null,
+            id: `batch_${now.toString(36)}${Math.random().toString(36).substring(2, 12)}`,
+            in_progress_at: null,
+            input_file_id: inputFileId,
+            metadata: metadata || null,
+            object: "batch",
+            output_file_id: null,
+            request_counts: { completed: 0, failed: 0, total: 0 },
+            status: "validating",
+        };
+
+        const content = await this.fileStore.readContent(inputFileId, apiKeyName);
+        const { errors, items } = this._parseInputLines(content.toString("utf-8"), endpoint, apiKeyName);
+
+        await fs.promises.mkdir(this.batchDir, { recursive: true });
+        if (errors.length > 0) {
+            batch.status = "failed";
+            batch.failed_at = Math.floor(Date.now() / 1000);
+            batch.errors = { data: errors, object: "list" };
+            this.logger.warn(`[Batch] OpenAI batch ${batch.id} failed validation: ${errors[0].message}`);
+        } else {
+            await fs.promises.writeFile(
+                this._getFilePath(batch.id, "requests.jsonl"),
+                `${items.map(item => JSON.stringify(item)).join("\n")}\n`,
+                "utf-8"
+            );
+            await fs.promises.writeFile(this._getFilePath(batch.id, "output.jsonl"), "", "utf-8");
+            await fs.promises.writeFile(this._getFilePath(batch.id, "errors.jsonl"), "", "utf-8");
+            batch.status = "in_progress";
+            batch.in_progress_at = Math.floor(Date.now() / 1000);
+            batch.request_counts.total = items.length;
+            this.workState.set(batch.id, this._createWorkState(items.map(item => ({ ...item, retries: 0 }))));
+            this.logger.info(
+                `[Batch] Created OpenAI batch ${batch.id} with ${items.length} ${endpoint} request(s) from ${inputFileId}.`
+            );
+        }
+
+        this.owners.set(batch.id, apiKeyName || null);
+        await this._writeBatch(batch);
+        this.batches.set(batch.id, batch);
+        this.workerPool.pump();
+        return batch;
+    }
+
+    getBatch(batchId, apiKeyName = null) {
+        const batch = this.batches.get(batchId);
+        return batch && isAccessibleBy(this.owners.get(batchId), apiKeyName) ? batch : null;
+    }
+
+    /**
+     * List batches, newest first.
+     */
+    listBatches({ after, limit } = {}, apiKeyName = null) {
+        const parsedLimit = parseInt(limit, 10);
+        const pageSize = Number.isFinite(parsedLimit) ? Math.min(100, Math.max(1, parsedLimit)) : 20;
+        let batches = [...this.batches.values()]
+            .filter(batch => isAccessibleBy(this.owners.get(batch.id), apiKeyName))
+            .reverse();
+        if (after) {
+            const index = batches.findIndex(batch => batch.id === after);
+            batches = index === -1 ? [] : batches.slice(index + 1);
+        }
+
+        const data = batches.slice(0, pageSize);
+        return {
+            data,
+            first_id: data[0]?.id || null,
+            has_more: batches.length > pageSize,
+            last_id: data[data.length - 1]?.id || null,
+            object: "list",
+        };
+    }
+
+    /**
+     * Cancel a batch. Requests that have not started are dropped; running requests finish normally.
+     * @returns {Promise<Object|null>} The batch object, or null if not found
+     */
+    async cancelBatch(batchId, apiKeyName = null) {
+        const batch = this.getBatch(batchId, apiKeyName);
+        if (!batch) return null;
+        if (batch.status !== "in_progress") return batch;
+
+        batch.status = "cancelling";
+        batch.cancelling_at = Math.floor(Date.now() / 1000);
+        this.logger.info(`[Batch] Cancelling OpenAI batch ${batchId}`);
+
+        const state = this.workState.get(batchId);
+        if (state) state.pending = [];
+        await this._writeBatch(batch);
+        await this._finishIfDone(batch);
+        return batch;
+    }
+
+    /**
+     * Next item for the worker pool. Batches are drained in creation order.
+     * @returns {function(): Promise|null}
+     */
+    takeTask() {
+        const nowSeconds = Date.now() / 1000;
+        for (const [batchId, state] of this.workState.entries()) {
+            const batch = this.batches.get(batchId);
+            if (!batch || batch.status !== "in_progress") continue;
+
+            if (nowSeconds > batch.expires_at) {
+                this._expireBatch(batch, state).catch(error => {
+                    this.logger.error(`[Batch] Failed to expire batch ${batchId}: ${error.message}`);
+                });
+                continue;
+            }
+            if (state.pending.length === 0) continue;
+
+            const item = state.pending.shift();
+            state.inFlight++;
+            return async () => {
+                try {
+                    await this._runItem(batch, state, item);
+                } finally {
+                    state.inFlight--;
+                    await this._finishIfDone(batch).catch(error => {
+                        this.logger.error(`[Batch] Failed to finalize batch ${batchId}: ${error.message}`);
+                    });
+                }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Validate the JSONL input file against the batch endpoint and the models the creating API key may use.
+     * @returns {{errors: Array<Object>, items: Array<{body: Object, custom_id: string}>}}
+     */
+    _parseInputLines(text, endpoint, apiKeyName = null) {
+        const apiKeyStore = this.requestHandler.serverSystem.apiKeyStore;
+        const errors = [];
+        const items = [];
+        const seenIds = new Set();
+        const addError = (code, line, message, param = null) => errors.push({ code, line, message, param });
+
+        text.split("\n").forEach((rawLine, index) => {
+            if (!rawLine.trim()) return;
+            const line = index + 1;
+
+            let entry;
+            try {
+                entry = JSON.parse(rawLine);
+            } catch {
+                addError("invalid_json_line", line, "This line is not parseable as valid JSON.");
+                return;
+            }
+
+            if (typeof entry?.custom_id !== "string" || !entry.custom_id) {
+                addError("missing_required_parameter", line, "custom_id is required.", "custom_id");
+            } else if (seenIds.has(entry.custom_id)) {
+                addError("duplicate_custom_id", line, `custom_id '${entry.custom_id}' is not unique.`, "custom_id");
+            } else if (entry.method !== "POST") {
+                addError("invalid_method", line, "Only the POST method is supported.", "method");
+            } else if (entry.url !== endpoint) {
+                addError(
+                    "mismatched_endpoint",
+                    line,
+                    `The URL '${entry.url}' does not match the batch endpoint '${endpoint}'.`,
+                    "url"
+                );
+            } else if (!entry.body || typeof entry.body !== "object" || Array.isArray(entry.body)) {
+                addError("invalid_request", line, "body must be a JSON object.", "body");
+            } else if (entry.body.stream === true) {
+                addError("invalid_request", line, "Streaming is not supported in batches.", "body.stream");
+            } else if (apiKeyName && !apiKeyStore.isModelAllowed(apiKeyName, entry.body.model)) {
+                addError(
+                    "model_not_allowed",
+                    line,
+                    `API key "${apiKeyName}" is not allowed to use model "${entry.body.model}".`,
+                    "body.model"
+                );
+            } else {
+                seenIds.add(entry.custom_id);
+                items.push({ body: entry.body, custom_id: entry.custom_id });
+            }
+        });
+
+        if (errors.length === 0 && items.length === 0) {
+            addError("empty_file", null, "The input file contains no requests.");
+        } else if (items.length > MAX_BATCH_REQUESTS) {
+            addError("too_many_requests", null, `A batch can contain at most ${MAX_BATCH_REQUESTS} requests.`);
+        }
+        return { errors: errors.slice(0, 100), items };
+    }
+
+    async _runItem(batch, state, item) {
+        const { body, statusCode } = await this.requestHandler.executeInternalRequest(batch.endpoint, item.body, {
+            apiKeyName: this.owners.get(batch.id),
+            requestCategory: "batch",
+        });
+
+        // The service itself is unavailable: put the item back and pause the worker instead of failing it
+        if (statusCode === 503 && item.retries < MAX_UNAVAILABLE_RETRIES && batch.status === "in_progress") {
+            item.retries++;
+            state.pending.unshift(item);
+            this.workerPool.pause(UNAVAILABLE_RETRY_DELAY_MS);
+            this.logger.warn(
+                `[Batch] Service unavailable while processing ${batch.id}/${item.custom_id}, retrying in ${UNAVAILABLE_RETRY_DELAY_MS / 1000}s (${item.retries}/${MAX_UNAVAILABLE_RETRIES})`
+            );
+            return;
+        }
+
+        let responseBody = body;
+        try {
+            responseBody = JSON.parse(body);
+        } catch {
+            /* empty */
+        }
+        const succeeded = statusCode >= 200 && statusCode < 300;
+        await this._recordResult(batch, state, succeeded, {
+            custom_id: item.custom_id,
+            error: null,
+            id: this._generateRequestLineId(),
+            response: { body: responseBody, status_code: statusCode },
+        });
+    }
+
+    async _recordResult(batch, state, succeeded, line) {
+        batch.request_counts[succeeded ? "completed" : "failed"]++;
+        const suffix = succeeded ? "output.jsonl" : "errors.jsonl";
+        const write = () =>
+            fs.promises
+                .appendFile(this._getFilePath(batch.id, suffix), `${JSON.stringify(line)}\n`, "utf-8")
+                .then(() => this._writeBatch(batch));
+        state.writeChain = state.writeChain.then(write).catch(error => {
+            this.logger.error(`[Batch] Failed to persist result for ${batch.id}/${line.custom_id}: ${error.message}`);
+        });
+        await state.writeChain;
+    }
+
+    async _expireBatch(batch, state) {
+        const pending = state.pending.splice(0);
+        batch.status = "expired";
+        batch.expired_at = Math.floor(Date.now() / 1000);
+        this.logger.warn(`[Batch] OpenAI batch ${batch.id} expired with ${pending.length} unprocessed request(s).`);
+        for (const item of pending) {
+            await this._recordResult(batch, state, false, {
+                custom_id: item.custom_id,
+                error: {
+                    code: "batch_expired",
+                    message: "This request could not be executed before the batch expired.",
+                },
+                id: this._generateRequestLineId(),
+                response: null,
+            });
+        }
+        await this._finishIfDone(batch);
+    }
+
+    /**
+     * Publish output and error files once no request of the batch is pending or running.
+     */
+    async _finishIfDone(batch) {
+        const state = this.workState.get(batch.id);
+        if (!state || state.pending.length > 0 || state.inFlight > 0 || state.finishing) return;
+        if (!["cancelling", "expired", "finalizing", "in_progress"].includes(batch.status)) return;
+
+        state.finishing = true;
+        await state.writeChain;
+        const finalStatus =
+            batch.status === "cancelling" ? "cancelled" : batch.status === "expired" ? "expired" : "completed";
+        if (batch.status === "in_progress") {
+            batch.status = "finalizing";
+            batch.finalizing_at = Math.floor(Date.now() / 1000);
+            await this._writeBatch(batch);
+        }
+
+        batch.output_file_id = await this._publishResultFile(batch, "output.jsonl", "output");
+        batch.error_file_id = await this._publishResultFile(batch, "errors.jsonl", "errors");
+        batch.status = finalStatus;
+        if (finalStatus === "completed") batch.completed_at = Math.floor(Date.now() / 1000);
+        if (finalStatus === "cancelled") batch.cancelled_at = Math.floor(Date.now() / 1000);
+        await this._writeBatch(batch);
+        this.workState.delete(batch.id);
+
+        const counts = batch.request_counts;
+        this.logger.info(
+            `[Batch] OpenAI batch ${batch.id} ${finalStatus}: ${counts.completed} completed, ${counts.failed} failed, ${counts.total} total.`
+        );
+    }
+
+    async _publishResultFile(batch, suffix, label) {
+        const content = await fs.promises.readFile(this._getFilePath(batch.id, suffix)).catch(() => null);
+        if (!content || content.length === 0) return null;
+        const file = await this.fileStore.create(
+            content,
+            `${batch.id}_${label}.jsonl`,
+            "batch_output",
+            this.owners.get(batch.id)
+        );
+        return file.id;
+    }
+
+    _createWorkState(pending) {
+        return { finishing: false, inFlight: 0, pending, writeChain: Promise.resolve() };
+    }
+
+    _generateRequestLineId() {
+        return `batch_req_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 12)}`;
+    }
+
+    _getFilePath(batchId, suffix) {
+        return path.join(this.batchDir, `${batchId}.${suffix}`);
+    }
+
+    async _writeBatch(batch) {
+        const filePath = this._getFilePath(batch.id, "json");
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(
+            tmpPath,
+            JSON.stringify({ ...batch, apiKeyName: this.owners.get(batch.id) || null }),
+            "utf-8"
+        );
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    _readJsonLines(filePath) {
+        if (!fs.existsSync(filePath)) return [];
+        return fs
+            .readFileSync(filePath, "utf-8")
+            .split("\n")
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    _loadBatches() {
+        try {
+            if (!fs.existsSync(this.batchDir)) return;
+
+            const loaded = [];
+            for (const fileName of fs.readdirSync(this.batchDir)) {
+                if (!fileName.endsWith(".json")) continue;
+                const batchId = fileName.slice(0, -5);
+                if (!OpenAIBatchService.isValidId(batchId)) continue;
+                try {
+                    loaded.push(JSON.parse(fs.readFileSync(path.join(this.batchDir, fileName), "utf-8")));
+                } catch (error) {
+                    this.logger.warn(`[Batch] Skipping unreadable batch file ${fileName}: ${error.message}`);
+                }
+            }
+
+            loaded.sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id));
+            let resumed = 0;
+            for (const { apiKeyName, ...batch } of loaded) {
+                this.batches.set(batch.id, batch);
+                this.owners.set(batch.id, apiKeyName || null);
+                if (!["cancelling", "finalizing", "in_progress"].includes(batch.status)) continue;
+
+                // Rebuild progress from the result files; requests without a result line are run again
+                const outputLines = this._readJsonLines(this._getFilePath(batch.id, "output.jsonl"));
+                const errorLines = this._readJsonLines(this._getFilePath(batch.id, "errors.jsonl"));
+                const done = new Set([...outputLines, ...errorLines].map(line => line.custom_id));
+                batch.request_counts.completed = outputLines.length;
+                batch.request_counts.failed = errorLines.length;
+
+                const pending =
+                    batch.status === "in_progress"
+                        ? this._readJsonLines(this._getFilePath(batch.id, "requests.jsonl"))
+                              .filter(item => !done.has(item.custom_id))
+                              .map(item => ({ ...item, retries: 0 }))
+                        : [];
+                this.workState.set(batch.id, this._createWorkState(pending));
+                if (pending.length > 0) {
+                    resumed++;
+                } else {
+                    this._finishIfDone(batch).catch(error => {
+                        this.logger.error(`[Batch] Failed to finalize batch ${batch.id}: ${error.message}`);
+                    });
+                }
+            }
+            if (loaded.length > 0) {
+                this.logger.info(`[Batch] Loaded ${loaded.length} OpenAI batch(es), ${resumed} to resume.`);
+            }
+        } catch (error) {
+            this.logger.warn(`[Batch] Failed to load OpenAI batches: ${error.message}`);
+        }
+    }
+}
+
+module.exports = OpenAIBatchService;
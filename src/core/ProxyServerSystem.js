@@ -5,6 +5,7 @@
  * Author: Ellinav, iBenzene, bbbugg
  */
 
+const crypto = require("crypto");
 const { EventEmitter } = require("events");
 const express = require("express");
 const WebSocket = require("ws");
@@ -17,11 +18,26 @@ const { URL } = require("url");
 
 const LoggingService = require("../utils/LoggingService");
 const AuthSource = require("../auth/AuthSource");
+const AccountHealthProber = require("../auth/AccountHealthProber");
+const AutoReloginService = require("../auth/AutoReloginService");
 const BrowserManager = require("./BrowserManager");
 const ConnectionRegistry = require("./ConnectionRegistry");
 const RequestHandler = require("./RequestHandler");
 const UsageStatsService = require("./UsageStatsService");
+const QuotaTracker = require("./QuotaTracker");
+const ModelCooldownRegistry = require("./ModelCooldownRegistry");
+const ResponseStore = require("./ResponseStore");
+const MediaFetcher = require("./MediaFetcher");
+const BatchWorkerPool = require("./BatchWorkerPool");
+const FileStore = require("./FileStore");
+const MessageBatchService = require("./MessageBatchService");
+const OpenAIBatchService = require("./OpenAIBatchService");
+const FormatConverter = require("./FormatConverter");
 const ConfigLoader = require("../utils/ConfigLoader");
+const SettingsStore = require("./SettingsStore");
+const ApiKeyStore = require("./ApiKeyStore");
+const AdmissionController = require("./AdmissionController");
+const MetricsService = require("./MetricsService");
 const WebRoutes = require("../routes/WebRoutes");
 
 /**
@@ -35,15 +51,63 @@ class ProxyServerSystem extends EventEmitter {
 
         const configLoader = new ConfigLoader(this.logger);
         this.config = configLoader.loadConfiguration();
+        this.settingsStore = new SettingsStore(this.logger, this.config);
+        configLoader.printConfiguration(this.config);
+        this.apiKeyStore = new ApiKeyStore(this.logger, this.config);
 
         this.authSource = new AuthSource(this.logger);
         this.browserManager = new BrowserManager(this.logger, this.config, this.authSource);
+        this.autoRelogin = new AutoReloginService(
+            this.logger,
+            this.config,
+            this.authSource,
+            this.browserManager,
+            path.join(process.cwd(), "data")
+        );
+        this.autoRelogin.setRestoredListener(() => {
+            this.browserManager.rebalanceContextPool().catch(err => {
+                this.logger.error(`[ReLogin] Background rebalance failed: ${err.message}`);
+            });
+            this.updateAutoSwitchTimer();
+        });
+        this.healthProber = new AccountHealthProber(
+            this.logger,
+            this.config,
+            this.authSource,
+            this.browserManager,
+            path.join(process.cwd(), "data")
+        );
         this.usageStatsService = new UsageStatsService(
             this.authSource,
             this.logger,
             path.join(process.cwd(), "data"),
             this.config.enableUsageStats
         );
+        this.quotaTracker = new QuotaTracker(
+            this.logger,
+            this.config,
+            this.authSource,
+            path.join(process.cwd(), "data"),
+            this.config.enableQuotaTracking
+        );
+        // Quota windows are fed from finished usage records (request counts + token usage)
+        this.usageStatsService.addFinishListener(record => this.quotaTracker.handleFinishedRecord(record));
+        // Per-key limits count tokens from finished records, and pick up the last day of records after a restart
+        this.apiKeyStore.seedUsage(this.usageStatsService.records);
+        this.usageStatsService.addFinishListener(record => this.apiKeyStore.handleFinishedRecord(record));
+        if (this.config.enableQuotaTracking && !this.config.enableUsageStats) {
+            this.logger.warn(
+                "[Quota] Usage stats are disabled, so request counts will not be tracked. Only 429-learned limits are kept."
+            );
+        }
+        this.metricsService = new MetricsService(this.logger, this);
+        this.usageStatsService.addFinishListener(record => this.metricsService.handleFinishedRecord(record));
+        this.browserManager.setContextInitListener((authIndex, durationMs, outcome) =>
+            this.metricsService.observeContextInit(authIndex, durationMs, outcome)
+        );
+        this.modelCooldowns = new ModelCooldownRegistry(this.logger, this.config);
+        this.responseStore = new ResponseStore(this.logger, this.config, path.join(process.cwd(), "data"));
+        this.mediaFetcher = new MediaFetcher(this.logger, this.config, path.join(process.cwd(), "data"));
 
         // Create ConnectionRegistry with lightweight reconnect callback
         // When WebSocket connection is lost but browser is still running,
@@ -108,6 +172,34 @@ class ProxyServerSystem extends EventEmitter {
             this.authSource
         );
         this.browserManager.setSystemBusyProvider(() => this.requestHandler?.isSystemBusy === true);
+        this.admissionController = new AdmissionController(
+            this.logger,
+            this.config,
+            () => this.requestHandler?.isSystemBusy === true
+        );
+        this.batchWorkerPool = new BatchWorkerPool(this.logger, this.config);
+        this.fileStore = new FileStore(this.logger, path.join(process.cwd(), "data"));
+        this.messageBatches = new MessageBatchService(
+            this.logger,
+            this.requestHandler,
+            this.batchWorkerPool,
+            path.join(process.cwd(), "data")
+        );
+        this.openAIBatches = new OpenAIBatchService(
+            this.logger,
+            this.requestHandler,
+            this.batchWorkerPool,
+            this.fileStore,
+            path.join(process.cwd(), "data")
+        );
+        // Batch items go through the browser, so draining starts once startup has finished
+        this.once("started", () => this.batchWorkerPool.start());
+        this.once("started", () => {
+            this.autoRelogin.start();
+            this.autoRelogin.scan();
+            this.healthProber.start();
+        });
+        this.settingsStore.addChangeListener(changed => this._handleSettingsChange(changed));
 
         this.httpServer = null;
         this.wsServer = null;
@@ -118,6 +210,8 @@ class ProxyServerSystem extends EventEmitter {
 
     async start(initialAuthIndex = null) {
         this.logger.info("[System] Starting flexible startup process...");
+        this.settingsStore.startWatching();
+        this.apiKeyStore.startWatching();
         await this._startHttpServer();
         await this._startWebSocketServer();
         this.logger.info(`[System] Proxy server system startup complete.`);
@@ -142,8 +236,12 @@ class ProxyServerSystem extends EventEmitter {
             return; // Exit early
         }
 
-        // Determine startup order
-        let startupOrder = allRotationIndices.length > 0 ? [...allRotationIndices] : [...allAvailableIndices];
+        // Determine startup order (accounts of the default account group first, they serve the ungrouped traffic)
+        const defaultPool = this.requestHandler.authSwitcher.getRotationPool();
+        let startupOrder =
+            allRotationIndices.length > 0
+                ? [...defaultPool, ...allRotationIndices.filter(i => !defaultPool.includes(i))]
+                : [...allAvailableIndices];
         const hasInitialAuthIndex = Number.isInteger(initialAuthIndex);
         if (hasInitialAuthIndex) {
             const canonicalInitialIndex = this.authSource.getCanonicalIndex(initialAuthIndex);
@@ -198,6 +296,31 @@ class ProxyServerSystem extends EventEmitter {
         this.updateAutoSwitchTimer();
     }
 
+    /**
+     * Apply settings that are not simply read from the config on use.
+     */
+    _handleSettingsChange(changed) {
+        if (
+            changed.includes("enableAutoSwitch") ||
+            changed.includes("autoSwitchIntervalHours") ||
+            changed.includes("defaultAccountGroup")
+        ) {
+            this.updateAutoSwitchTimer();
+        }
+        if (changed.includes("batchConcurrency")) {
+            this.batchWorkerPool.pump();
+        }
+        if (changed.includes("maxConcurrentRequests") || changed.includes("maxQueuedRequests")) {
+            this.admissionController.pump();
+        }
+        if (changed.includes("enableAutoRelogin")) {
+            this.autoRelogin.scan();
+        }
+        if (changed.includes("healthProbeIntervalMinutes")) {
+            this.healthProber.scan();
+        }
+    }
+
     // ========================================================================
     // MODIFICATION: Start of auto-account-switching logic
     // ========================================================================
@@ -209,7 +332,7 @@ class ProxyServerSystem extends EventEmitter {
         }
         this.nextSwitchTimestamp = null;
 
-        const rotationIndices = this.authSource.getRotationIndices();
+        const rotationIndices = this.requestHandler.authSwitcher.getRotationPool();
 
         // Conditions to start the timer
         if (!this.config.enableAutoSwitch) {
@@ -254,6 +377,169 @@ class ProxyServerSystem extends EventEmitter {
     // MODIFICATION: End of auto-account-switching logic
     // ========================================================================
 
+    /**
+     * Models from configs/models.json followed by the model aliases, which inherit the metadata of their target model.
+     * @param {string|null} [apiKeyName] - Named API key of the caller; only models it may use are listed
+     */
+    _getListedModels(apiKeyName = null) {
+        const aliasModels = Object.entries(this.config.modelAliases || {}).map(([name, alias]) => {
+            const targetName = `models/${FormatConverter.stripModelSuffixes(alias.model)}`;
+            const target = this.config.modelList.find(model => model.name === targetName) || {};
+            return {
+                ...target,
+                description: alias.description ?? target.description ?? `Alias of ${alias.model}`,
+                displayName: alias.displayName || name,
+                name: `models/${name}`,
+            };
+        });
+        const models = [...this.config.modelList, ...aliasModels];
+        return apiKeyName ? models.filter(model => this.apiKeyStore.isModelAllowed(apiKeyName, model.name)) : models;
+    }
+
+    /**
+     * Compare a metrics token in constant time. Both sides are hashed first, so the buffers have equal length and the
+     * comparison does not reveal the token length either.
+     */
+    _isMetricsTokenValid(provided, token) {
+        if (typeof provided !== "string") return false;
+        const digest = value => crypto.createHash("sha256").update(value).digest();
+        return crypto.timingSafeEqual(digest(provided), digest(token));
+    }
+
+    /**
+     * Model named by an API request, from the body (OpenAI / Claude) or the path (Gemini).
+     */
+    _getRequestedModel(req) {
+        if (typeof req.body?.model === "string" && req.body.model) return req.body.model;
+        const match = req.path.match(/\/models\/([^/:]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Error format of an API path, for responses sent before the request reaches its handler.
+     */
+    _getApiFormatForPath(pathValue) {
+        if (pathValue.startsWith("/v1/messages")) return "claude";
+        if (pathValue.startsWith("/v1/responses")) return "response_api";
+        if (pathValue.startsWith("/v1beta/")) return "gemini";
+        return "openai";
+    }
+
+    /**
+     * Priority class of an API request. The per-key priority applies first; any client may demote its own requests with
+     * `X-Request-Priority: batch`.
+     */
+    _getRequestPriority(req) {
+        const requested = String(req.headers["x-request-priority"] || "").toLowerCase();
+        if (requested === "batch" || requested === "low") return "batch";
+        return (req.apiKeyName && this.apiKeyStore.getPriority(req.apiKeyName)) || "interactive";
+    }
+
+    /**
+     * Account group of an API request, in order: the group its API key is bound to, the `X-Account-Group` header, the
+     * group of the requested model alias, DEFAULT_ACCOUNT_GROUP. A header naming another group than the key's is
+     * rejected, so a key bound to a group cannot reach other accounts.
+     */
+    _createAccountGroupMiddleware() {
+        return (req, res, next) => {
+            if (!req.path.startsWith("/v1")) return next();
+
+            const rawHeader = req.headers["x-account-group"];
+            const requested = rawHeader ? AuthSource.normalizeTag(String(rawHeader)) : null;
+            if (rawHeader && !requested) {
+                return res.status(400).json({ error: { message: `Invalid X-Account-Group "${rawHeader}".` } });
+            }
+
+            const keyGroup = req.apiKeyName ? this.apiKeyStore.getAccountGroup(req.apiKeyName) : null;
+            if (keyGroup && requested && requested !== keyGroup) {
+                this.logger.warn(
+                    `[Auth] API key "${req.apiKeyName}" asked for account group "${requested}" but is bound to "${keyGroup}".`
+                );
+                return res.status(403).json({
+                    error: { message: `API key "${req.apiKeyName}" is bound to account group "${keyGroup}".` },
+                });
+            }
+
+            req.accountGroup = keyGroup || requested || this.getAccountGroupForModel(this._getRequestedModel(req));
+            next();
+        };
+    }
+
+    /**
+     * Account group of a request that did not pick one: the group of its model alias, else DEFAULT_ACCOUNT_GROUP.
+     * @returns {string|null} The group, or null to use every account
+     */
+    getAccountGroupForModel(model) {
+        const alias = model ? this.config.modelAliases?.[String(model).replace(/^models\//, "")] : null;
+        return alias?.accountGroup || this.requestHandler.authSwitcher.defaultAccountGroup || null;
+    }
+
+    /**
+     * Admission queue for model requests. The slot is held until the response is closed, including streams.
+     * Requests that never get a slot are given back to their API key's request limits. The slot's priority and release
+     * function are kept on `req.admission`, so a background response can give the slot back once it queues its own.
+     */
+    _createAdmissionMiddleware() {
+        return (req, res, next) => {
+            if (req.method !== "POST" || !req.path.startsWith("/v1") || !this._getRequestedModel(req)) {
+                return next();
+            }
+
+            const key = req.apiKeyName || "shared";
+            const priority = this._getRequestPriority(req);
+            const ticket = this.admissionController.enqueue({
+                key,
+                priority,
+                timeoutMs: this.config.queueTimeoutMs,
+            });
+            res.set("X-Queue-Position", String(ticket.position));
+            res.set("X-Queue-ETA", String(ticket.etaSeconds));
+
+            const refund = () => {
+                if (req.apiKeyName) this.apiKeyStore.refundRequest(req.apiKeyName);
+            };
+            const reject = (message, retryAfterSeconds) => {
+                refund();
+                res.set("Retry-After", String(retryAfterSeconds));
+                this.requestHandler._setResponseApiFormat(res, this._getApiFormatForPath(req.path));
+                this.requestHandler._sendErrorResponse(res, 429, message);
+            };
+
+            if (ticket.rejected) {
+                this.logger.warn(`[Queue] Queue is full, rejected request from "${key}" (${req.path})`);
+                return reject("Too many requests are queued, please retry later.", ticket.retryAfterSeconds);
+            }
+            if (ticket.position > 0) {
+                this.logger.info(
+                    `[Queue] Request from "${key}" queued at position ${ticket.position} (ETA ${ticket.etaSeconds}s)`
+                );
+            }
+
+            let closed = false;
+            const onClose = () => {
+                closed = true;
+                ticket.cancel();
+            };
+            res.once("close", onClose);
+
+            ticket.slot.then(release => {
+                res.off("close", onClose);
+                if (!release) {
+                    if (closed) return refund();
+                    this.logger.warn(`[Queue] Request from "${key}" timed out in the queue (${req.path})`);
+                    return reject(
+                        "Timed out waiting for a free request slot, please retry later.",
+                        Math.max(1, Math.ceil(this.admissionController.averageHoldMs / 1000))
+                    );
+                }
+                if (closed || res.writableEnded) return release();
+                res.once("close", release);
+                req.admission = { priority, release };
+                next();
+            });
+        };
+    }
+
     _createAuthMiddleware() {
         return (req, res, next) => {
             // Allow access if session is authenticated (e.g. browser accessing /vnc or API from UI)
@@ -263,8 +549,13 @@ class ProxyServerSystem extends EventEmitter {
                 }
             }
 
-            const serverApiKeys = this.config.apiKeys;
-            if (!serverApiKeys || serverApiKeys.length === 0) {
+            // The metrics route checks METRICS_TOKEN itself
+            if (req.path === "/metrics" && this.config.metricsToken) {
+                return next();
+            }
+
+            const serverApiKeys = this.apiKeyStore.getSharedKeys();
+            if (serverApiKeys.length === 0 && this.apiKeyStore.size === 0) {
                 return next();
             }
 
@@ -289,6 +580,29 @@ class ProxyServerSystem extends EventEmitter {
                 return next();
             }
 
+            const apiKeyName = this.apiKeyStore.authenticate(clientKey);
+            if (apiKeyName) {
+                const clientIp = this.webRoutes.authRoutes.getClientIP(req);
+                const denial = this.apiKeyStore.admit(apiKeyName, {
+                    model: this._getRequestedModel(req),
+                    path: req.path,
+                });
+                if (denial) {
+                    this.logger.warn(`[Auth] ${denial.message} IP: ${clientIp}, Path: ${req.path}`);
+                    if (denial.retryAfterSeconds) {
+                        res.set("Retry-After", String(denial.retryAfterSeconds));
+                    }
+                    return res.status(denial.status).json({ error: { message: denial.message } });
+                }
+
+                this.logger.info(`[Auth] API key "${apiKeyName}" verification passed (from: ${clientIp})`);
+                req.apiKeyName = apiKeyName;
+                if (req.query.key) {
+                    delete req.query.key;
+                }
+                return next();
+            }
+
             if (req.path !== "/favicon.ico") {
                 const clientIp = this.webRoutes.authRoutes.getClientIP(req);
                 this.logger.warn(
@@ -423,6 +737,7 @@ class ProxyServerSystem extends EventEmitter {
                 req.path !== "/favicon.ico" &&
                 req.path !== "/login" &&
                 req.path !== "/health" &&
+                req.path !== "/metrics" &&
                 !req.path.startsWith("/locales/") &&
                 !req.path.startsWith("/assets/") &&
                 req.path !== "/AIStudio_logo.svg" &&
@@ -447,7 +762,8 @@ class ProxyServerSystem extends EventEmitter {
                     "x-stainless-retry-count, x-stainless-timeout, sec-ch-ua, sec-ch-ua-mobile, sec-ch-ua-platform, " +
                     "anthropic-version, anthropic-beta, anthropic-dangerous-direct-browser-access, " +
                     "x-goog-upload-protocol, x-goog-upload-command, x-goog-upload-header-content-length, " +
-                    "x-goog-upload-header-content-type, x-goog-upload-url, x-goog-upload-offset, x-goog-upload-status"
+                    "x-goog-upload-header-content-type, x-goog-upload-url, x-goog-upload-offset, x-goog-upload-status, " +
+                    "x-request-priority, x-account-group, x-session-id"
             );
 
             // Expose all common Headers, including upload related ones (matched from BuildProxy)
@@ -457,7 +773,7 @@ class ProxyServerSystem extends EventEmitter {
                 "x-goog-upload-url, x-goog-upload-status, x-goog-upload-chunk-granularity, " +
                     "x-goog-upload-control-url, x-goog-upload-command, x-goog-upload-content-type, " +
                     "x-goog-upload-protocol, x-goog-upload-file-name, x-goog-upload-offset, " +
-                    "date, content-type, content-length, location"
+                    "date, content-type, content-length, location, retry-after, x-queue-position, x-queue-eta"
             );
 
             if (req.method === "OPTIONS") {
@@ -522,10 +838,40 @@ class ProxyServerSystem extends EventEmitter {
         // API authentication middleware
         app.use(this._createAuthMiddleware());
 
+        // Account group that serves each model request
+        app.use(this._createAccountGroupMiddleware());
+
+        // Concurrency limit and priority queue for model requests
+        app.use(this._createAdmissionMiddleware());
+
+        // Prometheus / OpenMetrics scrape endpoint
+        app.get("/metrics", (req, res) => {
+            const token = this.config.metricsToken;
+            if (token) {
+                const authorization = req.headers.authorization || "";
+                const provided = authorization.startsWith("Bearer ") ? authorization.substring(7) : req.query.token;
+                if (!this._isMetricsTokenValid(provided, token)) {
+                    this.logger.warn(
+                        `[Metrics] Invalid or missing metrics token (from: ${this.webRoutes.authRoutes.getClientIP(req)})`
+                    );
+                    return res.status(401).json({ error: { message: "Invalid or missing metrics token." } });
+                }
+            }
+
+            const openMetrics = (req.headers.accept || "").includes("application/openmetrics-text");
+            res.set(
+                "Content-Type",
+                openMetrics
+                    ? "application/openmetrics-text; version=1.0.0; charset=utf-8"
+                    : "text/plain; version=0.0.4; charset=utf-8"
+            );
+            res.send(this.metricsService.render({ openMetrics }));
+        });
+
         // API routes
         app.get(["/v1/models"], (req, res) => {
             // OpenAI format
-            const models = this.config.modelList.map(model => ({
+            const models = this._getListedModels(req.apiKeyName).map(model => ({
                 context_window: model.inputTokenLimit,
                 created: Math.floor(Date.now() / 1000),
                 id: model.name.replace("models/", ""),
@@ -541,7 +887,7 @@ class ProxyServerSystem extends EventEmitter {
         });
 
         app.get(["/v1beta/models"], (req, res) => {
-            res.status(200).json({ models: this.config.modelList });
+            res.status(200).json({ models: this._getListedModels(req.apiKeyName) });
         });
 
         app.post("/v1/chat/completions", (req, res) => {
@@ -552,6 +898,20 @@ class ProxyServerSystem extends EventEmitter {
             this.requestHandler.processOpenAIEmbeddingsRequest(req, res);
         });
 
+        // OpenAI Images API compatible endpoints (backed by Gemini image models)
+        app.post("/v1/images/generations", (req, res) => {
+            this.requestHandler.processOpenAIImagesRequest(req, res, "generations");
+        });
+
+        app.post("/v1/images/edits", (req, res) => {
+            this.requestHandler.processOpenAIImagesRequest(req, res, "edits");
+        });
+
+        // OpenAI audio speech (TTS) endpoint
+        app.post("/v1/audio/speech", (req, res) => {
+            this.requestHandler.processOpenAISpeechRequest(req, res);
+        });
+
         // OpenAI Response API compatible endpoint
         app.post("/v1/responses", (req, res) => {
             this.requestHandler.processOpenAIResponseRequest(req, res);
@@ -562,6 +922,61 @@ class ProxyServerSystem extends EventEmitter {
             this.requestHandler.processOpenAIResponseInputTokens(req, res);
         });
 
+        // Stored OpenAI Responses (retrieval, deletion and input items)
+        app.get("/v1/responses/:responseId", (req, res) => {
+            this.requestHandler.processGetStoredResponse(req, res);
+        });
+
+        app.delete("/v1/responses/:responseId", (req, res) => {
+            this.requestHandler.processDeleteStoredResponse(req, res);
+        });
+
+        app.get("/v1/responses/:responseId/input_items", (req, res) => {
+            this.requestHandler.processListResponseInputItems(req, res);
+        });
+
+        app.post("/v1/responses/:responseId/cancel", (req, res) => {
+            this.requestHandler.processCancelResponse(req, res);
+        });
+
+        // OpenAI Files API (local storage)
+        app.post("/v1/files", (req, res) => {
+            this.requestHandler.processCreateFile(req, res);
+        });
+
+        app.get("/v1/files", (req, res) => {
+            this.requestHandler.processListFiles(req, res);
+        });
+
+        app.get("/v1/files/:fileId", (req, res) => {
+            this.requestHandler.processGetFile(req, res);
+        });
+
+        app.delete("/v1/files/:fileId", (req, res) => {
+            this.requestHandler.processDeleteFile(req, res);
+        });
+
+        app.get("/v1/files/:fileId/content", (req, res) => {
+            this.requestHandler.processFileContent(req, res);
+        });
+
+        // OpenAI Batch API
+        app.post("/v1/batches", (req, res) => {
+            this.requestHandler.processCreateBatch(req, res);
+        });
+
+        app.get("/v1/batches", (req, res) => {
+            this.requestHandler.processListBatches(req, res);
+        });
+
+        app.get("/v1/batches/:batchId", (req, res) => {
+            this.requestHandler.processGetBatch(req, res);
+        });
+
+        app.post("/v1/batches/:batchId/cancel", (req, res) => {
+            this.requestHandler.processCancelBatch(req, res);
+        });
+
         // Claude API compatible endpoint
         app.post("/v1/messages", (req, res) => {
             this.requestHandler.processClaudeRequest(req, res);
@@ -572,6 +987,31 @@ class ProxyServerSystem extends EventEmitter {
             this.requestHandler.processClaudeCountTokens(req, res);
         });
 
+        // Claude Message Batches API
+        app.post("/v1/messages/batches", (req, res) => {
+            this.requestHandler.processCreateMessageBatch(req, res);
+        });
+
+        app.get("/v1/messages/batches", (req, res) => {
+            this.requestHandler.processListMessageBatches(req, res);
+        });
+
+        app.get("/v1/messages/batches/:batchId", (req, res) => {
+            this.requestHandler.processGetMessageBatch(req, res);
+        });
+
+        app.delete("/v1/messages/batches/:batchId", (req, res) => {
+            this.requestHandler.processDeleteMessageBatch(req, res);
+        });
+
+        app.post("/v1/messages/batches/:batchId/cancel", (req, res) => {
+            this.requestHandler.processCancelMessageBatch(req, res);
+        });
+
+        app.get("/v1/messages/batches/:batchId/results", (req, res) => {
+            this.requestHandler.processMessageBatchResults(req, res);
+        });
+
         // VNC WebSocket downgrade / missing headers handler
         // If Nginx or another proxy strips "Upgrade: websocket" headers, the request appears as a normal GET.
         // We intercept it here to prevent it from falling through to the Gemini proxy.
@@ -684,11 +1124,29 @@ class ProxyServerSystem extends EventEmitter {
             this.logger.info("[System] Stopped stale queue cleanup interval");
         }
 
+        if (this.settingsStore) {
+            this.settingsStore.stopWatching();
+        }
+        if (this.apiKeyStore) {
+            this.apiKeyStore.stopWatching();
+        }
+        if (this.healthProber) {
+            this.healthProber.stop();
+        }
+        if (this.autoRelogin) {
+            this.autoRelogin.stop();
+        }
+
         // Close all message queues
         if (this.connectionRegistry) {
             this.connectionRegistry.closeAllMessageQueues();
         }
 
+        // Persist quota windows and learned limits
+        if (this.quotaTracker) {
+            await this.quotaTracker.flush();
+        }
+
         // Close browser
         if (this.browserManager) {
             await this.browserManager.closeBrowser();
@@ -0,0 +1,315 @@
+/**
+ * File: src/core/QuotaTracker.js
+ * Description: Per-account, per-model quota tracker with rolling minute/day windows and limits learned from 429 responses
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { extractGoogleErrorBody, parseQuotaViolations } = require("../utils/GoogleErrorUtils");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const SAVE_DEBOUNCE_MS = 5000;
+
+// Learned limit keys, indexed by `${window}:${unit}`
+const LIMIT_KEYS = {
+    "day:requests": "requestsPerDay",
+    "day:tokens": "tokensPerDay",
+    "minute:requests": "requestsPerMinute",
+    "minute:tokens": "tokensPerMinute",
+};
+
+/**
+ * Quota Tracker Module
+ * Counts requests and tokens per (account, model), learns the real limits from Google's 429 quota
+ * violations, and reports when an account is close to a limit so it can be rotated away proactively.
+ */
+class QuotaTracker {
+    constructor(logger, config, authSource, dataDir, enabled = true) {
+        this.logger = logger;
+        this.config = config;
+        this.authSource = authSource;
+        this.dataDir = dataDir || path.join(process.cwd(), "data");
+        this.stateFilePath = path.join(this.dataDir, "quota-state.json");
+        this.enabled = enabled !== false;
+        this.saveTimer = null;
+        this.savePromise = Promise.resolve();
+
+        // authIndex -> { accountName, models: Map(model -> { events, lastRateLimitedAt, limits }) }
+        this.accounts = new Map();
+
+        if (this.enabled) {
+            this._loadFromFile();
+        }
+    }
+
+    get threshold() {
+        const threshold = Number(this.config.quotaRotationThreshold);
+        return Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : 0.9;
+    }
+
+    /**
+     * Feed a finished usage-stats record into the rolling windows.
+     * Only successful model calls are counted, since rejected calls do not consume quota.
+     * @param {Object} record - Record produced by UsageStatsService.finishRequest
+     */
+    handleFinishedRecord(record) {
+        if (!this.enabled || !record || record.outcome !== "success") return;
+        if (record.requestCategory !== "generation" && record.requestCategory !== "embedding") return;
+        this.recordRequest(record.finalAuthIndex, record.model, record.totalTokens);
+    }
+
+    recordRequest(authIndex, model, tokens = 0) {
+        if (!this.enabled || !Number.isInteger(authIndex) || authIndex < 0 || !model) return;
+
+        const entry = this._getModelEntry(authIndex, model);
+        entry.events.push([Date.now(), Number(tokens) || 0]);
+        this._pruneEvents(entry);
+        this._scheduleSave();
+    }
+
+    /**
+     * Learn limits from a 429 response. Uses the QuotaFailure violation values when Google provides them,
+     * otherwise falls back to the usage observed in the violated window.
+     * @param {number} authIndex - Account that received the 429
+     * @param {string} model - Model the request targeted
+     * @param {Object} errorPayload - Error message forwarded by the browser ({ status, message })
+     * @returns {Array} The parsed quota violations
+     */
+    recordRateLimit(authIndex, model, errorPayload) {
+        if (!this.enabled || !Number.isInteger(authIndex) || authIndex < 0 || !model) return [];
+
+        const entry = this._getModelEntry(authIndex, model);
+        const violations = parseQuotaViolations(extractGoogleErrorBody(errorPayload?.message));
+        const usage = this._summarizeEvents(entry.events);
+        entry.lastRateLimitedAt = Date.now();
+
+        for (const violation of violations) {
+            if (!violation.window) continue;
+            if (violation.model && violation.model !== model) continue;
+
+            const limitKey = LIMIT_KEYS[`${violation.window}:${violation.unit}`];
+            const observed = usage[violation.window][violation.unit];
+            const learned = violation.value ?? (observed > 0 ? observed : null);
+            if (!learned) continue;
+
+            if (entry.limits[limitKey] !== learned) {
+                this.logger.info(
+                    `[Quota] Learned ${limitKey}=${learned} for account #${authIndex} model ${model} (${violation.metric || "unknown metric"}).`
+                );
+            }
+            entry.limits[limitKey] = learned;
+        }
+
+        this._scheduleSave();
+        return violations;
+    }
+
+    getUsage(authIndex, model) {
+        const entry = this.accounts.get(authIndex)?.models.get(model);
+        if (!entry) {
+            return this._summarizeEvents([]);
+        }
+        this._pruneEvents(entry);
+        return this._summarizeEvents(entry.events);
+    }
+
+    /**
+     * Check whether an account has used up the configured share of any learned limit for a model.
+     * @returns {boolean} True if the account should be rotated away from for this model
+     */
+    isNearLimit(authIndex, model) {
+        return this.getNearLimitReason(authIndex, model) !== null;
+    }
+
+    getNearLimitReason(authIndex, model) {
+        if (!this.enabled || !model) return null;
+        const entry = this.accounts.get(authIndex)?.models.get(model);
+        if (!entry) return null;
+
+        const usage = this.getUsage(authIndex, model);
+        for (const [windowUnit, limitKey] of Object.entries(LIMIT_KEYS)) {
+            const limit = entry.limits[limitKey];
+            if (!limit) continue;
+            const [window, unit] = windowUnit.split(":");
+            const used = usage[window][unit];
+            if (used >= Math.max(1, Math.floor(limit * this.threshold))) {
+                return `${limitKey} ${used}/${limit}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Per-model quota summary of one account for the status API
+     * @returns {Array<Object>} One entry per tracked model
+     */
+    getAccountSummary(authIndex) {
+        const account = this.accounts.get(authIndex);
+        if (!this.enabled || !account) return [];
+
+        return Array.from(account.models.entries())
+            .map(([model, entry]) => {
+                const usage = this.getUsage(authIndex, model);
+                return {
+                    day: usage.day,
+                    lastRateLimitedAt: entry.lastRateLimitedAt ? new Date(entry.lastRateLimitedAt).toISOString() : null,
+                    limits: { ...entry.limits },
+                    minute: usage.minute,
+                    model,
+                    nearLimit: this.isNearLimit(authIndex, model),
+                };
+            })
+            .filter(item => item.day.requests > 0 || Object.keys(item.limits).length > 0)
+            .sort((a, b) => b.day.requests - a.day.requests);
+    }
+
+    /**
+     * Write pending state immediately (used on shutdown)
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.enabled) return;
+        await this._saveToFile();
+    }
+
+    _getModelEntry(authIndex, model) {
+        const accountName = this.authSource?.accountNameMap?.get(authIndex) || null;
+        let account = this.accounts.get(authIndex);
+
+        // A different account now lives at this index (file replaced), start over
+        if (account && accountName && account.accountName && account.accountName !== accountName) {
+            this.logger.info(
+                `[Quota] Account #${authIndex} changed from ${account.accountName} to ${accountName}, resetting quota state.`
+            );
+            account = null;
+        }
+        if (!account) {
+            account = { accountName, models: new Map() };
+            this.accounts.set(authIndex, account);
+        }
+        if (!account.accountName && accountName) {
+            account.accountName = accountName;
+        }
+
+        let entry = account.models.get(model);
+        if (!entry) {
+            entry = { events: [], lastRateLimitedAt: null, limits: {} };
+            account.models.set(model, entry);
+        }
+        return entry;
+    }
+
+    _pruneEvents(entry) {
+        const cutoff = Date.now() - DAY_MS;
+        let firstValid = 0;
+        while (firstValid < entry.events.length && entry.events[firstValid][0] < cutoff) {
+            firstValid++;
+        }
+        if (firstValid > 0) {
+            entry.events.splice(0, firstValid);
+        }
+    }
+
+    _summarizeEvents(events) {
+        const now = Date.now();
+        const summary = {
+            day: { requests: 0, tokens: 0 },
+            minute: { requests: 0, tokens: 0 },
+        };
+        for (const [timestamp, tokens] of events) {
+            if (timestamp < now - DAY_MS) continue;
+            summary.day.requests += 1;
+            summary.day.tokens += tokens;
+            if (timestamp >= now - MINUTE_MS) {
+                summary.minute.requests += 1;
+                summary.minute.tokens += tokens;
+            }
+        }
+        return summary;
+    }
+
+    _scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._saveToFile();
+        }, SAVE_DEBOUNCE_MS);
+        if (typeof this.saveTimer.unref === "function") {
+            this.saveTimer.unref();
+        }
+    }
+
+    _serializeState() {
+        const accounts = {};
+        for (const [authIndex, account] of this.accounts.entries()) {
+            const models = {};
+            for (const [model, entry] of account.models.entries()) {
+                this._pruneEvents(entry);
+                models[model] = {
+                    events: entry.events,
+                    lastRateLimitedAt: entry.lastRateLimitedAt,
+                    limits: entry.limits,
+                };
+            }
+            accounts[authIndex] = { accountName: account.accountName, models };
+        }
+        return { accounts, savedAt: new Date().toISOString(), version: 1 };
+    }
+
+    _saveToFile() {
+        this.savePromise = this.savePromise
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(this.dataDir, { recursive: true });
+                const tmpPath = `${this.stateFilePath}.tmp`;
+                await fs.promises.writeFile(tmpPath, JSON.stringify(this._serializeState()), "utf-8");
+                await fs.promises.rename(tmpPath, this.stateFilePath);
+            })
+            .catch(err => {
+                this.logger.warn(`[Quota] Failed to save quota state: ${err.message}`);
+            });
+        return this.savePromise;
+    }
+
+    _loadFromFile() {
+        try {
+            if (!fs.existsSync(this.stateFilePath)) return;
+            const state = JSON.parse(fs.readFileSync(this.stateFilePath, "utf-8"));
+
+            for (const [rawIndex, account] of Object.entries(state?.accounts || {})) {
+                const authIndex = Number(rawIndex);
+                if (!Number.isInteger(authIndex) || authIndex < 0 || !account?.models) continue;
+
+                const models = new Map();
+                for (const [model, entry] of Object.entries(account.models)) {
+                    const loaded = {
+                        events: Array.isArray(entry?.events)
+                            ? entry.events.filter(
+                                  item => Array.isArray(item) && Number.isFinite(item[0]) && Number.isFinite(item[1])
+                              )
+                            : [],
+                        lastRateLimitedAt: Number.isFinite(entry?.lastRateLimitedAt) ? entry.lastRateLimitedAt : null,
+                        limits: entry?.limits && typeof entry.limits === "object" ? { ...entry.limits } : {},
+                    };
+                    this._pruneEvents(loaded);
+                    models.set(model, loaded);
+                }
+                this.accounts.set(authIndex, { accountName: account.accountName || null, models });
+            }
+
+            this.logger.info(
+                `[Quota] Loaded quota state for ${this.accounts.size} account(s) from ${this.stateFilePath}`
+            );
+        } catch (err) {
+            this.logger.warn(`[Quota] Failed to load quota state: ${err.message}`);
+        }
+    }
+}
+
+module.exports = QuotaTracker;
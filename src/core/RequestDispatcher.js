@@ -0,0 +1,290 @@
+/**
+ * File: src/core/RequestDispatcher.js
+ * Description: Request dispatcher that spreads in-flight requests across all browser contexts with a live WebSocket
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const DISPATCH_STRATEGIES = ["single", "least_inflight", "round_robin", "weighted"];
+
+/**
+ * Request Dispatcher Module
+ * Picks the account that serves each new request. In "single" mode every request goes to the current
+ * account (legacy behavior) unless that account is cooling down for the requested model, or is close to a
+ * learned quota limit for it while another account has headroom; the other strategies use every warm
+ * context from the pool, preferring accounts with headroom. A request routed to an account group only
+ * ever goes to a ready account tagged with that group. A request of a sticky session goes to the account
+ * its conversation is pinned to while that account can take it, whatever the strategy.
+ */
+class RequestDispatcher {
+    constructor(
+        logger,
+        config,
+        authSource,
+        browserManager,
+        connectionRegistry,
+        quotaTracker = null,
+        modelCooldowns = null
+    ) {
+        this.logger = logger;
+        this.config = config;
+        this.authSource = authSource;
+        this.browserManager = browserManager;
+        this.connectionRegistry = connectionRegistry;
+        this.quotaTracker = quotaTracker;
+        this.modelCooldowns = modelCooldowns;
+
+        // authIndex -> timestamp of the last request dispatched to it (least_inflight tie-breaker)
+        this.lastDispatchedAt = new Map();
+        // authIndex -> running weight for smooth weighted round-robin
+        this.weightedState = new Map();
+        this.lastRoundRobinIndex = -1;
+    }
+
+    get strategy() {
+        return DISPATCH_STRATEGIES.includes(this.config.dispatchStrategy) ? this.config.dispatchStrategy : "single";
+    }
+
+    isConcurrent() {
+        return this.strategy !== "single";
+    }
+
+    getInFlightCount(authIndex) {
+        return this.connectionRegistry.getMessageQueueCountForAuth(authIndex);
+    }
+
+    getWeight(authIndex) {
+        const weight = Number(this.config.dispatchWeights?.[authIndex]);
+        return Number.isFinite(weight) && weight > 0 ? weight : 1;
+    }
+
+    /**
+     * Collect accounts that can take a new request right now: a ready context with a live WebSocket,
+     * part of the rotation, not expired, not reconnecting and not scheduled for closure.
+     * @param {Set<number>|number[]} [exclude] - Accounts that must not be picked (e.g. already attempted)
+     * @param {string|null} [group] - Only accounts tagged with this account group
+     * @returns {number[]} Sorted list of eligible auth indices
+     */
+    getCandidateIndices(exclude = [], group = null) {
+        const excluded = new Set(exclude);
+        const rotationIndices = new Set(this.authSource.getRotationIndices());
+        const currentAuthIndex = this.browserManager.currentAuthIndex;
+
+        return [...this.connectionRegistry.getAllConnections().keys()]
+            .filter(authIndex => {
+                if (excluded.has(authIndex)) return false;
+                if (group && !this.authSource.hasTag(authIndex, group)) return false;
+                if (!rotationIndices.has(authIndex) && authIndex !== currentAuthIndex) return false;
+                if (this.authSource.isExpired(authIndex)) return false;
+                if (!this.browserManager.contexts.has(authIndex)) return false;
+                if (this.browserManager.pendingContextClosures.has(authIndex) && authIndex !== currentAuthIndex) {
+                    return false;
+                }
+                if (this.connectionRegistry.reconnectingAccounts.get(authIndex)) return false;
+                if (this.connectionRegistry.reconnectGraceTimers.has(authIndex)) return false;
+                return true;
+            })
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Select the account for a new request.
+     * @param {Object} [options]
+     * @param {Set<number>|number[]} [options.exclude] - Accounts that must not be picked
+     * @param {string|null} [options.group] - Account group the request is routed to
+     * @param {string} [options.model] - Target model, used to skip accounts cooling down or close to a learned quota limit
+     * @param {number|null} [options.pinned] - Account the request's conversation is pinned to
+     * @returns {number|null} The selected auth index (falls back to the current account), or null if no account of
+     *          the requested group is ready
+     */
+    selectAuthIndex(options = {}) {
+        if (this.canServePinned(options.pinned, options)) {
+            this.lastDispatchedAt.set(options.pinned, Date.now());
+            return options.pinned;
+        }
+
+        const currentAuthIndex = this.browserManager.currentAuthIndex;
+        const currentInGroup = !options.group || this.authSource.hasTag(currentAuthIndex, options.group);
+        if (!this.isConcurrent()) {
+            const currentUsable = currentInGroup && !this.isCoolingDown(currentAuthIndex, options.model);
+            if (currentUsable && !this.isNearQuotaLimit(currentAuthIndex, options.model)) {
+                return currentAuthIndex;
+            }
+            const excluded = [...(options.exclude || []), currentAuthIndex];
+            const alternative = this.findAccountForModel(options.model, excluded, options.group);
+            if (currentUsable) {
+                // Close to a learned quota limit: only worth leaving for an account that has headroom
+                if (alternative === null || this.isNearQuotaLimit(alternative, options.model)) return currentAuthIndex;
+                this.logger.info(
+                    `[Dispatch] Account #${currentAuthIndex} is close to its learned quota limit for ${options.model}, routing request to account #${alternative}.`
+                );
+                this.lastDispatchedAt.set(alternative, Date.now());
+                return alternative;
+            }
+            if (alternative !== null) {
+                this.logger.info(
+                    currentInGroup
+                        ? `[Dispatch] Account #${currentAuthIndex} is cooling down for ${options.model}, routing request to account #${alternative}.`
+                        : `[Dispatch] Account #${currentAuthIndex} is not in account group "${options.group}", routing request to account #${alternative}.`
+                );
+                this.lastDispatchedAt.set(alternative, Date.now());
+                return alternative;
+            }
+            if (currentInGroup) return currentAuthIndex;
+            // Every ready account of the group is cooling down for the model: still better than leaving the group
+            const groupCandidates = this.getCandidateIndices(excluded, options.group);
+            return groupCandidates.length > 0 ? this._selectLeastInFlight(groupCandidates, currentAuthIndex) : null;
+        }
+
+        let candidates = this.getCandidateIndices(options.exclude, options.group);
+        if (candidates.length === 0) {
+            return currentInGroup ? currentAuthIndex : null;
+        }
+
+        // Skip accounts cooling down for this model; keep the full list if every account is cooling down
+        const notCoolingDown = candidates.filter(authIndex => !this.isCoolingDown(authIndex, options.model));
+        if (notCoolingDown.length > 0) {
+            candidates = notCoolingDown;
+        }
+
+        candidates = this._preferHeadroom(candidates, options.model);
+
+        let selected;
+        switch (this.strategy) {
+            case "round_robin":
+                selected = this._selectRoundRobin(candidates);
+                break;
+            case "weighted":
+                selected = this._selectWeighted(candidates);
+                break;
+            default:
+                selected = this._selectLeastInFlight(candidates, currentAuthIndex);
+                break;
+        }
+
+        this.lastDispatchedAt.set(selected, Date.now());
+        this.logger.debug(
+            `[Dispatch] Strategy=${this.strategy}, candidates=[${candidates.join(", ")}], selected account #${selected} (in-flight: ${this.getInFlightCount(selected)})`
+        );
+        return selected;
+    }
+
+    /**
+     * Whether a pinned account can take the request: ready, in the request's account group and not cooling down for
+     * the model. Learned quota limits are ignored, leaving the conversation's account costs more than a close call.
+     * @param {number|null} authIndex - Pinned account
+     * @param {Object} [options] - exclude, group and model, as for selectAuthIndex
+     */
+    canServePinned(authIndex, options = {}) {
+        if (!Number.isInteger(authIndex) || this.isCoolingDown(authIndex, options.model)) return false;
+        return this.getCandidateIndices(options.exclude, options.group).includes(authIndex);
+    }
+
+    isCoolingDown(authIndex, model) {
+        return Boolean(model && this.modelCooldowns?.isCoolingDown(authIndex, model));
+    }
+
+    isNearQuotaLimit(authIndex, model) {
+        return Boolean(model && this.quotaTracker?.isNearLimit(authIndex, model));
+    }
+
+    /**
+     * Find a ready account that can serve the model right now (not cooling down for it), preferring accounts with
+     * quota headroom. Used to route around a per-model cooldown without switching the whole service.
+     * @param {string} model - Target model
+     * @param {Set<number>|number[]} [exclude] - Accounts that must not be picked
+     * @param {string|null} [group] - Only accounts tagged with this account group
+     * @returns {number|null} The least busy eligible account, or null if there is none
+     */
+    findAccountForModel(model, exclude = [], group = null) {
+        const candidates = this.getCandidateIndices(exclude, group).filter(
+            authIndex => !this.isCoolingDown(authIndex, model)
+        );
+        if (candidates.length === 0) return null;
+        return this._selectLeastInFlight(this._preferHeadroom(candidates, model), this.browserManager.currentAuthIndex);
+    }
+
+    /**
+     * Snapshot of dispatcher state for the status API
+     * @returns {Object} Strategy and per-account in-flight counts
+     */
+    getStatus() {
+        const inFlightByAuth = {};
+        for (const authIndex of this.connectionRegistry.getAllConnections().keys()) {
+            inFlightByAuth[authIndex] = this.getInFlightCount(authIndex);
+        }
+        return {
+            candidates: this.isConcurrent() ? this.getCandidateIndices() : [],
+            inFlightByAuth,
+            strategy: this.strategy,
+        };
+    }
+
+    /**
+     * Keep the accounts with quota headroom for the model, or the full list if every account is close to its limit.
+     */
+    _preferHeadroom(candidates, model) {
+        const withHeadroom = candidates.filter(authIndex => !this.isNearQuotaLimit(authIndex, model));
+        return withHeadroom.length > 0 ? withHeadroom : candidates;
+    }
+
+    _selectLeastInFlight(candidates, currentAuthIndex) {
+        let best = null;
+        let bestCount = Infinity;
+        let bestLastUsed = Infinity;
+
+        for (const authIndex of candidates) {
+            const count = this.getInFlightCount(authIndex);
+            const lastUsed = this.lastDispatchedAt.get(authIndex) || 0;
+            // Ties go to the account that has waited longest, then to the current account
+            if (
+                count < bestCount ||
+                (count === bestCount && lastUsed < bestLastUsed) ||
+                (count === bestCount && lastUsed === bestLastUsed && authIndex === currentAuthIndex)
+            ) {
+                best = authIndex;
+                bestCount = count;
+                bestLastUsed = lastUsed;
+            }
+        }
+
+        return best;
+    }
+
+    _selectRoundRobin(candidates) {
+        const selected = candidates.find(authIndex => authIndex > this.lastRoundRobinIndex) ?? candidates[0];
+        this.lastRoundRobinIndex = selected;
+        return selected;
+    }
+
+    _selectWeighted(candidates) {
+        // Smooth weighted round-robin: each pick raises every candidate by its weight and lowers the winner by the total
+        let totalWeight = 0;
+        let selected = null;
+        let selectedWeight = -Infinity;
+
+        for (const authIndex of candidates) {
+            const weight = this.getWeight(authIndex);
+            const current = (this.weightedState.get(authIndex) || 0) + weight;
+            this.weightedState.set(authIndex, current);
+            totalWeight += weight;
+            if (current > selectedWeight) {
+                selected = authIndex;
+                selectedWeight = current;
+            }
+        }
+
+        this.weightedState.set(selected, selectedWeight - totalWeight);
+        for (const authIndex of [...this.weightedState.keys()]) {
+            if (!candidates.includes(authIndex)) {
+                this.weightedState.delete(authIndex);
+            }
+        }
+
+        return selected;
+    }
+}
+
+RequestDispatcher.STRATEGIES = DISPATCH_STRATEGIES;
+
+module.exports = RequestDispatcher;
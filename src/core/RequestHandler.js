@@ -9,13 +9,36 @@
  * Request Handler Module (Refactored)
  * Main request handler that coordinates between other modules
  */
+const fs = require("fs");
 const AuthSwitcher = require("../auth/AuthSwitcher");
 const FormatConverter = require("./FormatConverter");
+const RequestDispatcher = require("./RequestDispatcher");
+const BackgroundResponseManager = require("./BackgroundResponseManager");
+const FileStore = require("./FileStore");
+const ContextCacheRegistry = require("./ContextCacheRegistry");
+const SessionAffinityRegistry = require("./SessionAffinityRegistry");
+const ResponseSink = require("../utils/ResponseSink");
+const mime = require("mime-types");
+const {
+    AUDIO_CONTENT_TYPES,
+    canConvertNatively,
+    convertPcm,
+    createStreamEncoder,
+    isFfmpegAvailable,
+    parsePcmFormat,
+} = require("../utils/AudioConverter");
 const { isUserAbortedError } = require("../utils/CustomErrors");
+const { isMultipartRequest, parseMultipart } = require("../utils/MultipartParser");
 const { QueueClosedError, QueueTimeoutError } = require("../utils/MessageQueue");
 
 const WS_RECONNECT_WAIT_MS = 130000;
 const WS_CONNECTION_READY_TIMEOUT_MS = 10000;
+// Gemini file uploads bridged from the local Files API
+const GEMINI_FILE_TTL_MS = 48 * 60 * 60 * 1000;
+const GEMINI_FILE_POLL_INTERVAL_MS = 2000;
+const GEMINI_FILE_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+// Gemini rejects context caches below ~1024 tokens; shorter prefixes are not worth a creation round trip
+const MIN_CONTEXT_CACHE_PREFIX_CHARS = 4000;
 
 // Default timeout constants (in milliseconds)
 const DEFAULT_TIMEOUTS = {
@@ -24,6 +47,14 @@ const DEFAULT_TIMEOUTS = {
 };
 
 class RequestHandler {
+    // Endpoints that can be executed without a client connection, mapped to their handler
+    static INTERNAL_REQUEST_ENDPOINTS = {
+        "/v1/chat/completions": "processOpenAIRequest",
+        "/v1/embeddings": "processOpenAIEmbeddingsRequest",
+        "/v1/messages": "processClaudeRequest",
+        "/v1/responses": "processOpenAIResponseRequest",
+    };
+
     constructor(serverSystem, connectionRegistry, logger, browserManager, config, authSource) {
         this.serverSystem = serverSystem;
         this.connectionRegistry = connectionRegistry;
@@ -35,11 +66,29 @@ class RequestHandler {
         // Initialize sub-modules
         this.authSwitcher = new AuthSwitcher(logger, config, authSource, browserManager);
         this.formatConverter = new FormatConverter(logger, serverSystem);
+        this.requestDispatcher = new RequestDispatcher(
+            logger,
+            config,
+            authSource,
+            browserManager,
+            connectionRegistry,
+            serverSystem.quotaTracker,
+            serverSystem.modelCooldowns
+        );
+        this.backgroundResponses = new BackgroundResponseManager(logger, serverSystem.responseStore);
+        // requestId -> usage category that overrides the per-handler category (e.g. "batch")
+        this.pinnedRequestCategories = new Map();
+        // "<authIndex>:<fileId>" -> in-flight Gemini upload of a local file
+        this.geminiFileUploads = new Map();
+        this.contextCaches = new ContextCacheRegistry(logger);
+        this.sessionAffinity = new SessionAffinityRegistry(logger, config);
 
         this.needsSwitchingAfterRequest = false;
+    }
 
-        // Timeout settings
-        this.timeouts = {
+    // Timeout settings, read on use so settings.json changes apply to the next request
+    get timeouts() {
+        return {
             FAKE_STREAM: this.config.fakeStreamTimeoutMs || DEFAULT_TIMEOUTS.FAKE_STREAM,
             STREAM_CHUNK: this.config.streamTimeoutMs || DEFAULT_TIMEOUTS.STREAM_CHUNK,
         };
@@ -78,6 +127,200 @@ class RequestHandler {
         return this.authSource?.accountNameMap?.get(authIndex) || null;
     }
 
+    /**
+     * Pick the account for a new request via the dispatcher and sync the tracked initial account.
+     * Resolves to the current account unless concurrent dispatch is enabled, the request is routed to an account
+     * group the current account is not part of, the current account is cooling down or close to a learned quota
+     * limit for the model, or the request's conversation is pinned to another ready account.
+     * @throws {Error} With code ACCOUNT_GROUP_UNAVAILABLE if no account of the request's group is ready
+     */
+    _dispatchAuthIndex(proxyRequest, req) {
+        const requestId = proxyRequest.request_id;
+        const model = this._extractModelFromPath(proxyRequest.path);
+        // Kept on the request so retries stay within the group
+        proxyRequest.account_group = req?.accountGroup || null;
+        // Local files referenced by the request are only resolved when this key may read them
+        proxyRequest.api_key_name = req?.apiKeyName || null;
+        const session = this._resolveStickySession(proxyRequest, req);
+        const pinnedAuthIndex = session ? this.sessionAffinity.get(session.key) : null;
+        const authIndex = this.requestDispatcher.selectAuthIndex({
+            group: proxyRequest.account_group,
+            model,
+            pinned: pinnedAuthIndex,
+        });
+        if (authIndex === null) {
+            const error = new Error(`No account in account group "${proxyRequest.account_group}" is ready.`);
+            error.code = "ACCOUNT_GROUP_UNAVAILABLE";
+            throw error;
+        }
+        if (session) {
+            // Pinned (or moved) once the request is forwarded, see _bindRequestToAccount
+            proxyRequest.session_key = session.key;
+            proxyRequest.session_source = session.source;
+            if (pinnedAuthIndex === null) {
+                this.sessionAffinity.recordRoute("new");
+            } else if (pinnedAuthIndex === authIndex) {
+                this.sessionAffinity.recordRoute("pinned");
+            } else {
+                this.sessionAffinity.recordRoute("moved");
+                this.logger.info(
+                    `[Session] Account #${pinnedAuthIndex} of sticky session (${session.source}) cannot take request #${requestId}, moving the conversation to account #${authIndex}.`
+                );
+            }
+        }
+        if (authIndex !== this.currentAuthIndex) {
+            this._updateTrackedRequest(requestId, {
+                initialAccountName: this._getAccountNameForIndex(authIndex),
+                initialAuthIndex: authIndex,
+            });
+        }
+
+        if (proxyRequest.is_generative) this._countAccountUsage(authIndex, requestId);
+
+        // Proactive rotation: the dispatcher only picks an account close to a learned quota limit when no ready account
+        // has headroom, so switching the current account brings a fresh one into the pool. In single mode the current
+        // account is also left when this request was routed around it. Pinned conversations ignore quota limits, so
+        // an account picked only for its conversation is no reason to switch.
+        const quotaTracker = this._getQuotaTracker();
+        const pinnedElsewhere = authIndex === pinnedAuthIndex && authIndex !== this.currentAuthIndex;
+        let nearLimitIndex = authIndex;
+        let quotaReason = pinnedElsewhere ? null : quotaTracker?.getNearLimitReason(authIndex, model);
+        if (!quotaReason && !this.requestDispatcher.isConcurrent() && authIndex !== this.currentAuthIndex) {
+            nearLimitIndex = this.currentAuthIndex;
+            quotaReason = quotaTracker?.getNearLimitReason(nearLimitIndex, model);
+        }
+        if (
+            quotaReason &&
+            proxyRequest.is_generative &&
+            !this.needsSwitchingAfterRequest &&
+            this.authSource.getRotationIndices().length > 1
+        ) {
+            this.logger.warn(
+                `[Quota] Account #${nearLimitIndex} is close to its learned limit for ${model} (${quotaReason}), will switch account #${this.currentAuthIndex} after this request.`
+            );
+            this.needsSwitchingAfterRequest = true;
+        }
+        return authIndex;
+    }
+
+    /**
+     * Count a generative request against the account that serves it. Only the current account is rotated away
+     * once it reaches SWITCH_ON_USES; the counts of other accounts start over when they become the current one.
+     */
+    _countAccountUsage(authIndex, requestId) {
+        const usageCount = this.authSwitcher.incrementUsageCount(authIndex);
+        const rotationCountText =
+            this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
+        this.logger.info(
+            `[Request] Generation request - account rotation count: ${rotationCountText} (Account: ${authIndex}), request ID: ${requestId}`
+        );
+        if (authIndex === this.currentAuthIndex && this.authSwitcher.shouldSwitchByUsage(authIndex)) {
+            this.needsSwitchingAfterRequest = true;
+        }
+    }
+
+    /**
+     * Clear the failure count of the account that served a successful request.
+     * @param {string} requestId - Request whose message queue identifies the account
+     * @param {string} label - Kind of request, for the log message
+     */
+    _resetFailureCount(requestId, label) {
+        const authIndex = this._getServingAuthIndex(requestId);
+        const failureCount = this.authSwitcher.getFailureCount(authIndex);
+        if (failureCount > 0) {
+            this.logger.debug(
+                `✅ [Auth] ${label} request successful - failure count of account #${authIndex} reset from ${failureCount} to 0`
+            );
+            this.authSwitcher.resetFailureCount(authIndex);
+        }
+    }
+
+    /**
+     * @returns {number} The account of the request's latest attempt, or the current account if it has no queue
+     */
+    _getServingAuthIndex(requestId) {
+        return this.connectionRegistry.getAuthIndexForRequest(requestId) ?? this.currentAuthIndex;
+    }
+
+    /**
+     * Identify the conversation of a generative request for sticky routing.
+     * @returns {{key: string, source: string}|null} Null if sticky sessions are disabled or there is no conversation
+     */
+    _resolveStickySession(proxyRequest, req) {
+        if (!this.sessionAffinity.isEnabled() || !proxyRequest.is_generative || !req) return null;
+        return SessionAffinityRegistry.getSessionKey(req, proxyRequest.body);
+    }
+
+    _getQuotaTracker() {
+        return this.serverSystem.quotaTracker || null;
+    }
+
+    /**
+     * Attach parsed token usage (FormatConverter._parseUsage output) to the tracked request.
+     */
+    _recordTokenUsage(requestId, usage) {
+        if (!usage) return;
+        this._getUsageStatsService()?.recordTokenUsage(requestId, usage);
+    }
+
+    /**
+     * Extract usage from raw Gemini response data (JSON body or SSE chunks) and attach it to the tracked request.
+     */
+    _recordTokenUsageFromGeminiData(requestId, data) {
+        if (typeof data !== "string" || !data.includes("usageMetadata")) return;
+
+        const candidates = data.trimStart().startsWith("data:")
+            ? data
+                  .split("\n")
+                  .filter(line => line.startsWith("data:"))
+                  .map(line => line.slice(5).trim())
+            : [data];
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            try {
+                const parsed = JSON.parse(candidates[i]);
+                if (parsed?.usageMetadata) {
+                    this._recordTokenUsage(requestId, this.formatConverter._parseUsage(parsed));
+                    return;
+                }
+            } catch {
+                // Partial or non-JSON chunk, keep looking
+            }
+        }
+    }
+
+    /**
+     * Feed a failed attempt into the quota tracker and the per-model cooldowns.
+     * The payload is tagged with `modelCooldown` when another ready account can still serve the model, or when no
+     * account can, so the retry and failure handling route around the model instead of switching the whole service.
+     * When only an account outside the warm pool could serve it, the usual account switch brings that account in.
+     */
+    _recordAttemptFailure(proxyRequest, authIndex, errorPayload) {
+        if (Number(errorPayload?.status) !== 429) return;
+        const model = this._extractModelFromPath(proxyRequest?.path);
+        this._getQuotaTracker()?.recordRateLimit(authIndex, model, errorPayload);
+
+        const cooldown = this.serverSystem.modelCooldowns?.recordRateLimit(authIndex, model, errorPayload);
+        const group = proxyRequest?.account_group;
+        if (
+            cooldown &&
+            (this.requestDispatcher.findAccountForModel(model, [authIndex], group) !== null ||
+                !this._canSwitchToAccountForModel(model, authIndex, group))
+        ) {
+            errorPayload.modelCooldown = cooldown;
+        }
+    }
+
+    /**
+     * Whether switching the current account could bring in a rotation account that is not cooling down for the model.
+     * Requests routed to an account group never switch the current account, so only ungrouped requests can.
+     */
+    _canSwitchToAccountForModel(model, authIndex, group) {
+        if (group) return false;
+        return this.authSwitcher
+            .getRotationPool()
+            .some(index => index !== authIndex && !this.requestDispatcher.isCoolingDown(index, model));
+    }
+
     _getClientIp(req) {
         return this.serverSystem.webRoutes.authRoutes.getClientIP(req);
     }
@@ -146,6 +389,9 @@ class RequestHandler {
         if (statusCode === 503) {
             return format === "claude" ? "overloaded_error" : "service_unavailable";
         }
+        if (statusCode === 429) {
+            return format === "claude" ? "rate_limit_error" : "rate_limit_exceeded";
+        }
         return "api_error";
     }
 
@@ -153,25 +399,34 @@ class RequestHandler {
         const usageStatsService = this._getUsageStatsService();
         if (!usageStatsService) return;
 
+        const pinnedCategory = req.__usageRequestCategory;
+        if (pinnedCategory) this.pinnedRequestCategories.set(requestId, pinnedCategory);
+
         usageStatsService.startRequest(requestId, {
+            apiKeyName: req.apiKeyName || null,
             clientIp: this._getClientIp(req),
             initialAccountName: this._getAccountNameForIndex(this.currentAuthIndex),
             initialAuthIndex: this.currentAuthIndex,
             method: req.method,
             path: req.path,
             ...meta,
+            ...(pinnedCategory ? { requestCategory: pinnedCategory } : {}),
         });
     }
 
     _updateTrackedRequest(requestId, patch = {}) {
         const usageStatsService = this._getUsageStatsService();
         if (!usageStatsService) return;
+        if (this.pinnedRequestCategories.has(requestId)) {
+            patch = { ...patch, requestCategory: this.pinnedRequestCategories.get(requestId) };
+        }
         usageStatsService.updateRequest(requestId, patch);
     }
 
     _finalizeTrackedRequest(requestId, res, overrides = {}) {
         const usageStatsService = this._getUsageStatsService();
         if (!usageStatsService) return;
+        this.pinnedRequestCategories.delete(requestId);
 
         let outcome = overrides.outcome;
         if (!outcome) {
@@ -640,12 +895,40 @@ class RequestHandler {
         return true;
     }
 
-    _createImmediateSwitchTracker(initialAuthIndex = this.currentAuthIndex) {
+    _createImmediateSwitchTracker(initialAuthIndex = this.currentAuthIndex, accountGroup = null) {
         const attemptedAuthIndices = new Set();
         if (Number.isInteger(initialAuthIndex) && initialAuthIndex >= 0) {
             attemptedAuthIndices.add(initialAuthIndex);
         }
-        return { attemptedAuthIndices };
+        return { accountGroup, attemptedAuthIndices, retryAuthIndex: null };
+    }
+
+    /**
+     * Account to use after a successful _prepareImmediateStatusRetry: the model-aware pick if one was made,
+     * otherwise the (possibly just switched) current account.
+     */
+    _getImmediateRetryAuthIndex(tracker) {
+        return tracker.retryAuthIndex ?? this.currentAuthIndex;
+    }
+
+    /**
+     * Account for a retry after a failed attempt. Under a concurrent dispatch strategy, and for requests routed to an
+     * account group, the dispatcher picks a ready account (of the group), preferring one that has not been tried yet;
+     * otherwise the retry goes to the current account.
+     * @param {Object} proxyRequest - The request being retried
+     * @param {Set<number>} attemptedAuthIndices - Accounts already tried for the request
+     * @returns {number|null} The auth index, or null if no account of the request's group is ready
+     */
+    _getRetryAuthIndex(proxyRequest, attemptedAuthIndices) {
+        const group = proxyRequest.account_group;
+        if (!group && !this.requestDispatcher.isConcurrent()) return this.currentAuthIndex;
+
+        const model = this._extractModelFromPath(proxyRequest.path);
+        const retryAuthIndex =
+            this.requestDispatcher.findAccountForModel(model, attemptedAuthIndices, group) ??
+            this.requestDispatcher.findAccountForModel(model, [], group);
+        // Without a group, fall back to the current account like the dispatcher does
+        return retryAuthIndex ?? (group ? null : this.currentAuthIndex);
     }
 
     _getImmediateStatusRetryCloseReason(status) {
@@ -685,6 +968,60 @@ class RequestHandler {
     }
 
     async _prepareImmediateStatusRetry(errorDetails, requestId, tracker, sourceAuthIndex) {
+        tracker.retryAuthIndex = null;
+
+        // Model-scoped 429: retry on another ready account for this model and leave the current account alone
+        const modelCooldown = errorDetails?.modelCooldown;
+        if (modelCooldown) {
+            const retryAuthIndex = this.requestDispatcher.findAccountForModel(
+                modelCooldown.model,
+                tracker.attemptedAuthIndices,
+                tracker.accountGroup
+            );
+            if (retryAuthIndex !== null) {
+                this.logger.warn(
+                    `[Request] ${modelCooldown.model} is cooling down on account #${sourceAuthIndex}; ` +
+                        `retrying request #${requestId} on account #${retryAuthIndex} without switching.`
+                );
+                tracker.attemptedAuthIndices.add(retryAuthIndex);
+                tracker.retryAuthIndex = retryAuthIndex;
+                return true;
+            }
+
+            // No account of the rotation can serve the model: switching would only take the other models away from
+            // everyone, so fail this request and keep the account until the cooldown ends
+            if (!this._canSwitchToAccountForModel(modelCooldown.model, sourceAuthIndex, tracker.accountGroup)) {
+                this.logger.warn(
+                    `[Request] ${modelCooldown.model} is cooling down on account #${sourceAuthIndex} and no other account can serve it; ` +
+                        `cooldown recorded for request #${requestId} without switching accounts.`
+                );
+                return false;
+            }
+        }
+
+        // Group-routed requests retry on another ready account of their group; switching the service account would
+        // not help them and would disturb everyone else
+        if (tracker.accountGroup) {
+            const retryAuthIndex = this.requestDispatcher.findAccountForModel(
+                null,
+                tracker.attemptedAuthIndices,
+                tracker.accountGroup
+            );
+            if (retryAuthIndex === null) {
+                this.logger.warn(
+                    `[Request] No other ready account in account group "${tracker.accountGroup}" for request #${requestId}, stopping account-switch retries.`
+                );
+                return false;
+            }
+            this.logger.warn(
+                `[Request] Received ${errorDetails.status} from account #${sourceAuthIndex}; ` +
+                    `retrying request #${requestId} on account #${retryAuthIndex} of account group "${tracker.accountGroup}".`
+            );
+            tracker.attemptedAuthIndices.add(retryAuthIndex);
+            tracker.retryAuthIndex = retryAuthIndex;
+            return true;
+        }
+
         const currentAuthIndex = this.currentAuthIndex;
         const hasSourceAuth = Number.isInteger(sourceAuthIndex) && sourceAuthIndex >= 0;
         const hasCurrentAuth = Number.isInteger(currentAuthIndex) && currentAuthIndex >= 0;
@@ -902,25 +1239,10 @@ class RequestHandler {
                 return;
             }
 
-            // Handle usage-based account switching
             const isGenerativeRequest =
                 req.method === "POST" &&
                 (req.path.includes("generateContent") || req.path.includes("streamGenerateContent"));
 
-            if (isGenerativeRequest) {
-                const usageCount = this.authSwitcher.incrementUsageCount();
-                if (usageCount > 0) {
-                    const rotationCountText =
-                        this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
-                    this.logger.info(
-                        `[Request] Google generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex}), request ID: ${requestId}`
-                    );
-                    if (this.authSwitcher.shouldSwitchByUsage()) {
-                        this.needsSwitchingAfterRequest = true;
-                    }
-                }
-            }
-
             const proxyRequest = this._buildProxyRequest(req, requestId);
             proxyRequest.is_generative = isGenerativeRequest;
             this._initializeProxyRequestAttempt(proxyRequest);
@@ -941,9 +1263,10 @@ class RequestHandler {
 
             try {
                 // Create message queue inside try-catch to handle invalid authIndex
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 this._setupClientDisconnectHandler(res, requestId);
@@ -1022,9 +1345,10 @@ class RequestHandler {
             });
 
             try {
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 this._setupClientDisconnectHandler(res, requestId);
@@ -1042,53 +1366,101 @@ class RequestHandler {
         }
     }
 
-    // Process File Upload requests
-    async processUploadRequest(req, res) {
+    // Process OpenAI Images API requests (generations / edits)
+    async processOpenAIImagesRequest(req, res, operation = "generations") {
         const requestId = this._generateRequestId();
-        this.logger.info(`[Upload] Processing upload request ${req.method} ${req.path}, request ID: ${requestId}`);
         this._startTrackedRequest(requestId, req, {
-            apiFormat: "upload",
+            apiFormat: "openai",
             isStreaming: false,
-            requestCategory: "upload",
+            requestCategory: "generation",
             streamMode: null,
         });
-        this._setResponseApiFormat(res, "upload");
+        this._setResponseApiFormat(res, "openai");
+        res.__proxyResponseStreamMode = null;
 
         try {
-            if (!(await this._ensureBrowserBackedRequestReady(res, { logPrefix: "Upload" }))) {
+            let translated;
+            try {
+                const input = this._parseOpenAIImagesInput(req, operation);
+                translated = this.formatConverter.translateOpenAIImagesToGoogle(input.body, input);
+            } catch (error) {
+                this.logger.warn(
+                    `[Adapter] Invalid OpenAI Images ${operation} request: ${error.message}, request ID: ${requestId}`
+                );
+                return this._sendErrorResponse(res, 400, error.message, "invalid_request_error");
+            }
+
+            if (!(await this._ensureBrowserBackedRequestReady(res, { waitErrorType: "service_unavailable" }))) {
                 return;
             }
 
-            const uploadBodyBuffer = this._patchUploadStartMetadata(req);
+            const { cleanModelName: model, googleRequest, responseFormat } = translated;
             const proxyRequest = {
-                body_b64: uploadBodyBuffer ? uploadBodyBuffer.toString("base64") : undefined,
-                headers: req.headers,
-                is_generative: false, // Uploads are never generative
-                method: req.method,
-                path: req.path.replace(/^\/proxy/, ""),
-                query_params: req.query || {},
+                body: JSON.stringify(googleRequest),
+                headers: { "Content-Type": "application/json" },
+                is_generative: true,
+                method: "POST",
+                path: `/v1beta/models/${model}:generateContent`,
+                query_params: {},
                 request_id: requestId,
-                streaming_mode: "fake", // Uploads always return a single JSON response
+                streaming_mode: "fake",
             };
             this._initializeProxyRequestAttempt(proxyRequest);
             this._updateTrackedRequest(requestId, {
+                model,
                 path: proxyRequest.path,
             });
 
             try {
-                // Create message queue inside try-catch to handle invalid authIndex
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 this._setupClientDisconnectHandler(res, requestId);
 
-                await this._handleNonStreamResponse(proxyRequest, messageQueue, req, res);
+                const result = await this._executeRequestWithRetries(proxyRequest, messageQueue);
+                if (!result.success) {
+                    this._logFinalRequestFailure(result.error, `OpenAI Images ${operation}`, requestId);
+                    this._sendErrorResponse(res, result.error.status || 500, result.error.message);
+
+                    // Avoid switching account if the error is just a connection reset
+                    if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(
+                            result.error,
+                            null,
+                            this._getServingAuthIndex(requestId)
+                        );
+                    } else if (result.error.skipAccountSwitch) {
+                        this.logger.info(
+                            "[Request] Immediate-switch retries exhausted, skipping additional account switch."
+                        );
+                    } else {
+                        this.logger.info(
+                            "[Request] Failure due to connection reset (OpenAI Images), skipping account switch."
+                        );
+                    }
+                    return;
+                }
+
+                this._resetFailureCount(requestId, "OpenAI Images");
+
+                await this._sendOpenAIImagesResponse(result.queue, res, responseFormat, requestId);
             } catch (error) {
+                this._handleQueueTimeout(error, requestId);
                 this._handleRequestError(error, res, requestId);
             } finally {
                 this.connectionRegistry.removeMessageQueue(requestId, "request_complete");
+                if (this.needsSwitchingAfterRequest) {
+                    this.logger.info(
+                        `[Auth] Rotation count reached switching threshold (${this.authSwitcher.usageCount}/${this.config.switchOnUses}), will automatically switch account in background...`
+                    );
+                    this.authSwitcher.switchToNextAuth().catch(err => {
+                        this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
+                    });
+                    this.needsSwitchingAfterRequest = false;
+                }
                 if (!res.writableEnded) res.end();
             }
         } finally {
@@ -1096,108 +1468,208 @@ class RequestHandler {
         }
     }
 
-    _patchUploadStartMetadata(req) {
-        const originalBody = req.rawBody;
-
-        if (!this._isUploadStartRequest(req)) return originalBody;
-
-        const uploadContentType = req.headers["x-goog-upload-header-content-type"];
-        if (!uploadContentType || !originalBody?.length) return originalBody;
-
-        let bodyObj;
-        try {
-            bodyObj = JSON.parse(originalBody.toString());
-        } catch (e) {
-            this.logger.debug(`[Upload] Start metadata is not valid JSON, skipping mimeType patch: ${e.message}`);
-            return originalBody;
+    /**
+     * Collect the prompt fields and source images of an OpenAI Images request.
+     * Edits accept multipart/form-data (`image`, `image[]` and `mask` files) or JSON with base64 data URLs.
+     * @returns {{ body: object, images: Array<{data: string, mimeType: string}>, mask: object|null }}
+     * @throws {Error} If an edit has no usable source image
+     */
+    _parseOpenAIImagesInput(req, operation) {
+        if (operation !== "edits") {
+            return { body: req.body || {}, images: [], mask: null };
         }
 
-        if (!bodyObj || typeof bodyObj !== "object") return originalBody;
-
-        const fileMetadata = bodyObj.file || bodyObj.file_metadata || bodyObj;
-        if (!fileMetadata || typeof fileMetadata !== "object") return originalBody;
+        let body;
+        let images;
+        let mask = null;
+        if (isMultipartRequest(req)) {
+            const { fields, files } = parseMultipart(req.rawBody, req.headers["content-type"]);
+            body = fields;
+            images = files
+                .filter(file => file.fieldName === "image" || file.fieldName === "image[]")
+                .map(file => this._toInlineImage(file.data, file.contentType, file.filename));
+            const maskFile = files.find(file => file.fieldName === "mask");
+            if (maskFile) {
+                mask = this._toInlineImage(maskFile.data, maskFile.contentType, maskFile.filename);
+            }
+        } else {
+            body = req.body || {};
+            const rawImages = Array.isArray(body.images) ? body.images : body.image ? [body.image] : [];
+            images = rawImages.map(item => this._parseImageDataUrl(item?.image_url ?? item));
+            if (body.mask) {
+                mask = this._parseImageDataUrl(body.mask.image_url ?? body.mask);
+            }
+        }
 
-        if (fileMetadata.mimeType || fileMetadata.mime_type) {
-            return originalBody;
+        if (images.length === 0) {
+            throw new Error("At least one source 'image' is required for image edits.");
         }
+        return { body, images, mask };
+    }
 
-        fileMetadata.mimeType = uploadContentType;
-        return Buffer.from(JSON.stringify(bodyObj));
+    _toInlineImage(buffer, contentType, filename) {
+        const mimeType = String(contentType).startsWith("image/") ? contentType : mime.lookup(filename || "");
+        if (!mimeType || !String(mimeType).startsWith("image/")) {
+            throw new Error(`Unsupported image file '${filename || "unknown"}', expected PNG, JPEG or WEBP.`);
+        }
+        return { data: buffer.toString("base64"), mimeType };
     }
 
-    _isUploadStartRequest(req) {
-        const command = String(req.headers["x-goog-upload-command"] || "").toLowerCase();
-        return req.method === "POST" && req.path.includes("/upload/") && command.includes("start");
+    _parseImageDataUrl(imageUrl) {
+        const dataUrl = this.formatConverter.normalizeImageUrl(imageUrl);
+        const match = dataUrl?.match(/^data:(image\/[^;]+);base64,(.+)$/);
+        if (!match) {
+            throw new Error("JSON image edits only accept base64 data URLs; upload files with multipart/form-data.");
+        }
+        return { data: match[2], mimeType: match[1] };
     }
 
-    // Process OpenAI format requests
-    async processOpenAIRequest(req, res) {
+    // Process OpenAI audio speech (TTS) requests
+    async processOpenAISpeechRequest(req, res) {
         const requestId = this._generateRequestId();
+        const streamFormat = req.body?.stream_format === "sse" ? "sse" : "audio";
+        const isStreaming = streamFormat === "sse" || req.body?.stream === true;
         this._startTrackedRequest(requestId, req, {
             apiFormat: "openai",
-            isStreaming: req.body.stream === true,
+            isStreaming,
             requestCategory: "generation",
-            streamMode: req.body.stream === true ? this.config.streamingMode : null,
+            streamMode: isStreaming ? "real" : null,
         });
         this._setResponseApiFormat(res, "openai");
-        res.__proxyResponseStreamMode = null;
+        res.__proxyResponseStreamMode = isStreaming ? "real" : null;
 
         try {
-            if (!(await this._ensureBrowserBackedRequestReady(res, { waitErrorType: "service_unavailable" }))) {
-                return;
+            let translated;
+            try {
+                translated = this.formatConverter.translateOpenAISpeechToGoogle(req.body);
+            } catch (error) {
+                this.logger.warn(`[Adapter] Invalid OpenAI speech request: ${error.message}, request ID: ${requestId}`);
+                return this._sendErrorResponse(res, 400, error.message, "invalid_request_error");
             }
 
-            const isOpenAIStream = req.body.stream === true;
-            const systemStreamMode = this.config.streamingMode;
-
-            // Handle usage counting
-            const usageCount = this.authSwitcher.incrementUsageCount();
-            if (usageCount > 0) {
-                const rotationCountText =
-                    this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
-                this.logger.info(
-                    `[Request] OpenAI generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex}), request ID: ${requestId}`
+            const { cleanModelName: model, googleRequest, responseFormat, speed } = translated;
+            if (!canConvertNatively(responseFormat, speed) && !isFfmpegAvailable(this.config.ffmpegPath)) {
+                return this._sendErrorResponse(
+                    res,
+                    400,
+                    `response_format '${responseFormat}'${speed !== 1 ? " with custom speed" : ""} requires ffmpeg, which is not available on this server. Use 'wav' or 'pcm' at speed 1.0.`,
+                    "invalid_request_error"
                 );
-                if (this.authSwitcher.shouldSwitchByUsage()) {
-                    this.needsSwitchingAfterRequest = true;
-                }
             }
 
-            // Translate OpenAI format to Google format (also handles model name suffix parsing)
-            let googleBody, model, modelStreamingMode;
-            try {
-                const result = await this.formatConverter.translateOpenAIToGoogle(req.body);
-                googleBody = result.googleRequest;
-                model = result.cleanModelName;
-                modelStreamingMode = result.modelStreamingMode || null;
-            } catch (error) {
-                this.logger.error(
-                    `❌ [Adapter] OpenAI request translation failed: ${error.message}, request ID: ${requestId}`
-                );
-                return this._sendErrorResponse(res, 400, "Invalid OpenAI request format.", "invalid_request_error");
+            if (!(await this._ensureBrowserBackedRequestReady(res, { waitErrorType: "service_unavailable" }))) {
+                return;
             }
 
-            const effectiveStreamMode = modelStreamingMode || systemStreamMode;
-            const useRealStream = isOpenAIStream && effectiveStreamMode === "real";
-            const googleEndpoint = useRealStream ? "streamGenerateContent" : "generateContent";
             const proxyRequest = {
-                body: JSON.stringify(googleBody),
+                body: JSON.stringify(googleRequest),
                 headers: { "Content-Type": "application/json" },
                 is_generative: true,
                 method: "POST",
-                path: `/v1beta/models/${model}:${googleEndpoint}`,
-                query_params: useRealStream ? { alt: "sse" } : {},
+                path: `/v1beta/models/${model}:${isStreaming ? "streamGenerateContent" : "generateContent"}`,
+                query_params: isStreaming ? { alt: "sse" } : {},
                 request_id: requestId,
-                streaming_mode: useRealStream ? "real" : "fake",
+                streaming_mode: isStreaming ? "real" : "fake",
             };
             this._initializeProxyRequestAttempt(proxyRequest);
-            res.__proxyResponseStreamMode = isOpenAIStream ? (useRealStream ? "real" : "fake") : null;
             this._updateTrackedRequest(requestId, {
-                isStreaming: isOpenAIStream,
                 model,
                 path: proxyRequest.path,
-                requestCategory: "generation",
-                ...(isOpenAIStream ? { streamMode: useRealStream ? "real" : "fake" } : {}),
+            });
+
+            try {
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
+                const messageQueue = this.connectionRegistry.createMessageQueue(
+                    requestId,
+                    dispatchAuthIndex,
+                    proxyRequest.request_attempt_id
+                );
+                this._setupClientDisconnectHandler(res, requestId);
+
+                const result = await this._executeRequestWithRetries(proxyRequest, messageQueue);
+                if (!result.success) {
+                    this._logFinalRequestFailure(result.error, "OpenAI speech", requestId);
+                    this._sendErrorResponse(res, result.error.status || 500, result.error.message);
+
+                    // Avoid switching account if the error is just a connection reset
+                    if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(
+                            result.error,
+                            null,
+                            this._getServingAuthIndex(requestId)
+                        );
+                    } else if (result.error.skipAccountSwitch) {
+                        this.logger.info(
+                            "[Request] Immediate-switch retries exhausted, skipping additional account switch."
+                        );
+                    } else {
+                        this.logger.info(
+                            "[Request] Failure due to connection reset (OpenAI speech), skipping account switch."
+                        );
+                    }
+                    return;
+                }
+
+                this._resetFailureCount(requestId, "OpenAI speech");
+
+                const speechOptions = { requestId, responseFormat, speed, streamFormat };
+                if (isStreaming) {
+                    await this._streamOpenAISpeechResponse(result.queue, res, speechOptions);
+                } else {
+                    await this._sendOpenAISpeechResponse(result.queue, res, speechOptions);
+                }
+            } catch (error) {
+                this._handleQueueTimeout(error, requestId);
+                this._handleRequestError(error, res, requestId);
+            } finally {
+                this.connectionRegistry.removeMessageQueue(requestId, "request_complete");
+                if (this.needsSwitchingAfterRequest) {
+                    this.logger.info(
+                        `[Auth] Rotation count reached switching threshold (${this.authSwitcher.usageCount}/${this.config.switchOnUses}), will automatically switch account in background...`
+                    );
+                    this.authSwitcher.switchToNextAuth().catch(err => {
+                        this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
+                    });
+                    this.needsSwitchingAfterRequest = false;
+                }
+                if (!res.writableEnded) res.end();
+            }
+        } finally {
+            this._finalizeTrackedRequest(requestId, res);
+        }
+    }
+
+    // Process File Upload requests
+    async processUploadRequest(req, res) {
+        const requestId = this._generateRequestId();
+        this.logger.info(`[Upload] Processing upload request ${req.method} ${req.path}, request ID: ${requestId}`);
+        this._startTrackedRequest(requestId, req, {
+            apiFormat: "upload",
+            isStreaming: false,
+            requestCategory: "upload",
+            streamMode: null,
+        });
+        this._setResponseApiFormat(res, "upload");
+
+        try {
+            if (!(await this._ensureBrowserBackedRequestReady(res, { logPrefix: "Upload" }))) {
+                return;
+            }
+
+            const uploadBodyBuffer = this._patchUploadStartMetadata(req);
+            const proxyRequest = {
+                body_b64: uploadBodyBuffer ? uploadBodyBuffer.toString("base64") : undefined,
+                headers: req.headers,
+                is_generative: false, // Uploads are never generative
+                method: req.method,
+                path: req.path.replace(/^\/proxy/, ""),
+                query_params: req.query || {},
+                request_id: requestId,
+                streaming_mode: "fake", // Uploads always return a single JSON response
+            };
+            this._initializeProxyRequestAttempt(proxyRequest);
+            this._updateTrackedRequest(requestId, {
+                path: proxyRequest.path,
             });
 
             try {
@@ -1209,12 +1681,415 @@ class RequestHandler {
                 );
                 this._setupClientDisconnectHandler(res, requestId);
 
+                await this._handleNonStreamResponse(proxyRequest, messageQueue, req, res);
+            } catch (error) {
+                this._handleRequestError(error, res, requestId);
+            } finally {
+                this.connectionRegistry.removeMessageQueue(requestId, "request_complete");
+                if (!res.writableEnded) res.end();
+            }
+        } finally {
+            this._finalizeTrackedRequest(requestId, res);
+        }
+    }
+
+    _patchUploadStartMetadata(req) {
+        const originalBody = req.rawBody;
+
+        if (!this._isUploadStartRequest(req)) return originalBody;
+
+        const uploadContentType = req.headers["x-goog-upload-header-content-type"];
+        if (!uploadContentType || !originalBody?.length) return originalBody;
+
+        let bodyObj;
+        try {
+            bodyObj = JSON.parse(originalBody.toString());
+        } catch (e) {
+            this.logger.debug(`[Upload] Start metadata is not valid JSON, skipping mimeType patch: ${e.message}`);
+            return originalBody;
+        }
+
+        if (!bodyObj || typeof bodyObj !== "object") return originalBody;
+
+        const fileMetadata = bodyObj.file || bodyObj.file_metadata || bodyObj;
+        if (!fileMetadata || typeof fileMetadata !== "object") return originalBody;
+
+        if (fileMetadata.mimeType || fileMetadata.mime_type) {
+            return originalBody;
+        }
+
+        fileMetadata.mimeType = uploadContentType;
+        return Buffer.from(JSON.stringify(bodyObj));
+    }
+
+    _isUploadStartRequest(req) {
+        const command = String(req.headers["x-goog-upload-command"] || "").toLowerCase();
+        return req.method === "POST" && req.path.includes("/upload/") && command.includes("start");
+    }
+
+    // === Account binding (Files API uploads and context caches live in a single Gemini account) ===
+
+    /**
+     * Rewrite a translated request for the account it is about to be sent with: use that account's context cache for
+     * `cache_control` prefixes and replace local file placeholders with its Gemini fileUris, uploading files it has not
+     * seen yet. Called before every forward, because retries may move the request to another account.
+     */
+    async _bindRequestToAccount(proxyRequest, authIndex) {
+        // Every attempt moves the conversation along, so a retry on another account keeps serving it from there
+        if (proxyRequest.session_key) {
+            this.sessionAffinity.bind(proxyRequest.session_key, authIndex, proxyRequest.session_source);
+        }
+        const unboundBody = proxyRequest.unbound_body || proxyRequest.body;
+        const fileIds = FileStore.findLocalFileReferences(unboundBody);
+        if (!proxyRequest.context_cache && fileIds.length === 0) return;
+
+        proxyRequest.unbound_body = unboundBody;
+        const apiKeyName = proxyRequest.api_key_name;
+        // A cached prefix holds the content of its files, so it is never reused for files this key may not read
+        const filesAccessible = fileIds.every(fileId => this.serverSystem.fileStore.get(fileId, apiKeyName));
+        let body = unboundBody;
+        if (proxyRequest.context_cache && filesAccessible) {
+            body = await this._applyContextCache(proxyRequest.context_cache, body, authIndex);
+        }
+        proxyRequest.body = await this._resolveLocalFiles(body, authIndex, apiKeyName);
+    }
+
+    async _resolveLocalFiles(body, authIndex, apiKeyName = null) {
+        const fileIds = FileStore.findLocalFileReferences(body);
+        if (fileIds.length === 0) return body;
+
+        const fileUris = {};
+        for (const fileId of fileIds) {
+            if (!this.serverSystem.fileStore.get(fileId, apiKeyName)) continue;
+            fileUris[fileId] = await this._getGeminiFileUri(fileId, authIndex, apiKeyName);
+        }
+        return FileStore.replaceLocalFileReferences(body, fileUris);
+    }
+
+    /**
+     * Move the longest cached prefix of a request into a Gemini cachedContent of the account. Only the last breakpoint
+     * creates a cache (like Anthropic, which writes the cache at the final breakpoint); earlier breakpoints are reused
+     * when a previous request cached them.
+     * @param {{breakpoints: Array<number>, creationTokens: number, model: string, ttlSeconds: number}} contextCache
+     *        Cache settings from translateClaudeToGoogle; creationTokens is updated for usage reporting
+     * @param {string} body - Serialized Gemini request
+     * @param {number} authIndex - Account the request is sent with
+     * @returns {Promise<string>} The request body, using a cachedContent if one is available
+     */
+    async _applyContextCache(contextCache, body, authIndex) {
+        contextCache.creationTokens = 0;
+        const { contents = [], systemInstruction, toolConfig, tools, ...rest } = JSON.parse(body);
+        // Gemini needs at least one content after the cached prefix
+        const breakpoints = [...new Set(contextCache.breakpoints.map(index => Math.min(index, contents.length - 1)))]
+            .filter(index => index >= 0)
+            .sort((a, b) => b - a);
+
+        for (const [position, breakpoint] of breakpoints.entries()) {
+            const prefixBody = JSON.stringify({
+                contents: breakpoint > 0 ? contents.slice(0, breakpoint) : undefined,
+                model: `models/${contextCache.model}`,
+                systemInstruction,
+                toolConfig,
+                tools,
+            });
+            // Earlier breakpoints only cover shorter prefixes
+            if (prefixBody.length < MIN_CONTEXT_CACHE_PREFIX_CHARS) break;
+
+            const key = ContextCacheRegistry.buildKey(authIndex, prefixBody);
+            let cache = this.contextCaches.get(key);
+            if (!cache && position === 0 && !this.contextCaches.isUnavailable(key)) {
+                const result = await this.contextCaches.create(key, contextCache.ttlSeconds, () =>
+                    this._createContextCache(prefixBody, contextCache.ttlSeconds, authIndex)
+                );
+                cache = result?.entry;
+                if (result?.created) contextCache.creationTokens = cache.tokenCount;
+            } else if (cache) {
+                this._refreshContextCache(key, cache, authIndex);
+            }
+            if (!cache) continue;
+
+            this.logger.debug(`[Cache] Using context cache ${cache.name} for ${breakpoint} content(s)`);
+            return JSON.stringify({ ...rest, cachedContent: cache.name, contents: contents.slice(breakpoint) });
+        }
+        return body;
+    }
+
+    /**
+     * @returns {Promise<{expiresAt: number, name: string, tokenCount: number}>}
+     */
+    async _createContextCache(prefixBody, ttlSeconds, authIndex) {
+        const cachedContent = {
+            ...JSON.parse(await this._resolveLocalFiles(prefixBody, authIndex)),
+            ttl: `${ttlSeconds}s`,
+        };
+        const response = await this._sendBrowserRequest(
+            {
+                body_b64: Buffer.from(JSON.stringify(cachedContent)).toString("base64"),
+                headers: { "content-type": "application/json" },
+                method: "POST",
+                path: "/v1beta/cachedContents",
+            },
+            authIndex
+        );
+
+        const created = JSON.parse(response.body);
+        const tokenCount = created.usageMetadata?.totalTokenCount || 0;
+        this.logger.info(`[Cache] Created context cache ${created.name} (${tokenCount} tokens, account #${authIndex})`);
+        return {
+            expiresAt: Date.parse(created.expireTime) || Date.now() + ttlSeconds * 1000,
+            name: created.name,
+            tokenCount,
+        };
+    }
+
+    /**
+     * Extend the TTL of a cache once half of it has passed, so caches in use do not expire (Anthropic refreshes the TTL
+     * on every hit). Runs in the background; the cache stays usable until its current expiry either way.
+     */
+    _refreshContextCache(key, cache, authIndex) {
+        if (cache.refreshing || cache.expiresAt - Date.now() > (cache.ttlSeconds * 1000) / 2) return;
+
+        cache.refreshing = true;
+        this._sendBrowserRequest(
+            {
+                body_b64: Buffer.from(JSON.stringify({ ttl: `${cache.ttlSeconds}s` })).toString("base64"),
+                headers: { "content-type": "application/json" },
+                method: "PATCH",
+                path: `/v1beta/${cache.name}`,
+                query_params: { updateMask: "ttl" },
+            },
+            authIndex
+        )
+            .then(response => {
+                const expiresAt = Date.parse(JSON.parse(response.body).expireTime);
+                if (expiresAt) this.contextCaches.touch(key, expiresAt);
+            })
+            .catch(error => {
+                this.logger.debug(`[Cache] Failed to extend context cache ${cache.name}: ${error.message}`);
+            })
+            .finally(() => {
+                cache.refreshing = false;
+            });
+    }
+
+    async _getGeminiFileUri(fileId, authIndex, apiKeyName = null) {
+        const cached = this.serverSystem.fileStore.getGeminiFile(fileId, authIndex);
+        if (cached) return cached.fileUri;
+
+        const uploadKey = `${authIndex}:${fileId}`;
+        if (!this.geminiFileUploads.has(uploadKey)) {
+            const upload = this._uploadFileToGemini(fileId, authIndex, apiKeyName).finally(() => {
+                this.geminiFileUploads.delete(uploadKey);
+            });
+            this.geminiFileUploads.set(uploadKey, upload);
+        }
+        return (await this.geminiFileUploads.get(uploadKey)).fileUri;
+    }
+
+    /**
+     * Upload a local file to Gemini through the browser of an account, using the resumable upload protocol.
+     * @returns {Promise<{expiresAt: number, fileUri: string, name: string}>}
+     */
+    async _uploadFileToGemini(fileId, authIndex, apiKeyName = null) {
+        const fileStore = this.serverSystem.fileStore;
+        const file = fileStore.get(fileId, apiKeyName);
+        const mimeType = fileStore.getMimeType(fileId);
+        const content = await fileStore.readContent(fileId, apiKeyName);
+        this.logger.info(`[Files] Uploading ${fileId} (${file.bytes} bytes) to Gemini via account #${authIndex}...`);
+
+        const start = await this._sendBrowserRequest(
+            {
+                body_b64: Buffer.from(JSON.stringify({ file: { displayName: file.filename } })).toString("base64"),
+                headers: {
+                    "content-type": "application/json",
+                    "x-goog-upload-command": "start",
+                    "x-goog-upload-header-content-length": String(content.length),
+                    "x-goog-upload-header-content-type": mimeType,
+                    "x-goog-upload-protocol": "resumable",
+                },
+                method: "POST",
+                path: "/upload/v1beta/files",
+            },
+            authIndex
+        );
+        const uploadUrlHeader = Object.entries(start.headers).find(
+            ([name]) => name.toLowerCase() === "x-goog-upload-url"
+        );
+        if (!uploadUrlHeader) {
+            throw new Error(`Gemini did not return an upload URL for file '${fileId}'.`);
+        }
+
+        // The browser rewrites the upload URL to point at this proxy; its path and query are forwarded as-is
+        const uploadUrl = new URL(uploadUrlHeader[1]);
+        const finish = await this._sendBrowserRequest(
+            {
+                body_b64: content.toString("base64"),
+                headers: {
+                    "content-type": mimeType,
+                    "x-goog-upload-command": "upload, finalize",
+                    "x-goog-upload-offset": "0",
+                },
+                method: "POST",
+                path: uploadUrl.pathname,
+                query_params: Object.fromEntries(uploadUrl.searchParams),
+            },
+            authIndex
+        );
+
+        let geminiFile = JSON.parse(finish.body).file;
+        const deadline = Date.now() + GEMINI_FILE_PROCESSING_TIMEOUT_MS;
+        // Videos are processed asynchronously and cannot be used until they become ACTIVE
+        while (geminiFile?.state === "PROCESSING" && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, GEMINI_FILE_POLL_INTERVAL_MS));
+            const status = await this._sendBrowserRequest(
+                { method: "GET", path: `/v1beta/${geminiFile.name}` },
+                authIndex
+            );
+            geminiFile = JSON.parse(status.body);
+        }
+        if (!geminiFile?.uri || geminiFile.state === "FAILED" || geminiFile.state === "PROCESSING") {
+            throw new Error(`Gemini could not process file '${fileId}' (state: ${geminiFile?.state || "unknown"}).`);
+        }
+
+        const expiresAt = Date.parse(geminiFile.expirationTime) || Date.now() + GEMINI_FILE_TTL_MS;
+        const entry = { expiresAt, fileUri: geminiFile.uri, name: geminiFile.name };
+        await fileStore.setGeminiFile(fileId, authIndex, entry);
+        this.logger.info(`[Files] Uploaded ${fileId} to Gemini as ${geminiFile.name} (account #${authIndex})`);
+        return entry;
+    }
+
+    /**
+     * Send a single non-generative request through an account's browser and collect the full response.
+     * @returns {Promise<{body: string, headers: Object, status: number}>}
+     * @throws {Error} If the browser reports an error or the response status is not successful
+     */
+    async _sendBrowserRequest(request, authIndex) {
+        const proxyRequest = {
+            headers: {},
+            is_generative: false,
+            query_params: {},
+            request_id: this._generateRequestId(),
+            streaming_mode: "fake",
+            ...request,
+        };
+        this._initializeProxyRequestAttempt(proxyRequest);
+        const messageQueue = this.connectionRegistry.createMessageQueue(
+            proxyRequest.request_id,
+            authIndex,
+            proxyRequest.request_attempt_id
+        );
+
+        try {
+            this._forwardRequest(proxyRequest, authIndex);
+            const headerMessage = await messageQueue.dequeue(this.timeouts.FAKE_STREAM);
+            if (headerMessage.event_type === "error") {
+                throw new Error(headerMessage.message || "Browser request failed.");
+            }
+
+            const chunks = [];
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+                const message = await messageQueue.dequeue(this.timeouts.FAKE_STREAM);
+                if (message.type === "STREAM_END") break;
+                if (message.event_type === "error") {
+                    throw new Error(message.message || "Browser request failed.");
+                }
+                if (message.event_type === "chunk" && message.data) chunks.push(Buffer.from(message.data));
+            }
+
+            const status = headerMessage.status || 200;
+            const body = Buffer.concat(chunks).toString();
+            if (status >= 400) {
+                throw new Error(`${proxyRequest.method} ${proxyRequest.path} failed with status ${status}: ${body}`);
+            }
+            return { body, headers: headerMessage.headers || {}, status };
+        } finally {
+            this.connectionRegistry.removeMessageQueue(proxyRequest.request_id, "request_complete");
+        }
+    }
+
+    // Process OpenAI format requests
+    async processOpenAIRequest(req, res) {
+        const requestId = this._generateRequestId();
+        this._startTrackedRequest(requestId, req, {
+            apiFormat: "openai",
+            isStreaming: req.body.stream === true,
+            requestCategory: "generation",
+            streamMode: req.body.stream === true ? this.config.streamingMode : null,
+        });
+        this._setResponseApiFormat(res, "openai");
+        res.__proxyResponseStreamMode = null;
+
+        try {
+            if (!(await this._ensureBrowserBackedRequestReady(res, { waitErrorType: "service_unavailable" }))) {
+                return;
+            }
+
+            const isOpenAIStream = req.body.stream === true;
+            const systemStreamMode = this.config.streamingMode;
+
+            // Translate OpenAI format to Google format (also handles model name suffix parsing)
+            let googleBody, model, modelStreamingMode, outputOptions;
+            try {
+                const result = await this.formatConverter.translateOpenAIToGoogle(req.body);
+                googleBody = result.googleRequest;
+                model = result.cleanModelName;
+                modelStreamingMode = result.modelStreamingMode || null;
+                outputOptions = result.outputOptions;
+            } catch (error) {
+                this.logger.error(
+                    `❌ [Adapter] OpenAI request translation failed: ${error.message}, request ID: ${requestId}`
+                );
+                return this._sendErrorResponse(
+                    res,
+                    400,
+                    `Invalid OpenAI request format: ${error.message}`,
+                    "invalid_request_error"
+                );
+            }
+
+            const effectiveStreamMode = modelStreamingMode || systemStreamMode;
+            const useRealStream = isOpenAIStream && effectiveStreamMode === "real";
+            const googleEndpoint = useRealStream ? "streamGenerateContent" : "generateContent";
+            const proxyRequest = {
+                body: JSON.stringify(googleBody),
+                headers: { "Content-Type": "application/json" },
+                is_generative: true,
+                method: "POST",
+                path: `/v1beta/models/${model}:${googleEndpoint}`,
+                query_params: useRealStream ? { alt: "sse" } : {},
+                request_id: requestId,
+                streaming_mode: useRealStream ? "real" : "fake",
+            };
+            this._initializeProxyRequestAttempt(proxyRequest);
+            res.__proxyResponseStreamMode = isOpenAIStream ? (useRealStream ? "real" : "fake") : null;
+            this._updateTrackedRequest(requestId, {
+                isStreaming: isOpenAIStream,
+                model,
+                path: proxyRequest.path,
+                requestCategory: "generation",
+                ...(isOpenAIStream ? { streamMode: useRealStream ? "real" : "fake" } : {}),
+            });
+
+            try {
+                // Create message queue inside try-catch to handle invalid authIndex
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
+                const messageQueue = this.connectionRegistry.createMessageQueue(
+                    requestId,
+                    dispatchAuthIndex,
+                    proxyRequest.request_attempt_id
+                );
+                this._setupClientDisconnectHandler(res, requestId);
+
                 if (useRealStream) {
                     let currentQueue = messageQueue;
-                    let currentQueueAuthIndex = this.currentAuthIndex;
+                    let currentQueueAuthIndex = dispatchAuthIndex;
                     let initialMessage;
                     let skipFinalFailureSwitch = false;
-                    const immediateSwitchTracker = this._createImmediateSwitchTracker(currentQueueAuthIndex);
+                    const immediateSwitchTracker = this._createImmediateSwitchTracker(
+                        currentQueueAuthIndex,
+                        proxyRequest.account_group
+                    );
 
                     // eslint-disable-next-line no-constant-condition
                     while (true) {
@@ -1223,6 +2098,7 @@ class RequestHandler {
                             currentQueueAuthIndex,
                             this._getAccountNameForIndex(currentQueueAuthIndex)
                         );
+                        await this._bindRequestToAccount(proxyRequest, currentQueueAuthIndex);
                         this._forwardRequest(proxyRequest, currentQueueAuthIndex);
                         initialMessage = await currentQueue.dequeue();
 
@@ -1236,6 +2112,7 @@ class RequestHandler {
                             this.logger.warn(
                                 `[Request] OpenAI real stream received ${initialStatus}, preparing retry...`
                             );
+                            this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, initialMessage);
                             this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
 
                             const retryPrepared = await this._prepareImmediateStatusRetry(
@@ -1254,13 +2131,14 @@ class RequestHandler {
                             } catch {
                                 /* empty */
                             }
+                            const retryAuthIndex = this._getImmediateRetryAuthIndex(immediateSwitchTracker);
                             this._advanceProxyRequestAttempt(proxyRequest);
                             currentQueue = this.connectionRegistry.createMessageQueue(
                                 requestId,
-                                this.currentAuthIndex,
+                                retryAuthIndex,
                                 proxyRequest.request_attempt_id
                             );
-                            currentQueueAuthIndex = this.currentAuthIndex;
+                            currentQueueAuthIndex = retryAuthIndex;
                             continue;
                         }
 
@@ -1268,6 +2146,7 @@ class RequestHandler {
                     }
 
                     if (initialMessage.event_type === "error") {
+                        this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, initialMessage);
                         this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
                         this._logFinalRequestFailure(initialMessage, "OpenAI real stream", requestId, {
                             afterRetries: false,
@@ -1278,7 +2157,11 @@ class RequestHandler {
 
                         // Avoid switching account if the error is just a connection reset
                         if (!skipFinalFailureSwitch && !this._isConnectionResetError(initialMessage)) {
-                            await this.authSwitcher.handleRequestFailureAndSwitch(initialMessage, null);
+                            await this.authSwitcher.handleRequestFailureAndSwitch(
+                                initialMessage,
+                                null,
+                                this._getServingAuthIndex(requestId)
+                            );
                         } else if (skipFinalFailureSwitch) {
                             this.logger.info(
                                 "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -1291,12 +2174,7 @@ class RequestHandler {
                         return;
                     }
 
-                    if (this.authSwitcher.failureCount > 0) {
-                        this.logger.debug(
-                            `✅ [Auth] OpenAI interface request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-                        );
-                        this.authSwitcher.failureCount = 0;
-                    }
+                    this._resetFailureCount(requestId, "OpenAI interface");
 
                     res.status(200).set({
                         "Cache-Control": "no-cache",
@@ -1304,7 +2182,7 @@ class RequestHandler {
                         "Content-Type": "text/event-stream",
                     });
                     this.logger.info(`[Request] OpenAI streaming response (Real Mode) started...`);
-                    await this._streamOpenAIResponse(currentQueue, res, model, requestId);
+                    await this._streamOpenAIResponse(currentQueue, res, model, requestId, outputOptions);
                 } else {
                     // OpenAI Fake Stream / Non-Stream mode
                     // Set up keep-alive timer for fake stream mode to prevent client timeout
@@ -1345,7 +2223,11 @@ class RequestHandler {
 
                             // Avoid switching account if the error is just a connection reset
                             if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
-                                await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                                await this.authSwitcher.handleRequestFailureAndSwitch(
+                                    result.error,
+                                    null,
+                                    this._getServingAuthIndex(requestId)
+                                );
                             } else if (result.error.skipAccountSwitch) {
                                 this.logger.info(
                                     "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -1358,12 +2240,7 @@ class RequestHandler {
                             return;
                         }
 
-                        if (this.authSwitcher.failureCount > 0) {
-                            this.logger.debug(
-                                `✅ [Auth] OpenAI interface request successful - failure count reset to 0`
-                            );
-                            this.authSwitcher.failureCount = 0;
-                        }
+                        this._resetFailureCount(requestId, "OpenAI interface");
 
                         // Use the queue that successfully received the initial message
                         const activeQueue = result.queue;
@@ -1418,7 +2295,8 @@ class RequestHandler {
                                     // Backend errored; don't attempt to translate/send a "normal" stream afterwards.
                                     return;
                                 }
-                                const streamState = {};
+                                this._recordTokenUsageFromGeminiData(requestId, fullBody);
+                                const streamState = { outputOptions };
                                 const translatedChunk = this.formatConverter.translateGoogleToOpenAIStream(
                                     fullBody,
                                     model,
@@ -1449,7 +2327,7 @@ class RequestHandler {
                             }
                         } else {
                             // Non-stream
-                            await this._sendOpenAINonStreamResponse(activeQueue, res, model, requestId);
+                            await this._sendOpenAINonStreamResponse(activeQueue, res, model, requestId, outputOptions);
                         }
                     } finally {
                         if (connectionMaintainer) clearTimeout(connectionMaintainer);
@@ -1479,8 +2357,15 @@ class RequestHandler {
     }
 
     // Process OpenAI Response API format requests
-    async processOpenAIResponseRequest(req, res) {
-        const requestId = this._generateRequestId();
+    /**
+     * @param {object} [options] - Set for background runs: `requestId` and `responseId` are assigned up front
+     */
+    async processOpenAIResponseRequest(req, res, options = {}) {
+        if (req.body?.background === true && !options.responseId) {
+            return this._startBackgroundResponse(req, res);
+        }
+
+        const requestId = options.requestId || this._generateRequestId();
         this._startTrackedRequest(requestId, req, {
             apiFormat: "response_api",
             isStreaming: req.body.stream === true,
@@ -1496,74 +2381,22 @@ class RequestHandler {
             }
 
             const isOpenAIStream = req.body.stream === true;
-            const normalizeInstructions = value => {
-                if (typeof value === "string") return value;
-                if (!Array.isArray(value)) return null;
-                const chunks = [];
-                for (const item of value) {
-                    if (!item || typeof item !== "object") continue;
-                    const content = item.content;
-                    if (typeof content === "string") {
-                        chunks.push(content);
-                        continue;
-                    }
-                    if (!Array.isArray(content)) continue;
-                    for (const part of content) {
-                        if (!part || typeof part !== "object") continue;
-                        if (part.type === "text" || part.type === "input_text") {
-                            if (typeof part.text === "string" && part.text) chunks.push(part.text);
-                        }
-                    }
-                }
-                return chunks.length > 0 ? chunks.join("\n") : null;
-            };
-            const responseDefaultsRaw = {
-                instructions: normalizeInstructions(req.body?.instructions),
-                max_output_tokens: req.body?.max_output_tokens ?? null,
-                metadata:
-                    req.body?.metadata && typeof req.body.metadata === "object" && !Array.isArray(req.body.metadata)
-                        ? req.body.metadata
-                        : {},
-                parallel_tool_calls:
-                    typeof req.body?.parallel_tool_calls === "boolean" ? req.body.parallel_tool_calls : true,
-                reasoning:
-                    req.body?.reasoning && typeof req.body.reasoning === "object" && !Array.isArray(req.body.reasoning)
-                        ? req.body.reasoning
-                        : undefined,
-                temperature: typeof req.body?.temperature === "number" ? req.body.temperature : undefined,
-                text:
-                    req.body?.text && typeof req.body.text === "object" && !Array.isArray(req.body.text)
-                        ? req.body.text
-                        : undefined,
-                tool_choice: req.body?.tool_choice ?? undefined,
-                tools: Array.isArray(req.body?.tools) ? req.body.tools : undefined,
-                top_p: typeof req.body?.top_p === "number" ? req.body.top_p : undefined,
-                truncation: typeof req.body?.truncation === "string" ? req.body.truncation : undefined,
-                user: typeof req.body?.user === "string" ? req.body.user : undefined,
-            };
-
-            const responseDefaults = Object.fromEntries(
-                Object.entries(responseDefaultsRaw).filter(([, v]) => v !== undefined)
-            );
+            const responseDefaults = this._buildResponseDefaults(req.body);
             const systemStreamMode = this.config.streamingMode;
 
-            // Handle usage counting
-            const usageCount = this.authSwitcher.incrementUsageCount();
-            if (usageCount > 0) {
-                const rotationCountText =
-                    this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
-                this.logger.info(
-                    `[Request] OpenAI Response generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex}), request ID: ${requestId}`
-                );
-                if (this.authSwitcher.shouldSwitchByUsage()) {
-                    this.needsSwitchingAfterRequest = true;
-                }
+            // Prepend the stored conversation when chaining with previous_response_id
+            const inputItems = this._normalizeResponseInputItems(req.body.input);
+            let translationBody = req.body;
+            if (responseDefaults.previous_response_id) {
+                const history = await this._loadResponseHistory(req, res, responseDefaults.previous_response_id);
+                if (!history) return;
+                translationBody = { ...req.body, input: [...history, ...inputItems] };
             }
 
             // Translate OpenAI Response format to Google format
             let googleBody, model, modelStreamingMode;
             try {
-                const result = await this.formatConverter.translateOpenAIResponseToGoogle(req.body);
+                const result = await this.formatConverter.translateOpenAIResponseToGoogle(translationBody);
                 googleBody = result.googleRequest;
                 model = result.cleanModelName;
                 modelStreamingMode = result.modelStreamingMode || null;
@@ -1605,19 +2438,23 @@ class RequestHandler {
 
             try {
                 // Create message queue inside try-catch to handle invalid authIndex
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 this._setupClientDisconnectHandler(res, requestId);
 
                 if (useRealStream) {
                     let currentQueue = messageQueue;
-                    let currentQueueAuthIndex = this.currentAuthIndex;
+                    let currentQueueAuthIndex = dispatchAuthIndex;
                     let initialMessage;
                     let skipFinalFailureSwitch = false;
-                    const immediateSwitchTracker = this._createImmediateSwitchTracker(currentQueueAuthIndex);
+                    const immediateSwitchTracker = this._createImmediateSwitchTracker(
+                        currentQueueAuthIndex,
+                        proxyRequest.account_group
+                    );
 
                     // eslint-disable-next-line no-constant-condition
                     while (true) {
@@ -1626,6 +2463,7 @@ class RequestHandler {
                             currentQueueAuthIndex,
                             this._getAccountNameForIndex(currentQueueAuthIndex)
                         );
+                        await this._bindRequestToAccount(proxyRequest, currentQueueAuthIndex);
                         this._forwardRequest(proxyRequest, currentQueueAuthIndex);
                         initialMessage = await currentQueue.dequeue();
 
@@ -1639,6 +2477,7 @@ class RequestHandler {
                             this.logger.warn(
                                 `[Request] OpenAI Response API real stream received ${initialStatus}, preparing retry...`
                             );
+                            this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, initialMessage);
                             this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
 
                             const retryPrepared = await this._prepareImmediateStatusRetry(
@@ -1657,13 +2496,14 @@ class RequestHandler {
                             } catch {
                                 /* empty */
                             }
+                            const retryAuthIndex = this._getImmediateRetryAuthIndex(immediateSwitchTracker);
                             this._advanceProxyRequestAttempt(proxyRequest);
                             currentQueue = this.connectionRegistry.createMessageQueue(
                                 requestId,
-                                this.currentAuthIndex,
+                                retryAuthIndex,
                                 proxyRequest.request_attempt_id
                             );
-                            currentQueueAuthIndex = this.currentAuthIndex;
+                            currentQueueAuthIndex = retryAuthIndex;
                             continue;
                         }
 
@@ -1671,6 +2511,7 @@ class RequestHandler {
                     }
 
                     if (initialMessage.event_type === "error") {
+                        this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, initialMessage);
                         this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
                         this._logFinalRequestFailure(initialMessage, "OpenAI Response API real stream", requestId, {
                             afterRetries: false,
@@ -1681,7 +2522,11 @@ class RequestHandler {
 
                         // Avoid switching account if the error is just a connection reset
                         if (!skipFinalFailureSwitch && !this._isConnectionResetError(initialMessage)) {
-                            await this.authSwitcher.handleRequestFailureAndSwitch(initialMessage, null);
+                            await this.authSwitcher.handleRequestFailureAndSwitch(
+                                initialMessage,
+                                null,
+                                this._getServingAuthIndex(requestId)
+                            );
                         } else if (skipFinalFailureSwitch) {
                             this.logger.info(
                                 "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -1694,12 +2539,7 @@ class RequestHandler {
                         return;
                     }
 
-                    if (this.authSwitcher.failureCount > 0) {
-                        this.logger.debug(
-                            `✅ [Auth] OpenAI Response API request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-                        );
-                        this.authSwitcher.failureCount = 0;
-                    }
+                    this._resetFailureCount(requestId, "OpenAI Response API");
 
                     res.status(200).set({
                         "Cache-Control": "no-cache",
@@ -1708,8 +2548,11 @@ class RequestHandler {
                     });
                     this.logger.info(`[Request] OpenAI Response API streaming response (Real Mode) started...`);
                     await this._streamOpenAIResponseAPIResponse(currentQueue, res, model, {
+                        apiKeyName: req.apiKeyName,
+                        inputItems,
                         requestId,
                         responseDefaults,
+                        responseId: options.responseId,
                     });
                 } else {
                     // OpenAI Response API Fake Stream / Non-Stream mode
@@ -1755,7 +2598,11 @@ class RequestHandler {
 
                             // Avoid switching account if the error is just a connection reset
                             if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
-                                await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                                await this.authSwitcher.handleRequestFailureAndSwitch(
+                                    result.error,
+                                    null,
+                                    this._getServingAuthIndex(requestId)
+                                );
                             } else if (result.error.skipAccountSwitch) {
                                 this.logger.info(
                                     "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -1768,12 +2615,7 @@ class RequestHandler {
                             return;
                         }
 
-                        if (this.authSwitcher.failureCount > 0) {
-                            this.logger.debug(
-                                `✅ [Auth] OpenAI Response API request successful - failure count reset to 0`
-                            );
-                            this.authSwitcher.failureCount = 0;
-                        }
+                        this._resetFailureCount(requestId, "OpenAI Response API");
 
                         // Use the queue that successfully received the initial message
                         const activeQueue = result.queue;
@@ -1838,7 +2680,8 @@ class RequestHandler {
                                     return;
                                 }
 
-                                const streamState = {};
+                                this._recordTokenUsageFromGeminiData(requestId, fullBody);
+                                const streamState = { id: options.responseId };
                                 streamState.responseDefaults = responseDefaults;
                                 const translatedChunk = this.formatConverter.translateGoogleToResponseAPIStream(
                                     fullBody,
@@ -1863,6 +2706,7 @@ class RequestHandler {
                                 this.logger.info(
                                     `✅ [Request] Response completed (OpenAI Response API fake stream), request ID: ${requestId}`
                                 );
+                                this._storeResponse(streamState.finalResponse, inputItems, req.apiKeyName);
                             } catch (error) {
                                 // Classify error type and send appropriate response
                                 this._handleFakeStreamError(error, res);
@@ -1874,7 +2718,9 @@ class RequestHandler {
                                 res,
                                 model,
                                 requestId,
-                                responseDefaults
+                                responseDefaults,
+                                inputItems,
+                                req.apiKeyName
                             );
                         }
                     } finally {
@@ -1924,26 +2770,15 @@ class RequestHandler {
             const isClaudeStream = req.body.stream === true;
             const systemStreamMode = this.config.streamingMode;
 
-            // Handle usage counting
-            const usageCount = this.authSwitcher.incrementUsageCount();
-            if (usageCount > 0) {
-                const rotationCountText =
-                    this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
-                this.logger.info(
-                    `[Request] Claude generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex}), request ID: ${requestId}`
-                );
-                if (this.authSwitcher.shouldSwitchByUsage()) {
-                    this.needsSwitchingAfterRequest = true;
-                }
-            }
-
             // Translate Claude format to Google format
-            let googleBody, model, modelStreamingMode;
+            let googleBody, model, modelStreamingMode, citationDocuments, contextCache;
             try {
                 const result = await this.formatConverter.translateClaudeToGoogle(req.body);
                 googleBody = result.googleRequest;
                 model = result.cleanModelName;
                 modelStreamingMode = result.modelStreamingMode || null;
+                citationDocuments = result.citationDocuments || null;
+                contextCache = result.contextCache;
             } catch (error) {
                 this.logger.error(
                     `❌ [Adapter] Claude request translation failed: ${error.message}, request ID: ${requestId}`
@@ -1965,6 +2800,9 @@ class RequestHandler {
                 request_id: requestId,
                 streaming_mode: useRealStream ? "real" : "fake",
             };
+            if (contextCache) {
+                proxyRequest.context_cache = { ...contextCache, creationTokens: 0, model };
+            }
             this._initializeProxyRequestAttempt(proxyRequest);
             res.__proxyResponseStreamMode = isClaudeStream ? (useRealStream ? "real" : "fake") : null;
             this._updateTrackedRequest(requestId, {
@@ -1977,19 +2815,23 @@ class RequestHandler {
 
             try {
                 // Create message queue inside try-catch to handle invalid authIndex
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 this._setupClientDisconnectHandler(res, requestId);
 
                 if (useRealStream) {
                     let currentQueue = messageQueue;
-                    let currentQueueAuthIndex = this.currentAuthIndex;
+                    let currentQueueAuthIndex = dispatchAuthIndex;
                     let initialMessage;
                     let skipFinalFailureSwitch = false;
-                    const immediateSwitchTracker = this._createImmediateSwitchTracker(currentQueueAuthIndex);
+                    const immediateSwitchTracker = this._createImmediateSwitchTracker(
+                        currentQueueAuthIndex,
+                        proxyRequest.account_group
+                    );
 
                     // eslint-disable-next-line no-constant-condition
                     while (true) {
@@ -1998,6 +2840,7 @@ class RequestHandler {
                             currentQueueAuthIndex,
                             this._getAccountNameForIndex(currentQueueAuthIndex)
                         );
+                        await this._bindRequestToAccount(proxyRequest, currentQueueAuthIndex);
                         this._forwardRequest(proxyRequest, currentQueueAuthIndex);
                         initialMessage = await currentQueue.dequeue();
 
@@ -2011,6 +2854,7 @@ class RequestHandler {
                             this.logger.warn(
                                 `[Request] Claude real stream received ${initialStatus}, preparing retry...`
                             );
+                            this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, initialMessage);
                             this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
 
                             const retryPrepared = await this._prepareImmediateStatusRetry(
@@ -2029,13 +2873,14 @@ class RequestHandler {
                             } catch {
                                 /* empty */
                             }
+                            const retryAuthIndex = this._getImmediateRetryAuthIndex(immediateSwitchTracker);
                             this._advanceProxyRequestAttempt(proxyRequest);
                             currentQueue = this.connectionRegistry.createMessageQueue(
                                 requestId,
-                                this.currentAuthIndex,
+                                retryAuthIndex,
                                 proxyRequest.request_attempt_id
                             );
-                            currentQueueAuthIndex = this.currentAuthIndex;
+                            currentQueueAuthIndex = retryAuthIndex;
                             continue;
                         }
 
@@ -2043,13 +2888,18 @@ class RequestHandler {
                     }
 
                     if (initialMessage.event_type === "error") {
+                        this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, initialMessage);
                         this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
                         this._logFinalRequestFailure(initialMessage, "Claude real stream", requestId, {
                             afterRetries: false,
                         });
                         this._sendErrorResponse(res, initialMessage.status || 500, initialMessage.message, "api_error");
                         if (!skipFinalFailureSwitch && !this._isConnectionResetError(initialMessage)) {
-                            await this.authSwitcher.handleRequestFailureAndSwitch(initialMessage, null);
+                            await this.authSwitcher.handleRequestFailureAndSwitch(
+                                initialMessage,
+                                null,
+                                this._getServingAuthIndex(requestId)
+                            );
                         } else if (skipFinalFailureSwitch) {
                             this.logger.info(
                                 "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -2058,10 +2908,7 @@ class RequestHandler {
                         return;
                     }
 
-                    if (this.authSwitcher.failureCount > 0) {
-                        this.logger.debug(`✅ [Auth] Claude request successful - failure count reset to 0`);
-                        this.authSwitcher.failureCount = 0;
-                    }
+                    this._resetFailureCount(requestId, "Claude");
 
                     res.status(200).set({
                         "Cache-Control": "no-cache",
@@ -2069,7 +2916,14 @@ class RequestHandler {
                         "Content-Type": "text/event-stream",
                     });
                     this.logger.info(`[Request] Claude streaming response (Real Mode) started...`);
-                    await this._streamClaudeResponse(currentQueue, res, model, requestId);
+                    await this._streamClaudeResponse(
+                        currentQueue,
+                        res,
+                        model,
+                        requestId,
+                        citationDocuments,
+                        proxyRequest.context_cache?.creationTokens || 0
+                    );
                 } else {
                     // Claude Fake Stream / Non-Stream mode
                     let connectionMaintainer;
@@ -2111,7 +2965,11 @@ class RequestHandler {
                                 );
                             }
                             if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
-                                await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                                await this.authSwitcher.handleRequestFailureAndSwitch(
+                                    result.error,
+                                    null,
+                                    this._getServingAuthIndex(requestId)
+                                );
                             } else if (result.error.skipAccountSwitch) {
                                 this.logger.info(
                                     "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -2120,10 +2978,7 @@ class RequestHandler {
                             return;
                         }
 
-                        if (this.authSwitcher.failureCount > 0) {
-                            this.logger.debug(`✅ [Auth] Claude request successful - failure count reset to 0`);
-                            this.authSwitcher.failureCount = 0;
-                        }
+                        this._resetFailureCount(requestId, "Claude");
 
                         // Use the queue that successfully received the initial message
                         const activeQueue = result.queue;
@@ -2183,7 +3038,11 @@ class RequestHandler {
                                     // Backend errored; don't attempt to translate/send a "normal" stream afterwards.
                                     return;
                                 }
-                                const streamState = {};
+                                this._recordTokenUsageFromGeminiData(requestId, fullBody);
+                                const streamState = {
+                                    cacheCreationTokens: proxyRequest.context_cache?.creationTokens || 0,
+                                    citationDocuments,
+                                };
                                 const translatedChunk = this.formatConverter.translateGoogleToClaudeStream(
                                     fullBody,
                                     model,
@@ -2213,7 +3072,14 @@ class RequestHandler {
                             }
                         } else {
                             // Non-stream
-                            await this._sendClaudeNonStreamResponse(activeQueue, res, model, requestId);
+                            await this._sendClaudeNonStreamResponse(
+                                activeQueue,
+                                res,
+                                model,
+                                requestId,
+                                citationDocuments,
+                                proxyRequest.context_cache?.creationTokens || 0
+                            );
                         }
                     } finally {
                         if (connectionMaintainer) clearTimeout(connectionMaintainer);
@@ -2301,9 +3167,10 @@ class RequestHandler {
 
             try {
                 // Create message queue inside try-catch to handle invalid authIndex
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 const messageQueueAuthIndex =
@@ -2315,6 +3182,7 @@ class RequestHandler {
                     messageQueueAuthIndex,
                     this._getAccountNameForIndex(messageQueueAuthIndex)
                 );
+                await this._bindRequestToAccount(proxyRequest, messageQueueAuthIndex);
                 this._forwardRequest(proxyRequest, messageQueueAuthIndex);
                 const response = await messageQueue.dequeue();
 
@@ -2324,7 +3192,11 @@ class RequestHandler {
                     );
                     this._sendErrorResponse(res, response.status || 500, response.message, "api_error");
                     if (!this._isConnectionResetError(response)) {
-                        await this.authSwitcher.handleRequestFailureAndSwitch(response, null);
+                        await this.authSwitcher.handleRequestFailureAndSwitch(
+                            response,
+                            null,
+                            this._getServingAuthIndex(requestId)
+                        );
                     }
                     return;
                 }
@@ -2353,12 +3225,7 @@ class RequestHandler {
                 const totalTokens = geminiResponse.totalTokens || 0;
 
                 // Reset failure count on success
-                if (this.authSwitcher.failureCount > 0) {
-                    this.logger.debug(
-                        `✅ [Auth] Count tokens request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-                    );
-                    this.authSwitcher.failureCount = 0;
-                }
+                this._resetFailureCount(requestId, "Count tokens");
 
                 // Return Claude-compatible response
                 res.status(200).json({
@@ -2442,9 +3309,10 @@ class RequestHandler {
             });
 
             try {
+                const dispatchAuthIndex = this._dispatchAuthIndex(proxyRequest, req);
                 const messageQueue = this.connectionRegistry.createMessageQueue(
                     requestId,
-                    this.currentAuthIndex,
+                    dispatchAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 const messageQueueAuthIndex =
@@ -2456,91 +3324,751 @@ class RequestHandler {
                     messageQueueAuthIndex,
                     this._getAccountNameForIndex(messageQueueAuthIndex)
                 );
+                await this._bindRequestToAccount(proxyRequest, messageQueueAuthIndex);
                 this._forwardRequest(proxyRequest, messageQueueAuthIndex);
                 const response = await messageQueue.dequeue();
 
-                if (response.event_type === "error") {
-                    this.logger.error(
-                        `❌ [Request] Received error from browser for input_tokens, will trigger switching logic. Status code: ${response.status}, message: ${response.message}`
-                    );
+                if (response.event_type === "error") {
+                    this.logger.error(
+                        `❌ [Request] Received error from browser for input_tokens, will trigger switching logic. Status code: ${response.status}, message: ${response.message}`
+                    );
+
+                    this._sendErrorResponse(res, response.status || 500, response.message);
+
+                    // Avoid switching account if the error is just a connection reset
+                    if (!this._isConnectionResetError(response)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(
+                            response,
+                            null,
+                            this._getServingAuthIndex(requestId)
+                        );
+                    } else {
+                        this.logger.info(
+                            "[Request] Failure due to connection reset (input_tokens), skipping account switch."
+                        );
+                    }
+                    return;
+                }
+
+                // For non-streaming requests, consume all chunks until STREAM_END
+                let fullBody = "";
+                if (response.type !== "STREAM_END") {
+                    if (response.data) fullBody += response.data;
+                    // eslint-disable-next-line no-constant-condition
+                    while (true) {
+                        const message = await messageQueue.dequeue();
+                        if (message.type === "STREAM_END") {
+                            break;
+                        }
+                        if (message.event_type === "error") {
+                            this.logger.error(
+                                `❌ [Request] Error received during input_tokens count: ${message.message}`
+                            );
+                            this._markTrackedResponseError(res, message.message, 500);
+                            this._sendErrorResponse(res, 500, message.message);
+                            return;
+                        }
+                        if (message.data) fullBody += message.data;
+                    }
+                }
+
+                // Parse Gemini response
+                let geminiResponse;
+                try {
+                    geminiResponse = JSON.parse(fullBody || response.body);
+                } catch (parseError) {
+                    this.logger.error(`❌ [Request] Failed to parse countTokens response: ${parseError.message}`);
+                    this._sendErrorResponse(res, 500, "Failed to parse backend response");
+                    return;
+                }
+
+                const totalTokens = geminiResponse.totalTokens || 0;
+
+                // Reset failure count on success
+                this._resetFailureCount(requestId, "input_tokens");
+
+                res.status(200).json({
+                    input_tokens: totalTokens,
+                });
+
+                this.logger.info(
+                    `✅ [Request] Response completed (OpenAI Response input_tokens, input tokens: ${totalTokens}), request ID: ${requestId}`
+                );
+            } catch (error) {
+                this._handleRequestError(error, res, requestId);
+            } finally {
+                this.connectionRegistry.removeMessageQueue(requestId, "request_complete");
+                if (!res.writableEnded) res.end();
+            }
+        } finally {
+            this._finalizeTrackedRequest(requestId, res);
+        }
+    }
+
+    // === Internal Requests ===
+
+    /**
+     * Run an API request through the regular pipeline (retries, account rotation, usage stats) without a client
+     * connection. Used by the batch workers.
+     * @param {string} endpoint - One of RequestHandler.INTERNAL_REQUEST_ENDPOINTS
+     * @param {Object} body - Request body; streaming is always disabled
+     * @param {Object} [options]
+     * @param {string} [options.apiKeyName] - API key the request runs as: its model, endpoint and usage limits apply,
+     *     its account group serves the request and its usage is attributed to it
+     * @param {string} [options.requestCategory] - Usage stats category recorded instead of the endpoint's own
+     * @returns {Promise<{body: string, statusCode: number}>}
+     */
+    executeInternalRequest(endpoint, body, options = {}) {
+        const handlerName = RequestHandler.INTERNAL_REQUEST_ENDPOINTS[endpoint];
+        if (!handlerName) {
+            return Promise.reject(new Error(`Unsupported endpoint '${endpoint}'.`));
+        }
+
+        // Batch work waits in the admission queue behind interactive requests, without a timeout. Items are queued
+        // under their owner's key, so one key's large batch does not hold up the batches of other keys
+        const apiKeyName = options.apiKeyName || null;
+        const ticket = this.serverSystem.admissionController.enqueue({
+            bounded: false,
+            key: apiKeyName || "shared",
+            priority: "batch",
+        });
+
+        return ticket.slot.then(
+            release =>
+                new Promise(resolve => {
+                    const chunks = [];
+                    const sink = new ResponseSink(
+                        chunk => chunks.push(chunk),
+                        () => {
+                            release();
+                            resolve({ body: chunks.join(""), statusCode: sink.statusCode });
+                        }
+                    );
+                    const requestBody = { ...body, stream: false };
+                    // Background mode would detach the request from this sink
+                    delete requestBody.background;
+
+                    const apiKeyStore = this.serverSystem.apiKeyStore;
+                    if (apiKeyName) {
+                        const denial = apiKeyStore.admit(apiKeyName, { model: requestBody.model, path: endpoint });
+                        if (denial) {
+                            this.logger.warn(`[Request] Internal ${endpoint} request denied: ${denial.message}`);
+                            sink.status(denial.status).json({ error: { message: denial.message } });
+                            return;
+                        }
+                    }
+
+                    const req = {
+                        __usageRequestCategory: options.requestCategory || null,
+                        accountGroup:
+                            (apiKeyName && apiKeyStore.getAccountGroup(apiKeyName)) ||
+                            this.serverSystem.getAccountGroupForModel(requestBody.model),
+                        apiKeyName,
+                        body: requestBody,
+                        headers: {},
+                        ip: "internal",
+                        method: "POST",
+                        path: endpoint,
+                        query: {},
+                    };
+                    this[handlerName](req, sink).catch(error => {
+                        this.logger.error(`[Request] Internal ${endpoint} request failed: ${error.message}`);
+                        if (sink.writableEnded) return;
+                        chunks.length = 0;
+                        this._sendErrorResponse(sink, 500, error.message);
+                        if (!sink.writableEnded) sink.end();
+                    });
+                })
+        );
+    }
+
+    // === Message Batches (Claude API) ===
+
+    async processCreateMessageBatch(req, res) {
+        this._setResponseApiFormat(res, "claude");
+        try {
+            const batch = await this.serverSystem.messageBatches.createBatch(req.body, req.apiKeyName);
+            res.status(200).json(batch);
+        } catch (error) {
+            this.logger.warn(`[Batch] Rejected message batch: ${error.message}`);
+            this._sendErrorResponse(res, 400, error.message, "invalid_request_error");
+        }
+    }
+
+    async processListMessageBatches(req, res) {
+        this._setResponseApiFormat(res, "claude");
+        res.status(200).json(
+            this.serverSystem.messageBatches.listBatches(
+                {
+                    afterId: req.query.after_id,
+                    beforeId: req.query.before_id,
+                    limit: req.query.limit,
+                },
+                req.apiKeyName
+            )
+        );
+    }
+
+    async processGetMessageBatch(req, res) {
+        this._setResponseApiFormat(res, "claude");
+        const batch = this.serverSystem.messageBatches.getBatch(req.params.batchId, req.apiKeyName);
+        if (!batch) return this._sendMessageBatchNotFound(res, req.params.batchId);
+        res.status(200).json(batch);
+    }
+
+    async processCancelMessageBatch(req, res) {
+        this._setResponseApiFormat(res, "claude");
+        const batch = await this.serverSystem.messageBatches.cancelBatch(req.params.batchId, req.apiKeyName);
+        if (!batch) return this._sendMessageBatchNotFound(res, req.params.batchId);
+        res.status(200).json(batch);
+    }
+
+    async processDeleteMessageBatch(req, res) {
+        this._setResponseApiFormat(res, "claude");
+        const batchId = req.params.batchId;
+        const deleted = await this.serverSystem.messageBatches.deleteBatch(batchId, req.apiKeyName);
+        if (deleted === null) return this._sendMessageBatchNotFound(res, batchId);
+        if (deleted === false) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                `Message batch '${batchId}' is still processing. Cancel it and wait for it to end before deleting.`,
+                "invalid_request_error"
+            );
+        }
+        res.status(200).json({ id: batchId, type: "message_batch_deleted" });
+    }
+
+    async processMessageBatchResults(req, res) {
+        this._setResponseApiFormat(res, "claude");
+        const batchId = req.params.batchId;
+        const batchService = this.serverSystem.messageBatches;
+        if (!batchService.getBatch(batchId, req.apiKeyName)) return this._sendMessageBatchNotFound(res, batchId);
+
+        const resultsPath = batchService.getResultsPath(batchId);
+        if (!resultsPath) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                `Message batch '${batchId}' has not finished processing yet.`,
+                "invalid_request_error"
+            );
+        }
+        res.status(200).set("Content-Type", "application/x-jsonl");
+        fs.createReadStream(resultsPath)
+            .on("error", error => {
+                this.logger.error(`[Batch] Failed to read results of ${batchId}: ${error.message}`);
+                if (!res.headersSent) {
+                    this._sendErrorResponse(res, 500, "Failed to read batch results.", "api_error");
+                } else {
+                    res.end();
+                }
+            })
+            .pipe(res);
+    }
+
+    _sendMessageBatchNotFound(res, batchId) {
+        return this._sendErrorResponse(res, 404, `Message batch '${batchId}' not found.`, "not_found_error");
+    }
+
+    // === Files and Batches (OpenAI API) ===
+
+    async processCreateFile(req, res) {
+        const isAnthropic = this._isAnthropicFilesRequest(req);
+        this._setResponseApiFormat(res, isAnthropic ? "claude" : "openai");
+        if (!isMultipartRequest(req)) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                isAnthropic
+                    ? "Files must be uploaded as multipart/form-data with a 'file' field."
+                    : "Files must be uploaded as multipart/form-data with 'file' and 'purpose' fields.",
+                "invalid_request_error"
+            );
+        }
+
+        let fields, files;
+        try {
+            ({ fields, files } = parseMultipart(req.rawBody, req.headers["content-type"]));
+        } catch (error) {
+            return this._sendErrorResponse(res, 400, error.message, "invalid_request_error");
+        }
+        const upload = files.find(file => file.fieldName === "file");
+        if (!upload) {
+            return this._sendErrorResponse(res, 400, "Missing required parameter: 'file'.", "invalid_request_error");
+        }
+        // Anthropic uploads carry no purpose
+        const purpose = isAnthropic && !fields.purpose ? "user_data" : fields.purpose;
+        if (!FileStore.uploadPurposes.includes(purpose)) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                `Invalid purpose '${purpose || ""}', expected one of: ${FileStore.uploadPurposes.join(", ")}.`,
+                "invalid_request_error"
+            );
+        }
+
+        const fileStore = this.serverSystem.fileStore;
+        const file = await fileStore.create(upload.data, upload.filename, purpose, req.apiKeyName);
+        res.status(200).json(isAnthropic ? fileStore.toAnthropicFile(file) : file);
+    }
+
+    async processListFiles(req, res) {
+        const fileStore = this.serverSystem.fileStore;
+        if (this._isAnthropicFilesRequest(req)) {
+            this._setResponseApiFormat(res, "claude");
+            const page = fileStore.list({ after: req.query.after_id, limit: req.query.limit || 20 }, req.apiKeyName);
+            return res.status(200).json({
+                data: page.data.map(file => fileStore.toAnthropicFile(file)),
+                first_id: page.first_id,
+                has_more: page.has_more,
+                last_id: page.last_id,
+            });
+        }
+
+        this._setResponseApiFormat(res, "openai");
+        res.status(200).json(
+            fileStore.list(
+                {
+                    after: req.query.after,
+                    limit: req.query.limit,
+                    order: req.query.order,
+                    purpose: req.query.purpose,
+                },
+                req.apiKeyName
+            )
+        );
+    }
+
+    async processGetFile(req, res) {
+        const isAnthropic = this._isAnthropicFilesRequest(req);
+        this._setResponseApiFormat(res, isAnthropic ? "claude" : "openai");
+        const fileStore = this.serverSystem.fileStore;
+        const file = fileStore.get(req.params.fileId, req.apiKeyName);
+        if (!file) return this._sendFileNotFound(res, req.params.fileId, isAnthropic);
+        res.status(200).json(isAnthropic ? fileStore.toAnthropicFile(file) : file);
+    }
+
+    async processDeleteFile(req, res) {
+        const isAnthropic = this._isAnthropicFilesRequest(req);
+        this._setResponseApiFormat(res, isAnthropic ? "claude" : "openai");
+        const fileId = req.params.fileId;
+        if (!(await this.serverSystem.fileStore.delete(fileId, req.apiKeyName))) {
+            return this._sendFileNotFound(res, fileId, isAnthropic);
+        }
+        res.status(200).json(
+            isAnthropic ? { id: fileId, type: "file_deleted" } : { deleted: true, id: fileId, object: "file" }
+        );
+    }
+
+    async processFileContent(req, res) {
+        const isAnthropic = this._isAnthropicFilesRequest(req);
+        this._setResponseApiFormat(res, isAnthropic ? "claude" : "openai");
+        const fileId = req.params.fileId;
+        const file = this.serverSystem.fileStore.get(fileId, req.apiKeyName);
+        const contentPath = this.serverSystem.fileStore.getContentPath(fileId, req.apiKeyName);
+        if (!file || !contentPath) return this._sendFileNotFound(res, fileId, isAnthropic);
+
+        res.status(200).set(
+            "Content-Type",
+            file.filename.endsWith(".jsonl")
+                ? "application/jsonl"
+                : mime.lookup(file.filename) || "application/octet-stream"
+        );
+        fs.createReadStream(contentPath)
+            .on("error", error => {
+                this.logger.error(`[Files] Failed to read file ${fileId}: ${error.message}`);
+                if (!res.headersSent) {
+                    this._sendErrorResponse(res, 500, "Failed to read file content.", "api_error");
+                } else {
+                    res.end();
+                }
+            })
+            .pipe(res);
+    }
+
+    async processCreateBatch(req, res) {
+        this._setResponseApiFormat(res, "openai");
+        try {
+            const batch = await this.serverSystem.openAIBatches.createBatch(req.body, req.apiKeyName);
+            res.status(200).json(batch);
+        } catch (error) {
+            this.logger.warn(`[Batch] Rejected OpenAI batch: ${error.message}`);
+            this._sendErrorResponse(res, 400, error.message, "invalid_request_error");
+        }
+    }
+
+    async processListBatches(req, res) {
+        this._setResponseApiFormat(res, "openai");
+        res.status(200).json(
+            this.serverSystem.openAIBatches.listBatches(
+                { after: req.query.after, limit: req.query.limit },
+                req.apiKeyName
+            )
+        );
+    }
+
+    async processGetBatch(req, res) {
+        this._setResponseApiFormat(res, "openai");
+        const batch = this.serverSystem.openAIBatches.getBatch(req.params.batchId, req.apiKeyName);
+        if (!batch) return this._sendOpenAINotFound(res, "Batch", req.params.batchId);
+        res.status(200).json(batch);
+    }
+
+    async processCancelBatch(req, res) {
+        this._setResponseApiFormat(res, "openai");
+        const batch = await this.serverSystem.openAIBatches.cancelBatch(req.params.batchId, req.apiKeyName);
+        if (!batch) return this._sendOpenAINotFound(res, "Batch", req.params.batchId);
+        res.status(200).json(batch);
+    }
+
+    _sendOpenAINotFound(res, resourceName, id) {
+        return this._sendErrorResponse(res, 404, `${resourceName} '${id}' not found.`, "invalid_request_error");
+    }
+
+    _sendFileNotFound(res, fileId, isAnthropic) {
+        if (isAnthropic) {
+            return this._sendErrorResponse(res, 404, `File '${fileId}' not found.`, "not_found_error");
+        }
+        return this._sendOpenAINotFound(res, "File", fileId);
+    }
+
+    /**
+     * The Files routes are shared by the OpenAI and Anthropic (beta) APIs; Anthropic clients always send a version header.
+     */
+    _isAnthropicFilesRequest(req) {
+        return Boolean(req.headers["anthropic-version"] || req.headers["anthropic-beta"]);
+    }
+
+    // === Stored Responses (OpenAI Response API) ===
+
+    async processGetStoredResponse(req, res) {
+        this._setResponseApiFormat(res, "response_api");
+        const responseId = req.params.responseId;
+        const job = this.backgroundResponses.get(responseId, req.apiKeyName);
+
+        if (String(req.query.stream) === "true") {
+            if (!job) {
+                return this._sendErrorResponse(
+                    res,
+                    400,
+                    "Only background responses that are running or recently finished can be streamed.",
+                    "invalid_request_error"
+                );
+            }
+            const startingAfter = parseInt(req.query.starting_after, 10);
+            res.status(200).set({
+                "Cache-Control": "no-cache",
+                Connection: "keep-alive",
+                "Content-Type": "text/event-stream",
+            });
+            this.backgroundResponses.subscribe(responseId, res, Number.isFinite(startingAfter) ? startingAfter : -1);
+            return;
+        }
+
+        // Running background jobs hold a newer snapshot than the store
+        if (job) {
+            return res.status(200).json(job.response);
+        }
+        const entry = await this._getStoredResponseEntry(req, res, responseId);
+        if (!entry) return;
+        res.status(200).json(entry.response);
+    }
+
+    async processCancelResponse(req, res) {
+        this._setResponseApiFormat(res, "response_api");
+        const responseId = req.params.responseId;
+        const job = this.backgroundResponses.get(responseId, req.apiKeyName);
+
+        if (!job) {
+            const entry = await this._getStoredResponseEntry(req, res, responseId);
+            if (!entry) return;
+            if (entry.response?.background !== true) {
+                return this._sendErrorResponse(
+                    res,
+                    400,
+                    "Only background responses can be cancelled.",
+                    "invalid_request_error"
+                );
+            }
+            if (BackgroundResponseManager.isTerminalStatus(entry.response.status)) {
+                return res.status(200).json(entry.response);
+            }
+            // Stored as still running, but no job is left to finish it
+            const response = { ...entry.response, status: "cancelled" };
+            await this.serverSystem.responseStore.save(response, entry.input, entry.apiKeyName);
+            this.logger.info(`[Background] Stored response ${responseId} cancelled`);
+            return res.status(200).json(response);
+        }
+
+        if (!BackgroundResponseManager.isTerminalStatus(job.response.status)) {
+            const targetAuthIndex =
+                this.connectionRegistry.getAuthIndexForRequest(job.requestId) ?? this.currentAuthIndex;
+            const requestAttemptId = this.connectionRegistry.getRequestAttemptIdForRequest(job.requestId);
+            this.backgroundResponses.cancel(responseId);
+            this._cancelBrowserRequest(job.requestId, targetAuthIndex, requestAttemptId);
+            // Unblock the background pipeline waiting on the queue
+            this.connectionRegistry.removeMessageQueue(job.requestId, "cancelled");
+        }
+        res.status(200).json(job.response);
+    }
+
+    async processDeleteStoredResponse(req, res) {
+        this._setResponseApiFormat(res, "response_api");
+        const responseId = req.params.responseId;
+        if (!this._isResponseStoreEnabled()) {
+            return this._sendErrorResponse(res, 400, "Response storage is disabled.", "invalid_request_error");
+        }
+        if (!(await this.serverSystem.responseStore.delete(responseId, req.apiKeyName))) {
+            return this._sendErrorResponse(
+                res,
+                404,
+                `Response with id '${responseId}' not found.`,
+                "invalid_request_error"
+            );
+        }
+        this.logger.info(`[ResponseStore] Deleted stored response ${responseId}`);
+        res.status(200).json({ deleted: true, id: responseId, object: "response" });
+    }
+
+    async processListResponseInputItems(req, res) {
+        this._setResponseApiFormat(res, "response_api");
+        const entry = await this._getStoredResponseEntry(req, res, req.params.responseId);
+        if (!entry) return;
+
+        const parsedLimit = parseInt(req.query.limit, 10);
+        const limit = Number.isFinite(parsedLimit) ? Math.min(100, Math.max(1, parsedLimit)) : 20;
+        let items = Array.isArray(entry.input) ? [...entry.input] : [];
+        if (req.query.order !== "asc") items.reverse();
+        if (req.query.after) {
+            const afterIndex = items.findIndex(item => item?.id === req.query.after);
+            items = afterIndex === -1 ? [] : items.slice(afterIndex + 1);
+        }
+
+        const data = items.slice(0, limit);
+        res.status(200).json({
+            data,
+            first_id: data[0]?.id || null,
+            has_more: items.length > limit,
+            last_id: data[data.length - 1]?.id || null,
+            object: "list",
+        });
+    }
+
+    /**
+     * Request fields echoed back on Response API response objects.
+     */
+    _buildResponseDefaults(body) {
+        const normalizeInstructions = value => {
+            if (typeof value === "string") return value;
+            if (!Array.isArray(value)) return null;
+            const chunks = [];
+            for (const item of value) {
+                if (!item || typeof item !== "object") continue;
+                const content = item.content;
+                if (typeof content === "string") {
+                    chunks.push(content);
+                    continue;
+                }
+                if (!Array.isArray(content)) continue;
+                for (const part of content) {
+                    if (!part || typeof part !== "object") continue;
+                    if (part.type === "text" || part.type === "input_text") {
+                        if (typeof part.text === "string" && part.text) chunks.push(part.text);
+                    }
+                }
+            }
+            return chunks.length > 0 ? chunks.join("\n") : null;
+        };
+        const responseDefaultsRaw = {
+            background: body?.background === true ? true : undefined,
+            instructions: normalizeInstructions(body?.instructions),
+            max_output_tokens: body?.max_output_tokens ?? null,
+            metadata:
+                body?.metadata && typeof body.metadata === "object" && !Array.isArray(body.metadata)
+                    ? body.metadata
+                    : {},
+            parallel_tool_calls: typeof body?.parallel_tool_calls === "boolean" ? body.parallel_tool_calls : true,
+            previous_response_id:
+                typeof body?.previous_response_id === "string" ? body.previous_response_id : undefined,
+            reasoning:
+                body?.reasoning && typeof body.reasoning === "object" && !Array.isArray(body.reasoning)
+                    ? body.reasoning
+                    : undefined,
+            store: this._isResponseStoreEnabled() && body?.store !== false,
+            temperature: typeof body?.temperature === "number" ? body.temperature : undefined,
+            text: body?.text && typeof body.text === "object" && !Array.isArray(body.text) ? body.text : undefined,
+            tool_choice: body?.tool_choice ?? undefined,
+            tools: Array.isArray(body?.tools) ? body.tools : undefined,
+            top_p: typeof body?.top_p === "number" ? body.top_p : undefined,
+            truncation: typeof body?.truncation === "string" ? body.truncation : undefined,
+            user: typeof body?.user === "string" ? body.user : undefined,
+        };
+
+        return Object.fromEntries(Object.entries(responseDefaultsRaw).filter(([, v]) => v !== undefined));
+    }
 
-                    this._sendErrorResponse(res, response.status || 500, response.message);
+    /**
+     * Start a `background: true` Responses request. The request keeps running after the client disconnects;
+     * the client gets the queued response (or a stream that can later be resumed with `starting_after`).
+     * The job waits for its own admission slot under the owner's key and holds it until its pipeline ends.
+     */
+    async _startBackgroundResponse(req, res) {
+        this._setResponseApiFormat(res, "response_api");
+        if (!this._isResponseStoreEnabled() || req.body.store === false) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                "Background mode requires response storage (store must not be false).",
+                "invalid_request_error"
+            );
+        }
 
-                    // Avoid switching account if the error is just a connection reset
-                    if (!this._isConnectionResetError(response)) {
-                        await this.authSwitcher.handleRequestFailureAndSwitch(response, null);
-                    } else {
-                        this.logger.info(
-                            "[Request] Failure due to connection reset (input_tokens), skipping account switch."
-                        );
-                    }
-                    return;
-                }
+        const responseId = `resp_${this.formatConverter._generateRequestId()}`;
+        const requestId = this._generateRequestId();
+        const inputItems = this._normalizeResponseInputItems(req.body.input);
+        const queuedResponse = this.formatConverter.buildResponseAPIObject(
+            responseId,
+            req.body.model,
+            this._buildResponseDefaults(req.body),
+            { status: "queued" }
+        );
+        const { job, sink } = this.backgroundResponses.create(queuedResponse, requestId, inputItems, req.apiKeyName);
+        await this.serverSystem.responseStore.save(queuedResponse, inputItems, req.apiKeyName);
+
+        // The client connection only waits for the job's events from here on, so its slot goes to the job queue.
+        // Like batch work, the job is not bound by the queue size or timeout; its request was already counted.
+        req.admission?.release();
+        job.ticket = this.serverSystem.admissionController.enqueue({
+            bounded: false,
+            key: req.apiKeyName || "shared",
+            priority: req.admission?.priority,
+        });
+        job.ticket.slot.then(release => {
+            job.ticket = null;
+            if (!release) return;
+            if (BackgroundResponseManager.isTerminalStatus(job.response.status)) return release();
+            job.releaseSlot = release;
+            sink.once("close", release);
+
+            // Always run as a stream so the event log can be replayed; inherit everything else from the client request
+            const backgroundReq = Object.create(req);
+            backgroundReq.body = { ...req.body, input: inputItems, stream: true };
+            this.processOpenAIResponseRequest(backgroundReq, sink, { requestId, responseId }).catch(error => {
+                this.logger.error(`❌ [Background] Response ${responseId} pipeline error: ${error.message}`);
+                if (!sink.writableEnded) sink.end();
+            });
+        });
 
-                // For non-streaming requests, consume all chunks until STREAM_END
-                let fullBody = "";
-                if (response.type !== "STREAM_END") {
-                    if (response.data) fullBody += response.data;
-                    // eslint-disable-next-line no-constant-condition
-                    while (true) {
-                        const message = await messageQueue.dequeue();
-                        if (message.type === "STREAM_END") {
-                            break;
-                        }
-                        if (message.event_type === "error") {
-                            this.logger.error(
-                                `❌ [Request] Error received during input_tokens count: ${message.message}`
-                            );
-                            this._markTrackedResponseError(res, message.message, 500);
-                            this._sendErrorResponse(res, 500, message.message);
-                            return;
-                        }
-                        if (message.data) fullBody += message.data;
-                    }
-                }
+        if (req.body.stream === true) {
+            res.status(200).set({
+                "Cache-Control": "no-cache",
+                Connection: "keep-alive",
+                "Content-Type": "text/event-stream",
+            });
+            this.backgroundResponses.subscribe(responseId, res);
+            return;
+        }
+        res.status(200).json(queuedResponse);
+    }
 
-                // Parse Gemini response
-                let geminiResponse;
-                try {
-                    geminiResponse = JSON.parse(fullBody || response.body);
-                } catch (parseError) {
-                    this.logger.error(`❌ [Request] Failed to parse countTokens response: ${parseError.message}`);
-                    this._sendErrorResponse(res, 500, "Failed to parse backend response");
-                    return;
-                }
+    _isResponseStoreEnabled() {
+        return Boolean(this.serverSystem.responseStore?.isEnabled());
+    }
 
-                const totalTokens = geminiResponse.totalTokens || 0;
+    async _getStoredResponseEntry(req, res, responseId) {
+        if (!this._isResponseStoreEnabled()) {
+            this._sendErrorResponse(res, 400, "Response storage is disabled.", "invalid_request_error");
+            return null;
+        }
+        const entry = await this.serverSystem.responseStore.get(responseId, req.apiKeyName);
+        if (!entry) {
+            this._sendErrorResponse(res, 404, `Response with id '${responseId}' not found.`, "invalid_request_error");
+            return null;
+        }
+        return entry;
+    }
 
-                // Reset failure count on success
-                if (this.authSwitcher.failureCount > 0) {
-                    this.logger.debug(
-                        `✅ [Auth] input_tokens request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-                    );
-                    this.authSwitcher.failureCount = 0;
+    /**
+     * Load the stored conversation for previous_response_id, sending the error response when it is unavailable.
+     * @returns {Promise<Array<Object>|null>} Input items of the earlier turns, or null after an error was sent
+     */
+    async _loadResponseHistory(req, res, previousResponseId) {
+        if (!this._isResponseStoreEnabled()) {
+            this._sendErrorResponse(
+                res,
+                400,
+                "previous_response_id requires response storage, which is disabled.",
+                "invalid_request_error"
+            );
+            return null;
+        }
+        const history = await this.serverSystem.responseStore.getConversationItems(previousResponseId, req.apiKeyName);
+        if (!history) {
+            this._sendErrorResponse(
+                res,
+                404,
+                `Previous response with id '${previousResponseId}' not found.`,
+                "invalid_request_error"
+            );
+            return null;
+        }
+        this.logger.info(
+            `[ResponseStore] Continuing from ${previousResponseId} with ${history.length} stored input/output item(s)`
+        );
+        return history;
+    }
+
+    /**
+     * Convert Response API `input` into the item list that is stored and listed by input_items.
+     * Plain strings become user messages and every item gets an ID.
+     */
+    _normalizeResponseInputItems(input) {
+        const rawItems = typeof input === "string" ? [input] : Array.isArray(input) ? input : [];
+        return rawItems
+            .map(item => {
+                if (typeof item === "string") {
+                    return {
+                        content: [{ text: item, type: "input_text" }],
+                        id: `msg_${this.formatConverter._generateRequestId()}`,
+                        role: "user",
+                        type: "message",
+                    };
                 }
+                if (!item || typeof item !== "object") return null;
 
-                res.status(200).json({
-                    input_tokens: totalTokens,
-                });
+                const normalized = { ...item };
+                if (!normalized.type && normalized.role) normalized.type = "message";
+                if (normalized.type === "message" && typeof normalized.content === "string") {
+                    const textType = normalized.role === "assistant" ? "output_text" : "input_text";
+                    normalized.content = [{ text: normalized.content, type: textType }];
+                }
+                if (!normalized.id) {
+                    normalized.id = `${normalized.type === "message" ? "msg" : "item"}_${this.formatConverter._generateRequestId()}`;
+                }
+                return normalized;
+            })
+            .filter(Boolean);
+    }
 
-                this.logger.info(
-                    `✅ [Request] Response completed (OpenAI Response input_tokens, input tokens: ${totalTokens}), request ID: ${requestId}`
-                );
-            } catch (error) {
-                this._handleRequestError(error, res, requestId);
-            } finally {
-                this.connectionRegistry.removeMessageQueue(requestId, "request_complete");
-                if (!res.writableEnded) res.end();
-            }
-        } finally {
-            this._finalizeTrackedRequest(requestId, res);
-        }
+    _storeResponse(response, inputItems = [], apiKeyName = null) {
+        if (!response?.store || !this._isResponseStoreEnabled()) return;
+        this.serverSystem.responseStore.save(response, inputItems, apiKeyName).catch(error => {
+            this.logger.warn(`[ResponseStore] Failed to store response ${response.id}: ${error.message}`);
+        });
     }
 
     // === Response Handlers ===
 
-    async _streamClaudeResponse(messageQueue, res, model, requestId) {
-        const streamState = {};
+    async _streamClaudeResponse(
+        messageQueue,
+        res,
+        model,
+        requestId,
+        citationDocuments = null,
+        cacheCreationTokens = 0
+    ) {
+        const streamState = { cacheCreationTokens, citationDocuments };
 
         try {
             // eslint-disable-next-line no-constant-condition
@@ -2548,6 +4076,7 @@ class RequestHandler {
                 const message = await messageQueue.dequeue(this.timeouts.STREAM_CHUNK);
 
                 if (message.type === "STREAM_END") {
+                    this._recordTokenUsage(requestId, streamState.usage);
                     this.logger.info(`✅ [Request] Response completed (Claude real stream), request ID: ${requestId}`);
                     break;
                 }
@@ -2617,7 +4146,14 @@ class RequestHandler {
         }
     }
 
-    async _sendClaudeNonStreamResponse(messageQueue, res, model, requestId) {
+    async _sendClaudeNonStreamResponse(
+        messageQueue,
+        res,
+        model,
+        requestId,
+        citationDocuments = null,
+        cacheCreationTokens = 0
+    ) {
         let fullBody = "";
         let receiving = true;
         while (receiving) {
@@ -2641,7 +4177,13 @@ class RequestHandler {
 
         try {
             const googleResponse = JSON.parse(fullBody);
-            const claudeResponse = this.formatConverter.convertGoogleToClaudeNonStream(googleResponse, model);
+            this._recordTokenUsage(requestId, this.formatConverter._parseUsage(googleResponse));
+            const claudeResponse = this.formatConverter.convertGoogleToClaudeNonStream(
+                googleResponse,
+                model,
+                citationDocuments,
+                cacheCreationTokens
+            );
             res.type("application/json").send(JSON.stringify(claudeResponse));
             this.logger.info(`✅ [Request] Response completed (Claude non-stream), request ID: ${requestId}`);
         } catch (e) {
@@ -2695,7 +4237,11 @@ class RequestHandler {
 
                     // Avoid switching account if the error is just a connection reset
                     if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
-                        await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                        await this.authSwitcher.handleRequestFailureAndSwitch(
+                            result.error,
+                            null,
+                            this._getServingAuthIndex(proxyRequest.request_id)
+                        );
                     } else if (result.error.skipAccountSwitch) {
                         this.logger.info(
                             "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -2709,11 +4255,8 @@ class RequestHandler {
                 return;
             }
 
-            if (proxyRequest.is_generative && this.authSwitcher.failureCount > 0) {
-                this.logger.debug(
-                    `✅ [Auth] Generation request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-                );
-                this.authSwitcher.failureCount = 0;
+            if (proxyRequest.is_generative) {
+                this._resetFailureCount(proxyRequest.request_id, "Generation");
             }
 
             // Use the queue that successfully received the initial message
@@ -2775,6 +4318,7 @@ class RequestHandler {
             try {
                 const googleResponse = JSON.parse(fullData);
                 this._logGeminiNativeResponseDebug(googleResponse, "pseudo-stream");
+                this._recordTokenUsage(proxyRequest.request_id, this.formatConverter._parseUsage(googleResponse));
                 const candidate = googleResponse.candidates?.[0];
 
                 if (candidate && candidate.content && Array.isArray(candidate.content.parts)) {
@@ -2933,10 +4477,14 @@ class RequestHandler {
 
     async _handleRealStreamResponse(proxyRequest, messageQueue, req, res) {
         let currentQueue = messageQueue;
-        let currentQueueAuthIndex = this.currentAuthIndex;
+        let currentQueueAuthIndex =
+            this.connectionRegistry.getAuthIndexForRequest(proxyRequest.request_id) ?? this.currentAuthIndex;
         let headerMessage;
         let skipFinalFailureSwitch = false;
-        const immediateSwitchTracker = this._createImmediateSwitchTracker(currentQueueAuthIndex);
+        const immediateSwitchTracker = this._createImmediateSwitchTracker(
+            currentQueueAuthIndex,
+            proxyRequest.account_group
+        );
 
         // eslint-disable-next-line no-constant-condition
         while (true) {
@@ -2946,6 +4494,7 @@ class RequestHandler {
                 currentQueueAuthIndex,
                 this._getAccountNameForIndex(currentQueueAuthIndex)
             );
+            await this._bindRequestToAccount(proxyRequest, currentQueueAuthIndex);
             this._forwardRequest(proxyRequest, currentQueueAuthIndex);
             headerMessage = await currentQueue.dequeue();
 
@@ -2958,6 +4507,7 @@ class RequestHandler {
                 this.config?.immediateSwitchStatusCodes?.includes(headerStatus)
             ) {
                 this.logger.warn(`[Request] Gemini real stream received ${headerStatus}, preparing retry...`);
+                this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, headerMessage);
                 this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
 
                 const retryPrepared = await this._prepareImmediateStatusRetry(
@@ -2977,13 +4527,14 @@ class RequestHandler {
                     /* empty */
                 }
 
+                const retryAuthIndex = this._getImmediateRetryAuthIndex(immediateSwitchTracker);
                 this._advanceProxyRequestAttempt(proxyRequest);
                 currentQueue = this.connectionRegistry.createMessageQueue(
                     proxyRequest.request_id,
-                    this.currentAuthIndex,
+                    retryAuthIndex,
                     proxyRequest.request_attempt_id
                 );
-                currentQueueAuthIndex = this.currentAuthIndex;
+                currentQueueAuthIndex = retryAuthIndex;
                 continue;
             }
 
@@ -2991,6 +4542,7 @@ class RequestHandler {
         }
 
         if (headerMessage.event_type === "error") {
+            this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, headerMessage);
             this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
             if (isUserAbortedError(headerMessage)) {
                 this.logger.debug(
@@ -3002,7 +4554,11 @@ class RequestHandler {
                 });
                 // Avoid switching account if the error is just a connection reset
                 if (!skipFinalFailureSwitch && !this._isConnectionResetError(headerMessage)) {
-                    await this.authSwitcher.handleRequestFailureAndSwitch(headerMessage, null);
+                    await this.authSwitcher.handleRequestFailureAndSwitch(
+                        headerMessage,
+                        null,
+                        this._getServingAuthIndex(proxyRequest.request_id)
+                    );
                 } else if (skipFinalFailureSwitch) {
                     this.logger.info(
                         "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -3018,11 +4574,8 @@ class RequestHandler {
             return;
         }
 
-        if (proxyRequest.is_generative && this.authSwitcher.failureCount > 0) {
-            this.logger.debug(
-                `✅ [Auth] Generation request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-            );
-            this.authSwitcher.failureCount = 0;
+        if (proxyRequest.is_generative) {
+            this._resetFailureCount(proxyRequest.request_id, "Generation");
         }
 
         this._setResponseHeaders(res, headerMessage, req);
@@ -3062,6 +4615,7 @@ class RequestHandler {
 
                 if (dataMessage.data) {
                     this._logGeminiNativeChunkDebug(dataMessage.data, "stream");
+                    this._recordTokenUsageFromGeminiData(proxyRequest.request_id, dataMessage.data);
                     if (!this._isResponseWritable(res)) {
                         this.logger.debug(
                             "[Request] Response no longer writable during Gemini real stream; stopping stream."
@@ -3109,7 +4663,11 @@ class RequestHandler {
                     this._logFinalRequestFailure(result.error, "Gemini non-stream", proxyRequest.request_id);
                     // Avoid switching account if the error is just a connection reset
                     if (!result.error.skipAccountSwitch && !this._isConnectionResetError(result.error)) {
-                        await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                        await this.authSwitcher.handleRequestFailureAndSwitch(
+                            result.error,
+                            null,
+                            this._getServingAuthIndex(proxyRequest.request_id)
+                        );
                     } else if (result.error.skipAccountSwitch) {
                         this.logger.info(
                             "[Request] Immediate-switch retries exhausted, skipping additional account switch."
@@ -3124,11 +4682,8 @@ class RequestHandler {
             }
 
             // On success, reset failure count if needed
-            if (proxyRequest.is_generative && this.authSwitcher.failureCount > 0) {
-                this.logger.debug(
-                    `✅ [Auth] Non-stream generation request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
-                );
-                this.authSwitcher.failureCount = 0;
+            if (proxyRequest.is_generative) {
+                this._resetFailureCount(proxyRequest.request_id, "Non-stream generation");
             }
 
             // Use the queue that successfully received the initial message
@@ -3163,6 +4718,7 @@ class RequestHandler {
             try {
                 const fullResponse = JSON.parse(responseBodyBuffer.toString());
                 this._logGeminiNativeResponseDebug(fullResponse, "non-stream");
+                this._recordTokenUsage(proxyRequest.request_id, this.formatConverter._parseUsage(fullResponse));
             } catch (e) {
                 // Ignore JSON parsing errors for finish reason
             }
@@ -3240,7 +4796,10 @@ class RequestHandler {
                 ? registeredQueueAuthIndex
                 : this.currentAuthIndex;
         let retryAttempt = 1;
-        const immediateSwitchTracker = this._createImmediateSwitchTracker(currentQueueAuthIndex);
+        const immediateSwitchTracker = this._createImmediateSwitchTracker(
+            currentQueueAuthIndex,
+            proxyRequest.account_group
+        );
 
         while (retryAttempt <= this.config.maxRetries) {
             // Record attempt at the start of each retry, before forwarding.
@@ -3251,6 +4810,7 @@ class RequestHandler {
                 this._getAccountNameForIndex(currentQueueAuthIndex)
             );
             try {
+                await this._bindRequestToAccount(proxyRequest, currentQueueAuthIndex);
                 this._forwardRequest(proxyRequest, currentQueueAuthIndex);
 
                 const initialMessage = await currentQueue.dequeue(this.timeouts.FAKE_STREAM);
@@ -3291,42 +4851,43 @@ class RequestHandler {
                     // Check the actual closure reason to provide accurate error messages
                     const reason = error.reason || "unknown";
                     const isClientDisconnect = reason === "client_disconnect";
-                    const currentAuthIndex = this.currentAuthIndex;
                     const isClosedAccountRetryable = reason === "context_closed" || reason === "page_closed";
-                    const canRetryOnCurrentAccountCandidate =
-                        !isClientDisconnect &&
-                        isClosedAccountRetryable &&
+                    const retryAuthIndex =
+                        !isClientDisconnect && isClosedAccountRetryable
+                            ? this._getRetryAuthIndex(proxyRequest, immediateSwitchTracker.attemptedAuthIndices)
+                            : null;
+                    const canRetryOnOtherAccountCandidate =
                         retryAttempt < this.config.maxRetries &&
                         Number.isInteger(currentQueueAuthIndex) &&
                         currentQueueAuthIndex >= 0 &&
-                        Number.isInteger(currentAuthIndex) &&
-                        currentAuthIndex >= 0 &&
-                        currentQueueAuthIndex !== currentAuthIndex;
+                        Number.isInteger(retryAuthIndex) &&
+                        retryAuthIndex >= 0 &&
+                        currentQueueAuthIndex !== retryAuthIndex;
 
-                    if (canRetryOnCurrentAccountCandidate) {
+                    if (canRetryOnOtherAccountCandidate) {
                         const ready = await this._waitForSystemAndConnectionIfBusy(null, {
                             connectionMessage: "Service temporarily unavailable: Connection not ready before retry.",
                         });
                         if (!ready) {
                             lastError = {
-                                message: `WebSocket connection not ready before retry on account #${this.currentAuthIndex}.`,
+                                message: `WebSocket connection not ready before retry on account #${retryAuthIndex}.`,
                                 status: 503,
                             };
                             break;
                         }
                     }
 
-                    const canRetryOnCurrentAccount =
-                        canRetryOnCurrentAccountCandidate &&
-                        Boolean(this.connectionRegistry.getConnectionByAuth(currentAuthIndex, false));
+                    const canRetryOnOtherAccount =
+                        canRetryOnOtherAccountCandidate &&
+                        Boolean(this.connectionRegistry.getConnectionByAuth(retryAuthIndex, false));
 
                     if (isClientDisconnect) {
                         this.logger.warn(`[Request] Message queue closed due to client disconnect, aborting retries.`);
                         lastError = { message: "Connection lost (client disconnect)", status: 503 };
-                    } else if (canRetryOnCurrentAccount) {
+                    } else if (canRetryOnOtherAccount) {
                         this.logger.warn(
-                            `[Request] Message queue for non-current account #${currentQueueAuthIndex} closed ` +
-                                `(reason: ${reason}); retrying request #${proxyRequest.request_id} on current account #${currentAuthIndex}.`
+                            `[Request] Message queue for account #${currentQueueAuthIndex} closed ` +
+                                `(reason: ${reason}); retrying request #${proxyRequest.request_id} on account #${retryAuthIndex}.`
                         );
                         lastError = {
                             message: `Queue closed: ${error.message || reason}`,
@@ -3336,10 +4897,10 @@ class RequestHandler {
                         this._advanceProxyRequestAttempt(proxyRequest);
                         currentQueue = this.connectionRegistry.createMessageQueue(
                             proxyRequest.request_id,
-                            currentAuthIndex,
+                            retryAuthIndex,
                             proxyRequest.request_attempt_id
                         );
-                        currentQueueAuthIndex = currentAuthIndex;
+                        currentQueueAuthIndex = retryAuthIndex;
                         if (Number.isInteger(currentQueueAuthIndex) && currentQueueAuthIndex >= 0) {
                             immediateSwitchTracker.attemptedAuthIndices.add(currentQueueAuthIndex);
                         }
@@ -3359,6 +4920,7 @@ class RequestHandler {
                 }
 
                 lastError = errorPayload;
+                this._recordAttemptFailure(proxyRequest, currentQueueAuthIndex, errorPayload);
                 this._cancelCurrentAttemptBeforeRetry(proxyRequest, currentQueueAuthIndex);
 
                 const errorStatus = Number(errorPayload?.status);
@@ -3405,16 +4967,17 @@ class RequestHandler {
                         this.logger.debug(`[Request] Failed to close old queue before retry: ${e.message}`);
                     }
 
+                    const retryAuthIndex = this._getImmediateRetryAuthIndex(immediateSwitchTracker);
                     this.logger.debug(
-                        `[Request] Creating new message queue after immediate switch for request #${proxyRequest.request_id} (switching from account #${currentQueueAuthIndex} to #${this.currentAuthIndex})`
+                        `[Request] Creating new message queue after immediate switch for request #${proxyRequest.request_id} (switching from account #${currentQueueAuthIndex} to #${retryAuthIndex})`
                     );
                     this._advanceProxyRequestAttempt(proxyRequest);
                     currentQueue = this.connectionRegistry.createMessageQueue(
                         proxyRequest.request_id,
-                        this.currentAuthIndex,
+                        retryAuthIndex,
                         proxyRequest.request_attempt_id
                     );
-                    currentQueueAuthIndex = this.currentAuthIndex;
+                    currentQueueAuthIndex = retryAuthIndex;
                     continue;
                 }
 
@@ -3439,20 +5002,30 @@ class RequestHandler {
                     this.logger.debug(`[Request] Failed to close old queue before retry: ${e.message}`);
                 }
 
-                // Create a new message queue for the retry with CURRENT account
+                // Create a new message queue for the retry on the retry account (see _getRetryAuthIndex)
                 // Note: We keep the same requestId so the browser response routes to the new queue
                 // createMessageQueue will automatically close and remove any existing queue with the same ID from the registry
+                const retryAuthIndex = this._getRetryAuthIndex(
+                    proxyRequest,
+                    immediateSwitchTracker.attemptedAuthIndices
+                );
+                if (retryAuthIndex === null) {
+                    this.logger.warn(
+                        `[Request] No ready account left in account group "${proxyRequest.account_group}" for request #${proxyRequest.request_id}, aborting retries.`
+                    );
+                    break;
+                }
                 this.logger.debug(
-                    `[Request] Creating new message queue for retry #${retryAttempt + 1} for request #${proxyRequest.request_id} (switching from account #${currentQueueAuthIndex} to #${this.currentAuthIndex})`
+                    `[Request] Creating new message queue for retry #${retryAttempt + 1} for request #${proxyRequest.request_id} (switching from account #${currentQueueAuthIndex} to #${retryAuthIndex})`
                 );
                 this._advanceProxyRequestAttempt(proxyRequest);
                 currentQueue = this.connectionRegistry.createMessageQueue(
                     proxyRequest.request_id,
-                    this.currentAuthIndex,
+                    retryAuthIndex,
                     proxyRequest.request_attempt_id
                 );
                 // Update tracked authIndex for the new queue
-                currentQueueAuthIndex = this.currentAuthIndex;
+                currentQueueAuthIndex = retryAuthIndex;
                 if (Number.isInteger(currentQueueAuthIndex) && currentQueueAuthIndex >= 0) {
                     immediateSwitchTracker.attemptedAuthIndices.add(currentQueueAuthIndex);
                 }
@@ -3465,7 +5038,7 @@ class RequestHandler {
                     }))
                 ) {
                     lastError = {
-                        message: `WebSocket connection not ready before retry on account #${this.currentAuthIndex}.`,
+                        message: `WebSocket connection not ready before retry on account #${currentQueueAuthIndex}.`,
                         status: 503,
                     };
                     break;
@@ -3480,6 +5053,7 @@ class RequestHandler {
 
     async _streamOpenAIResponseAPIResponse(messageQueue, res, model, streamOptions = {}) {
         const streamState = {
+            id: streamOptions.responseId,
             responseDefaults: streamOptions.responseDefaults || {},
         };
         const requestId = streamOptions.requestId;
@@ -3492,9 +5066,11 @@ class RequestHandler {
             while (true) {
                 const message = await messageQueue.dequeue(this.timeouts.STREAM_CHUNK);
                 if (message.type === "STREAM_END") {
+                    this._recordTokenUsage(requestId, streamState.usage);
                     this.logger.info(
                         `✅ [Request] Response completed (OpenAI Response API real stream), request ID: ${requestId}`
                     );
+                    this._storeResponse(streamState.finalResponse, streamOptions.inputItems, streamOptions.apiKeyName);
                     break;
                 }
 
@@ -3563,8 +5139,8 @@ class RequestHandler {
         }
     }
 
-    async _streamOpenAIResponse(messageQueue, res, model, requestId) {
-        const streamState = {};
+    async _streamOpenAIResponse(messageQueue, res, model, requestId, outputOptions = {}) {
+        const streamState = { outputOptions };
 
         try {
             // eslint-disable-next-line no-constant-condition
@@ -3580,6 +5156,7 @@ class RequestHandler {
                             );
                         }
                     }
+                    this._recordTokenUsage(requestId, streamState.usage);
                     this.logger.info(`✅ [Request] Response completed (OpenAI real stream), request ID: ${requestId}`);
                     break;
                 }
@@ -3640,7 +5217,15 @@ class RequestHandler {
         }
     }
 
-    async _sendOpenAIResponseAPINonStreamResponse(messageQueue, res, model, requestId, responseDefaults = {}) {
+    async _sendOpenAIResponseAPINonStreamResponse(
+        messageQueue,
+        res,
+        model,
+        requestId,
+        responseDefaults = {},
+        inputItems = [],
+        apiKeyName = null
+    ) {
         let fullBody = "";
         let receiving = true;
         while (receiving) {
@@ -3667,6 +5252,7 @@ class RequestHandler {
         // Parse and convert to OpenAI Response API format
         try {
             const googleResponse = JSON.parse(fullBody);
+            this._recordTokenUsage(requestId, this.formatConverter._parseUsage(googleResponse));
             const responseAPIResponse = this.formatConverter.convertGoogleToResponseAPINonStream(
                 googleResponse,
                 model,
@@ -3676,13 +5262,14 @@ class RequestHandler {
             this.logger.info(
                 `✅ [Request] Response completed (OpenAI Response API non-stream), request ID: ${requestId}`
             );
+            this._storeResponse(responseAPIResponse, inputItems, apiKeyName);
         } catch (e) {
             this.logger.error(`❌ [Adapter] Failed to parse response for OpenAI Response API: ${e.message}`);
             this._sendErrorResponse(res, 500, "Failed to parse backend response");
         }
     }
 
-    async _sendOpenAINonStreamResponse(messageQueue, res, model, requestId) {
+    async _sendOpenAINonStreamResponse(messageQueue, res, model, requestId, outputOptions = {}) {
         let fullBody = "";
         let receiving = true;
         while (receiving) {
@@ -3707,7 +5294,12 @@ class RequestHandler {
         // Parse and convert to OpenAI format
         try {
             const googleResponse = JSON.parse(fullBody);
-            const openAIResponse = this.formatConverter.convertGoogleToOpenAINonStream(googleResponse, model);
+            this._recordTokenUsage(requestId, this.formatConverter._parseUsage(googleResponse));
+            const openAIResponse = this.formatConverter.convertGoogleToOpenAINonStream(
+                googleResponse,
+                model,
+                outputOptions
+            );
             res.type("application/json").send(JSON.stringify(openAIResponse));
             this.logger.info(`✅ [Request] Response completed (OpenAI non-stream), request ID: ${requestId}`);
         } catch (e) {
@@ -3716,6 +5308,208 @@ class RequestHandler {
         }
     }
 
+    async _sendOpenAIImagesResponse(messageQueue, res, responseFormat, requestId) {
+        let fullBody = "";
+        let receiving = true;
+        while (receiving) {
+            const message = await messageQueue.dequeue(this.timeouts.FAKE_STREAM);
+            if (message.type === "STREAM_END") {
+                this.logger.debug("[Request] OpenAI Images received end signal.");
+                receiving = false;
+                break;
+            }
+
+            if (message.event_type === "error") {
+                this.logger.error(`❌ [Adapter] Error during OpenAI Images conversion: ${message.message}`);
+                this._sendErrorResponse(res, 500, message.message);
+                return;
+            }
+
+            if (message.event_type === "chunk" && message.data) {
+                fullBody += message.data;
+            }
+        }
+
+        let googleResponse;
+        try {
+            googleResponse = JSON.parse(fullBody);
+        } catch (e) {
+            this.logger.error(`❌ [Adapter] Failed to parse response for OpenAI Images: ${e.message}`);
+            this._sendErrorResponse(res, 500, "Failed to parse backend response");
+            return;
+        }
+
+        this._recordTokenUsage(requestId, this.formatConverter._parseUsage(googleResponse));
+        const imagesResponse = this.formatConverter.convertGoogleToOpenAIImages(googleResponse, responseFormat);
+        if (imagesResponse.data.length === 0) {
+            const reason =
+                googleResponse.promptFeedback?.blockReason || googleResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+            this.logger.warn(`[Adapter] Gemini returned no image (reason: ${reason}), request ID: ${requestId}`);
+            this._sendErrorResponse(
+                res,
+                400,
+                `The model did not return an image (reason: ${reason}).`,
+                "invalid_request_error"
+            );
+            return;
+        }
+
+        res.type("application/json").send(JSON.stringify(imagesResponse));
+        this.logger.info(
+            `✅ [Request] Response completed (OpenAI Images, ${imagesResponse.data.length} image(s)), request ID: ${requestId}`
+        );
+    }
+
+    async _sendOpenAISpeechResponse(messageQueue, res, options) {
+        const { requestId, responseFormat, speed } = options;
+        let fullBody = "";
+        let receiving = true;
+        while (receiving) {
+            const message = await messageQueue.dequeue(this.timeouts.FAKE_STREAM);
+            if (message.type === "STREAM_END") {
+                this.logger.debug("[Request] OpenAI speech received end signal.");
+                receiving = false;
+                break;
+            }
+
+            if (message.event_type === "error") {
+                this.logger.error(`❌ [Adapter] Error during OpenAI speech conversion: ${message.message}`);
+                this._sendErrorResponse(res, 500, message.message);
+                return;
+            }
+
+            if (message.event_type === "chunk" && message.data) {
+                fullBody += message.data;
+            }
+        }
+
+        let googleResponse;
+        try {
+            googleResponse = JSON.parse(fullBody);
+        } catch (e) {
+            this.logger.error(`❌ [Adapter] Failed to parse response for OpenAI speech: ${e.message}`);
+            this._sendErrorResponse(res, 500, "Failed to parse backend response");
+            return;
+        }
+
+        this._recordTokenUsage(requestId, this.formatConverter._parseUsage(googleResponse));
+        const audioParts = this.formatConverter.extractGoogleAudioParts(googleResponse);
+        if (audioParts.length === 0) {
+            const reason =
+                googleResponse.promptFeedback?.blockReason || googleResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+            this.logger.warn(`[Adapter] Gemini returned no audio (reason: ${reason}), request ID: ${requestId}`);
+            this._sendErrorResponse(
+                res,
+                400,
+                `The model did not return audio (reason: ${reason}).`,
+                "invalid_request_error"
+            );
+            return;
+        }
+
+        const pcm = Buffer.concat(audioParts.map(part => part.data));
+        const audio = await convertPcm(pcm, parsePcmFormat(audioParts[0].mimeType), responseFormat, {
+            ffmpegPath: this.config.ffmpegPath,
+            speed,
+        });
+        res.status(200).type(AUDIO_CONTENT_TYPES[responseFormat]).send(audio);
+        this.logger.info(
+            `✅ [Request] Response completed (OpenAI speech, ${responseFormat}, ${audio.length} bytes), request ID: ${requestId}`
+        );
+    }
+
+    async _streamOpenAISpeechResponse(messageQueue, res, options) {
+        const { requestId, responseFormat, speed, streamFormat } = options;
+        const isSse = streamFormat === "sse";
+        let usage = null;
+
+        res.status(200).set({
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "Content-Type": isSse ? "text/event-stream" : AUDIO_CONTENT_TYPES[responseFormat],
+        });
+
+        const writeToClient = payload => {
+            if (!this._isResponseWritable(res)) return;
+            try {
+                res.write(payload);
+            } catch (writeError) {
+                this.logger.debug(
+                    `[Request] Failed to write speech chunk (connection likely closed): ${writeError.message}`
+                );
+            }
+        };
+        const encoder = createStreamEncoder(responseFormat, {
+            ffmpegPath: this.config.ffmpegPath,
+            onData: chunk =>
+                writeToClient(
+                    isSse
+                        ? `data: ${JSON.stringify({ audio: chunk.toString("base64"), type: "speech.audio.delta" })}\n\n`
+                        : chunk
+                ),
+            speed,
+        });
+
+        try {
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+                const message = await messageQueue.dequeue(this.timeouts.STREAM_CHUNK);
+                if (message.type === "STREAM_END") break;
+
+                if (message.event_type === "error") {
+                    this.logger.error(`❌ [Request] Error received during OpenAI speech stream: ${message.message}`);
+                    this._markTrackedResponseError(res, message.message, 500);
+                    if (isSse) {
+                        writeToClient(
+                            `data: ${JSON.stringify({ error: { code: 500, message: message.message, type: "api_error" } })}\n\n`
+                        );
+                    }
+                    encoder.abort();
+                    return;
+                }
+
+                if (!message.data) continue;
+                let googleChunk;
+                try {
+                    googleChunk = JSON.parse(message.data.replace(/^data:\s*/, ""));
+                } catch {
+                    this.logger.warn(`[Adapter] Unable to parse Google speech chunk: ${message.data}`);
+                    continue;
+                }
+                if (googleChunk.usageMetadata) {
+                    usage = this.formatConverter._parseUsage(googleChunk);
+                }
+                for (const part of this.formatConverter.extractGoogleAudioParts(googleChunk)) {
+                    encoder.write(part.data, parsePcmFormat(part.mimeType));
+                }
+            }
+
+            await encoder.end();
+            this._recordTokenUsage(requestId, usage);
+            if (isSse) {
+                writeToClient(
+                    `data: ${JSON.stringify({
+                        type: "speech.audio.done",
+                        usage: {
+                            input_tokens: usage?.prompt_tokens || 0,
+                            output_tokens: usage?.completion_tokens || 0,
+                            total_tokens: usage?.total_tokens || 0,
+                        },
+                    })}\n\n`
+                );
+            }
+            this.logger.info(`✅ [Request] Response completed (OpenAI speech stream), request ID: ${requestId}`);
+        } catch (error) {
+            encoder.abort();
+            // Only handle connection reset errors here (client disconnect / queue closed).
+            if (this._isConnectionResetError(error)) {
+                this._handleRealStreamQueueClosedError(error, res);
+                return;
+            }
+            throw error;
+        }
+    }
+
     _setResponseHeaders(res, headerMessage, req) {
         res.status(headerMessage.status || 200);
         const headers = headerMessage.headers || {};
@@ -3909,6 +5703,9 @@ class RequestHandler {
                 status = 503;
                 errorType = format === "claude" ? "overloaded_error" : "service_unavailable";
                 this.logger.info(`[Request] Queue closed, returning 503 Service Unavailable.`);
+            } else if (error.code === "ACCOUNT_GROUP_UNAVAILABLE") {
+                status = 503;
+                errorType = this._getDefaultErrorType(format, status);
             }
             this._sendErrorResponse(res, status, `Proxy error: ${errorMsg}`, errorType);
         }
@@ -3950,6 +5747,7 @@ class RequestHandler {
                 let statusText = "INTERNAL";
                 if (statusCode === 504) statusText = "DEADLINE_EXCEEDED";
                 else if (statusCode === 503) statusText = "UNAVAILABLE";
+                else if (statusCode === 429) statusText = "RESOURCE_EXHAUSTED";
                 errorPayload = {
                     error: {
                         code: statusCode,
@@ -4149,6 +5947,7 @@ class RequestHandler {
         const modelPathMatch = cleanPath.match(
             /^(\/v1beta\/models\/)([^:]+)(:(generateContent|streamGenerateContent).*)$/
         );
+        let modelAlias = null;
         let modelThinkingLevel = null;
         let modelStreamingMode = null;
         let modelForceCodeExecution = false;
@@ -4159,42 +5958,15 @@ class RequestHandler {
             const rawModelName = modelPathMatch[2];
             const pathSuffix = modelPathMatch[3];
 
-            const {
-                cleanModelName: toolStrippedModel,
-                forceCodeExecution: parsedForceCodeExecution,
-                forceWebSearch: parsedForceWebSearch,
-            } = FormatConverter.parseModelBuiltInToolSuffixes(rawModelName);
-            const { cleanModelName: streamStrippedModel, streamingMode: parsedStreamingMode } =
-                FormatConverter.parseModelStreamingModeSuffix(toolStrippedModel);
-            const { cleanModelName, thinkingLevel: parsedThinkingLevel } =
-                FormatConverter.parseModelThinkingLevel(streamStrippedModel);
-            modelForceCodeExecution = parsedForceCodeExecution;
-            modelForceWebSearch = parsedForceWebSearch;
-            modelStreamingMode = parsedStreamingMode;
-            modelThinkingLevel = parsedThinkingLevel;
-
-            const modelForceToolFlags = [];
-            if (modelForceWebSearch) modelForceToolFlags.push("forceWebSearch=true");
-            if (modelForceCodeExecution) modelForceToolFlags.push("forceCodeExecution=true");
-            if (modelForceToolFlags.length > 0) {
-                this.logger.info(
-                    `[Proxy] Detected built-in tool suffixes in model path: "${rawModelName}" -> model="${toolStrippedModel}", ${modelForceToolFlags.join(", ")}`
-                );
-            }
-
-            if (modelStreamingMode) {
-                this.logger.info(
-                    `[Proxy] Detected streamingMode suffix in model path: "${toolStrippedModel}" -> model="${streamStrippedModel}", streamingMode="${modelStreamingMode}"`
-                );
-            }
-
-            if (modelThinkingLevel) {
-                this.logger.info(
-                    `[Proxy] Detected thinkingLevel suffix in model path: "${streamStrippedModel}" -> model="${cleanModelName}", thinkingLevel="${modelThinkingLevel}"`
-                );
-            }
+            const resolvedModel = this.formatConverter.resolveModel(rawModelName, "[Proxy]");
+            const { cleanModelName } = resolvedModel;
+            modelAlias = resolvedModel.alias;
+            modelForceCodeExecution = resolvedModel.forceCodeExecution;
+            modelForceWebSearch = resolvedModel.forceWebSearch;
+            modelStreamingMode = resolvedModel.streamingMode;
+            modelThinkingLevel = resolvedModel.thinkingLevel;
 
-            // Always strip recognized directives from path model name
+            // Always strip recognized directives (and aliases) from path model name
             if (cleanModelName !== rawModelName) {
                 cleanPath = `${pathPrefix}${cleanModelName}${pathSuffix}`;
             }
@@ -4253,11 +6025,13 @@ class RequestHandler {
             this.logger.info(`[Proxy] Rewriting embedContent to batchEmbedContents for model "${modelName}".`);
         }
 
+        const forceUrlContext = this.config.forceUrlContext || modelAlias?.forceUrlContext === true;
+
         // Force built-in tools for native Google requests
         if (
             (this.config.forceWebSearch ||
                 modelForceWebSearch ||
-                this.config.forceUrlContext ||
+                forceUrlContext ||
                 this.config.forceCodeExecution ||
                 modelForceCodeExecution) &&
             req.method === "POST" &&
@@ -4284,7 +6058,7 @@ class RequestHandler {
             }
 
             // Handle URL Context
-            if (this.config.forceUrlContext) {
+            if (forceUrlContext) {
                 const hasUrlContext = FormatConverter.hasGeminiUrlContextTool(bodyObj.tools);
                 if (!hasUrlContext) {
                     bodyObj.tools.push({ urlContext: {} });
@@ -4317,10 +6091,13 @@ class RequestHandler {
         }
 
         this.formatConverter.ensureServerSideToolInvocations(bodyObj, "[Proxy]");
+        if (req.method === "POST" && bodyObj && bodyObj.contents) {
+            this.formatConverter.applyModelAliasOverrides(bodyObj, modelAlias, "[Proxy]");
+        }
 
         // Apply safety settings for native Google requests (only if not already provided)
         if (req.method === "POST" && bodyObj && bodyObj.contents && !bodyObj.safetySettings) {
-            bodyObj.safetySettings = this.formatConverter.getDefaultSafetySettings();
+            bodyObj.safetySettings = this.formatConverter.getDefaultSafetySettings(modelAlias?.safetySettingsThreshold);
         }
 
         this.logger.debug(
@@ -4367,10 +6144,20 @@ class RequestHandler {
                 `[Request] Forwarding request #${proxyRequest.request_id} via connection for authIndex=${authIndex}` +
                     ` (attempt=${proxyRequest.request_attempt_id})`
             );
+            // Account binding state stays on the server
+            const {
+                account_group,
+                api_key_name,
+                context_cache,
+                session_key,
+                session_source,
+                unbound_body,
+                ...request
+            } = proxyRequest;
             connection.send(
                 JSON.stringify({
                     event_type: "proxy_request",
-                    ...proxyRequest,
+                    ...request,
                 })
             );
         } else {
@@ -0,0 +1,274 @@
+/**
+ * File: src/core/ResponseStore.js
+ * Description: File-backed store for OpenAI Responses API objects, enabling previous_response_id chaining and retrieval
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isAccessibleBy } = require("../utils/OwnershipUtils");
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CHAIN_DEPTH = 1000;
+const RESPONSE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const RUNNING_STATUSES = ["queued", "in_progress"];
+
+/**
+ * Response Store Module
+ * Persists each stored response together with the input items it was generated from (one JSON file per response).
+ * Entries expire after a TTL and the oldest entries are evicted once the entry or size cap is reached.
+ * Background responses that were still running when the server stopped are marked failed when they are next read.
+ */
+class ResponseStore {
+    constructor(logger, config, dataDir) {
+        this.logger = logger;
+        this.config = config;
+        this.storeDir = path.join(dataDir || path.join(process.cwd(), "data"), "responses");
+
+        // responseId -> { createdAt, size, fromPreviousRun }, kept in creation order for eviction
+        this.index = new Map();
+        this.totalBytes = 0;
+        // Writes are serialized so repeated saves of the same response land in order
+        this.writeChain = Promise.resolve();
+
+        if (this.isEnabled()) {
+            this._loadIndex();
+        }
+    }
+
+    isEnabled() {
+        return this.config.enableResponseStore !== false;
+    }
+
+    get ttlMs() {
+        const hours = Number(this.config.responseStoreTtlHours);
+        return Number.isFinite(hours) && hours > 0 ? hours * HOUR_MS : 0;
+    }
+
+    get maxEntries() {
+        const value = Number(this.config.responseStoreMaxEntries);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+
+    get maxBytes() {
+        const value = Number(this.config.responseStoreMaxSizeMb);
+        return Number.isFinite(value) && value > 0 ? value * 1024 * 1024 : 0;
+    }
+
+    static isValidId(responseId) {
+        return typeof responseId === "string" && RESPONSE_ID_PATTERN.test(responseId);
+    }
+
+    /**
+     * Save a completed response and the input items that were sent with it.
+     * @param {Object} response - Responses API response object
+     * @param {Array<Object>} inputItems - Normalized input items of this request (excluding chained history)
+     * @param {string|null} [apiKeyName] - API key that created the response
+     * @returns {Promise<boolean>} Whether the response was written
+     */
+    save(response, inputItems = [], apiKeyName = null) {
+        if (!this.isEnabled() || !ResponseStore.isValidId(response?.id)) return Promise.resolve(false);
+
+        const result = this.writeChain.then(() => this._write(response, inputItems, apiKeyName));
+        this.writeChain = result.catch(() => {});
+        return result;
+    }
+
+    async _write(response, inputItems, apiKeyName) {
+        const entry = {
+            apiKeyName: apiKeyName || null,
+            createdAt: Date.now(),
+            input: inputItems,
+            previousResponseId: response.previous_response_id || null,
+            response,
+        };
+        const content = JSON.stringify(entry);
+        const size = Buffer.byteLength(content);
+
+        try {
+            await fs.promises.mkdir(this.storeDir, { recursive: true });
+            const filePath = this._getFilePath(response.id);
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, content, "utf-8");
+            await fs.promises.rename(tmpPath, filePath);
+        } catch (error) {
+            this.logger.warn(`[ResponseStore] Failed to save response ${response.id}: ${error.message}`);
+            return false;
+        }
+
+        this._removeFromIndex(response.id);
+        this.index.set(response.id, { createdAt: entry.createdAt, size });
+        this.totalBytes += size;
+        this.logger.debug(`[ResponseStore] Stored response ${response.id} (${size} bytes)`);
+
+        await this._prune();
+        return true;
+    }
+
+    /**
+     * Load a stored entry.
+     * @param {string} responseId - Response ID
+     * @param {string|null} [apiKeyName] - API key of the request; entries created by another key are treated as missing
+     * @returns {Promise<{apiKeyName: string|null, createdAt: number, input: Array, previousResponseId: string|null,
+     *     response: Object}|null>}
+     */
+    async get(responseId, apiKeyName = null) {
+        if (!this.isEnabled() || !this.index.has(responseId)) return null;
+
+        if (this._isExpired(this.index.get(responseId))) {
+            await this._deleteEntry(responseId);
+            return null;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(this._getFilePath(responseId), "utf-8"));
+        } catch (error) {
+            this.logger.warn(`[ResponseStore] Failed to read response ${responseId}: ${error.message}`);
+            this._removeFromIndex(responseId);
+            return null;
+        }
+        if (!isAccessibleBy(entry.apiKeyName || null, apiKeyName)) return null;
+
+        if (this.index.get(responseId)?.fromPreviousRun && this._isInterrupted(entry.response)) {
+            entry.response = {
+                ...entry.response,
+                error: { code: "api_error", message: "The server restarted before the background response completed." },
+                status: "failed",
+            };
+            await this.save(entry.response, entry.input, entry.apiKeyName);
+            this.logger.info(
+                `[ResponseStore] Background response ${responseId} was interrupted by a restart, marked failed`
+            );
+        }
+        return entry;
+    }
+
+    /**
+     * @param {string} responseId - Response ID
+     * @param {string|null} [apiKeyName] - API key of the request; entries created by another key are not deleted
+     * @returns {Promise<boolean>} Whether a stored response was deleted
+     */
+    async delete(responseId, apiKeyName = null) {
+        if (!this.index.has(responseId)) return false;
+        if (!(await this.get(responseId, apiKeyName))) return false;
+
+        await this._deleteEntry(responseId);
+        return true;
+    }
+
+    /**
+     * Rebuild the conversation that led to a stored response, oldest first.
+     * Each response in the chain contributes its input items followed by its output items.
+     * @param {string} responseId - Last response in the chain
+     * @param {string|null} [apiKeyName] - API key of the request; responses created by another key are treated as missing
+     * @returns {Promise<Array<Object>|null>} Input items for the next turn, or null if the response is missing
+     */
+    async getConversationItems(responseId, apiKeyName = null) {
+        const chain = [];
+        const seen = new Set();
+        let currentId = responseId;
+
+        while (currentId && !seen.has(currentId) && chain.length < MAX_CHAIN_DEPTH) {
+            seen.add(currentId);
+            const entry = await this.get(currentId, apiKeyName);
+            if (!entry) {
+                if (chain.length === 0) return null;
+                this.logger.warn(
+                    `[ResponseStore] Response ${currentId} in the chain of ${responseId} is no longer stored, history is truncated.`
+                );
+                break;
+            }
+            chain.unshift(entry);
+            currentId = entry.previousResponseId;
+        }
+
+        return chain.flatMap(entry => [
+            ...(Array.isArray(entry.input) ? entry.input : []),
+            ...(Array.isArray(entry.response?.output) ? entry.response.output : []),
+        ]);
+    }
+
+    _getFilePath(responseId) {
+        return path.join(this.storeDir, `${responseId}.json`);
+    }
+
+    _isExpired(meta) {
+        return this.ttlMs > 0 && Date.now() - meta.createdAt > this.ttlMs;
+    }
+
+    /**
+     * Background responses are saved while queued and in progress; their job does not survive a restart.
+     */
+    _isInterrupted(response) {
+        return response?.background === true && RUNNING_STATUSES.includes(response.status);
+    }
+
+    async _deleteEntry(responseId) {
+        this._removeFromIndex(responseId);
+        try {
+            await fs.promises.unlink(this._getFilePath(responseId));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                this.logger.warn(`[ResponseStore] Failed to delete response ${responseId}: ${error.message}`);
+            }
+        }
+    }
+
+    _removeFromIndex(responseId) {
+        const meta = this.index.get(responseId);
+        if (!meta) return;
+        this.totalBytes -= meta.size;
+        this.index.delete(responseId);
+    }
+
+    async _prune() {
+        const evicted = [];
+        for (const [responseId, meta] of this.index.entries()) {
+            const overCap =
+                (this.maxEntries > 0 && this.index.size - evicted.length > this.maxEntries) ||
+                (this.maxBytes > 0 && this.totalBytes > this.maxBytes);
+            if (!overCap && !this._isExpired(meta)) break;
+            evicted.push(responseId);
+            this.totalBytes -= meta.size;
+        }
+        if (evicted.length === 0) return;
+
+        for (const responseId of evicted) {
+            // Sizes were already subtracted while selecting entries
+            this.index.delete(responseId);
+            await fs.promises.unlink(this._getFilePath(responseId)).catch(() => {});
+        }
+        this.logger.info(`[ResponseStore] Evicted ${evicted.length} expired or over-limit stored response(s).`);
+    }
+
+    _loadIndex() {
+        try {
+            if (!fs.existsSync(this.storeDir)) return;
+
+            const entries = [];
+            for (const fileName of fs.readdirSync(this.storeDir)) {
+                if (!fileName.endsWith(".json")) continue;
+                const responseId = fileName.slice(0, -5);
+                if (!ResponseStore.isValidId(responseId)) continue;
+                const stat = fs.statSync(path.join(this.storeDir, fileName));
+                entries.push([responseId, { createdAt: stat.mtimeMs, fromPreviousRun: true, size: stat.size }]);
+            }
+
+            entries.sort((a, b) => a[1].createdAt - b[1].createdAt);
+            for (const [responseId, meta] of entries) {
+                this.index.set(responseId, meta);
+                this.totalBytes += meta.size;
+            }
+            if (entries.length > 0) {
+                this.logger.info(`[ResponseStore] Loaded ${entries.length} stored response(s).`);
+            }
+            this._prune().catch(() => {});
+        } catch (error) {
+            this.logger.warn(`[ResponseStore] Failed to load stored responses: ${error.message}`);
+        }
+    }
+}
+
+module.exports = ResponseStore;
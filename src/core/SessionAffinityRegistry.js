@@ -0,0 +1,151 @@
+/**
+ * File: src/core/SessionAffinityRegistry.js
+ * Description: Pins conversations to the account that served them, so multi-turn requests keep their thought
+ *              signatures, context caches and uploaded files on one account
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+
+const MAX_ENTRIES = 10000;
+const MAX_SESSION_ID_LENGTH = 256;
+
+/**
+ * Session Affinity Registry Module
+ * A conversation is identified by an explicit session id (the X-Session-Id header or Anthropic's metadata.user_id) or,
+ * failing that, by a fingerprint of its system instruction and first user turn, which stay the same for every turn.
+ * Keys are scoped to the API key. A pin lasts stickySessionTtlMinutes after the last request of the conversation; the
+ * dispatcher decides whether the pinned account can still take a request.
+ */
+class SessionAffinityRegistry {
+    /**
+     * @param {Object} logger - Logger
+     * @param {Object} config - Shared config (stickySessionTtlMinutes), read on every use
+     */
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+
+        // key -> { authIndex, expiresAt, source }, in least recently used order
+        this.sessions = new Map();
+        // new: first request of a conversation, pinned: served by its account, moved: pinned account was unavailable
+        this.counts = { moved: 0, new: 0, pinned: 0 };
+    }
+
+    get ttlMs() {
+        const minutes = Number(this.config.stickySessionTtlMinutes);
+        return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+    }
+
+    isEnabled() {
+        return this.ttlMs > 0;
+    }
+
+    /**
+     * Identify the conversation of a generative request.
+     * @param {Object} req - Express request (headers, body in the client's format, apiKeyName)
+     * @param {string} googleBody - The request body translated to Gemini format
+     * @returns {{key: string, source: string}|null} The session key, or null if the request has no conversation
+     */
+    static getSessionKey(req, googleBody) {
+        let source = null;
+        let value = null;
+
+        const headerId = SessionAffinityRegistry._normalizeSessionId(req?.headers?.["x-session-id"]);
+        const metadataId = SessionAffinityRegistry._normalizeSessionId(req?.body?.metadata?.user_id);
+        if (headerId) {
+            source = "header";
+            value = headerId;
+        } else if (metadataId) {
+            source = "metadata";
+            value = metadataId;
+        } else {
+            let body;
+            try {
+                body = typeof googleBody === "string" ? JSON.parse(googleBody) : googleBody;
+            } catch {
+                return null;
+            }
+            const firstUserTurn = (Array.isArray(body?.contents) ? body.contents : []).find(
+                content => content?.role !== "model"
+            );
+            if (!firstUserTurn) return null;
+            source = "prompt";
+            value = JSON.stringify([body.systemInstruction || null, firstUserTurn.parts || null]);
+        }
+
+        const key = crypto
+            .createHash("sha256")
+            .update(JSON.stringify([req?.apiKeyName || null, source, value]))
+            .digest("hex");
+        return { key, source };
+    }
+
+    /**
+     * @returns {number|null} The account the conversation is pinned to
+     */
+    get(key) {
+        const entry = this.sessions.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.sessions.delete(key);
+            return null;
+        }
+        return entry.authIndex;
+    }
+
+    /**
+     * Pin a conversation to an account, or move it there, and extend the pin.
+     */
+    bind(key, authIndex, source = null) {
+        if (!this.isEnabled() || !key || !Number.isInteger(authIndex) || authIndex < 0) return;
+
+        const previous = this.sessions.get(key);
+        this.sessions.delete(key);
+        this.sessions.set(key, {
+            authIndex,
+            expiresAt: Date.now() + this.ttlMs,
+            source: source || previous?.source || null,
+        });
+        while (this.sessions.size > MAX_ENTRIES) {
+            this.sessions.delete(this.sessions.keys().next().value);
+        }
+    }
+
+    /**
+     * Count how the dispatcher treated a conversation.
+     * @param {"moved"|"new"|"pinned"} outcome
+     */
+    recordRoute(outcome) {
+        if (outcome in this.counts) this.counts[outcome]++;
+    }
+
+    /**
+     * @returns {{byAccount: Object, sessions: number, ttlMinutes: number}} Live pins, in total and per auth index
+     */
+    getStatus() {
+        const now = Date.now();
+        const byAccount = {};
+        for (const [key, entry] of this.sessions) {
+            if (entry.expiresAt <= now) {
+                this.sessions.delete(key);
+                continue;
+            }
+            byAccount[entry.authIndex] = (byAccount[entry.authIndex] || 0) + 1;
+        }
+        return {
+            byAccount,
+            sessions: this.sessions.size,
+            ttlMinutes: Number(this.config.stickySessionTtlMinutes) || 0,
+        };
+    }
+
+    static _normalizeSessionId(value) {
+        if (typeof value !== "string") return null;
+        const normalized = value.trim();
+        return normalized ? normalized.slice(0, MAX_SESSION_ID_LENGTH) : null;
+    }
+}
+
+module.exports = SessionAffinityRegistry;
@@ -0,0 +1,382 @@
+/**
+ * File: src/core/SettingsStore.js
+ * Description: Persisted runtime settings (configs/settings.json) layered over environment variables, with validation
+ *              and live reload
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const WATCH_INTERVAL_MS = 1000;
+const SAFETY_THRESHOLDS = [
+    "HARM_BLOCK_THRESHOLD_UNSPECIFIED",
+    "BLOCK_LOW_AND_ABOVE",
+    "BLOCK_MEDIUM_AND_ABOVE",
+    "BLOCK_ONLY_HIGH",
+    "BLOCK_NONE",
+    "OFF",
+];
+
+/**
+ * Settings Store Module
+ * Precedence is settings file > environment variable > default. Overrides are applied to the shared config object in
+ * place, so every module sees a change the next time it reads a value. Settings marked `restart` are read once while
+ * starting up; changes to them are persisted but only applied by the next start.
+ */
+class SettingsStore {
+    // Option -> { env, type, ...constraints }. Types: boolean, integer, number, string, stringList, integerList, weights
+    static SCHEMA = {
+        apiKeys: { env: "API_KEYS", minItems: 1, type: "stringList" },
+        autoSwitchIntervalHours: { env: "AUTO_SWITCH_INTERVAL_HOURS", min: 0.1, type: "number" },
+        batchConcurrency: { env: "BATCH_CONCURRENCY", min: 1, type: "integer" },
+        browserExecutablePath: { env: "CAMOUFOX_EXECUTABLE_PATH", nullable: true, restart: true, type: "string" },
+        checkUpdate: { env: "CHECK_UPDATE", type: "boolean" },
+        defaultAccountGroup: { env: "DEFAULT_ACCOUNT_GROUP", nullable: true, type: "string" },
+        dispatchStrategy: {
+            env: "DISPATCH_STRATEGY",
+            type: "string",
+            values: ["single", "least_inflight", "round_robin", "weighted"],
+        },
+        dispatchWeights: { env: "DISPATCH_WEIGHTS", type: "weights" },
+        enableAuthUpdate: { env: "ENABLE_AUTH_UPDATE", type: "boolean" },
+        enableAutoRelogin: { env: "ENABLE_AUTO_RELOGIN", type: "boolean" },
+        enableAutoSwitch: { env: "ENABLE_AUTO_SWITCH", type: "boolean" },
+        enableQuotaTracking: { env: "ENABLE_QUOTA_TRACKING", restart: true, type: "boolean" },
+        enableResponseStore: { env: "ENABLE_RESPONSE_STORE", restart: true, type: "boolean" },
+        enableUsageStats: { env: "ENABLE_USAGE_STATS", restart: true, type: "boolean" },
+        failureThreshold: { env: "FAILURE_THRESHOLD", min: 0, type: "integer" },
+        fakeStreamTimeoutMs: { env: "FAKE_STREAM_TIMEOUT_MS", max: 300000, min: 1, type: "integer" },
+        ffmpegPath: { env: "FFMPEG_PATH", type: "string" },
+        forceCodeExecution: { env: "FORCE_CODE_EXECUTION", type: "boolean" },
+        forceThinking: { env: "FORCE_THINKING", type: "boolean" },
+        forceUrlContext: { env: "FORCE_URL_CONTEXT", type: "boolean" },
+        forceWebSearch: { env: "FORCE_WEB_SEARCH", type: "boolean" },
+        healthProbeIntervalMinutes: { env: "HEALTH_PROBE_INTERVAL_MINUTES", min: 0, type: "integer" },
+        host: { env: "HOST", restart: true, type: "string" },
+        httpPort: { env: "PORT", max: 65535, min: 1, restart: true, type: "integer" },
+        immediateSwitchStatusCodes: {
+            env: "IMMEDIATE_SWITCH_STATUS_CODES",
+            max: 599,
+            min: 400,
+            type: "integerList",
+        },
+        maxConcurrentRequests: { env: "MAX_CONCURRENT_REQUESTS", min: 0, type: "integer" },
+        maxContexts: { env: "MAX_CONTEXTS", min: 0, type: "integer" },
+        maxQueuedRequests: { env: "MAX_QUEUED_REQUESTS", min: 0, type: "integer" },
+        maxRetries: { env: "MAX_RETRIES", min: 1, type: "integer" },
+        mediaCacheMaxSizeMb: { env: "MEDIA_CACHE_MAX_SIZE_MB", min: 0, type: "number" },
+        mediaFetchAllowedHosts: { env: "MEDIA_FETCH_ALLOWED_HOSTS", type: "stringList" },
+        mediaFetchAllowPrivateNetworks: { env: "MEDIA_FETCH_ALLOW_PRIVATE_NETWORKS", type: "boolean" },
+        mediaFetchBlockedHosts: { env: "MEDIA_FETCH_BLOCKED_HOSTS", type: "stringList" },
+        mediaFetchMaxSizeMb: { env: "MEDIA_FETCH_MAX_SIZE_MB", exclusiveMin: 0, type: "number" },
+        mediaFetchTimeoutMs: { env: "MEDIA_FETCH_TIMEOUT_MS", min: 1, type: "integer" },
+        metricsToken: { env: "METRICS_TOKEN", nullable: true, type: "string" },
+        modelCooldownSeconds: { env: "MODEL_COOLDOWN_SECONDS", min: 0, type: "integer" },
+        queueTimeoutMs: { env: "QUEUE_TIMEOUT_MS", min: 1, type: "integer" },
+        quotaRotationThreshold: { env: "QUOTA_ROTATION_THRESHOLD", exclusiveMin: 0, max: 1, type: "number" },
+        reloginBackoffMinutes: { env: "RELOGIN_BACKOFF_MINUTES", min: 1, type: "integer" },
+        responseStoreMaxEntries: { env: "RESPONSE_STORE_MAX_ENTRIES", min: 0, type: "integer" },
+        responseStoreMaxSizeMb: { env: "RESPONSE_STORE_MAX_SIZE_MB", min: 0, type: "number" },
+        responseStoreTtlHours: { env: "RESPONSE_STORE_TTL_HOURS", min: 0, type: "number" },
+        retryDelay: { env: "RETRY_DELAY", min: 50, type: "integer" },
+        safetySettingsThreshold: { env: "SAFETY_SETTINGS_THRESHOLD", type: "string", values: SAFETY_THRESHOLDS },
+        stickySessionTtlMinutes: { env: "STICKY_SESSION_TTL_MINUTES", min: 0, type: "integer" },
+        streamingMode: { env: "STREAMING_MODE", type: "string", values: ["fake", "real"] },
+        streamTimeoutMs: { env: "STREAM_TIMEOUT_MS", max: 300000, min: 1, type: "integer" },
+        switchOnUses: { env: "SWITCH_ON_USES", min: 0, type: "integer" },
+    };
+
+    /**
+     * @param {Object} logger - Logger
+     * @param {Object} config - Shared config from ConfigLoader (environment variables and defaults), updated in place
+     * @param {string} [settingsPath] - Settings file, defaults to SETTINGS_FILE or configs/settings.json
+     */
+    constructor(logger, config, settingsPath) {
+        this.logger = logger;
+        this.config = config;
+        this.settingsPath = path.resolve(
+            settingsPath || process.env.SETTINGS_FILE || path.join(process.cwd(), "configs", "settings.json")
+        );
+
+        // Values before any file override, restored when an override is removed
+        this.baseConfig = {};
+        for (const key of Object.keys(SettingsStore.SCHEMA)) {
+            this.baseConfig[key] = this._clone(config[key]);
+        }
+        this.baseConfig.apiKeySource = config.apiKeySource;
+        // Validated overrides currently applied from the settings file
+        this.overrides = {};
+        this.changeListeners = [];
+        this.initialized = false;
+        // Startup-only settings changed since this process started
+        this.pendingRestart = new Set();
+        this.watching = false;
+        // Writes are serialized so concurrent PATCH requests do not lose each other's changes
+        this.writeChain = Promise.resolve();
+
+        this._applyOverrides(this._readFile(), { log: true });
+        this.initialized = true;
+    }
+
+    /**
+     * @param {function(Array<string>): void} listener - Called with the keys whose effective value changed
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * Reload the settings file whenever it changes. Polling is used instead of fs.watch, which misses edits of
+     * bind-mounted files in Docker and stops following a file once it is replaced by an atomic rename.
+     */
+    startWatching() {
+        if (this.watching) return;
+        this.watching = true;
+        fs.watchFile(this.settingsPath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+            this.reload();
+        }).unref();
+    }
+
+    stopWatching() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.settingsPath);
+        this.watching = false;
+    }
+
+    /**
+     * Re-read the settings file and apply its changes.
+     */
+    reload() {
+        const settings = this._readFile();
+        if (settings === null) return;
+        const changed = this._applyOverrides(settings, { log: true });
+        if (changed.length > 0) {
+            this.logger.info(`[Config] Reloaded settings.json, updated: ${changed.join(", ")}`);
+        }
+    }
+
+    /**
+     * Effective settings with their source, for GET /api/settings.
+     */
+    getSettings() {
+        const settings = {};
+        const sources = {};
+        for (const [key, schema] of Object.entries(SettingsStore.SCHEMA)) {
+            settings[key] = this._clone(this.config[key]);
+            if (Object.prototype.hasOwnProperty.call(this.overrides, key)) {
+                sources[key] = "file";
+            } else {
+                sources[key] = process.env[schema.env] !== undefined ? "env" : "default";
+            }
+        }
+        return {
+            pendingRestart: [...this.pendingRestart].sort(),
+            restartRequired: Object.keys(SettingsStore.SCHEMA).filter(key => SettingsStore.SCHEMA[key].restart),
+            settings,
+            sources,
+        };
+    }
+
+    /**
+     * Validate and persist setting changes, then apply them. A null value removes the override, falling back to the
+     * environment variable or default.
+     * @param {Object} changes - Option -> new value
+     * @returns {Promise<{changed: Array<string>, errors: Object<string, string>|null}>}
+     */
+    update(changes) {
+        const result = this.writeChain.then(() => this._update(changes));
+        this.writeChain = result.catch(() => {});
+        return result;
+    }
+
+    async _update(changes) {
+        if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+            return { changed: [], errors: { body: "Expected an object of settings." } };
+        }
+
+        const errors = {};
+        const next = { ...(this._readFile() || this.overrides) };
+        for (const [key, value] of Object.entries(changes)) {
+            if (!SettingsStore.SCHEMA[key]) {
+                errors[key] = "Unknown setting.";
+            } else if (value === null) {
+                delete next[key];
+            } else {
+                const validation = SettingsStore.validate(key, value);
+                if (validation.error) errors[key] = validation.error;
+                else next[key] = validation.value;
+            }
+        }
+        if (Object.keys(errors).length > 0) return { changed: [], errors };
+
+        const sorted = Object.fromEntries(
+            Object.keys(next)
+                .sort()
+                .map(key => [key, next[key]])
+        );
+        await fs.promises.mkdir(path.dirname(this.settingsPath), { recursive: true });
+        const tempPath = `${this.settingsPath}.tmp`;
+        await fs.promises.writeFile(tempPath, `${JSON.stringify(sorted, null, 4)}\n`, "utf-8");
+        await fs.promises.rename(tempPath, this.settingsPath);
+
+        const changed = this._applyOverrides(sorted, { log: false });
+        if (changed.length > 0) {
+            this.logger.info(`[Config] Settings updated: ${changed.join(", ")}`);
+        }
+        return { changed, errors: null };
+    }
+
+    /**
+     * Validate a single setting.
+     * @returns {{error: string}|{value: *}} The normalized value, or why it was rejected
+     */
+    static validate(key, value) {
+        const schema = SettingsStore.SCHEMA[key];
+        switch (schema.type) {
+            case "boolean":
+                return typeof value === "boolean" ? { value } : { error: "Expected a boolean." };
+            case "integer":
+            case "number": {
+                if (typeof value !== "number" || !Number.isFinite(value)) return { error: "Expected a number." };
+                if (schema.type === "integer" && !Number.isInteger(value)) return { error: "Expected an integer." };
+                return SettingsStore._checkRange(schema, value) || { value };
+            }
+            case "string": {
+                if (value === "" && schema.nullable) return { value: null };
+                if (typeof value !== "string" || !value.trim()) return { error: "Expected a non-empty string." };
+                const normalized = schema.values ? value.trim().toLowerCase() : value.trim();
+                const allowed = schema.values?.find(option => option.toLowerCase() === normalized);
+                if (schema.values && !allowed) return { error: `Expected one of: ${schema.values.join(", ")}.` };
+                return { value: allowed || normalized };
+            }
+            case "stringList": {
+                if (!Array.isArray(value) || value.some(item => typeof item !== "string")) {
+                    return { error: "Expected an array of strings." };
+                }
+                const items = value.map(item => item.trim()).filter(Boolean);
+                if (items.length < (schema.minItems || 0))
+                    return { error: `Expected at least ${schema.minItems} item(s).` };
+                return { value: items };
+            }
+            case "integerList": {
+                if (!Array.isArray(value) || value.some(item => !Number.isInteger(item))) {
+                    return { error: "Expected an array of integers." };
+                }
+                for (const item of value) {
+                    const rangeError = SettingsStore._checkRange(schema, item);
+                    if (rangeError) return rangeError;
+                }
+                return { value: [...new Set(value)] };
+            }
+            case "weights": {
+                if (!value || typeof value !== "object" || Array.isArray(value)) {
+                    return { error: "Expected an object of account index -> weight." };
+                }
+                const weights = {};
+                for (const [authIndex, weight] of Object.entries(value)) {
+                    if (!/^\d+$/.test(authIndex) || typeof weight !== "number" || !(weight > 0)) {
+                        return {
+                            error: `Invalid weight "${authIndex}": expected a non-negative index and a positive number.`,
+                        };
+                    }
+                    weights[authIndex] = weight;
+                }
+                return { value: weights };
+            }
+            default:
+                return { error: "Unsupported setting." };
+        }
+    }
+
+    static _checkRange(schema, value) {
+        if (schema.min !== undefined && value < schema.min) return { error: `Must be at least ${schema.min}.` };
+        if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+            return { error: `Must be greater than ${schema.exclusiveMin}.` };
+        }
+        if (schema.max !== undefined && value > schema.max) return { error: `Must be at most ${schema.max}.` };
+        return null;
+    }
+
+    /**
+     * @returns {Object|null} Raw settings from the file ({} if it does not exist), or null if it cannot be read
+     */
+    _readFile() {
+        try {
+            if (!fs.existsSync(this.settingsPath)) return {};
+            const settings = JSON.parse(fs.readFileSync(this.settingsPath, "utf-8"));
+            if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+                throw new Error("expected a JSON object");
+            }
+            return settings;
+        } catch (error) {
+            this.logger.error(`[Config] Failed to read settings.json, keeping current settings: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Validate file settings and apply them over the base config. Invalid entries are skipped.
+     * @returns {Array<string>} Keys whose effective value changed
+     */
+    _applyOverrides(settings, { log }) {
+        if (settings === null) return [];
+
+        const overrides = {};
+        for (const [key, value] of Object.entries(settings)) {
+            if (!SettingsStore.SCHEMA[key]) {
+                if (log) this.logger.warn(`[Config] Ignoring unknown setting "${key}" in settings.json.`);
+                continue;
+            }
+            const validation = SettingsStore.validate(key, value);
+            if (validation.error) {
+                if (log)
+                    this.logger.warn(
+                        `[Config] Ignoring invalid setting "${key}" in settings.json: ${validation.error}`
+                    );
+                continue;
+            }
+            overrides[key] = validation.value;
+        }
+
+        const changed = [];
+        for (const key of Object.keys(SettingsStore.SCHEMA)) {
+            const value = Object.prototype.hasOwnProperty.call(overrides, key) ? overrides[key] : this.baseConfig[key];
+            if (JSON.stringify(value) === JSON.stringify(this.config[key])) {
+                this.pendingRestart.delete(key);
+                continue;
+            }
+            // Startup-only settings keep their running value; the new one is picked up by the next start
+            if (SettingsStore.SCHEMA[key].restart && this.initialized) {
+                if (!this.pendingRestart.has(key)) {
+                    this.logger.warn(`[Config] Setting "${key}" changed; it takes effect after a restart.`);
+                    this.pendingRestart.add(key);
+                }
+                continue;
+            }
+            this.config[key] = this._clone(value);
+            changed.push(key);
+        }
+        this.config.apiKeySource = overrides.apiKeys ? "Settings file" : this.baseConfig.apiKeySource;
+        this.overrides = overrides;
+
+        if (changed.length > 0) {
+            for (const listener of this.changeListeners) {
+                try {
+                    listener(changed);
+                } catch (error) {
+                    this.logger.error(`[Config] Settings change listener failed: ${error.message}`);
+                }
+            }
+        }
+        return changed;
+    }
+
+    _clone(value) {
+        return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+    }
+}
+
+module.exports = SettingsStore;
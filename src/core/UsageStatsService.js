@@ -17,6 +17,7 @@ class UsageStatsService {
         this.enabled = enabled !== false;
         this.appendPromise = Promise.resolve();
         this.isImportingStats = false;
+        this.finishListeners = [];
 
         if (this.enabled) {
             // Ensure data directory exists
@@ -56,6 +57,9 @@ class UsageStatsService {
         if (!this.categoryStats) {
             this.categoryStats = new Map();
         }
+        if (!this.apiKeyStats) {
+            this.apiKeyStats = new Map();
+        }
         if (this.sequence === undefined) {
             this.sequence = 0;
         }
@@ -67,6 +71,7 @@ class UsageStatsService {
 
         const tracker = {
             apiFormat: meta.apiFormat || "unknown",
+            apiKeyName: meta.apiKeyName || null,
             attemptCount: 0,
             attempts: [],
             clientIp: meta.clientIp || null,
@@ -81,6 +86,7 @@ class UsageStatsService {
             startedAt: new Date().toISOString(),
             startedAtMs: Date.now(),
             streamMode: meta.streamMode || null,
+            tokenUsage: null,
         };
 
         this.activeRequests.set(requestId, tracker);
@@ -126,6 +132,33 @@ class UsageStatsService {
         this._pushAttempt(tracker, normalizedAuthIndex, resolvedAccountName);
     }
 
+    /**
+     * Attach token usage (as parsed by FormatConverter._parseUsage) to an active request.
+     * Google reports cumulative usage, so the latest value replaces the previous one.
+     */
+    recordTokenUsage(requestId, usage) {
+        if (!this.enabled || !usage) return;
+        const tracker = this.activeRequests.get(requestId);
+        if (!tracker) return;
+
+        const inputTokens = Number(usage.prompt_tokens) || 0;
+        const outputTokens = Number(usage.completion_tokens) || 0;
+        const totalTokens = Number(usage.total_tokens) || inputTokens + outputTokens;
+        if (totalTokens <= 0) return;
+
+        tracker.tokenUsage = { inputTokens, outputTokens, totalTokens };
+    }
+
+    /**
+     * Register a callback invoked with every finished record (e.g. the quota tracker).
+     * @param {Function} listener - Called as listener(record)
+     */
+    addFinishListener(listener) {
+        if (typeof listener === "function") {
+            this.finishListeners.push(listener);
+        }
+    }
+
     finishRequest(requestId, result = {}) {
         if (!this.enabled) return null;
         const tracker = this.activeRequests.get(requestId);
@@ -157,6 +190,7 @@ class UsageStatsService {
         const record = {
             accountKey,
             apiFormat: tracker.apiFormat,
+            apiKeyName: tracker.apiKeyName,
             attemptCount: tracker.attemptCount,
             attempts: tracker.attempts.map(item => ({ accountKey: item.accountKey })),
             clientIp: tracker.clientIp,
@@ -167,10 +201,12 @@ class UsageStatsService {
             finishedAt: new Date(finishedAtMs).toISOString(),
             initialAccountName: tracker.initialAccountName,
             initialAuthIndex: tracker.initialAuthIndex,
+            inputTokens: tracker.tokenUsage?.inputTokens ?? null,
             isStreaming: tracker.isStreaming,
             method: tracker.method,
             model: tracker.model,
             outcome,
+            outputTokens: tracker.tokenUsage?.outputTokens ?? null,
             path: tracker.path,
             requestCategory: tracker.requestCategory,
             requestId: tracker.requestId,
@@ -178,17 +214,29 @@ class UsageStatsService {
             startedAt: tracker.startedAt,
             statusCode,
             streamMode: tracker.requestCategory === "generation" ? tracker.streamMode || "non" : null,
+            totalTokens: tracker.tokenUsage?.totalTokens ?? null,
         };
 
         this.records.push(record);
         this._updateSummary(record);
         this._updateBreakdown(this.formatStats, record.apiFormat);
         this._updateBreakdown(this.categoryStats, record.requestCategory);
+        this._updateBreakdown(this.apiKeyStats, record.apiKeyName);
         this._updateAccountStats(record);
 
         // Append record to file (one line per record)
         this._appendRecord(record);
 
+        for (const listener of this.finishListeners) {
+            try {
+                listener(record);
+            } catch (err) {
+                if (this.logger) {
+                    this.logger.warn(`[UsageStats] Finish listener failed: ${err.message}`);
+                }
+            }
+        }
+
         return record;
     }
 
@@ -234,6 +282,7 @@ class UsageStatsService {
             summary: {
                 abortedCount: this.summary.abortedCount,
                 activeRequests: this.activeRequests.size,
+                apiKeyBreakdown: this._serializeBreakdown(this.apiKeyStats),
                 avgDurationMs,
                 errorCount: this.summary.errorCount,
                 formatBreakdown: this._serializeBreakdown(this.formatStats),
@@ -506,11 +555,13 @@ class UsageStatsService {
         this.accountStats = new Map();
         this.formatStats = new Map();
         this.categoryStats = new Map();
+        this.apiKeyStats = new Map();
 
         for (const record of this.records) {
             this._updateSummary(record);
             this._updateBreakdown(this.formatStats, record.apiFormat);
             this._updateBreakdown(this.categoryStats, record.requestCategory);
+            this._updateBreakdown(this.apiKeyStats, record.apiKeyName);
             this._updateAccountStats(record);
         }
     }
@@ -659,6 +710,7 @@ class UsageStatsService {
             summary: {
                 abortedCount: 0,
                 activeRequests: 0,
+                apiKeyBreakdown: [],
                 avgDurationMs: 0,
                 errorCount: 0,
                 formatBreakdown: [],
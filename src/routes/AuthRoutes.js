@@ -176,7 +176,7 @@ class AuthRoutes {
                     authSuccess = true;
                 }
             } else {
-                if (submittedPassword && this.serverSystem.config.apiKeys.includes(submittedPassword)) {
+                if (submittedPassword && this.serverSystem.apiKeyStore.getSharedKeys().includes(submittedPassword)) {
                     authSuccess = true;
                 }
             }
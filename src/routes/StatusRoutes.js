@@ -44,6 +44,21 @@ class StatusRoutes {
         });
     }
 
+    /**
+     * Persist a setting changed from the web UI to settings.json, so it survives a restart. Falls back to an in-memory
+     * change if the file cannot be written (e.g. a read-only configs directory).
+     */
+    async _saveSetting(key, value) {
+        try {
+            const { errors } = await this.serverSystem.settingsStore.update({ [key]: value });
+            if (!errors) return;
+            this.logger.warn(`[WebUI] Setting "${key}" was rejected: ${Object.values(errors).join(" ")}`);
+        } catch (error) {
+            this.logger.warn(`[WebUI] Failed to persist setting "${key}", applying it until restart: ${error.message}`);
+        }
+        this.config[key] = value;
+    }
+
     /**
      * Setup status and management routes
      */
@@ -262,7 +277,7 @@ class StatusRoutes {
                     }
                 } else {
                     this.logger.info("[WebUI] Received manual request to switch to next account...");
-                    if (this.serverSystem.authSource.getRotationIndices().length <= 1) {
+                    if (this.serverSystem.requestHandler.authSwitcher.getRotationPool().length <= 1) {
                         return res.status(400).json({ message: "accountSwitchCancelledSingle" });
                     }
                     const result = await this.serverSystem.requestHandler._switchToNextAuth();
@@ -554,15 +569,13 @@ class StatusRoutes {
                 });
             }
 
-            const configDir = path.join(process.cwd(), "configs", "auth");
-
             try {
-                // Pre-calculate valid files to archive
+                // Pre-calculate valid files to archive, decrypted so the ZIP can be re-uploaded anywhere
                 const filesToArchive = [];
                 for (const idx of validIndices) {
-                    const filePath = path.join(configDir, `auth-${idx}.json`);
-                    if (fs.existsSync(filePath)) {
-                        filesToArchive.push({ filePath, name: `auth-${idx}.json` });
+                    const content = authSource.getAuthFileContent(idx);
+                    if (content) {
+                        filesToArchive.push({ content, name: `auth-${idx}.json` });
                     }
                 }
 
@@ -603,7 +616,7 @@ class StatusRoutes {
 
                 // Add files to archive
                 for (const file of filesToArchive) {
-                    archive.file(file.filePath, { name: file.name });
+                    archive.append(file.content, { name: file.name });
                 }
 
                 // Finalize archive
@@ -704,10 +717,108 @@ class StatusRoutes {
             }
         });
 
-        app.put("/api/settings/streaming-mode", isAuthenticated, (req, res) => {
+        app.post("/api/accounts/:index/relogin", isAuthenticated, async (req, res) => {
+            const targetIndex = Number(req.params.index);
+            if (!Number.isInteger(targetIndex)) {
+                return res.status(400).json({ message: "errorInvalidIndex" });
+            }
+            if (!this.serverSystem.authSource.initialIndices.includes(targetIndex)) {
+                return res.status(404).json({ index: targetIndex, message: "errorAccountNotFound" });
+            }
+
+            this.logger.info(`[WebUI] Re-login of account #${targetIndex} requested.`);
+            const result = await this.serverSystem.autoRelogin.relogin(targetIndex);
+            if (!result.success) {
+                return res.status(409).json({ error: result.error, index: targetIndex, message: "reloginFailed" });
+            }
+            res.status(200).json({ index: targetIndex, message: "reloginSuccess" });
+        });
+
+        app.put("/api/accounts/:index/tags", isAuthenticated, async (req, res) => {
+            const targetIndex = Number(req.params.index);
+            if (!Number.isInteger(targetIndex)) {
+                return res.status(400).json({ message: "errorInvalidIndex" });
+            }
+            if (!this.serverSystem.authSource.availableIndices.includes(targetIndex)) {
+                return res.status(404).json({ index: targetIndex, message: "errorAccountNotFound" });
+            }
+
+            try {
+                const tags = await this.serverSystem.authSource.setAccountTags(targetIndex, req.body?.tags);
+                this.serverSystem.updateAutoSwitchTimer();
+                this.logger.info(`[WebUI] Tags of account #${targetIndex} updated via web interface.`);
+                res.status(200).json({ index: targetIndex, message: "accountTagsUpdated", tags });
+            } catch (error) {
+                this.logger.warn(`[WebUI] Failed to update tags of account #${targetIndex}: ${error.message}`);
+                res.status(400).json({ error: error.message, index: targetIndex, message: "accountTagsFailed" });
+            }
+        });
+
+        app.get("/api/settings", isAuthenticated, (req, res) => {
+            res.status(200).json(this.serverSystem.settingsStore.getSettings());
+        });
+
+        app.patch("/api/settings", isAuthenticated, async (req, res) => {
+            try {
+                const { changed, errors } = await this.serverSystem.settingsStore.update(req.body);
+                if (errors) {
+                    return res.status(400).json({ error: "Invalid settings", errors, message: "settingFailed" });
+                }
+                if (changed.length > 0) {
+                    this.logger.info(`[WebUI] Settings updated via API: ${changed.join(", ")}`);
+                }
+                return res.status(200).json({ changed, ...this.serverSystem.settingsStore.getSettings() });
+            } catch (error) {
+                this.logger.error(`[WebUI] Failed to save settings: ${error.message}`);
+                return res.status(500).json({ error: error.message, message: "settingFailed" });
+            }
+        });
+
+        app.get("/api/api-keys", isAuthenticated, (req, res) => {
+            res.status(200).json({ keys: this.serverSystem.apiKeyStore.list() });
+        });
+
+        app.post("/api/api-keys", isAuthenticated, async (req, res) => {
+            const { name, ...fields } = req.body || {};
+            try {
+                const key = await this.serverSystem.apiKeyStore.create(name, fields);
+                return res.status(200).json({ key, message: "apiKeyCreated" });
+            } catch (error) {
+                this.logger.warn(`[WebUI] Failed to create API key: ${error.message}`);
+                return res.status(400).json({ error: error.message, message: "apiKeySaveFailed" });
+            }
+        });
+
+        app.patch("/api/api-keys/:name", isAuthenticated, async (req, res) => {
+            const apiKeyStore = this.serverSystem.apiKeyStore;
+            if (!apiKeyStore.get(req.params.name)) {
+                return res.status(404).json({ message: "apiKeyNotFound" });
+            }
+            try {
+                const key = await apiKeyStore.update(req.params.name, req.body || {});
+                return res.status(200).json({ key, message: "apiKeyUpdated" });
+            } catch (error) {
+                this.logger.warn(`[WebUI] Failed to update API key "${req.params.name}": ${error.message}`);
+                return res.status(400).json({ error: error.message, message: "apiKeySaveFailed" });
+            }
+        });
+
+        app.delete("/api/api-keys/:name", isAuthenticated, async (req, res) => {
+            try {
+                if (!(await this.serverSystem.apiKeyStore.delete(req.params.name))) {
+                    return res.status(404).json({ message: "apiKeyNotFound" });
+                }
+                return res.status(200).json({ message: "apiKeyDeleted" });
+            } catch (error) {
+                this.logger.error(`[WebUI] Failed to delete API key "${req.params.name}": ${error.message}`);
+                return res.status(500).json({ error: error.message, message: "apiKeySaveFailed" });
+            }
+        });
+
+        app.put("/api/settings/streaming-mode", isAuthenticated, async (req, res) => {
             const newMode = req.body.mode;
             if (newMode === "fake" || newMode === "real") {
-                this.config.streamingMode = newMode;
+                await this._saveSetting("streamingMode", newMode);
                 this.logger.info(
                     `[WebUI] Streaming mode switched by authenticated user to: ${this.config.streamingMode}`
                 );
@@ -717,22 +828,22 @@ class StatusRoutes {
             }
         });
 
-        app.put("/api/settings/force-thinking", isAuthenticated, (req, res) => {
-            this.config.forceThinking = !this.config.forceThinking;
+        app.put("/api/settings/force-thinking", isAuthenticated, async (req, res) => {
+            await this._saveSetting("forceThinking", !this.config.forceThinking);
             const statusText = this.config.forceThinking;
             this.logger.info(`[WebUI] Force thinking toggle switched to: ${statusText}`);
             res.status(200).json({ message: "settingUpdateSuccess", setting: "forceThinking", value: statusText });
         });
 
-        app.put("/api/settings/force-web-search", isAuthenticated, (req, res) => {
-            this.config.forceWebSearch = !this.config.forceWebSearch;
+        app.put("/api/settings/force-web-search", isAuthenticated, async (req, res) => {
+            await this._saveSetting("forceWebSearch", !this.config.forceWebSearch);
             const statusText = this.config.forceWebSearch;
             this.logger.info(`[WebUI] Force web search toggle switched to: ${statusText}`);
             res.status(200).json({ message: "settingUpdateSuccess", setting: "forceWebSearch", value: statusText });
         });
 
-        app.put("/api/settings/force-code-execution", isAuthenticated, (req, res) => {
-            this.config.forceCodeExecution = !this.config.forceCodeExecution;
+        app.put("/api/settings/force-code-execution", isAuthenticated, async (req, res) => {
+            await this._saveSetting("forceCodeExecution", !this.config.forceCodeExecution);
             const statusText = this.config.forceCodeExecution;
             this.logger.info(`[WebUI] Force code execution toggle switched to: ${statusText}`);
             res.status(200).json({
@@ -742,28 +853,28 @@ class StatusRoutes {
             });
         });
 
-        app.put("/api/settings/force-url-context", isAuthenticated, (req, res) => {
-            this.config.forceUrlContext = !this.config.forceUrlContext;
+        app.put("/api/settings/force-url-context", isAuthenticated, async (req, res) => {
+            await this._saveSetting("forceUrlContext", !this.config.forceUrlContext);
             const statusText = this.config.forceUrlContext;
             this.logger.info(`[WebUI] Force URL context toggle switched to: ${statusText}`);
             res.status(200).json({ message: "settingUpdateSuccess", setting: "forceUrlContext", value: statusText });
         });
 
-        app.put("/api/settings/check-update", isAuthenticated, (req, res) => {
-            this.config.checkUpdate = !this.config.checkUpdate;
+        app.put("/api/settings/check-update", isAuthenticated, async (req, res) => {
+            await this._saveSetting("checkUpdate", !this.config.checkUpdate);
             const statusText = this.config.checkUpdate;
             this.logger.info(`[WebUI] Check update toggle switched to: ${statusText}`);
             res.status(200).json({ message: "settingUpdateSuccess", setting: "checkUpdate", value: statusText });
         });
 
-        app.put("/api/settings/enable-auth-update", isAuthenticated, (req, res) => {
-            this.config.enableAuthUpdate = !this.config.enableAuthUpdate;
+        app.put("/api/settings/enable-auth-update", isAuthenticated, async (req, res) => {
+            await this._saveSetting("enableAuthUpdate", !this.config.enableAuthUpdate);
             const statusText = this.config.enableAuthUpdate;
             this.logger.info(`[WebUI] Enable auth update toggle switched to: ${statusText}`);
             res.status(200).json({ message: "settingUpdateSuccess", setting: "enableAuthUpdate", value: statusText });
         });
 
-        app.put("/api/settings/safety-settings-threshold", isAuthenticated, (req, res) => {
+        app.put("/api/settings/safety-settings-threshold", isAuthenticated, async (req, res) => {
             const newThreshold = String(req.body?.value || "")
                 .trim()
                 .toUpperCase();
@@ -772,7 +883,7 @@ class StatusRoutes {
                 return res.status(400).json({ error: "Invalid safety settings threshold", message: "settingFailed" });
             }
 
-            this.config.safetySettingsThreshold = newThreshold;
+            await this._saveSetting("safetySettingsThreshold", newThreshold);
             this.logger.info(`[WebUI] Safety settings threshold updated to: ${newThreshold}`);
             return res.status(200).json({
                 message: "settingUpdateSuccess",
@@ -832,12 +943,6 @@ class StatusRoutes {
                 // while we're adding a new account
                 await this.serverSystem.browserManager.abortBackgroundPreload();
 
-                // Ensure directory exists
-                const configDir = path.join(process.cwd(), "configs", "auth");
-                if (!fs.existsSync(configDir)) {
-                    fs.mkdirSync(configDir, { recursive: true });
-                }
-
                 // If content is object, stringify it
                 const fileContent = typeof content === "object" ? JSON.stringify(content, null, 2) : content;
 
@@ -847,9 +952,9 @@ class StatusRoutes {
                 const nextAuthIndex = existingIndices.length > 0 ? Math.max(...existingIndices) + 1 : 0;
 
                 const newFilename = `auth-${nextAuthIndex}.json`;
-                const filePath = path.join(configDir, newFilename);
 
-                await fs.promises.writeFile(filePath, fileContent);
+                // Encrypted at rest if the credential vault is enabled
+                await this.serverSystem.authSource.saveAuthFile(nextAuthIndex, fileContent);
 
                 // Reload auth sources to pick up changes
                 this.serverSystem.authSource.reloadAuthSources();
@@ -884,12 +989,6 @@ class StatusRoutes {
                 // while we're adding multiple new accounts
                 await this.serverSystem.browserManager.abortBackgroundPreload();
 
-                // Ensure directory exists
-                const configDir = path.join(process.cwd(), "configs", "auth");
-                if (!fs.existsSync(configDir)) {
-                    fs.mkdirSync(configDir, { recursive: true });
-                }
-
                 const results = [];
 
                 // Get starting index
@@ -910,9 +1009,8 @@ class StatusRoutes {
                         const fileContent = typeof content === "object" ? JSON.stringify(content, null, 2) : content;
 
                         const newFilename = `auth-${nextAuthIndex}.json`;
-                        const filePath = path.join(configDir, newFilename);
 
-                        await fs.promises.writeFile(filePath, fileContent);
+                        await this.serverSystem.authSource.saveAuthFile(nextAuthIndex, fileContent);
 
                         results.push({ filename: newFilename, index: i, success: true });
                         this.logger.info(`[WebUI] Batch upload: generated ${newFilename}`);
@@ -953,7 +1051,7 @@ class StatusRoutes {
             }
         });
 
-        app.get("/api/files/:filename", isAuthenticated, (req, res) => {
+        app.get("/api/files/:filename", isAuthenticated, async (req, res) => {
             const filename = req.params.filename;
             // Security check
             if (!/^[a-zA-Z0-9.-]+$/.test(filename) || filename.includes("..")) {
@@ -963,7 +1061,14 @@ class StatusRoutes {
             if (!fs.existsSync(filePath)) {
                 return res.status(404).json({ error: "File not found" });
             }
-            res.download(filePath);
+            try {
+                // Served decrypted; encryption only protects the files at rest
+                const content = await this.serverSystem.authSource.vault.readFile(filePath);
+                res.attachment(filename).send(content);
+            } catch (error) {
+                this.logger.error(`[WebUI] Failed to read file ${filename}: ${error.message}`);
+                res.status(500).json({ error: "Failed to read file" });
+            }
         });
     }
 
@@ -977,6 +1082,7 @@ class StatusRoutes {
         const limit = this.logger.displayLimit || 100;
         const allLogs = this.logger.logBuffer || [];
         const displayLogs = allLogs.slice(-limit);
+        const stickySessions = requestHandler.sessionAffinity.getStatus();
         const accountNameMap = authSource.accountNameMap;
         const accountDetails = initialIndices.map(index => {
             const isInvalid = invalidIndices.includes(index);
@@ -988,8 +1094,25 @@ class StatusRoutes {
             const isExpired = expiredIndices.includes(index);
 
             const hasContext = browserManager.contexts.has(index);
-
-            return { canonicalIndex, hasContext, index, isDuplicate, isExpired, isInvalid, isRotation, name };
+            const inFlight = this.serverSystem.connectionRegistry.getMessageQueueCountForAuth(index);
+            const quota = isInvalid ? [] : this.serverSystem.quotaTracker?.getAccountSummary(index) || [];
+            const modelCooldowns = this.serverSystem.modelCooldowns?.getAccountCooldowns(index) || [];
+
+            return {
+                canonicalIndex,
+                hasContext,
+                index,
+                inFlight,
+                isDuplicate,
+                isExpired,
+                isInvalid,
+                isRotation,
+                modelCooldowns,
+                name,
+                quota,
+                stickySessions: stickySessions.byAccount[index] || 0,
+                tags: isInvalid ? [] : authSource.getTags(index),
+            };
         });
 
         const currentAuthIndex = requestHandler.currentAuthIndex;
@@ -1010,7 +1133,9 @@ class StatusRoutes {
             logs: displayLogs.join("\n"),
             status: {
                 accountDetails,
+                accountGroups: authSource.getAccountGroups(),
                 activeContextsCount: browserManager.contexts.size,
+                admission: this.serverSystem.admissionController.getStats(),
                 apiKeySource: config.apiKeySource,
                 autoSwitchIntervalHours: this.config.autoSwitchIntervalHours,
                 browserConnected: !!this.serverSystem.connectionRegistry.getConnectionByAuth(currentAuthIndex, false),
@@ -1018,15 +1143,19 @@ class StatusRoutes {
                 currentAccountName,
                 currentAuthIndex,
                 debugMode: LoggingService.isDebugEnabled(),
+                defaultAccountGroup: requestHandler.authSwitcher.defaultAccountGroup,
+                dispatchStrategy: requestHandler.requestDispatcher.strategy,
                 duplicateIndicesRaw: duplicateIndices,
                 enableAuthUpdate: config.enableAuthUpdate,
                 enableAutoSwitch: this.config.enableAutoSwitch,
+                enableQuotaTracking: config.enableQuotaTracking,
                 expiredIndicesRaw: expiredIndices,
                 failureCount,
                 forceCodeExecution: config.forceCodeExecution,
                 forceThinking: config.forceThinking,
                 forceUrlContext: config.forceUrlContext,
                 forceWebSearch: config.forceWebSearch,
+                health: this.serverSystem.healthProber.getStatus(),
                 immediateSwitchStatusCodes:
                     config.immediateSwitchStatusCodes.length > 0
                         ? `[${config.immediateSwitchStatusCodes.join(", ")}]`
@@ -1038,8 +1167,10 @@ class StatusRoutes {
                 maxContexts: config.maxContexts,
                 maxRetries: config.maxRetries,
                 nextSwitchTimestamp: this.serverSystem.nextSwitchTimestamp || -1,
+                relogin: this.serverSystem.autoRelogin.getStatus(),
                 rotationIndicesRaw: rotationIndices,
                 safetySettingsThreshold: config.safetySettingsThreshold,
+                stickySessions: { sessions: stickySessions.sessions, ttlMinutes: stickySessions.ttlMinutes },
                 streamingMode: config.streamingMode,
                 usageCount,
             },
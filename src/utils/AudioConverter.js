@@ -0,0 +1,239 @@
+/**
+ * File: src/utils/AudioConverter.js
+ * Description: Converts Gemini raw PCM speech output to wav natively and to mp3/opus/aac/flac through ffmpeg
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const { spawn, spawnSync } = require("child_process");
+
+const AUDIO_CONTENT_TYPES = {
+    aac: "audio/aac",
+    flac: "audio/flac",
+    mp3: "audio/mpeg",
+    opus: "audio/ogg",
+    pcm: "audio/pcm",
+    wav: "audio/wav",
+};
+
+// ffmpeg output arguments per OpenAI response_format
+const FFMPEG_OUTPUT_ARGS = {
+    aac: ["-c:a", "aac", "-f", "adts"],
+    flac: ["-c:a", "flac", "-f", "flac"],
+    mp3: ["-c:a", "libmp3lame", "-b:a", "128k", "-f", "mp3"],
+    opus: ["-c:a", "libopus", "-b:a", "48k", "-f", "ogg"],
+    pcm: ["-f", "s16le"],
+    wav: ["-f", "wav"],
+};
+
+// Unknown-length marker used for streamed wav output
+const WAV_STREAMING_SIZE = 0xffffffff;
+
+/**
+ * Read the PCM layout from a Gemini audio mime type such as "audio/L16;codec=pcm;rate=24000".
+ * @param {string} mimeType - inlineData.mimeType of the audio part
+ * @returns {{bitsPerSample: number, channels: number, sampleRate: number}}
+ */
+const parsePcmFormat = mimeType => {
+    const value = String(mimeType || "");
+    const rate = parseInt(value.match(/rate=(\d+)/i)?.[1], 10);
+    const channels = parseInt(value.match(/channels=(\d+)/i)?.[1], 10);
+    const bits = parseInt(value.match(/audio\/L(\d+)/i)?.[1], 10);
+    return {
+        bitsPerSample: Number.isFinite(bits) ? bits : 16,
+        channels: Number.isFinite(channels) ? channels : 1,
+        sampleRate: Number.isFinite(rate) ? rate : 24000,
+    };
+};
+
+const createWavHeader = (dataLength, pcmFormat) => {
+    const { bitsPerSample, channels, sampleRate } = pcmFormat;
+    const blockAlign = (channels * bitsPerSample) / 8;
+    const streaming = dataLength === null;
+    const header = Buffer.alloc(44);
+
+    header.write("RIFF", 0);
+    header.writeUInt32LE(streaming ? WAV_STREAMING_SIZE : 36 + dataLength, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(streaming ? WAV_STREAMING_SIZE - 36 : dataLength, 40);
+    return header;
+};
+
+const pcmToWav = (pcm, pcmFormat) => Buffer.concat([createWavHeader(pcm.length, pcmFormat), pcm]);
+
+// atempo only accepts 0.5-2.0 per filter, so larger changes are chained
+const _buildAtempoFilter = speed => {
+    const filters = [];
+    let remaining = speed;
+    while (remaining > 2) {
+        filters.push("atempo=2.0");
+        remaining /= 2;
+    }
+    while (remaining < 0.5) {
+        filters.push("atempo=0.5");
+        remaining /= 0.5;
+    }
+    filters.push(`atempo=${remaining.toFixed(4)}`);
+    return filters.join(",");
+};
+
+/**
+ * Whether the requested output can be produced without ffmpeg.
+ */
+const canConvertNatively = (format, speed = 1) => (format === "pcm" || format === "wav") && speed === 1;
+
+/**
+ * Spawn an ffmpeg process that reads raw PCM on stdin and writes the requested format on stdout.
+ * @param {{bitsPerSample: number, channels: number, sampleRate: number}} pcmFormat - Input PCM layout
+ * @param {string} format - OpenAI response_format (mp3, opus, aac, flac, wav, pcm)
+ * @param {object} [options]
+ * @param {string} [options.ffmpegPath="ffmpeg"] - ffmpeg executable
+ * @param {number} [options.speed=1] - Playback speed applied with the atempo filter
+ * @returns {import("child_process").ChildProcess}
+ */
+const spawnTranscoder = (pcmFormat, format, options = {}) => {
+    const { ffmpegPath = "ffmpeg", speed = 1 } = options;
+    const args = [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-f",
+        `s${pcmFormat.bitsPerSample}le`,
+        "-ar",
+        String(pcmFormat.sampleRate),
+        "-ac",
+        String(pcmFormat.channels),
+        "-i",
+        "pipe:0",
+    ];
+    if (speed !== 1) {
+        args.push("-filter:a", _buildAtempoFilter(speed));
+    }
+    args.push(...FFMPEG_OUTPUT_ARGS[format], "pipe:1");
+    return spawn(ffmpegPath, args, { stdio: ["pipe", "pipe", "pipe"] });
+};
+
+/**
+ * Convert a complete PCM buffer to the requested format.
+ * @returns {Promise<Buffer>} Encoded audio
+ * @throws {Error} If ffmpeg is required but missing or fails
+ */
+const convertPcm = (pcm, pcmFormat, format, options = {}) => {
+    const speed = options.speed ?? 1;
+    if (canConvertNatively(format, speed)) {
+        return Promise.resolve(format === "wav" ? pcmToWav(pcm, pcmFormat) : pcm);
+    }
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawnTranscoder(pcmFormat, format, options);
+        const output = [];
+        const errors = [];
+
+        ffmpeg.stdout.on("data", chunk => output.push(chunk));
+        ffmpeg.stderr.on("data", chunk => errors.push(chunk));
+        ffmpeg.on("error", err => reject(new Error(`Failed to start ffmpeg: ${err.message}`)));
+        ffmpeg.on("close", code => {
+            if (code === 0) {
+                resolve(Buffer.concat(output));
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}: ${Buffer.concat(errors).toString().trim()}`));
+            }
+        });
+        // ffmpeg may exit early (bad arguments); the close handler reports that
+        ffmpeg.stdin.on("error", () => {});
+        ffmpeg.stdin.end(pcm);
+    });
+};
+
+/**
+ * Create an incremental encoder for streamed PCM. The PCM layout is taken from the first chunk.
+ * @param {string} format - OpenAI response_format
+ * @param {object} options
+ * @param {function(Buffer): void} options.onData - Receives encoded audio as soon as it is available
+ * @param {string} [options.ffmpegPath="ffmpeg"] - ffmpeg executable
+ * @param {number} [options.speed=1] - Playback speed applied with the atempo filter
+ * @returns {{abort: function(): void, end: function(): Promise<void>, write: function(Buffer, object): void}}
+ */
+const createStreamEncoder = (format, options) => {
+    const { onData } = options;
+    const speed = options.speed ?? 1;
+    const native = canConvertNatively(format, speed);
+    let ffmpeg = null;
+    let finished = null;
+    let started = false;
+
+    const start = pcmFormat => {
+        started = true;
+        if (native) {
+            if (format === "wav") onData(createWavHeader(null, pcmFormat));
+            return;
+        }
+
+        ffmpeg = spawnTranscoder(pcmFormat, format, options);
+        const errors = [];
+        ffmpeg.stdout.on("data", chunk => onData(chunk));
+        ffmpeg.stderr.on("data", chunk => errors.push(chunk));
+        ffmpeg.stdin.on("error", () => {});
+        finished = new Promise((resolve, reject) => {
+            ffmpeg.on("error", err => reject(new Error(`Failed to start ffmpeg: ${err.message}`)));
+            ffmpeg.on("close", code => {
+                if (code === 0) resolve();
+                else reject(new Error(`ffmpeg exited with code ${code}: ${Buffer.concat(errors).toString().trim()}`));
+            });
+        });
+        // Surfaced by end(); avoid an unhandled rejection when the stream is aborted instead
+        finished.catch(() => {});
+    };
+
+    return {
+        abort: () => {
+            if (ffmpeg && ffmpeg.exitCode === null) ffmpeg.kill();
+        },
+        end: async () => {
+            if (!ffmpeg) return;
+            ffmpeg.stdin.end();
+            await finished;
+        },
+        write: (pcm, pcmFormat) => {
+            if (!started) start(pcmFormat);
+            if (ffmpeg) ffmpeg.stdin.write(pcm);
+            else onData(pcm);
+        },
+    };
+};
+
+let ffmpegAvailability = null;
+
+/**
+ * Check once whether the configured ffmpeg executable can be started.
+ * @param {string} [ffmpegPath="ffmpeg"] - ffmpeg executable
+ * @returns {boolean}
+ */
+const isFfmpegAvailable = (ffmpegPath = "ffmpeg") => {
+    if (ffmpegAvailability?.path !== ffmpegPath) {
+        const result = spawnSync(ffmpegPath, ["-version"], { stdio: "ignore", timeout: 5000 });
+        ffmpegAvailability = { available: !result.error && result.status === 0, path: ffmpegPath };
+    }
+    return ffmpegAvailability.available;
+};
+
+module.exports = {
+    AUDIO_CONTENT_TYPES,
+    canConvertNatively,
+    convertPcm,
+    createStreamEncoder,
+    createWavHeader,
+    isFfmpegAvailable,
+    parsePcmFormat,
+    pcmToWav,
+    spawnTranscoder,
+};
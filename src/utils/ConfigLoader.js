@@ -1,14 +1,26 @@
 /**
  * File: src/utils/ConfigLoader.js
- * Description: Configuration loader that reads and validates system settings from environment variables
+ * Description: Configuration loader that reads and validates system settings from environment variables; overrides from
+ *              configs/settings.json are layered on top by SettingsStore
  *
  * Author: Ellinav, iBenzene, bbbugg
  */
 
 const fs = require("fs");
 const path = require("path");
+const AuthSource = require("../auth/AuthSource");
 const { getProxySummaryFromEnv } = require("./ProxyUtils");
 
+const SAFETY_THRESHOLDS = new Set([
+    "HARM_BLOCK_THRESHOLD_UNSPECIFIED",
+    "BLOCK_LOW_AND_ABOVE",
+    "BLOCK_MEDIUM_AND_ABOVE",
+    "BLOCK_ONLY_HIGH",
+    "BLOCK_NONE",
+    "OFF",
+]);
+const THINKING_LEVELS = new Set(["high", "low", "medium", "minimal"]);
+
 /**
  * Configuration Loader Module
  * Responsible for loading system configuration from environment variables
@@ -23,24 +35,51 @@ class ConfigLoader {
             apiKeys: [],
             apiKeySource: "Not set",
             autoSwitchIntervalHours: 3,
+            batchConcurrency: 2,
             browserExecutablePath: null,
             checkUpdate: true,
+            defaultAccountGroup: null,
+            dispatchStrategy: "single",
+            dispatchWeights: {},
             enableAuthUpdate: true,
+            enableAutoRelogin: false,
             enableAutoSwitch: false,
+            enableQuotaTracking: true,
+            enableResponseStore: true,
             enableUsageStats: true,
             failureThreshold: 3,
             fakeStreamTimeoutMs: 300000,
+            ffmpegPath: "ffmpeg",
             forceCodeExecution: false,
             forceThinking: false,
             forceUrlContext: false,
             forceWebSearch: false,
+            healthProbeIntervalMinutes: 0,
             host: "0.0.0.0",
             httpPort: 7860,
             immediateSwitchStatusCodes: [429, 503],
+            maxConcurrentRequests: 0,
             maxContexts: 1,
+            maxQueuedRequests: 100,
             maxRetries: 3,
+            mediaCacheMaxSizeMb: 200,
+            mediaFetchAllowedHosts: [],
+            mediaFetchAllowPrivateNetworks: false,
+            mediaFetchBlockedHosts: [],
+            mediaFetchMaxSizeMb: 20,
+            mediaFetchTimeoutMs: 30000,
+            metricsToken: null,
+            modelAliases: {},
+            modelCooldownSeconds: 60,
+            queueTimeoutMs: 60000,
+            quotaRotationThreshold: 0.9,
+            reloginBackoffMinutes: 30,
+            responseStoreMaxEntries: 1000,
+            responseStoreMaxSizeMb: 200,
+            responseStoreTtlHours: 720,
             retryDelay: 2000,
             safetySettingsThreshold: "OFF",
+            stickySessionTtlMinutes: 0,
             streamingMode: "real",
             streamTimeoutMs: 60000,
             switchOnUses: 40,
@@ -94,10 +133,46 @@ class ConfigLoader {
             const parsed = parseInt(process.env.MAX_CONTEXTS, 10);
             config.maxContexts = Number.isFinite(parsed) ? Math.max(0, parsed) : config.maxContexts;
         }
+        if (process.env.DISPATCH_STRATEGY) {
+            const rawStrategy = String(process.env.DISPATCH_STRATEGY).trim().toLowerCase();
+            const allowedStrategies = new Set(["single", "least_inflight", "round_robin", "weighted"]);
+            if (allowedStrategies.has(rawStrategy)) {
+                config.dispatchStrategy = rawStrategy;
+            } else {
+                this.logger.warn(
+                    `[Config] Invalid DISPATCH_STRATEGY "${process.env.DISPATCH_STRATEGY}", falling back to ${config.dispatchStrategy}.`
+                );
+            }
+        }
+        if (process.env.DEFAULT_ACCOUNT_GROUP) {
+            const group = AuthSource.normalizeTag(process.env.DEFAULT_ACCOUNT_GROUP);
+            if (group) {
+                config.defaultAccountGroup = group;
+            } else {
+                this.logger.warn(
+                    `[Config] Invalid DEFAULT_ACCOUNT_GROUP "${process.env.DEFAULT_ACCOUNT_GROUP}", requests without a group may use every account.`
+                );
+            }
+        }
+        if (process.env.DISPATCH_WEIGHTS) {
+            // Format: authIndex:weight pairs, e.g. "0:3,2:1"
+            for (const pair of process.env.DISPATCH_WEIGHTS.split(",")) {
+                const [rawIndex, rawWeight] = pair.split(":").map(part => String(part).trim());
+                const authIndex = parseInt(rawIndex, 10);
+                const weight = parseFloat(rawWeight);
+                if (Number.isInteger(authIndex) && authIndex >= 0 && Number.isFinite(weight) && weight > 0) {
+                    config.dispatchWeights[authIndex] = weight;
+                } else if (pair.trim()) {
+                    this.logger.warn(`[Config] Ignoring invalid DISPATCH_WEIGHTS entry "${pair.trim()}".`);
+                }
+            }
+        }
         if (process.env.CAMOUFOX_EXECUTABLE_PATH) config.browserExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH;
+        if (process.env.FFMPEG_PATH) config.ffmpegPath = process.env.FFMPEG_PATH;
         if (process.env.API_KEYS) {
             config.apiKeys = process.env.API_KEYS.split(",");
         }
+        if (process.env.METRICS_TOKEN) config.metricsToken = process.env.METRICS_TOKEN.trim() || null;
         if (process.env.CHECK_UPDATE) config.checkUpdate = process.env.CHECK_UPDATE.toLowerCase() !== "false";
         if (process.env.FORCE_THINKING) config.forceThinking = process.env.FORCE_THINKING.toLowerCase() === "true";
         if (process.env.FORCE_CODE_EXECUTION)
@@ -107,15 +182,7 @@ class ConfigLoader {
             config.forceUrlContext = process.env.FORCE_URL_CONTEXT.toLowerCase() === "true";
         if (process.env.SAFETY_SETTINGS_THRESHOLD) {
             const rawThreshold = String(process.env.SAFETY_SETTINGS_THRESHOLD).trim().toUpperCase();
-            const allowedThresholds = new Set([
-                "HARM_BLOCK_THRESHOLD_UNSPECIFIED",
-                "BLOCK_LOW_AND_ABOVE",
-                "BLOCK_MEDIUM_AND_ABOVE",
-                "BLOCK_ONLY_HIGH",
-                "BLOCK_NONE",
-                "OFF",
-            ]);
-            if (allowedThresholds.has(rawThreshold)) {
+            if (SAFETY_THRESHOLDS.has(rawThreshold)) {
                 config.safetySettingsThreshold = rawThreshold;
             } else {
                 this.logger.warn(
@@ -125,6 +192,23 @@ class ConfigLoader {
         }
         if (process.env.ENABLE_AUTH_UPDATE)
             config.enableAuthUpdate = process.env.ENABLE_AUTH_UPDATE.toLowerCase() !== "false";
+        if (process.env.ENABLE_AUTO_RELOGIN)
+            config.enableAutoRelogin = process.env.ENABLE_AUTO_RELOGIN.toLowerCase() === "true";
+        if (process.env.RELOGIN_BACKOFF_MINUTES) {
+            const parsed = parseInt(process.env.RELOGIN_BACKOFF_MINUTES, 10);
+            config.reloginBackoffMinutes =
+                Number.isFinite(parsed) && parsed > 0 ? parsed : config.reloginBackoffMinutes;
+        }
+        if (process.env.HEALTH_PROBE_INTERVAL_MINUTES) {
+            const parsed = parseInt(process.env.HEALTH_PROBE_INTERVAL_MINUTES, 10);
+            config.healthProbeIntervalMinutes =
+                Number.isFinite(parsed) && parsed >= 0 ? parsed : config.healthProbeIntervalMinutes;
+        }
+        if (process.env.STICKY_SESSION_TTL_MINUTES) {
+            const parsed = parseInt(process.env.STICKY_SESSION_TTL_MINUTES, 10);
+            config.stickySessionTtlMinutes =
+                Number.isFinite(parsed) && parsed >= 0 ? parsed : config.stickySessionTtlMinutes;
+        }
         if (process.env.ENABLE_AUTO_SWITCH)
             config.enableAutoSwitch = process.env.ENABLE_AUTO_SWITCH.toLowerCase() === "true";
         if (process.env.AUTO_SWITCH_INTERVAL_HOURS)
@@ -132,6 +216,81 @@ class ConfigLoader {
                 Math.max(0.1, parseFloat(process.env.AUTO_SWITCH_INTERVAL_HOURS)) || config.autoSwitchIntervalHours;
         if (process.env.ENABLE_USAGE_STATS)
             config.enableUsageStats = process.env.ENABLE_USAGE_STATS.toLowerCase() !== "false";
+        if (process.env.ENABLE_QUOTA_TRACKING)
+            config.enableQuotaTracking = process.env.ENABLE_QUOTA_TRACKING.toLowerCase() !== "false";
+        if (process.env.QUOTA_ROTATION_THRESHOLD) {
+            const parsed = parseFloat(process.env.QUOTA_ROTATION_THRESHOLD);
+            config.quotaRotationThreshold =
+                Number.isFinite(parsed) && parsed > 0 ? Math.min(1, parsed) : config.quotaRotationThreshold;
+        }
+
+        if (process.env.ENABLE_RESPONSE_STORE)
+            config.enableResponseStore = process.env.ENABLE_RESPONSE_STORE.toLowerCase() !== "false";
+        if (process.env.RESPONSE_STORE_TTL_HOURS) {
+            const parsed = parseFloat(process.env.RESPONSE_STORE_TTL_HOURS);
+            config.responseStoreTtlHours = Number.isFinite(parsed) ? Math.max(0, parsed) : config.responseStoreTtlHours;
+        }
+        if (process.env.RESPONSE_STORE_MAX_ENTRIES) {
+            const parsed = parseInt(process.env.RESPONSE_STORE_MAX_ENTRIES, 10);
+            config.responseStoreMaxEntries = Number.isFinite(parsed)
+                ? Math.max(0, parsed)
+                : config.responseStoreMaxEntries;
+        }
+        if (process.env.RESPONSE_STORE_MAX_SIZE_MB) {
+            const parsed = parseFloat(process.env.RESPONSE_STORE_MAX_SIZE_MB);
+            config.responseStoreMaxSizeMb = Number.isFinite(parsed)
+                ? Math.max(0, parsed)
+                : config.responseStoreMaxSizeMb;
+        }
+
+        if (process.env.BATCH_CONCURRENCY) {
+            const parsed = parseInt(process.env.BATCH_CONCURRENCY, 10);
+            config.batchConcurrency = Number.isFinite(parsed) && parsed > 0 ? parsed : config.batchConcurrency;
+        }
+
+        if (process.env.MAX_CONCURRENT_REQUESTS) {
+            const parsed = parseInt(process.env.MAX_CONCURRENT_REQUESTS, 10);
+            config.maxConcurrentRequests = Number.isFinite(parsed) ? Math.max(0, parsed) : config.maxConcurrentRequests;
+        }
+        if (process.env.MAX_QUEUED_REQUESTS) {
+            const parsed = parseInt(process.env.MAX_QUEUED_REQUESTS, 10);
+            config.maxQueuedRequests = Number.isFinite(parsed) ? Math.max(0, parsed) : config.maxQueuedRequests;
+        }
+        if (process.env.QUEUE_TIMEOUT_MS) {
+            const parsed = parseInt(process.env.QUEUE_TIMEOUT_MS, 10);
+            config.queueTimeoutMs = Number.isFinite(parsed) && parsed > 0 ? parsed : config.queueTimeoutMs;
+        }
+
+        if (process.env.MEDIA_FETCH_ALLOWED_HOSTS) {
+            config.mediaFetchAllowedHosts = process.env.MEDIA_FETCH_ALLOWED_HOSTS.split(",")
+                .map(host => host.trim())
+                .filter(Boolean);
+        }
+        if (process.env.MEDIA_FETCH_BLOCKED_HOSTS) {
+            config.mediaFetchBlockedHosts = process.env.MEDIA_FETCH_BLOCKED_HOSTS.split(",")
+                .map(host => host.trim())
+                .filter(Boolean);
+        }
+        if (process.env.MEDIA_FETCH_ALLOW_PRIVATE_NETWORKS)
+            config.mediaFetchAllowPrivateNetworks =
+                process.env.MEDIA_FETCH_ALLOW_PRIVATE_NETWORKS.toLowerCase() === "true";
+        if (process.env.MEDIA_FETCH_MAX_SIZE_MB) {
+            const parsed = parseFloat(process.env.MEDIA_FETCH_MAX_SIZE_MB);
+            config.mediaFetchMaxSizeMb = Number.isFinite(parsed) && parsed > 0 ? parsed : config.mediaFetchMaxSizeMb;
+        }
+        if (process.env.MEDIA_FETCH_TIMEOUT_MS) {
+            const parsed = parseInt(process.env.MEDIA_FETCH_TIMEOUT_MS, 10);
+            config.mediaFetchTimeoutMs = Number.isFinite(parsed) && parsed > 0 ? parsed : config.mediaFetchTimeoutMs;
+        }
+        if (process.env.MEDIA_CACHE_MAX_SIZE_MB) {
+            const parsed = parseFloat(process.env.MEDIA_CACHE_MAX_SIZE_MB);
+            config.mediaCacheMaxSizeMb = Number.isFinite(parsed) ? Math.max(0, parsed) : config.mediaCacheMaxSizeMb;
+        }
+
+        if (process.env.MODEL_COOLDOWN_SECONDS) {
+            const parsed = parseInt(process.env.MODEL_COOLDOWN_SECONDS, 10);
+            config.modelCooldownSeconds = Number.isFinite(parsed) ? Math.max(0, parsed) : config.modelCooldownSeconds;
+        }
 
         let rawCodes = process.env.IMMEDIATE_SWITCH_STATUS_CODES;
         let codesSource = "environment variable";
@@ -181,6 +340,7 @@ class ConfigLoader {
                     this.logger.info(
                         `[System] Successfully loaded ${config.modelList.length} models from models.json.`
                     );
+                    config.modelAliases = this._loadModelAliases(modelsData.aliases);
                 } else {
                     this.logger.warn(`[System] models.json is not in the expected format, using default model list.`);
                     config.modelList = [{ name: "models/gemini-2.5-flash-lite" }];
@@ -196,11 +356,81 @@ class ConfigLoader {
             config.modelList = [{ name: "models/gemini-2.5-flash-lite" }];
         }
 
-        this._printConfiguration(config);
         return config;
     }
 
-    _printConfiguration(config) {
+    /**
+     * Validate the `aliases` table of models.json: alias name -> { model, ...per-alias overrides }.
+     * Invalid fields are dropped with a warning; aliases without a target model are skipped.
+     * @returns {Object<string, Object>} Alias name -> normalized alias
+     */
+    _loadModelAliases(rawAliases) {
+        if (rawAliases === undefined) return {};
+        if (!rawAliases || typeof rawAliases !== "object" || Array.isArray(rawAliases)) {
+            this.logger.warn(`[System] "aliases" in models.json must be an object, ignoring it.`);
+            return {};
+        }
+
+        const validators = {
+            accountGroup: value => AuthSource.normalizeTag(value) !== null,
+            description: value => typeof value === "string",
+            displayName: value => typeof value === "string",
+            forceCodeExecution: value => typeof value === "boolean",
+            forceUrlContext: value => typeof value === "boolean",
+            forceWebSearch: value => typeof value === "boolean",
+            maxTemperature: value => Number.isFinite(value),
+            minTemperature: value => Number.isFinite(value),
+            safetySettingsThreshold: value => SAFETY_THRESHOLDS.has(value),
+            streamingMode: value => value === "real" || value === "fake",
+            systemPrompt: value => typeof value === "string" && value.length > 0,
+            temperature: value => Number.isFinite(value),
+            thinkingBudget: value => Number.isInteger(value) && value >= -1,
+            thinkingLevel: value => THINKING_LEVELS.has(value),
+        };
+
+        const aliases = {};
+        for (const [name, rawAlias] of Object.entries(rawAliases)) {
+            const alias = typeof rawAlias === "string" ? { model: rawAlias } : rawAlias;
+            const model = typeof alias?.model === "string" ? alias.model.replace(/^models\//, "").trim() : "";
+            if (!model) {
+                this.logger.warn(`[System] Model alias "${name}" has no target "model", skipping it.`);
+                continue;
+            }
+
+            const normalized = { model };
+            for (const [field, rawValue] of Object.entries(alias)) {
+                if (field === "model") continue;
+                let value = rawValue;
+                // Enum values are matched case-insensitively, like their environment variables
+                if (typeof value === "string" && field !== "systemPrompt") {
+                    value = field === "safetySettingsThreshold" ? value.trim().toUpperCase() : value.trim();
+                    if (field === "accountGroup" || field === "streamingMode" || field === "thinkingLevel") {
+                        value = value.toLowerCase();
+                    }
+                }
+
+                const validate = validators[field];
+                if (!validate) {
+                    this.logger.warn(`[System] Ignoring unknown field "${field}" of model alias "${name}".`);
+                } else if (!validate(value)) {
+                    this.logger.warn(`[System] Ignoring invalid "${field}" of model alias "${name}".`);
+                } else {
+                    normalized[field] = value;
+                }
+            }
+            aliases[name.replace(/^models\//, "")] = normalized;
+        }
+
+        if (Object.keys(aliases).length > 0) {
+            this.logger.info(`[System] Loaded ${Object.keys(aliases).length} model alias(es) from models.json.`);
+        }
+        return aliases;
+    }
+
+    /**
+     * Log the effective configuration (called once settings.json overrides have been applied).
+     */
+    printConfiguration(config) {
         this.logger.info("================ [ Active Configuration ] ================");
         this.logger.info(`  HTTP Server Port: ${config.httpPort}`);
         this.logger.info(`  Listening Address: ${config.host}`);
@@ -214,8 +444,74 @@ class ConfigLoader {
         this.logger.info(`  Check Update: ${config.checkUpdate}`);
         this.logger.info(`  Default Safety Threshold: ${config.safetySettingsThreshold}`);
         this.logger.info(`  Auto Update Auth: ${config.enableAuthUpdate}`);
+        this.logger.info(
+            `  Auto Re-login: ${
+                config.enableAutoRelogin ? `Enabled, backoff from ${config.reloginBackoffMinutes} minutes` : "Disabled"
+            }`
+        );
+        this.logger.info(
+            `  Health Probe: ${
+                config.healthProbeIntervalMinutes > 0
+                    ? `Every ${config.healthProbeIntervalMinutes} minutes per account`
+                    : "Disabled"
+            }`
+        );
         this.logger.info(`  Usage Stats: ${config.enableUsageStats}`);
+        this.logger.info(
+            `  Quota Tracking: ${
+                config.enableQuotaTracking
+                    ? `Enabled, rotate at ${Math.round(config.quotaRotationThreshold * 100)}% of learned limits`
+                    : "Disabled"
+            }`
+        );
+        this.logger.info(
+            `  Model Cooldown: ${
+                config.modelCooldownSeconds > 0
+                    ? `${config.modelCooldownSeconds}s default (RetryInfo delay preferred)`
+                    : "Disabled"
+            }`
+        );
+        this.logger.info(
+            `  Response Store: ${
+                config.enableResponseStore
+                    ? `Enabled, TTL ${config.responseStoreTtlHours || "unlimited"}h, max ${config.responseStoreMaxEntries || "unlimited"} entries / ${config.responseStoreMaxSizeMb || "unlimited"} MB`
+                    : "Disabled"
+            }`
+        );
+        this.logger.info(`  Batch Concurrency: ${config.batchConcurrency}`);
+        this.logger.info(
+            `  Admission Queue: ${
+                config.maxConcurrentRequests > 0
+                    ? `${config.maxConcurrentRequests} concurrent, ${config.maxQueuedRequests} queued, timeout ${config.queueTimeoutMs}ms`
+                    : "Disabled (unlimited concurrent requests)"
+            }`
+        );
+        this.logger.info(
+            `  Media Fetch: max ${config.mediaFetchMaxSizeMb} MB, timeout ${config.mediaFetchTimeoutMs}ms, private networks ${
+                config.mediaFetchAllowPrivateNetworks ? "allowed" : "blocked"
+            }, cache ${config.mediaCacheMaxSizeMb > 0 ? `${config.mediaCacheMaxSizeMb} MB` : "memory only"}`
+        );
         this.logger.info(`  Max Contexts: ${config.maxContexts === 0 ? "Unlimited" : config.maxContexts}`);
+        this.logger.info(
+            `  Dispatch Strategy: ${
+                config.dispatchStrategy === "single" ? "single (current account only)" : config.dispatchStrategy
+            }`
+        );
+        if (config.dispatchStrategy === "weighted" && Object.keys(config.dispatchWeights).length > 0) {
+            this.logger.info(
+                `  Dispatch Weights: ${Object.entries(config.dispatchWeights)
+                    .map(([authIndex, weight]) => `#${authIndex}=${weight}`)
+                    .join(", ")}`
+            );
+        }
+        this.logger.info(`  Default Account Group: ${config.defaultAccountGroup || "None (all accounts)"}`);
+        this.logger.info(
+            `  Sticky Sessions: ${
+                config.stickySessionTtlMinutes > 0
+                    ? `Enabled, pins expire ${config.stickySessionTtlMinutes} minutes after the last turn`
+                    : "Disabled"
+            }`
+        );
         this.logger.info(
             `  Usage-based Switch Threshold: ${
                 config.switchOnUses > 0 ? `Switch after every ${config.switchOnUses} requests` : "Disabled"
@@ -239,6 +535,7 @@ class ConfigLoader {
         this.logger.info(`  Max Retries per Request: ${config.maxRetries} times`);
         this.logger.info(`  Retry Delay: ${config.retryDelay}ms`);
         this.logger.info(`  API Key Source: ${config.apiKeySource}`);
+        this.logger.info(`  Metrics (/metrics): ${config.metricsToken ? "METRICS_TOKEN" : "API keys"}`);
 
         const proxySummary = getProxySummaryFromEnv();
         if (!proxySummary.enabled) {
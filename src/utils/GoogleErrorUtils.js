@@ -0,0 +1,89 @@
+/**
+ * File: src/utils/GoogleErrorUtils.js
+ * Description: Helpers for extracting structured details (quota violations, retry delays) from Google API error payloads
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+// Browser errors look like: "Proxy browser error: Google API returned error: 429 Too Many Requests {json body}"
+const extractGoogleErrorBody = message => {
+    if (message && typeof message === "object") {
+        return message.error ? message : null;
+    }
+    if (typeof message !== "string") return null;
+
+    const start = message.indexOf("{");
+    const end = message.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+
+    try {
+        const parsed = JSON.parse(message.slice(start, end + 1));
+        return parsed && typeof parsed === "object" && parsed.error ? parsed : null;
+    } catch {
+        return null;
+    }
+};
+
+const _getErrorDetails = body => (Array.isArray(body?.error?.details) ? body.error.details : []);
+
+/**
+ * Extract quota violations from a Google error body.
+ * @param {Object|null} body - Parsed Google error body ({ error: { details: [...] } })
+ * @returns {Array<{metric: string, model: string|null, unit: ("requests"|"tokens"), value: number|null, window: ("minute"|"day"|null)}>}
+ */
+const parseQuotaViolations = body => {
+    const violations = [];
+    for (const detail of _getErrorDetails(body)) {
+        if (!String(detail?.["@type"] || "").endsWith("google.rpc.QuotaFailure")) continue;
+        for (const violation of Array.isArray(detail.violations) ? detail.violations : []) {
+            const quotaId = String(violation?.quotaId || "");
+            const metric = String(violation?.quotaMetric || "");
+            const descriptor = `${quotaId} ${metric}`.toLowerCase();
+            const value = parseInt(violation?.quotaValue, 10);
+
+            let window = null;
+            if (descriptor.includes("perday")) window = "day";
+            else if (descriptor.includes("perminute")) window = "minute";
+
+            violations.push({
+                metric: quotaId || metric,
+                model: violation?.quotaDimensions?.model || null,
+                unit: descriptor.includes("token") ? "tokens" : "requests",
+                value: Number.isFinite(value) && value > 0 ? value : null,
+                window,
+            });
+        }
+    }
+    return violations;
+};
+
+// Durations are serialized as "31s" / "1.5s" in JSON, or as { seconds, nanos } objects
+const _parseDurationMs = value => {
+    if (value && typeof value === "object") {
+        const seconds = Number(value.seconds || 0) + Number(value.nanos || 0) / 1e9;
+        return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds * 1000) : null;
+    }
+    const match = String(value ?? "").match(/^\s*(\d+(?:\.\d+)?)s\s*$/);
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+};
+
+/**
+ * Extract the suggested retry delay from a Google error body.
+ * Prefers the google.rpc.RetryInfo detail and falls back to the "Please retry in 31.5s" hint in the message.
+ * @param {Object|null} body - Parsed Google error body ({ error: { details: [...] } })
+ * @returns {number|null} Delay in milliseconds, or null if Google did not provide one
+ */
+const parseRetryDelayMs = body => {
+    for (const detail of _getErrorDetails(body)) {
+        if (!String(detail?.["@type"] || "").endsWith("google.rpc.RetryInfo")) continue;
+        const delayMs = _parseDurationMs(detail.retryDelay);
+        if (delayMs) return delayMs;
+    }
+
+    const hint = String(body?.error?.message || "").match(/retry in (\d+(?:\.\d+)?)\s*(ms|s)\b/i);
+    if (!hint) return null;
+    const amount = parseFloat(hint[1]);
+    return Math.ceil(hint[2].toLowerCase() === "ms" ? amount : amount * 1000) || null;
+};
+
+module.exports = { extractGoogleErrorBody, parseQuotaViolations, parseRetryDelayMs };
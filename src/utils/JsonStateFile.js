@@ -0,0 +1,66 @@
+/**
+ * File: src/utils/JsonStateFile.js
+ * Description: Small JSON file that keeps a service's state (attempt logs, histories) across restarts
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON State File
+ * Saves are serialized and written through a temporary file, so the file always holds one complete state.
+ * Read and write failures are logged, never thrown: losing the state only means starting fresh.
+ */
+class JsonStateFile {
+    /**
+     * @param {Object} logger - Logger
+     * @param {string} filePath - Path of the JSON file
+     * @param {Object} options
+     * @param {string} options.description - What the file holds, for log messages (e.g. "re-login state")
+     * @param {string} options.logPrefix - Log tag of the owning service (e.g. "[ReLogin]")
+     */
+    constructor(logger, filePath, { description, logPrefix }) {
+        this.logger = logger;
+        this.filePath = filePath;
+        this.description = description;
+        this.logPrefix = logPrefix;
+        this.savePromise = Promise.resolve();
+    }
+
+    /**
+     * @returns {Object|null} The saved state, or null if there is none or it cannot be read
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return null;
+            return JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+        } catch (error) {
+            this.logger.warn(`${this.logPrefix} Failed to load ${this.description}, starting fresh: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} state - State to write; serialized right away, so later changes are not included
+     * @returns {Promise<void>} Resolves once this save (and every earlier one) is done
+     */
+    save(state) {
+        const content = JSON.stringify(state);
+        this.savePromise = this.savePromise
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tmpPath = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tmpPath, content, "utf-8");
+                await fs.promises.rename(tmpPath, this.filePath);
+            })
+            .catch(error => {
+                this.logger.warn(`${this.logPrefix} Failed to save ${this.description}: ${error.message}`);
+            });
+        return this.savePromise;
+    }
+}
+
+module.exports = JsonStateFile;
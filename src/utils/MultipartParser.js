@@ -0,0 +1,85 @@
+/**
+ * File: src/utils/MultipartParser.js
+ * Description: Minimal multipart/form-data parser for request bodies already buffered into req.rawBody
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const HEADER_SEPARATOR = Buffer.from("\r\n\r\n");
+
+const getBoundary = contentType => {
+    const match = String(contentType || "").match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    return match ? (match[1] || match[2]).trim() : null;
+};
+
+const parsePartHeaders = headerText => {
+    const headers = {};
+    for (const line of headerText.split("\r\n")) {
+        const separatorIndex = line.indexOf(":");
+        if (separatorIndex === -1) continue;
+        headers[line.slice(0, separatorIndex).trim().toLowerCase()] = line.slice(separatorIndex + 1).trim();
+    }
+    return headers;
+};
+
+/**
+ * Parse a multipart/form-data body.
+ * Repeated text fields keep the last value; files are returned in the order they appear.
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header including the boundary parameter
+ * @returns {{fields: Object<string, string>, files: Array<{contentType: string, data: Buffer, fieldName: string, filename: string}>}}
+ * @throws {Error} If the content type has no boundary
+ */
+const parseMultipart = (body, contentType) => {
+    const boundary = getBoundary(contentType);
+    if (!boundary) {
+        throw new Error("Missing multipart boundary in Content-Type header.");
+    }
+
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || "");
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+
+    let position = buffer.indexOf(delimiter);
+    while (position !== -1) {
+        const partStart = position + delimiter.length;
+        // "--" right after the delimiter marks the end of the body
+        if (buffer.slice(partStart, partStart + 2).toString() === "--") break;
+
+        const nextPosition = buffer.indexOf(delimiter, partStart);
+        if (nextPosition === -1) break;
+
+        // Each part is framed by CRLF after the delimiter and CRLF before the next one
+        const part = buffer.slice(partStart + 2, nextPosition - 2);
+        const headerEnd = part.indexOf(HEADER_SEPARATOR);
+        if (headerEnd !== -1) {
+            const headers = parsePartHeaders(part.slice(0, headerEnd).toString("utf-8"));
+            const data = part.slice(headerEnd + HEADER_SEPARATOR.length);
+            const disposition = headers["content-disposition"] || "";
+            const fieldName = disposition.match(/\bname="([^"]*)"/i)?.[1];
+            const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+
+            if (fieldName !== undefined) {
+                if (filename !== undefined) {
+                    files.push({
+                        contentType: headers["content-type"] || "application/octet-stream",
+                        data,
+                        fieldName,
+                        filename,
+                    });
+                } else {
+                    fields[fieldName] = data.toString("utf-8");
+                }
+            }
+        }
+
+        position = nextPosition;
+    }
+
+    return { fields, files };
+};
+
+const isMultipartRequest = req => String(req?.headers?.["content-type"] || "").includes("multipart/form-data");
+
+module.exports = { isMultipartRequest, parseMultipart };
@@ -0,0 +1,18 @@
+/**
+ * File: src/utils/OwnershipUtils.js
+ * Description: Access rule for objects owned by a named API key (stored responses, files and batches)
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Whether a request may see an object.
+ * A named API key only sees the objects it created. Requests without one (the shared API_KEYS, or no authentication)
+ * form their own scope: they only see objects created without a named key.
+ * @param {string|null} ownerKeyName - API key that created the object, or null if it was created without one
+ * @param {string|null} apiKeyName - API key of the request
+ * @returns {boolean}
+ */
+const isAccessibleBy = (ownerKeyName, apiKeyName) => (ownerKeyName || null) === (apiKeyName || null);
+
+module.exports = { isAccessibleBy };
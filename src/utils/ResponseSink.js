@@ -0,0 +1,94 @@
+/**
+ * File: src/utils/ResponseSink.js
+ * Description: In-memory Express response stand-in for running request handlers without a client connection
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const { EventEmitter } = require("events");
+
+/**
+ * Minimal stand-in for an Express response, used to run requests through the normal handlers without a client.
+ * Every write is handed to `onData` and `onEnd` is called once the handler ends the response.
+ */
+class ResponseSink extends EventEmitter {
+    constructor(onData, onEnd) {
+        super();
+        this.onData = onData;
+        this.onEnd = onEnd;
+        this.headers = {};
+        this.headersSent = false;
+        this.statusCode = 200;
+        this.writableEnded = false;
+        this.destroyed = false;
+        this.socket = { destroyed: false, writable: true };
+    }
+
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+
+    set(field, value) {
+        if (field && typeof field === "object") {
+            for (const [key, headerValue] of Object.entries(field)) this.setHeader(key, headerValue);
+        } else {
+            this.setHeader(field, value);
+        }
+        return this;
+    }
+
+    setHeader(name, value) {
+        this.headers[String(name).toLowerCase()] = value;
+    }
+
+    getHeader(name) {
+        return this.headers[String(name).toLowerCase()];
+    }
+
+    get(name) {
+        return this.getHeader(name);
+    }
+
+    type(contentType) {
+        this.setHeader("content-type", contentType.includes("/") ? contentType : `application/${contentType}`);
+        return this;
+    }
+
+    write(chunk) {
+        if (this.writableEnded || this.destroyed) return false;
+        this.headersSent = true;
+        this.onData(String(chunk), this);
+        return true;
+    }
+
+    send(body) {
+        this.write(typeof body === "string" ? body : JSON.stringify(body));
+        this.end();
+        return this;
+    }
+
+    json(body) {
+        this.type("application/json");
+        return this.send(JSON.stringify(body));
+    }
+
+    end(chunk) {
+        if (this.writableEnded) return this;
+        if (chunk) this.write(chunk);
+        this.headersSent = true;
+        this.writableEnded = true;
+        this.onEnd(this);
+        this.emit("finish");
+        this.emit("close");
+        return this;
+    }
+
+    // Stop accepting output without emitting "close", so the disconnect handler does not treat it as a client abort
+    destroy() {
+        this.destroyed = true;
+        this.socket.destroyed = true;
+    }
+}
+
+module.exports = ResponseSink;
@@ -0,0 +1,110 @@
+/**
+ * File: src/utils/UsersCsvUtils.js
+ * Description: Location and parsing of the account credentials CSV (users.csv) shared by setup-auth and auto re-login
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const path = require("path");
+
+const EMAIL_HEADER_PATTERNS = [/^email$/i, /^account$/i, /^账号$/, /^邮箱$/];
+const PASSWORD_HEADER_PATTERNS = [/^password$/i, /^pwd$/i, /^pass$/i, /^密码$/];
+const RECOVERY_HEADER_PATTERNS = [/^recovery/i, /recovery.*email/i, /^辅助邮箱$/, /^恢复邮箱$/, /^备用邮箱$/];
+const TOTP_HEADER_PATTERNS = [/^totp/i, /^otp/i, /^2fa/i, /secret/i, /密钥/];
+
+/**
+ * Path of the accounts CSV: USERS_CSV_FILE, or users.csv, resolved against `baseDir`.
+ * @param {string} [baseDir] - Directory relative paths are resolved against, defaults to the working directory
+ * @returns {string}
+ */
+const getUsersCsvPath = (baseDir = process.cwd()) => path.resolve(baseDir, process.env.USERS_CSV_FILE || "users.csv");
+
+const parseCsvLine = line => {
+    const parts = [];
+    let current = "";
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === "," && !inQuotes) {
+            parts.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current.trim());
+    return parts;
+};
+
+const _getHeaderIndex = (header, patterns) =>
+    header.findIndex(column => patterns.some(pattern => pattern.test(String(column || "").trim())));
+
+const _parseRowWithHeader = (parts, header, index) => {
+    const emailIndex = _getHeaderIndex(header, EMAIL_HEADER_PATTERNS);
+    const passwordIndex = _getHeaderIndex(header, PASSWORD_HEADER_PATTERNS);
+    const recoveryIndex = _getHeaderIndex(header, RECOVERY_HEADER_PATTERNS);
+    const totpIndex = _getHeaderIndex(header, TOTP_HEADER_PATTERNS);
+
+    const email = emailIndex >= 0 ? parts[emailIndex] : "";
+    return email
+        ? {
+              email,
+              index,
+              password: passwordIndex >= 0 ? parts[passwordIndex] || "" : "",
+              recoveryEmail: recoveryIndex >= 0 ? parts[recoveryIndex] || "" : "",
+              totpSecret: totpIndex >= 0 ? parts[totpIndex] || "" : "",
+          }
+        : null;
+};
+
+// Without a header the email is the first column containing "@", followed by the password (or, if that column is
+// empty, the first other non-empty column) and then the recovery email and/or TOTP secret
+const _parseRowWithoutHeader = (parts, index) => {
+    const emailIndex = parts.findIndex(part => part.includes("@"));
+    if (emailIndex === -1) return null;
+
+    const thirdValue = parts[emailIndex + 2] || "";
+    return {
+        email: parts[emailIndex],
+        index,
+        password:
+            parts[emailIndex + 1] || parts.find((part, partIndex) => partIndex !== emailIndex && part.length > 0) || "",
+        recoveryEmail: thirdValue.includes("@") ? thirdValue : "",
+        totpSecret: parts[emailIndex + 3] || (thirdValue && !thirdValue.includes("@") ? thirdValue : ""),
+    };
+};
+
+/**
+ * Parse the accounts CSV: `email,password,recovery_email,totp_secret`, with an optional header line that may name the
+ * columns in any order.
+ * @param {string} content - Decrypted file content
+ * @returns {Array<{email: string, index: number, password: string, recoveryEmail: string, totpSecret: string}>}
+ *          Accounts in file order; `index` is the 1-based row number after the header
+ */
+const parseUsersCsv = content => {
+    const rows = String(content || "")
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== "")
+        .map(line => parseCsvLine(line));
+    if (rows.length === 0) return [];
+
+    const firstRow = rows[0];
+    const hasHeader =
+        !firstRow.some(part => part.includes("@")) && _getHeaderIndex(firstRow, EMAIL_HEADER_PATTERNS) !== -1;
+    const accountRows = hasHeader ? rows.slice(1) : rows;
+
+    return accountRows
+        .map((parts, offset) =>
+            hasHeader ? _parseRowWithHeader(parts, firstRow, offset + 1) : _parseRowWithoutHeader(parts, offset + 1)
+        )
+        .filter(Boolean);
+};
+
+module.exports = { getUsersCsvPath, parseCsvLine, parseUsersCsv };